@@ -0,0 +1,70 @@
+/**
+ * Call Replay Runner
+ * Replays recorded calls (JSONL, see RECORD_CALLS) through the call controller offline
+ * and reports any difference in what the agent sent back to Retell.
+ *
+ * Usage:
+ *   npm run replay -- data/recordings/call_abc123.jsonl
+ *   npm run replay -- test/fixtures/calls
+ *
+ * Exits with code 1 if any recording no longer replays identically.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Replays never reach live services: the model, tools and lookups come from the recording.
+// Placeholders keep client constructors happy; checkpoints stay in memory.
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'replay-offline';
+process.env.RETELL_API_KEY = process.env.RETELL_API_KEY || 'replay-offline';
+process.env.SUPABASE_URL = 'http://replay.invalid';
+process.env.SUPABASE_ANON_KEY = 'replay-offline';
+process.env.CHECKPOINTER_BACKEND = 'memory';
+process.env.RECORD_CALLS = 'false';
+
+const { readRecording } = await import('../src/services/call-recorder.service.js');
+const { replayRecording } = await import('../src/services/call-replay.service.js');
+
+/**
+ * Expand files and directories into a list of .jsonl recordings
+ * @param {Array<string>} inputs - Paths from the command line
+ * @returns {Promise<Array<string>>} - Recording paths
+ */
+async function findRecordings(inputs) {
+  const files = [];
+
+  for (const input of inputs) {
+    const stat = await fs.stat(input);
+    if (stat.isDirectory()) {
+      const entries = await fs.readdir(input);
+      files.push(...entries.filter(name => name.endsWith('.jsonl')).sort().map(name => path.join(input, name)));
+    } else {
+      files.push(input);
+    }
+  }
+
+  return files;
+}
+
+const inputs = process.argv.slice(2);
+if (inputs.length === 0) {
+  console.error('Usage: node scripts/replay-call.js <recording.jsonl|directory> [...]');
+  process.exit(1);
+}
+
+const results = [];
+for (const file of await findRecordings(inputs)) {
+  const result = await replayRecording(await readRecording(file));
+  results.push({ file, ...result });
+}
+
+console.log('\n=== Replay results ===');
+for (const { file, passed, differences } of results) {
+  console.log(`${passed ? '✅ PASS' : '❌ FAIL'} ${file}`);
+  differences.forEach(difference => console.log(`  ${difference}`));
+}
+
+const failed = results.filter(r => !r.passed).length;
+console.log(`\n${results.length - failed}/${results.length} recording(s) replayed identically`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,193 @@
+/**
+ * Retell Protocol Simulator
+ * Talk to the agent from the terminal without placing a real Retell call.
+ *
+ * Speaks the Retell custom-LLM WebSocket protocol against /llm-websocket/:call_id:
+ * call_details on connect, response_required with the full transcript for every turn,
+ * reminder_required on demand and call_ended when you quit.
+ *
+ * Usage:
+ *   npm run simulate -- --from +15551234567
+ *   npm run simulate -- --url ws://localhost:3000 --call-id sim-123
+ *
+ * Without --url the server runs in-process and Retell call lookups are stubbed,
+ * so --from becomes the caller's number. With --url the target server does its own lookup.
+ *
+ * Commands while chatting:
+ *   /silence   Send reminder_required (caller stayed quiet)
+ *   /quit      Send call_ended and exit
+ */
+
+import readline from 'readline';
+import { parseArgs } from 'util';
+import WebSocket from 'ws';
+
+const { values: args } = parseArgs({
+  options: {
+    from: { type: 'string', default: '' },
+    'call-id': { type: 'string', default: `sim-${Date.now()}` },
+    url: { type: 'string' },
+  },
+});
+
+const callId = args['call-id'];
+const fromNumber = args.from || null;
+
+/**
+ * Start the app in-process with call lookups answered locally
+ * @returns {Promise<{ baseUrl: string, server: http.Server }>}
+ */
+async function startLocalServer() {
+  const { createApp } = await import('../src/app.js');
+  const { setCallDetailsProvider } = await import('../src/services/retell.service.js');
+
+  setCallDetailsProvider(async (id) => ({
+    call_id: id,
+    from_number: fromNumber,
+    to_number: '+10000000000',
+    call_status: 'ongoing',
+  }));
+
+  const app = createApp();
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, () => resolve(listener));
+  });
+
+  return { baseUrl: `ws://localhost:${server.address().port}`, server };
+}
+
+/**
+ * Run an interactive simulated call
+ */
+async function main() {
+  let server = null;
+  let baseUrl = args.url;
+
+  if (!baseUrl) {
+    ({ baseUrl, server } = await startLocalServer());
+  }
+
+  const transcript = []; // [{ role: 'agent' | 'user', content }]
+  const pending = new Map(); // response_id -> text received so far
+  let responseId = 0;
+  let turnStartedAt = null;
+
+  const ws = new WebSocket(`${baseUrl}/llm-websocket/${callId}`);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  const print = (line) => {
+    readline.clearLine(process.stdout, 0);
+    readline.cursorTo(process.stdout, 0);
+    console.log(line);
+    rl.prompt(true);
+  };
+
+  const send = (frame) => ws.send(JSON.stringify(frame));
+
+  const shutdown = () => {
+    rl.close();
+    if (ws.readyState === WebSocket.OPEN) ws.close();
+    if (server) server.close();
+    // The in-process app keeps clients (Supabase, timers) alive, so exit explicitly
+    setTimeout(() => process.exit(0), 200);
+  };
+
+  ws.on('open', () => {
+    print(`🔌 Connected: ${baseUrl}/llm-websocket/${callId} (caller: ${fromNumber || 'none'})`);
+
+    send({
+      interaction_type: 'call_details',
+      call: { call_id: callId, from_number: fromNumber, to_number: '+10000000000', call_type: 'phone_call' },
+    });
+  });
+
+  ws.on('message', (raw) => {
+    const frame = JSON.parse(raw.toString());
+
+    if (frame.response_type === 'config') {
+      print(`⚙️  Config: ${JSON.stringify(frame.config)}`);
+      return;
+    }
+
+    if (frame.response_type !== 'response') {
+      print(`ℹ️  ${JSON.stringify(frame)}`);
+      return;
+    }
+
+    // Frames for an older response_id are ignored, as Retell does
+    if (frame.response_id < responseId) return;
+
+    const text = (pending.get(frame.response_id) || '') + (frame.content || '');
+    pending.set(frame.response_id, text);
+
+    if (!frame.content_complete) return;
+
+    pending.delete(frame.response_id);
+    if (text) {
+      transcript.push({ role: 'agent', content: text });
+    }
+
+    const latency = turnStartedAt ? ` (${Date.now() - turnStartedAt}ms)` : '';
+    print(`🤖 Agent${latency}: ${text}`);
+
+    if (frame.transfer_number) {
+      print(`📞 TRANSFER → ${frame.transfer_number}`);
+    }
+
+    if (frame.end_call) {
+      print('📴 Agent ended the call');
+      shutdown();
+    }
+  });
+
+  ws.on('close', () => {
+    print('🔌 Connection closed');
+    shutdown();
+  });
+
+  ws.on('error', (error) => {
+    console.error('WebSocket error:', error.message);
+    shutdown();
+  });
+
+  rl.setPrompt('👤 You: ');
+  rl.prompt();
+
+  rl.on('line', (line) => {
+    const input = line.trim();
+
+    if (!input) {
+      rl.prompt();
+      return;
+    }
+
+    if (input === '/quit') {
+      send({ interaction_type: 'call_ended', transcript });
+      shutdown();
+      return;
+    }
+
+    // A response still streaming when the caller speaks again was cut off - keep what was heard
+    for (const [id, text] of pending) {
+      if (text) transcript.push({ role: 'agent', content: text });
+      pending.delete(id);
+    }
+
+    responseId++;
+    turnStartedAt = Date.now();
+
+    if (input === '/silence') {
+      send({ interaction_type: 'reminder_required', response_id: responseId, transcript });
+    } else {
+      transcript.push({ role: 'user', content: input });
+      send({ interaction_type: 'response_required', response_id: responseId, transcript });
+    }
+
+    rl.prompt();
+  });
+}
+
+main().catch(error => {
+  console.error('Simulator failed:', error);
+  process.exit(1);
+});
@@ -7,6 +7,10 @@ import { createApp } from './src/app.js';
 import { config, validateConfig } from './src/config/env.js';
 import { testConnection } from './src/services/database.service.js';
 import { testEmailConfiguration } from './src/services/email.service.js';
+import { startIncidentMonitor } from './src/services/incident.service.js';
+import { startCallbackScheduler } from './src/services/callback.service.js';
+import { backfillKeywordIndex } from './src/services/knowledge-base.service.js';
+import { saveEmbeddingCache } from './src/services/embedding.service.js';
 import { logger } from './src/utils/logger.js';
 
 const PREFIX = 'Server';
@@ -40,6 +44,15 @@ async function startServer() {
     // Test email configuration
     await testEmailConfiguration();
     
+    // Keep escalating incidents left open before a restart
+    startIncidentMonitor();
+    
+    // Place scheduled callbacks, including ones booked before a restart
+    startCallbackScheduler();
+    
+    // Keyword-index documents uploaded before the index existed
+    await backfillKeywordIndex().catch(error => logger.error(PREFIX, 'Keyword index backfill failed:', error));
+    
     console.log('═══════════════════════════════════════════════════════\n');
     logger.success(PREFIX, 'Server is ready to handle requests');
   });
@@ -47,16 +60,18 @@ async function startServer() {
   // Graceful shutdown
   process.on('SIGTERM', () => {
     logger.log(PREFIX, 'SIGTERM signal received: closing HTTP server');
-    server.close(() => {
+    server.close(async () => {
       logger.log(PREFIX, 'HTTP server closed');
+      await saveEmbeddingCache();
       process.exit(0);
     });
   });
 
   process.on('SIGINT', () => {
     logger.log(PREFIX, 'SIGINT signal received: closing HTTP server');
-    server.close(() => {
+    server.close(async () => {
       logger.log(PREFIX, 'HTTP server closed');
+      await saveEmbeddingCache();
       process.exit(0);
     });
   });
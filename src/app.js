@@ -9,6 +9,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import apiRoutes, { setupWebSocketRoutes } from './routes/api.routes.js';
 import ragRoutes from './routes/rag.routes.js';
+import incidentRoutes from './routes/incident.routes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,6 +34,7 @@ export function createApp() {
   // Setup routes
   app.use('/', apiRoutes);
   app.use('/rag', ragRoutes);
+  app.use('/incidents', incidentRoutes);
   setupWebSocketRoutes(app);
 
   return app;
@@ -4,9 +4,19 @@
  */
 
 import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
 
 dotenv.config();
 
+/**
+ * Split a comma-separated env value into trimmed, non-empty entries
+ * @param {string|undefined} value - Raw env value
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
 export const config = {
   // Server Configuration
   port: process.env.PORT || 3000,
@@ -43,9 +53,128 @@ export const config = {
     indexName: process.env.PINECONE_INDEX_NAME || 'home-maintenance-docs',
   },
 
-  // Emergency Configuration
-  emergency: {
-    phoneNumber: process.env.EMERGENCY_TRANSFER_NUMBER,
+  // Embeddings (knowledge base chunks and search queries, see embedding.service.js)
+  embeddings: {
+    provider: process.env.EMBEDDING_PROVIDER || 'openai', // openai | hash (deterministic and offline, for tests and demos)
+    model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    dimensions: process.env.EMBEDDING_DIMENSIONS ? parseInt(process.env.EMBEDDING_DIMENSIONS, 10) : null, // null = the model's default (hash: 256)
+    batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE || '100', 10), // Texts per embedding request
+    concurrency: parseInt(process.env.EMBEDDING_CONCURRENCY || '2', 10), // Embedding requests in flight at once
+    cacheSize: parseInt(process.env.EMBEDDING_CACHE_SIZE || '2000', 10), // Embeddings remembered by content hash (0 = no cache)
+    cacheFile: process.env.EMBEDDING_CACHE_FILE ?? './data/embedding-cache.json', // Empty = keep the cache in memory only
+    cacheSaveDelayMs: parseInt(process.env.EMBEDDING_CACHE_SAVE_DELAY_MS || '5000', 10), // Unsaved cache changes are written to the file after this long
+  },
+
+  // Vector Store (where knowledge base embeddings live, see vector-store.service.js)
+  vectorStore: {
+    backend: process.env.VECTOR_STORE || 'pinecone', // pinecone | local (JSON file, for development, tests and offline demos)
+    localFile: process.env.LOCAL_VECTOR_STORE_FILE || './data/vectors.json',
+  },
+
+  // Knowledge base chunking (sizes in tokens, see chunking.service.js)
+  chunking: {
+    maxTokens: parseInt(process.env.CHUNK_MAX_TOKENS || '300', 10), // Largest chunk embedded as one vector
+    overlapTokens: parseInt(process.env.CHUNK_OVERLAP_TOKENS || '50', 10), // Trailing sentences repeated at the start of the next chunk in a section
+  },
+
+  // Knowledge base retrieval (keyword + vector search fused by rank, see retrieval.service.js)
+  retrieval: {
+    topK: parseInt(process.env.RETRIEVAL_TOP_K || '3', 10), // Results handed to the agent
+    candidates: parseInt(process.env.RETRIEVAL_CANDIDATES || '10', 10), // Results taken from each search before fusion
+    rrfK: parseInt(process.env.RETRIEVAL_RRF_K || '60', 10), // Reciprocal rank fusion constant (higher = ranks matter less)
+    reranker: process.env.RETRIEVAL_RERANKER || 'none', // none | term_overlap
+    minScore: parseFloat(process.env.RETRIEVAL_MIN_SCORE || '0'), // Lowest reranker score; without a reranker, lowest vector similarity or share of question terms a keyword match has (0-1)
+    keywordIndexFile: process.env.KEYWORD_INDEX_FILE || './data/keyword-index.json',
+  },
+
+  // LangGraph Checkpointer (conversation state persistence per call)
+  checkpointer: {
+    backend: process.env.CHECKPOINTER_BACKEND || 'memory', // none | memory (dropped when the call ends) | sqlite | postgres
+    sqlitePath: process.env.CHECKPOINTER_SQLITE_PATH || './data/checkpoints.sqlite',
+    postgresUrl: process.env.CHECKPOINTER_POSTGRES_URL || process.env.SUPABASE_DB_URL,
+  },
+
+  // Transfer Routing (destination numbers by transfer category, issue type and business hours)
+  // Route numbers may reference env vars as ${NAME}; the default table falls back to EMERGENCY_TRANSFER_NUMBER
+  transfers: {
+    routesFile: process.env.TRANSFER_ROUTES_FILE || fileURLToPath(new URL('./transfer-routes.json', import.meta.url)),
+    mode: process.env.TRANSFER_MODE || 'cold', // cold | warm (whisper a handoff brief and send it as a transfer_handoff notification)
+    linkSecret: process.env.TRANSCRIPT_LINK_SECRET, // Signs live transcript links in handoff briefs (required for warm transfers in production; random per process otherwise)
+    linkTtlHours: parseFloat(process.env.TRANSCRIPT_LINK_TTL_HOURS || '24'), // How long a transcript link keeps working
+  },
+
+  // Emergency Numbers (local emergency number and safety script wording per caller country)
+  emergencyNumbers: {
+    file: process.env.EMERGENCY_NUMBERS_FILE || fileURLToPath(new URL('./emergency-numbers.json', import.meta.url)),
+  },
+
+  // Hazard Fast Path (deterministic life-safety rules checked before the model)
+  hazards: {
+    enabled: process.env.HAZARD_FAST_PATH !== 'false',
+    rulesFile: process.env.HAZARD_RULES_FILE || fileURLToPath(new URL('./hazard-rules.json', import.meta.url)),
+  },
+
+  // Scheduled Callbacks (the agent books them with schedule_callback; the scheduler places the calls)
+  callbacks: {
+    checkIntervalMs: parseInt(process.env.CALLBACK_CHECK_INTERVAL_MS || '30000', 10), // How often due callbacks are looked for
+    maxAttempts: parseInt(process.env.CALLBACK_MAX_ATTEMPTS || '3', 10), // Calls placed (or unanswered) before giving up
+    retryDelayMinutes: parseInt(process.env.CALLBACK_RETRY_DELAY_MINUTES || '10', 10), // Wait before the next attempt; doubles each time
+    maxDelayHours: parseInt(process.env.CALLBACK_MAX_DELAY_HOURS || '48', 10), // Furthest ahead the agent may book a callback
+    claimTimeoutMinutes: parseInt(process.env.CALLBACK_CLAIM_TIMEOUT_MINUTES || '5', 10), // Stuck in 'calling' this long (e.g. a crash mid-placement) -> counted as a failed attempt
+    outcomeTimeoutMinutes: parseInt(process.env.CALLBACK_OUTCOME_TIMEOUT_MINUTES || '180', 10), // Placed this long without a call_analyzed webhook -> failed
+  },
+
+  // Emergency Incidents (emergency / urgent maintenance transfers that staff must acknowledge)
+  incidents: {
+    publicUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`, // Base for acknowledge links in alerts
+    escalateAfterMinutes: parseInt(process.env.INCIDENT_ESCALATE_AFTER_MINUTES || '10', 10), // Unacknowledged for this long -> next contact
+    escalationChain: parseList(process.env.INCIDENT_ESCALATION_CHAIN), // Emails or phone numbers (SMS), in order
+    adminToken: process.env.INCIDENT_ADMIN_TOKEN, // Bearer token for listing and reading incidents (unset = nobody can list them)
+  },
+
+  // Notifications (alert events fanned out to email, webhook and SMS channels)
+  notifications: {
+    events: {
+      emergency_alert: parseList(process.env.NOTIFY_EMERGENCY_ALERT_CHANNELS || 'email,webhook,sms'),
+      call_summary: parseList(process.env.NOTIFY_CALL_SUMMARY_CHANNELS || 'email,webhook'),
+      transfer_handoff: parseList(process.env.NOTIFY_TRANSFER_HANDOFF_CHANNELS || 'email,webhook'),
+    },
+    // Attempts per delivery; the delay doubles after each failed attempt
+    retry: {
+      email: { attempts: parseInt(process.env.NOTIFY_EMAIL_ATTEMPTS || '3', 10), delayMs: parseInt(process.env.NOTIFY_RETRY_DELAY_MS || '1000', 10) },
+      webhook: { attempts: parseInt(process.env.NOTIFY_WEBHOOK_ATTEMPTS || '4', 10), delayMs: parseInt(process.env.NOTIFY_RETRY_DELAY_MS || '1000', 10) },
+      sms: { attempts: parseInt(process.env.NOTIFY_SMS_ATTEMPTS || '3', 10), delayMs: parseInt(process.env.NOTIFY_RETRY_DELAY_MS || '1000', 10) },
+    },
+  },
+
+  // Outbound Webhooks (signed JSON POSTs for every notification event)
+  webhooks: {
+    urls: parseList(process.env.WEBHOOK_URLS),
+    secret: process.env.WEBHOOK_SECRET, // HMAC-SHA256 key for the X-Webhook-Signature header
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10),
+  },
+
+  // SMS Configuration (provider: console | file, or one registered with registerSmsProvider)
+  sms: {
+    provider: process.env.SMS_PROVIDER || 'console',
+    outboxFile: process.env.SMS_OUTBOX_FILE || './data/sms-outbox.jsonl', // Used by the file provider
+    alertTo: parseList(process.env.SMS_ALERT_TO), // Default recipients for alert texts
+  },
+
+  // Reminder Configuration (caller goes silent)
+  reminders: {
+    maxCount: parseInt(process.env.REMINDER_MAX_COUNT || '2', 10), // Nudges before the agent ends the call
+  },
+
+  // Call Session Configuration (reconnect resume)
+  sessions: {
+    ttlMs: parseInt(process.env.SESSION_TTL_MINUTES || '30', 10) * 60 * 1000, // Idle sessions are dropped after this
+  },
+
+  // Call Recording Configuration (JSONL fixtures for offline replay)
+  recordings: {
+    enabled: process.env.RECORD_CALLS === 'true',
+    dir: process.env.RECORDINGS_DIR || './data/recordings',
   },
 
   // Email Configuration (Resend)
@@ -66,6 +195,11 @@ export function validateConfig() {
     'OPENAI_API_KEY',
   ];
 
+  // Transcript links in warm transfer briefs must survive a restart
+  if (config.nodeEnv === 'production' && config.transfers.mode === 'warm') {
+    required.push('TRANSCRIPT_LINK_SECRET');
+  }
+
   const missing = required.filter(key => !process.env[key]);
 
   if (missing.length > 0) {
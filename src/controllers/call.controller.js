@@ -4,59 +4,38 @@
  */
 
 import { HumanMessage, AIMessage } from '@langchain/core/messages';
-import { sendResponse, sendErrorResponse, sendDirectTransfer, getCallDetails } from '../services/retell.service.js';
+import { sendResponse, sendPartialResponse, sendErrorResponse, sendDirectTransfer, getCallDetails } from '../services/retell.service.js';
 import { getTranscriptsByLatestUpload, fetchFramesByTranscriptId } from '../services/database.service.js';
 import { 
   createAgent, 
   createTechnicalSupportPrompt, 
   createReceptionistPrompt,
-  generateFirstMessage 
+  generateFirstMessage,
+  generateCallbackMessage,
+  createCallbackPrompt,
+  generateReminderMessage,
+  streamAgentResponse,
+  saveSpokenReply
 } from '../services/langgraph.service.js';
+import { attachSession, touchSession, removeSession } from '../services/session.service.js';
+import { loadConversationHistory } from '../services/checkpointer.service.js';
+import { createCallRecorder } from '../services/call-recorder.service.js';
+import { detectHazard } from '../services/hazard-detector.service.js';
+import { createTransferAction } from '../services/emergency-tool.service.js';
+import { resolveEmergencyNumber, getSafetyScript } from '../services/emergency-number.service.js';
+import { buildHandoffBrief } from '../services/handoff.service.js';
+import { dispatchNotification } from '../services/notification.service.js';
+import { openIncident, recordIncidentTransfer, recordIncidentTransferOutcome } from '../services/incident.service.js';
+import { recordDisposition } from '../services/call-disposition.service.js';
+import { getCallback } from '../services/callback.service.js';
+import { startTransfer, settleTransfer, markFallbackSpoken, getTransferRecord, classifyDisconnection, isFailedTransfer } from '../services/transfer-outcome.service.js';
+import { startTurn, runInTurn, finishTurn, addStageTime, markFirstText, createTurnTelemetryHandler } from '../services/telemetry.service.js';
 import { config } from '../config/env.js';
 import { logger } from '../utils/logger.js';
+import { cleanResponseText, createStreamingTextCleaner } from '../utils/response-text.js';
 
 const PREFIX = 'CallController';
 
-/**
- * Clean response text by removing markdown formatting and symbols
- * This ensures phone calls don't have asterisks or other text symbols
- * @param {string} text - Response text from agent
- * @returns {string} - Cleaned text
- */
-function cleanResponseText(text) {
-  if (!text || typeof text !== 'string') {
-    return text;
-  }
-  
-  // Remove markdown bold/italic (**, *)
-  let cleaned = text.replace(/\*\*/g, '').replace(/\*/g, '');
-  
-  // Remove markdown headers (#)
-  cleaned = cleaned.replace(/^#+\s+/gm, '');
-  
-  // Remove markdown links [text](url) -> text
-  cleaned = cleaned.replace(/\[([^\]]+)\]\([^\)]+\)/g, '$1');
-  
-  // Remove markdown code blocks and inline code
-  cleaned = cleaned.replace(/```[\s\S]*?```/g, '');
-  cleaned = cleaned.replace(/`([^`]+)`/g, '$1');
-  
-  // Remove markdown lists (-, *, •)
-  cleaned = cleaned.replace(/^[\s]*[-*•]\s+/gm, '');
-  
-  // Remove numbered lists with parentheses (1), 2), etc.)
-  cleaned = cleaned.replace(/^\d+[\.\)]\s+/gm, '');
-  
-  // Remove markdown emphasis (_)
-  cleaned = cleaned.replace(/_/g, '');
-  
-  // Clean up extra whitespace
-  cleaned = cleaned.replace(/\n{3,}/g, '\n\n');
-  cleaned = cleaned.trim();
-  
-  return cleaned;
-}
-
 /**
  * Handle WebSocket connection for LLM integration
  * @param {WebSocket} ws - WebSocket connection
@@ -65,49 +44,69 @@ function cleanResponseText(text) {
 export function handleWebSocketConnection(ws, callId) {
   logger.log(PREFIX, `New connection established for call: ${callId}`);
   
-  let agent = null;
-  let conversationState = { messages: [], transcriptIds: null, hasVideo: false };
-  let transcriptsData = null; // Array of transcript objects from the same upload
-  let agentInitialized = false;
-  let callStartTime = Date.now();
-  let userPhoneNumber = null;
-  let emergencyDetected = false;
-  let emergencyReason = null;
-  let recordingUrl = null;
-  let transferInProgress = false; // Prevent multiple transfers
-  let agentInitializing = false; // Prevent duplicate initialization
-  let greetingSent = false; // Track if we've sent the first greeting
+  // Per-call state lives in the session registry so it survives a reconnect
+  const { session, resumed } = attachSession(callId);
+  
+  // Optional JSONL capture of the call (or the recorded call when replaying)
+  if (!session.recorder) {
+    session.recorder = createCallRecorder(callId);
+  }
+  const recorder = session.recorder;
+  recorder.attachSocket(ws);
+  
+  let latestResponseId = -1; // Highest response_id received from Retell
+  let activeRun = null; // In-flight agent run: { responseId, controller, done }
+  let interruptedMessage = null; // AIMessage cut off by the caller, truncated on the next turn
 
   /**
    * Fetch call details from Retell API and initialize agent
    */
   const fetchCallDetailsAndInitialize = async () => {
-    if (agentInitialized || agentInitializing) {
+    if (session.agentInitialized || session.agentInitializing) {
       return;
     }
     
-    agentInitializing = true;
+    session.agentInitializing = true;
     
     try {
+      // A call we have no session for may still have a saved checkpoint (e.g. after a server restart)
+      const savedHistory = await loadConversationHistory(callId);
+      if (savedHistory.length > 0) {
+        session.conversationState.messages = savedHistory;
+        session.greetingSent = true;
+        logger.info(PREFIX, `♻️ Restored ${savedHistory.length} message(s) from checkpoint for call ${callId}`);
+      }
+      
       // Fetch call details from Retell API
       logger.log(PREFIX, '📞 Fetching call details from Retell API...');
-      const callDetails = await getCallDetails(callId);
+      const callDetails = await recorder.capture('call_details', () => getCallDetails(callId));
       
+      // On an outbound call (e.g. a scheduled callback) the customer is the number we dialled
+      const isOutbound = callDetails.direction === 'outbound';
       // const effectivePhone = callDetails.from_number || config.retell.testPhoneNumber;
-      const effectivePhone = callDetails.from_number
+      const effectivePhone = isOutbound ? callDetails.to_number : callDetails.from_number
       if (!effectivePhone) {
-        throw new Error('No from_number in call details');
+        throw new Error(`No ${isOutbound ? 'to_number' : 'from_number'} in call details`);
+      }
+      
+      // A scheduled callback opens with the step the caller reached
+      const callbackId = callDetails.metadata?.callback_id;
+      if (callbackId) {
+        session.callback = await recorder.capture('callback', () => getCallback(callbackId));
+        logger.info(PREFIX, session.callback
+          ? `📅 Scheduled callback ${callbackId} - resuming from: ${session.callback.step_reached || 'start'}`
+          : `Callback ${callbackId} not found - using the regular greeting`);
       }
 
-      userPhoneNumber = effectivePhone;
+      session.userPhoneNumber = effectivePhone;
       // if (!callDetails.from_number && config.retell.testPhoneNumber) {
       if (!callDetails.from_number) {
-        logger.warn(PREFIX, `Retell web / no from_number: using test phone ${userPhoneNumber}`);
+        logger.warn(PREFIX, `Retell web / no from_number: using test phone ${session.userPhoneNumber}`);
       } else {
-        logger.success(PREFIX, `✓ Caller identified: ${userPhoneNumber}`);
+        logger.success(PREFIX, `✓ Caller identified: ${session.userPhoneNumber}`);
       }
 
-      await initializeAgent(userPhoneNumber);
+      await initializeAgent(session.userPhoneNumber);
 
       sendFirstGreeting();
       
@@ -116,7 +115,7 @@ export function handleWebSocketConnection(ws, callId) {
       // const fallbackPhone = config.retell.testPhoneNumber;
       // if (fallbackPhone) {
       //   logger.warn(PREFIX, `Using test phone number for Retell web: ${fallbackPhone}`);
-      //   userPhoneNumber = fallbackPhone;
+      //   session.userPhoneNumber = fallbackPhone;
       //   await initializeAgent(fallbackPhone);
       //   sendFirstGreeting();
       // } else {
@@ -128,7 +127,7 @@ export function handleWebSocketConnection(ws, callId) {
       // Send first message even in receptionist mode
       sendFirstGreeting();
     } finally {
-      agentInitializing = false;
+      session.agentInitializing = false;
     }
   };
   
@@ -136,28 +135,28 @@ export function handleWebSocketConnection(ws, callId) {
    * Send the first greeting message to start the conversation
    */
   const sendFirstGreeting = () => {
-    if (!agentInitialized) {
+    if (!session.agentInitialized) {
       logger.warn(PREFIX, 'Cannot send greeting: agent not initialized');
       return;
     }
     
-    if (greetingSent) {
+    if (session.greetingSent) {
       logger.log(PREFIX, 'Greeting already sent, skipping');
       return;
     }
     
-    // Generate first message based on whether we have transcripts or not
-    const videoCount = transcriptsData ? transcriptsData.length : 0;
-    const firstMessage = generateFirstMessage(videoCount);
+    // A scheduled callback picks up where the caller left off; otherwise it depends on whether we have transcripts
+    const videoCount = session.transcriptsData ? session.transcriptsData.length : 0;
+    const firstMessage = session.callback ? generateCallbackMessage(session.callback) : generateFirstMessage(videoCount);
     const cleanedFirstMessage = cleanResponseText(firstMessage);
     
     // Send the greeting with response_id: 0 (no prior user message)
     sendResponse(ws, cleanedFirstMessage, 0);
     
     // Add to conversation state
-    conversationState.messages.push(new AIMessage(firstMessage));
+    session.conversationState.messages.push(new AIMessage(firstMessage));
     
-    greetingSent = true;
+    session.greetingSent = true;
     logger.success(PREFIX, `🎤 Sent greeting: "${firstMessage}"`);
   };
 
@@ -166,35 +165,43 @@ export function handleWebSocketConnection(ws, callId) {
    * @param {string|null} phoneNumber - User's phone number
    */
   const initializeAgent = async (phoneNumber) => {
-    if (agentInitialized) {
+    if (session.agentInitialized) {
       logger.log(PREFIX, 'Agent already initialized, skipping...');
       return;
     }
 
+    // Safety instructions name the emergency number of the caller's country (default country without a number)
+    session.emergency = resolveEmergencyNumber(phoneNumber);
+    logger.log(PREFIX, `🌍 Emergency number for caller: ${session.emergency.number} (${session.emergency.name})`);
+    
+    // A scheduled callback tells the agent which step to pick up from
+    const withCallback = (prompt) => (session.callback ? `${prompt}\n\n${createCallbackPrompt(session.callback)}` : prompt);
+
     if (!phoneNumber) {
       // No phone number - configure as receptionist
       logger.info(PREFIX, 'Initializing as RECEPTIONIST (no phone number available)');
-      const systemPrompt = createReceptionistPrompt();
-      agent = await createAgent(systemPrompt, null, true); // Enable RAG even without video
-      agentInitialized = true;
+      const systemPrompt = withCallback(createReceptionistPrompt(session.emergency));
+      session.agent = await createAgent(systemPrompt, null, true, true, null, callId, recorder); // Enable RAG even without video
+      session.mode = 'receptionist';
+      session.agentInitialized = true;
       return;
     }
     
     logger.info(PREFIX, `Initializing agent for caller: ${phoneNumber}`);
     
     // Lookup video transcripts by latest upload (retrieved in both previous & new work order cases)
-    transcriptsData = await getTranscriptsByLatestUpload(phoneNumber);
-    logger.log(PREFIX, `Database query: ${transcriptsData ? `${transcriptsData.length} TRANSCRIPT(S) FOUND ✓` : 'NO TRANSCRIPT ✗'}`);
+    session.transcriptsData = await recorder.capture('transcripts', () => getTranscriptsByLatestUpload(phoneNumber));
+    logger.log(PREFIX, `Database query: ${session.transcriptsData ? `${session.transcriptsData.length} TRANSCRIPT(S) FOUND ✓` : 'NO TRANSCRIPT ✗'}`);
     
-    if (transcriptsData && transcriptsData.length > 0) {
+    if (session.transcriptsData && session.transcriptsData.length > 0) {
       // SCENARIO A: Transcripts Found - Technical Support Agent with Video Tools
-      const transcriptIds = transcriptsData.map(t => t.transcriptId);
-      logger.success(PREFIX, `✓ TECHNICAL SUPPORT mode (${transcriptsData.length} video(s), IDs: ${transcriptIds.join(', ')})`);
+      const transcriptIds = session.transcriptsData.map(t => t.transcriptId);
+      logger.success(PREFIX, `✓ TECHNICAL SUPPORT mode (${session.transcriptsData.length} video(s), IDs: ${transcriptIds.join(', ')})`);
       
       // Check if any video has frames
       let hasFrames = false;
-      for (const t of transcriptsData) {
-        const frames = await fetchFramesByTranscriptId(t.transcriptId);
+      for (const t of session.transcriptsData) {
+        const frames = await recorder.capture('frames', () => fetchFramesByTranscriptId(t.transcriptId));
         if (frames && frames.length > 0) {
           hasFrames = true;
           logger.success(PREFIX, `✓ Video ${transcriptIds.indexOf(t.transcriptId) + 1} has ${frames.length} frames`);
@@ -206,30 +213,548 @@ export function handleWebSocketConnection(ws, callId) {
       }
       
       // Update conversation state
-      conversationState.transcriptIds = transcriptIds;
-      conversationState.hasVideo = hasFrames;
+      session.conversationState.transcriptIds = transcriptIds;
+      session.conversationState.hasVideo = hasFrames;
       
       // Build numbered transcript text for the prompt
-      const numberedTranscript = transcriptsData.map((t, i) => `Video ${i + 1}: "${t.transcript}"`).join('\n');
+      const numberedTranscript = session.transcriptsData.map((t, i) => `Video ${i + 1}: "${t.transcript}"`).join('\n');
       
       // Create system prompt with video tool instructions
-      const systemPrompt = createTechnicalSupportPrompt(numberedTranscript, hasFrames, transcriptsData.length);
+      const systemPrompt = withCallback(createTechnicalSupportPrompt(numberedTranscript, hasFrames, session.transcriptsData.length, session.emergency));
       
       // Create agent with tools - pass transcriptIds array for video tools
-      agent = await createAgent(systemPrompt, hasFrames ? transcriptIds : null, true, true, phoneNumber, callId);
+      session.agent = await createAgent(systemPrompt, hasFrames ? transcriptIds : null, true, true, phoneNumber, callId, recorder);
+      session.mode = 'technical_support';
       
     } else {
       // SCENARIO B: No Transcript - Receptionist Agent
       logger.info(PREFIX, 'ℹ RECEPTIONIST mode (no transcript for this number)');
-      const systemPrompt = createReceptionistPrompt();
+      const systemPrompt = withCallback(createReceptionistPrompt(session.emergency));
       // Enable RAG + emergency + previous work order tool (phoneNumber & callId passed for tool binding)
-      agent = await createAgent(systemPrompt, null, true, true, phoneNumber, callId);
+      session.agent = await createAgent(systemPrompt, null, true, true, phoneNumber, callId, recorder);
+      session.mode = 'receptionist';
+    }
+    
+    session.agentInitialized = true;
+  };
+  
+  /**
+   * Record the outcome of an agent run that was cancelled by a newer response_id
+   * Only text already sent to Retell is kept; if nothing was spoken the turn is dropped,
+   * since Retell's next transcript carries the caller's full (continued) utterance.
+   * @param {HumanMessage} userTurn - User message that started the cancelled run
+   * @param {string} spokenText - Text already streamed to Retell
+   */
+  const recordInterruptedTurn = (userTurn, spokenText) => {
+    const text = spokenText.trim();
+    
+    if (!text) {
+      const index = session.conversationState.messages.lastIndexOf(userTurn);
+      if (index !== -1) {
+        session.conversationState.messages.splice(index, 1);
+      }
+      return;
+    }
+    
+    interruptedMessage = new AIMessage(text);
+    session.conversationState.messages.push(interruptedMessage);
+  };
+  
+  /**
+   * Truncate the interrupted agent message to what the caller actually heard
+   * Retell's transcript holds the agent utterance as spoken, cut at the interruption point
+   * @param {Array} transcript - Transcript from the response_required event
+   */
+  const truncateInterruptedTurn = (transcript) => {
+    if (!interruptedMessage) return;
+    
+    const message = interruptedMessage;
+    interruptedMessage = null;
+    
+    const heardTurn = transcript?.[transcript.length - 2];
+    if (heardTurn?.role !== 'agent' || !heardTurn.content || heardTurn.content.length >= message.content.length) {
+      return;
+    }
+    
+    const index = session.conversationState.messages.indexOf(message);
+    if (index !== -1) {
+      session.conversationState.messages[index] = new AIMessage(heardTurn.content);
+      logger.log(PREFIX, `✂️ Interrupted response truncated to: "${heardTurn.content}"`);
+    }
+  };
+  
+  /**
+   * Carry out a transfer action (from a transfer tool or the hazard fast path) and complete the response
+   * @param {Object} action - Transfer action: { destination, category, reason, route, message }
+   * @param {number} responseId - Retell response_id being answered
+   * @param {string} spokenText - Text already streamed for this response
+   * @param {string} unsentText - Text for this response not sent yet (goes out with the transfer)
+   */
+  const placeTransfer = (action, responseId, spokenText = '', unsentText = '') => {
+    const transferNumber = action.destination;
+    const isUrgentMaintenance = action.category === 'urgent_maintenance';
+    const isHumanAgentRequest = action.category === 'human_agent';
+    const displayReason = action.reason || 'Emergency situation';
+    
+    logger.success(PREFIX, `🚨 TRANSFER ACTION: ${action.category} → ${transferNumber} (${action.route})`);
+    logger.info(PREFIX, `   Reason: ${displayReason}`);
+    
+    // Log based on transfer type
+    if (isHumanAgentRequest) {
+      logger.log(PREFIX, `👤 USER REQUESTED HUMAN AGENT`);
+    } else if (isUrgentMaintenance) {
+      logger.warn(PREFIX, `🚨 URGENT MAINTENANCE DETECTED: ${displayReason}`);
+    } else {
+      logger.warn(PREFIX, `🚨 EMERGENCY DETECTED: ${displayReason}`);
+    }
+    
+    // Check if transfer already happened
+    if (session.transferInProgress) {
+      logger.warn(PREFIX, '⚠️ Transfer already initiated, sending acknowledgment only');
+      sendResponse(ws, "The transfer is in progress. Please stay on the line.", responseId);
+      return;
+    }
+    
+    // Mark that transfer is in progress BEFORE sending (prevent race conditions)
+    session.transferInProgress = true;
+    logger.log(PREFIX, '🔒 Transfer flag set');
+    
+    // Mark emergency for email summary (only for actual emergencies, not human agent requests)
+    if (!isHumanAgentRequest) {
+      session.emergencyDetected = true;
+      session.emergencyReason = displayReason;
+    }
+    
+    try {
+      // CRITICAL: Send transfer IMMEDIATELY - don't wait for anything else!
+      logger.info(PREFIX, `🚀 SENDING TRANSFER COMMAND`);
+      logger.info(PREFIX, `📞 Destination: ${transferNumber}`);
+      logger.info(PREFIX, `🆔 Response ID: ${responseId}`);
+      logger.info(PREFIX, `💬 Transfer Message: "${action.message}"`);
+      logger.info(PREFIX, `🌐 WebSocket State: ${ws.readyState} (1=OPEN, 2=CLOSING, 3=CLOSED)`);
+      
+      // Warm transfer: whoever picks up hears the handoff brief before the caller is connected
+      const brief = config.transfers.mode === 'warm' ? prepareHandoff(action) : null;
+      
+      // Text already streamed has been spoken - the unsent text and the transfer message go with the transfer
+      const transferMessage = [unsentText.trim(), action.message].filter(Boolean).join(' ');
+      sendDirectTransfer(ws, responseId, transferNumber, transferMessage || null, { whisper: brief?.spoken });
+      
+      logger.success(PREFIX, `✅ TRANSFER COMMAND SENT TO RETELL`);
+      
+      // The written brief (with the live transcript link) goes out in the background
+      if (brief) {
+        dispatchNotification('transfer_handoff', brief)
+          .catch(err => logger.error(PREFIX, 'Failed to send handoff brief:', err));
+      }
+      
+      // Add to conversation state for email summary
+      session.conversationState.messages.push(new AIMessage([spokenText.trim(), action.message].filter(Boolean).join(' ') + ' [CALL TRANSFERRED]'));
+      
+      // Watch for the result - Retell tells us later whether anyone picked up
+      startTransfer(callId, action);
+      
+    } catch (error) {
+      logger.error(PREFIX, 'Transfer failed:', error);
+      
+      logger.warn(PREFIX, 'Using fallback message');
+      const fallbackMessage = transferFallbackMessage(action);
+      
+      sendResponse(ws, fallbackMessage, responseId);
+      session.conversationState.messages.push(new AIMessage(fallbackMessage));
+    }
+    
+    // Open the incident (and send its alert) in the background - this runs AFTER the transfer went out
+    if (!isHumanAgentRequest) {
+      trackIncident(action.category, displayReason, transferNumber);
+    }
+  };
+  
+  /**
+   * Carry out an end_call action: say the closing line, hang up and record the disposition
+   * @param {Object} action - End call action: { disposition, note, message }
+   * @param {number} responseId - Retell response_id being answered
+   * @param {string} spokenText - Text already streamed for this response
+   * @param {string} unsentText - Text for this response not sent yet (goes out with the closing line)
+   */
+  const endCall = (action, responseId, spokenText = '', unsentText = '') => {
+    logger.success(PREFIX, `👋 Agent ending call: ${action.disposition}${action.note ? ` - ${action.note}` : ''}`);
+    
+    recordDisposition(callId, action.disposition, { note: action.note });
+    
+    const closingText = [unsentText.trim(), action.message].filter(Boolean).join(' ');
+    sendResponse(ws, closingText, responseId, true);
+    session.conversationState.messages.push(new AIMessage([spokenText.trim(), action.message].filter(Boolean).join(' ')));
+  };
+  
+  /**
+   * What to tell the caller when a transfer doesn't go through
+   * @param {Object} action - Transfer action
+   * @returns {string} - Fallback script for the transfer's category
+   */
+  const transferFallbackMessage = (action) => {
+    const spokenNumber = action.destination.replace(/(\d)/g, '$1 ');
+    
+    if (action.category === 'human_agent') {
+      // For human agent request, give them the number to call - or take a message for a callback
+      return "I apologize, the transfer to our support team didn't go through. Please call our support line directly at: " +
+        spokenNumber + ". Or, if you'd prefer, stay on the line and I'll take a message so someone from the team can call you back.";
+    }
+    
+    if (action.category === 'urgent_maintenance') {
+      // For urgent maintenance, read the number back so they can call it themselves
+      return "I apologize, the transfer failed. Please write this down and call our emergency maintenance line directly: " +
+        spokenNumber + ". They will dispatch help immediately.";
+    }
+    
+    // For life-threatening, insist on the local emergency number
+    return getSafetyScript('fallback', session.emergency);
+  };
+  
+  /**
+   * Settle the call's pending transfer
+   * @param {string} status - Transfer outcome (see transfer-outcome.service.js)
+   * @param {string} detectedBy - Event that revealed the outcome
+   */
+  const settlePendingTransfer = (status, detectedBy) => {
+    const settled = settleTransfer(callId, status, detectedBy);
+    if (!settled) return;
+    
+    if (settled.category !== 'human_agent' && session.incident) {
+      session.incident
+        .then(incident => incident && recordIncidentTransferOutcome(incident.id, status))
+        .catch(err => logger.error(PREFIX, 'Failed to record transfer outcome on incident:', err));
+    }
+    
+    if (isFailedTransfer(status)) {
+      // The caller is still with us, so another transfer may be placed later
+      session.transferInProgress = false;
+      logger.log(PREFIX, '🔓 Transfer flag cleared');
+    } else if (status === 'connected') {
+      recordDisposition(callId, 'transferred', { note: `${settled.category} → ${settled.route || settled.destination}`, by: 'system' });
+    }
+  };
+  
+  /**
+   * Put the caller back in the conversation after a failed transfer (once per transfer)
+   * Retell only asks for a response once the caller is back with the agent, so the fallback
+   * script is the answer to the next response_required or reminder_required.
+   * @param {number} responseId - Retell response_id to answer with the fallback
+   * @returns {boolean} - Whether the fallback script was spoken
+   */
+  const speakTransferFallback = (responseId) => {
+    const record = getTransferRecord(callId);
+    if (!record || !isFailedTransfer(record.status) || record.fallbackSpoken) {
+      return false;
+    }
+    
+    const fallbackMessage = transferFallbackMessage(record);
+    logger.warn(PREFIX, `↩️ Transfer to ${record.destination}: ${record.status} - resuming with the fallback script`);
+    
+    sendResponse(ws, fallbackMessage, responseId);
+    session.conversationState.messages.push(new AIMessage(fallbackMessage));
+    markFallbackSpoken(callId);
+    
+    return true;
+  };
+  
+  /**
+   * Build the warm transfer handoff brief from the conversation so far
+   * @param {Object} action - Transfer action
+   * @returns {Object|null} - Handoff brief (see handoff.service.js), or null if it couldn't be built (the transfer goes out cold)
+   */
+  const prepareHandoff = (action) => {
+    try {
+      session.handoff = buildHandoffBrief({
+        callId,
+        callerPhone: session.userPhoneNumber,
+        action,
+        messages: session.conversationState.messages,
+        transcripts: session.transcriptsData || [],
+        hazards: session.hazardsDetected,
+      });
+      logger.log(PREFIX, `📝 Handoff brief: "${session.handoff.spoken}"`);
+      return session.handoff;
+    } catch (error) {
+      logger.error(PREFIX, 'Failed to build handoff brief:', error);
+      return null;
+    }
+  };
+  
+  /**
+   * Open the call's emergency incident, or record the transfer on the one already open
+   * Runs in the background; the incident service sends the alert and handles escalation.
+   * @param {string} category - 'emergency' | 'urgent_maintenance'
+   * @param {string} reason - What happened
+   * @param {string|null} transferNumber - Transfer destination (null if the call wasn't transferred)
+   */
+  const trackIncident = (category, reason, transferNumber = null) => {
+    if (session.incident) {
+      if (transferNumber) {
+        session.incident
+          .then(incident => incident && recordIncidentTransfer(incident.id, transferNumber))
+          .catch(err => logger.error(PREFIX, 'Failed to update incident:', err));
+      }
+      return;
+    }
+    
+    session.incident = openIncident({
+      callId,
+      category,
+      reason,
+      callerPhone: session.userPhoneNumber,
+      transferNumber,
+    }).catch(err => {
+      logger.error(PREFIX, 'Failed to open incident:', err);
+      return null;
+    });
+  };
+  
+  /**
+   * Run the hazard fast path for a caller utterance
+   * A matched transfer rule places the transfer without the model; an instruct_911 rule speaks its
+   * safety instruction immediately (once per call) and the model continues the response after it.
+   * @param {string} userMessage - What the caller said
+   * @param {number} responseId - Retell response_id being answered
+   * @param {Object} turn - Turn metrics from the telemetry service
+   * @returns {string|null} - Safety instruction already spoken ('' if none), or null if the call was transferred
+   */
+  const handleHazards = (userMessage, responseId, turn) => {
+    const hazard = config.hazards.enabled ? detectHazard(userMessage, session.hazardsSpoken, session.emergency) : null;
+    if (!hazard) return '';
+    
+    session.lastHazard = { ruleId: hazard.ruleId, responseId, action: hazard.action.type };
+    session.hazardsDetected.push(hazard.description);
+    turn.hazard = hazard.ruleId;
+    
+    if (hazard.severity === 'life_threatening') {
+      session.emergencyDetected = true;
+      session.emergencyReason = hazard.description;
+      
+      // The caller is told to call the emergency number - staff still need to know and follow up
+      if (hazard.action.type === 'instruct_911') {
+        trackIncident('emergency', hazard.description);
+      }
+    }
+    
+    if (hazard.action.type === 'transfer') {
+      const action = createTransferAction({
+        category: hazard.action.category,
+        issueType: hazard.action.issueType,
+        reason: `${hazard.description}: ${userMessage}`,
+      });
+      
+      if (action) {
+        // An escalated caller already knows it's an emergency - go straight to the transfer message
+        placeTransfer(action, responseId, '', hazard.escalated ? '' : hazard.message || '');
+        markFirstText(turn);
+        return null;
+      }
+      
+      logger.error(PREFIX, `No transfer route for hazard ${hazard.ruleId} - speaking the safety instruction instead`);
+    }
+    
+    if (!hazard.message || session.hazardsSpoken.includes(hazard.ruleId)) {
+      return '';
     }
     
-    agentInitialized = true;
+    session.hazardsSpoken.push(hazard.ruleId);
+    sendPartialResponse(ws, `${hazard.message} `, responseId);
+    markFirstText(turn);
+    
+    return hazard.message;
+  };
+  
+  /**
+   * Answer a response_required event: run the agent and stream its reply (or transfer the call)
+   * @param {Object} data - response_required event from Retell
+   * @param {Object} turn - Turn metrics from the telemetry service
+   */
+  const handleResponseRequired = async (data, turn) => {
+    // The caller spoke, so the silence reminder budget starts over
+    session.reminderCount = 0;
+    
+    // Barge-in: a newer response_id supersedes any agent run still in flight
+    latestResponseId = Math.max(latestResponseId, data.response_id);
+    if (activeRun && activeRun.responseId < data.response_id) {
+      logger.warn(PREFIX, `✋ Caller interrupted - cancelling response ${activeRun.responseId}`);
+      activeRun.controller.abort();
+      await activeRun.done;
+    }
+    
+    // Wait for agent initialization to complete
+    if (!session.agentInitialized && session.agentInitializing) {
+      logger.log(PREFIX, '⏳ Agent initializing, waiting...');
+      // Wait for initialization to complete (with timeout)
+      const maxWait = 10000; // 10 seconds
+      const startWait = Date.now();
+      while (!session.agentInitialized && (Date.now() - startWait) < maxWait) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      addStageTime(turn, 'init_wait', Date.now() - startWait);
+      
+      if (!session.agentInitialized) {
+        logger.error(PREFIX, '❌ Agent initialization timeout');
+        sendErrorResponse(ws, data.response_id);
+        return;
+      }
+    }
+    
+    if (!session.agentInitialized) {
+      logger.error(PREFIX, '❌ Agent not initialized');
+      sendErrorResponse(ws, data.response_id);
+      return;
+    }
+    
+    // Send greeting if we haven't yet (handles race condition)
+    if (!session.greetingSent) {
+      logger.log(PREFIX, 'Sending greeting before processing user message');
+      sendFirstGreeting();
+    }
+    
+    const userMessage = data.transcript?.[data.transcript.length - 1]?.content;
+    
+    if (!userMessage) {
+      logger.warn(PREFIX, 'No user message in transcript');
+      turn.skipped = true;
+      return;
+    }
+    
+    // An even newer event may have arrived while we were waiting
+    if (data.response_id !== latestResponseId) {
+      logger.log(PREFIX, `Skipping stale response ${data.response_id} (latest: ${latestResponseId})`);
+      turn.skipped = true;
+      return;
+    }
+    
+    truncateInterruptedTurn(data.transcript);
+    
+    logger.log(PREFIX, `User said: "${userMessage}"`);
+    
+    // Add user message to conversation state
+    const userTurn = new HumanMessage(userMessage);
+    session.conversationState.messages.push(userTurn);
+    
+    // Asked to respond after a transfer went out: the caller never left, so the transfer failed
+    if (getTransferRecord(callId)?.status === 'pending') {
+      settlePendingTransfer('failed', 'response_required');
+    }
+    if (speakTransferFallback(data.response_id)) {
+      markFirstText(turn);
+      return;
+    }
+    
+    // Life-safety rules run before the model - a hazard is spoken to (or transferred) right away
+    const hazardMessage = handleHazards(userMessage, data.response_id, turn);
+    if (hazardMessage === null) {
+      return;
+    }
+    
+    // Register this run so a newer response_id can cancel it
+    const controller = new AbortController();
+    let finishRun;
+    activeRun = {
+      responseId: data.response_id,
+      controller,
+      done: new Promise(resolve => { finishRun = resolve; }),
+    };
+    
+    // Run the LangGraph agent, streaming cleaned text to Retell as it is generated
+    logger.log(PREFIX, 'Processing with LangGraph (streaming)...');
+    const cleaner = createStreamingTextCleaner();
+    const hazardPrefix = hazardMessage ? `${hazardMessage} ` : '';
+    let spokenText = hazardPrefix;
+    let result = null;
+    
+    // The model sees the safety instruction as already said, so it carries on from there
+    const agentState = hazardMessage
+      ? { ...session.conversationState, messages: [...session.conversationState.messages, new AIMessage(hazardMessage)] }
+      : session.conversationState;
+    
+    let interrupted = false;
+    
+    try {
+      for await (const event of streamAgentResponse(session.agent, agentState, {
+        signal: controller.signal,
+        threadId: callId,
+        callbacks: [...recorder.callbacks, createTurnTelemetryHandler(turn)],
+      })) {
+        if (controller.signal.aborted) break;
+        
+        if (event.type === 'token') {
+          const cleanupStart = performance.now();
+          const safeText = cleaner.push(event.content);
+          addStageTime(turn, 'text_cleanup', performance.now() - cleanupStart);
+          
+          if (safeText) {
+            sendPartialResponse(ws, safeText, data.response_id);
+            markFirstText(turn);
+            spokenText += safeText;
+          }
+        } else if (event.type === 'done') {
+          result = event.state;
+        }
+      }
+    } catch (error) {
+      // Aborting the graph run rejects the stream - only real errors propagate
+      if (!controller.signal.aborted) throw error;
+    } finally {
+      interrupted = controller.signal.aborted;
+      if (interrupted) {
+        recordInterruptedTurn(userTurn, spokenText);
+      }
+      if (activeRun?.controller === controller) {
+        activeRun = null;
+      }
+      finishRun();
+    }
+    
+    if (interrupted) {
+      logger.log(PREFIX, `Discarded output of interrupted response ${data.response_id}`);
+      turn.interrupted = true;
+      return;
+    }
+    
+    // Whatever is still buffered goes out with the final (content_complete) frame
+    const remainingText = cleaner.flush();
+    spokenText += remainingText;
+    markFirstText(turn);
+    
+    const responseText = spokenText.trim();
+    
+    // A transfer tool ends the graph run with a transfer action for us to carry out
+    const action = result?.pendingAction;
+    
+    if (action?.type === 'transfer') {
+      placeTransfer(action, data.response_id, responseText, remainingText);
+      return;
+    }
+    
+    if (action?.type === 'end_call') {
+      endCall(action, data.response_id, responseText, remainingText);
+      return;
+    }
+    
+    // Update conversation state with what was actually spoken
+    session.conversationState.messages.push(new AIMessage(responseText));
+    
+    logger.log(PREFIX, `Agent responded: "${responseText}"`);
+    
+    // Complete the streamed response
+    sendResponse(ws, remainingText, data.response_id);
+    
+    // The checkpoint keeps the model's raw reply - store the cleaned text instead (the safety
+    // instruction is already its own message there)
+    saveSpokenReply(session.agent, callId, result, spokenText.slice(hazardPrefix.length).trim()).catch(error => {
+      logger.error(PREFIX, 'Failed to save spoken reply to checkpoint:', error);
+    });
   };
   
   // Fetch call details immediately when connection is established
+  // (a resumed session already has its agent and greeting, so this is a no-op for reconnects)
+  if (resumed) {
+    logger.info(PREFIX, `🔁 Reconnected to call ${callId} - resuming ${session.mode || 'initializing'} session without a new greeting`);
+  }
   fetchCallDetailsAndInitialize().catch(error => {
     logger.error(PREFIX, 'Error during initialization:', error);
   });
@@ -240,6 +765,8 @@ export function handleWebSocketConnection(ws, callId) {
     try {
       data = JSON.parse(message);
       logger.log(PREFIX, `Received interaction type: ${data.interaction_type}`);
+      touchSession(session);
+      recorder.record('inbound', data);
 
       // ============================================================
       // STEP 1: CALL DETAILS EVENT (Optional - we fetch via API instead)
@@ -262,199 +789,77 @@ export function handleWebSocketConnection(ws, callId) {
       // STEP 2: PROCESS USER RESPONSES
       // ============================================================
       else if (data.interaction_type === 'response_required') {
-        // Wait for agent initialization to complete
-        if (!agentInitialized && agentInitializing) {
-          logger.log(PREFIX, '⏳ Agent initializing, waiting...');
-          // Wait for initialization to complete (with timeout)
-          const maxWait = 10000; // 10 seconds
-          const startWait = Date.now();
-          while (!agentInitialized && (Date.now() - startWait) < maxWait) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-          }
-          
-          if (!agentInitialized) {
-            logger.error(PREFIX, '❌ Agent initialization timeout');
-            sendErrorResponse(ws, data.response_id);
-            return;
-          }
-        }
-        
-        if (!agentInitialized) {
-          logger.error(PREFIX, '❌ Agent not initialized');
-          sendErrorResponse(ws, data.response_id);
-          return;
+        const turn = startTurn(callId, data.response_id);
+        try {
+          await runInTurn(turn, () => handleResponseRequired(data, turn));
+        } finally {
+          finishTurn(turn);
         }
+      }
+      
+      // ============================================================
+      // STEP 2b: CALLER WENT SILENT - SEND A CONTEXTUAL REMINDER
+      // ============================================================
+      else if (data.interaction_type === 'reminder_required') {
+        latestResponseId = Math.max(latestResponseId, data.response_id);
         
-        // Send greeting if we haven't yet (handles race condition)
-        if (!greetingSent) {
-          logger.log(PREFIX, 'Sending greeting before processing user message');
-          sendFirstGreeting();
+        // A reminder after a transfer went out means the caller is still waiting on us
+        if (session.agentInitialized && getTransferRecord(callId)?.status === 'pending') {
+          settlePendingTransfer('failed', 'reminder_required');
         }
-        
-        const userMessage = data.transcript?.[data.transcript.length - 1]?.content;
-        
-        if (!userMessage) {
-          logger.warn(PREFIX, 'No user message in transcript');
+        if (session.agentInitialized && speakTransferFallback(data.response_id)) {
           return;
         }
         
-        logger.log(PREFIX, `User said: "${userMessage}"`);
-        
-        // Add user message to conversation state
-        conversationState.messages.push(new HumanMessage(userMessage));
-        
-        // Run the LangGraph agent
-        logger.log(PREFIX, 'Processing with LangGraph...');
-        const result = await agent.invoke(conversationState);
-        
-        // Check all messages for emergency transfer signal (including tool messages)
-        let emergencyTransferDetected = false;
-        let transferNumber = null;
-        let transferReason = null;
-        
-        // Check messages for emergency transfer signal
-        for (const msg of result.messages) {
-          const content = typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content);
-          
-          if (content.startsWith('EMERGENCY_TRANSFER:')) {
-            emergencyTransferDetected = true;
-            const parts = content.split(':');
-            transferNumber = parts[1];
-            transferReason = parts[2] || 'Emergency situation';
-            logger.success(PREFIX, `🚨 EMERGENCY TRANSFER SIGNAL DETECTED!`);
-            logger.info(PREFIX, `   Number: ${transferNumber}`);
-            logger.info(PREFIX, `   Reason: ${transferReason}`);
-            break;
-          }
+        if (!session.agentInitialized || session.transferInProgress) {
+          logger.log(PREFIX, 'Ignoring reminder (agent not ready or transfer in progress)');
+          return;
         }
         
-        // Extract AI response
-        const aiMessage = result.messages[result.messages.length - 1];
-        const responseText = aiMessage.content;
-        
-        // Handle emergency transfer if detected
-        if (emergencyTransferDetected) {
-          // Determine transfer type from reason
-          const isUrgentMaintenance = transferReason.startsWith('urgent_maintenance');
-          const isHumanAgentRequest = transferReason === 'human_agent_requested';
-          
-          const displayReason = isUrgentMaintenance 
-            ? transferReason.replace('urgent_maintenance_', '') 
-            : transferReason;
-          
-          // Log based on transfer type
-          if (isHumanAgentRequest) {
-            logger.log(PREFIX, `👤 USER REQUESTED HUMAN AGENT`);
-          } else if (isUrgentMaintenance) {
-            logger.warn(PREFIX, `🚨 URGENT MAINTENANCE DETECTED: ${displayReason}`);
-          } else {
-            logger.warn(PREFIX, `🚨 EMERGENCY DETECTED: ${displayReason}`);
-          }
-          
-          // Check if transfer already happened
-          if (transferInProgress) {
-            logger.warn(PREFIX, '⚠️ Transfer already initiated, sending acknowledgment only');
-            sendResponse(ws, "The transfer is in progress. Please stay on the line.", data.response_id);
-            return;
-          }
-          
-          // Mark that transfer is in progress BEFORE sending (prevent race conditions)
-          transferInProgress = true;
-          logger.log(PREFIX, '🔒 Transfer flag set');
-          
-          // Mark emergency for email summary (only for actual emergencies, not human agent requests)
-          if (!isHumanAgentRequest) {
-            emergencyDetected = true;
-            emergencyReason = displayReason;
-          }
-          
-          try {
-            // CRITICAL: Send transfer IMMEDIATELY - don't wait for anything else!
-            logger.info(PREFIX, `🚀 SENDING TRANSFER COMMAND`);
-            logger.info(PREFIX, `📞 Destination: ${transferNumber}`);
-            logger.info(PREFIX, `🆔 Response ID: ${data.response_id}`);
-            logger.info(PREFIX, `💬 Response Text: "${responseText}"`);
-            logger.info(PREFIX, `🌐 WebSocket State: ${ws.readyState} (1=OPEN, 2=CLOSING, 3=CLOSED)`);
-            
-            sendDirectTransfer(ws, data.response_id, transferNumber, responseText);
-            
-            logger.success(PREFIX, `✅ TRANSFER COMMAND SENT TO RETELL`);
-            
-            // Add to conversation state for email summary
-            conversationState.messages.push(new AIMessage(responseText + ' [CALL TRANSFERRED]'));
-            
-          } catch (error) {
-            logger.error(PREFIX, 'Transfer failed:', error);
-            
-            // Fallback depends on transfer type
-            logger.warn(PREFIX, 'Using fallback message');
-            let fallbackMessage;
-            
-            if (isHumanAgentRequest) {
-              // For human agent request, give them the number to call
-              fallbackMessage = "I apologize, the transfer to our support team didn't go through. Please call our support line directly at: " +
-                transferNumber.replace(/(\d)/g, '$1 ') + ". A human agent will be happy to assist you.";
-            } else if (isUrgentMaintenance) {
-              // For urgent maintenance, give them the number to call
-              fallbackMessage = "I apologize, the transfer failed. Please write this down and call our emergency maintenance line directly: " +
-                transferNumber.replace(/(\d)/g, '$1 ') + ". They will dispatch help immediately.";
-            } else {
-              // For life-threatening, insist on 911
-              fallbackMessage = "This is a life-threatening emergency. Please listen carefully. " +
-                "Hang up this call immediately and dial 9 1 1. That's 9 1 1 for emergency services. " +
-                "Your safety is the absolute priority. Hang up now and make that call.";
-            }
-            
-            sendResponse(ws, fallbackMessage, data.response_id);
-            conversationState.messages.push(new AIMessage(fallbackMessage));
-          }
-          
-          // Send email alert in background (completely async, won't block anything)
-          // This runs AFTER transfer is complete, in fire-and-forget mode
-          if (!isHumanAgentRequest) {
-            import('../services/email.service.js')
-              .then(({ sendEmergencyAlert }) => {
-                return sendEmergencyAlert({
-                  callId,
-                  userPhone: userPhoneNumber,
-                  reason: displayReason,
-                  emergencyNumber: transferNumber,
-                  isUrgentMaintenance,
-                });
-              })
-              .catch(err => logger.error(PREFIX, 'Background email failed:', err));
-          }
+        // Out of reminders - close the call politely
+        if (session.reminderCount >= config.reminders.maxCount) {
+          logger.warn(PREFIX, `🔕 No reply after ${session.reminderCount} reminder(s), ending call`);
+          const closingMessage = "It seems like you may have stepped away, so I'm going to end the call now. " +
+            "Feel free to call us back anytime and we will pick up right where we left off. Goodbye!";
           
+          sendResponse(ws, closingMessage, data.response_id, true);
+          session.conversationState.messages.push(new AIMessage(closingMessage));
+          recordDisposition(callId, 'caller_unresponsive', { by: 'system' });
           return;
         }
         
-        // Clean response text to remove any markdown/symbols
-        const cleanedResponse = cleanResponseText(responseText);
+        session.reminderCount++;
+        logger.log(PREFIX, `🔔 Reminder ${session.reminderCount}/${config.reminders.maxCount} for silent caller`);
         
-        // Log if cleaning changed anything (for debugging)
-        if (cleanedResponse !== responseText) {
-          logger.warn(PREFIX, '⚠️ Removed formatting symbols from response');
-          logger.debug(PREFIX, `Original: "${responseText.substring(0, 100)}..."`);
-          logger.debug(PREFIX, `Cleaned: "${cleanedResponse.substring(0, 100)}..."`);
-        }
-        
-        // Update conversation state
-        conversationState.messages.push(new AIMessage(cleanedResponse));
+        const reminderText = cleanResponseText(await generateReminderMessage(session.conversationState.messages, recorder));
         
-        logger.log(PREFIX, `Agent responded: "${cleanedResponse}"`);
+        // The caller may have spoken while the reminder was being generated
+        if (data.response_id !== latestResponseId) {
+          logger.log(PREFIX, `Skipping stale reminder ${data.response_id} (latest: ${latestResponseId})`);
+          return;
+        }
         
-        // Send cleaned response back to Retell
-        sendResponse(ws, cleanedResponse, data.response_id);
+        sendResponse(ws, reminderText, data.response_id);
+        session.conversationState.messages.push(new AIMessage(reminderText));
+        logger.log(PREFIX, `Reminder sent: "${reminderText}"`);
       }
       
       // ============================================================
       // STEP 3: HANDLE UPDATES
       // ============================================================
       else if (data.interaction_type === 'update_only') {
+        // Transfer result from Retell's disconnection reason (the fallback is spoken with the response
+        // Retell asks for next). The transcript says nothing about it: during a transfer it also holds
+        // the caller talking to whoever picked up.
+        const transferStatus = classifyDisconnection(data.call?.disconnection_reason);
+        if (transferStatus && getTransferRecord(callId)?.status === 'pending') {
+          settlePendingTransfer(transferStatus, 'update_only');
+        }
+        
         // Capture recording URL if available (sent after call ends)
         if (data.call?.recording_url) {
-          recordingUrl = data.call.recording_url;
-          logger.success(PREFIX, `📼 Recording available: ${recordingUrl}`);
+          session.recordingUrl = data.call.recording_url;
+          logger.success(PREFIX, `📼 Recording available: ${session.recordingUrl}`);
         }
       }
       
@@ -463,11 +868,18 @@ export function handleWebSocketConnection(ws, callId) {
       // ============================================================
       else if (data.interaction_type === 'call_ended') {
         logger.log(PREFIX, '☎️ Call ended event received');
+        session.ended = true;
+        
+        // Settle a transfer still pending (otherwise the call_analyzed webhook settles it)
+        const transferStatus = classifyDisconnection(data.call?.disconnection_reason);
+        if (transferStatus) {
+          settlePendingTransfer(transferStatus, 'call_ended');
+        }
         
         // Capture recording URL from call_ended event
         if (data.call?.recording_url) {
-          recordingUrl = data.call.recording_url;
-          logger.success(PREFIX, `📼 Recording captured: ${recordingUrl}`);
+          session.recordingUrl = data.call.recording_url;
+          logger.success(PREFIX, `📼 Recording captured: ${session.recordingUrl}`);
         }
       }
       
@@ -481,13 +893,21 @@ export function handleWebSocketConnection(ws, callId) {
     logger.log(PREFIX, `Connection closed for call: ${callId}`);
     
     // Calculate call duration
-    const callDuration = Math.floor((Date.now() - callStartTime) / 1000);
+    const callDuration = Math.floor((Date.now() - session.callStartTime) / 1000);
     const durationStr = `${Math.floor(callDuration / 60)}m ${callDuration % 60}s`;
     
     // Note: Call summary email is now sent via webhook (call_analyzed event)
     // This provides AI summary and recording URL from Retell
     logger.log(PREFIX, `Call duration: ${durationStr}`);
     logger.log(PREFIX, `Email will be sent via webhook when Retell sends call_analyzed event`);
+    
+    // Keep the session for a reconnect unless Retell said the call is over
+    if (session.ended) {
+      removeSession(callId);
+    } else {
+      touchSession(session);
+      logger.log(PREFIX, `Session kept for reconnect (expires after ${Math.round(config.sessions.ttlMs / 60000)}m idle)`);
+    }
   });
 
   ws.on('error', (error) => {
@@ -6,8 +6,16 @@
 import express from 'express';
 import { createPhoneCall } from '../services/retell.service.js';
 import { saveCallHistory } from '../services/database.service.js';
+import { getCallCheckpoint, listCallCheckpoints } from '../services/checkpointer.service.js';
+import { getCallMetrics, getMetricsSummary } from '../services/telemetry.service.js';
+import { getSession } from '../services/session.service.js';
+import { isValidTranscriptToken } from '../services/handoff.service.js';
+import { resolveTransferOutcome } from '../services/transfer-outcome.service.js';
+import { getDisposition } from '../services/call-disposition.service.js';
+import { recordCallbackOutcome } from '../services/callback.service.js';
 import { handleWebSocketConnection } from '../controllers/call.controller.js';
 import { logger } from '../utils/logger.js';
+import { escapeHtml } from '../utils/html.js';
 
 const router = express.Router();
 const PREFIX = 'API';
@@ -76,6 +84,17 @@ router.post('/webhook/call-analyzed', async (req, res) => {
     logger.log(PREFIX, `  Recording: ${call.recording_url ? '✓ Available' : '✗ Not available'}`);
     logger.log(PREFIX, `  AI Summary: ${call.call_analysis?.call_summary ? '✓ Available' : '✗ Not available'}`);
     
+    // How the call's transfer ended (settles one still pending from the disconnection reason)
+    const transferOutcome = resolveTransferOutcome(call);
+    if (transferOutcome) {
+      logger.log(PREFIX, `  Transfer: ${transferOutcome.status} → ${transferOutcome.destination || 'unknown'}`);
+    }
+    
+    // How the call wrapped up - a transfer that connected counts even if it was only settled just now
+    const disposition = getDisposition(call.call_id) ||
+      (transferOutcome?.status === 'connected' ? { disposition: 'transferred', note: null } : null);
+    logger.log(PREFIX, `  Disposition: ${disposition?.disposition || 'none recorded'}`);
+    
     // Save call history to Supabase
     const saved = await saveCallHistory({
       call_id: call.call_id,
@@ -85,7 +104,10 @@ router.post('/webhook/call-analyzed', async (req, res) => {
       call_duration_ms: call.call_duration_ms,
       call_status: call.call_status,
       recording_url: call.recording_url,
-      call_summary: call.call_analysis?.call_summary || null
+      call_summary: call.call_analysis?.call_summary || null,
+      transfer_outcome: transferOutcome,
+      disposition: disposition?.disposition || null,
+      disposition_note: disposition?.note || null
     });
     
     if (saved) {
@@ -94,9 +116,14 @@ router.post('/webhook/call-analyzed', async (req, res) => {
       logger.warn(PREFIX, `⚠️ Failed to save call history`);
     }
     
-    // Send call summary email with AI summary and recording
+    // A scheduled callback nobody answered goes back in the queue
+    if (call.direction === 'outbound') {
+      await recordCallbackOutcome(call);
+    }
+    
+    // Send the call summary (email, webhooks, ...) with AI summary and recording
     try {
-      const { sendCallSummaryFromWebhook } = await import('../services/email.service.js');
+      const { dispatchNotification } = await import('../services/notification.service.js');
       
       // Calculate duration from timestamps if call_duration_ms is not available
       let durationSec = 0;
@@ -114,7 +141,7 @@ router.post('/webhook/call-analyzed', async (req, res) => {
       
       const durationStr = durationSec > 0 ? `${Math.floor(durationSec / 60)}m ${durationSec % 60}s` : 'N/A';
       
-      await sendCallSummaryFromWebhook({
+      const { delivered } = await dispatchNotification('call_summary', {
         callId: call.call_id,
         phoneNumber: call.from_number,
         transcript: call.transcript,
@@ -122,11 +149,14 @@ router.post('/webhook/call-analyzed', async (req, res) => {
         recordingUrl: call.recording_url,
         aiSummary: call.call_analysis?.call_summary || null,
         userSentiment: call.call_analysis?.user_sentiment || null,
+        metrics: getCallMetrics(call.call_id),
       });
       
-      logger.success(PREFIX, `📧 Call summary email sent with AI summary and recording`);
-    } catch (emailError) {
-      logger.error(PREFIX, 'Failed to send call summary email:', emailError);
+      if (delivered) {
+        logger.success(PREFIX, `📧 Call summary sent with AI summary and recording`);
+      }
+    } catch (notifyError) {
+      logger.error(PREFIX, 'Failed to send call summary:', notifyError);
     }
     
     res.status(200).json({ received: true, saved });
@@ -137,6 +167,141 @@ router.post('/webhook/call-analyzed', async (req, res) => {
   }
 });
 
+/**
+ * GET /calls/:callId/checkpoints?token=...
+ * Inspect the saved LangGraph state for a call (latest messages + checkpoint history)
+ * Needs the call's signed transcript token, like the transcript link (see handoff.service.js)
+ */
+router.get('/calls/:callId/checkpoints', async (req, res) => {
+  try {
+    const { callId } = req.params;
+    
+    if (!isValidTranscriptToken(callId, req.query.token)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or missing token'
+      });
+    }
+    
+    const latest = await getCallCheckpoint(callId);
+    
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        error: 'No checkpoint found for this call'
+      });
+    }
+    
+    const checkpoints = await listCallCheckpoints(callId);
+    
+    const messages = (latest.values?.messages || []).map(message => ({
+      type: message._getType(),
+      content: typeof message.content === 'string' ? message.content : '[multimodal content]',
+      toolCalls: message.tool_calls?.map(call => ({ name: call.name, args: call.args })) || undefined,
+      toolName: message.name || undefined,
+    }));
+    
+    res.json({
+      success: true,
+      callId,
+      latestCheckpointId: latest.checkpointId,
+      updatedAt: latest.createdAt,
+      messages,
+      checkpoints
+    });
+    
+  } catch (error) {
+    logger.error(PREFIX, 'Error loading call checkpoints:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /calls/:callId/transcript?token=...
+ * Live transcript linked from a warm transfer handoff brief (HTML that refreshes itself, or ?format=json)
+ */
+router.get('/calls/:callId/transcript', async (req, res) => {
+  try {
+    const { callId } = req.params;
+    
+    if (!isValidTranscriptToken(callId, req.query.token)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or missing token'
+      });
+    }
+    
+    // The live session while the call is running, the saved checkpoint afterwards (SQLite or Postgres -
+    // the in-memory checkpointer drops a call's thread when it ends)
+    const session = getSession(callId);
+    const live = Boolean(session && !session.ended);
+    const messages = session
+      ? session.conversationState.messages
+      : (await getCallCheckpoint(callId))?.values?.messages || [];
+    
+    const lines = messages
+      .filter(message => ['human', 'ai'].includes(message._getType()) && typeof message.content === 'string' && message.content.trim())
+      .map(message => ({ role: message._getType() === 'human' ? 'caller' : 'agent', content: message.content }));
+    
+    if (req.query.format === 'json') {
+      return res.json({ success: true, callId, live, handoff: session?.handoff || null, messages: lines });
+    }
+    
+    const rows = lines.map(line => `<p><strong>${line.role === 'caller' ? 'Caller' : 'Agent'}:</strong> ${escapeHtml(line.content)}</p>`).join('\n  ');
+    res.send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8">${live ? '<meta http-equiv="refresh" content="5">' : ''}<title>Call ${escapeHtml(callId)}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 720px; margin: 40px auto; color: #333;">
+  <h1>Call transcript</h1>
+  <p style="color: #666;">${live ? 'Live - refreshes every 5 seconds' : 'Call ended'}</p>
+  ${session?.handoff ? `<pre style="background: #f8f9fa; padding: 15px; border-radius: 8px; white-space: pre-wrap;">${escapeHtml(session.handoff.text)}</pre>` : ''}
+  ${rows || '<p>No conversation yet.</p>'}
+</body>
+</html>`);
+    
+  } catch (error) {
+    logger.error(PREFIX, 'Error loading call transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /metrics
+ * Latency and cost telemetry across recent calls
+ */
+router.get('/metrics', (req, res) => {
+  res.json({
+    success: true,
+    ...getMetricsSummary()
+  });
+});
+
+/**
+ * GET /metrics/:callId
+ * Per-turn latency breakdown, token usage and estimated cost for one call
+ */
+router.get('/metrics/:callId', (req, res) => {
+  const metrics = getCallMetrics(req.params.callId);
+  
+  if (!metrics) {
+    return res.status(404).json({
+      success: false,
+      error: 'No metrics recorded for this call'
+    });
+  }
+  
+  res.json({
+    success: true,
+    ...metrics
+  });
+});
+
 /**
  * GET /health
  * Health check endpoint
@@ -160,6 +325,13 @@ router.get('/', (req, res) => {
     endpoints: {
       websocket: '/llm-websocket/:call_id',
       callback: 'POST /request-callback',
+      checkpoints: 'GET /calls/:callId/checkpoints',
+      transcript: 'GET /calls/:callId/transcript?token=...',
+      metrics: 'GET /metrics',
+      callMetrics: 'GET /metrics/:callId',
+      incidents: 'GET /incidents (Authorization: Bearer <INCIDENT_ADMIN_TOKEN>)',
+      acknowledgeIncident: 'GET|POST /incidents/:id/acknowledge',
+      incidentStatus: 'POST /incidents/:id/status',
       health: '/health'
     }
   });
@@ -0,0 +1,260 @@
+/**
+ * Incident Routes
+ * Emergency incident lifecycle: list, inspect, acknowledge, dispatch and resolve
+ */
+
+import express from 'express';
+import {
+  INCIDENT_STATUSES,
+  acknowledgeIncident,
+  updateIncidentStatus,
+  getIncident,
+  getIncidentWithToken,
+  isIncidentAdminToken,
+  listIncidents,
+  toPublicIncident,
+} from '../services/incident.service.js';
+import { logger } from '../utils/logger.js';
+import { escapeHtml } from '../utils/html.js';
+
+const router = express.Router();
+const PREFIX = 'IncidentAPI';
+
+// Failed status changes -> HTTP status
+const ERROR_STATUS = {
+  not_found: 404,
+  invalid_token: 403,
+  invalid_transition: 409,
+  conflict: 409,
+};
+
+/**
+ * Whether the request carries the incident admin token (Authorization: Bearer <INCIDENT_ADMIN_TOKEN>)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function isAdminRequest(req) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  return scheme === 'Bearer' && isIncidentAdminToken(token);
+}
+
+/**
+ * Minimal HTML page for links opened from an alert email
+ * @param {string} title - Heading
+ * @param {string} message - Body text
+ * @param {string} [extra] - Extra HTML below the message (e.g. a form)
+ * @returns {string} - HTML
+ */
+function renderPage(title, message, extra = '') {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 520px; margin: 60px auto; text-align: center; color: #333;">
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(message)}</p>
+  ${extra}
+</body>
+</html>`;
+}
+
+/**
+ * Form that acknowledges an incident (the email link only opens it, so a link preview can't acknowledge)
+ * @param {Object} incident - Incident row
+ * @param {string} token - Acknowledge token from the link
+ * @returns {string} - HTML
+ */
+function renderAcknowledgeForm(incident, token) {
+  return `<form method="POST" action="/incidents/${encodeURIComponent(incident.id)}/acknowledge">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <p><input type="text" name="by" placeholder="Your name" style="padding: 8px; width: 240px;"></p>
+    <button type="submit" style="background: #d32f2f; color: white; padding: 14px 28px; border: 0; border-radius: 6px; font-weight: bold; font-size: 16px;">Acknowledge Incident</button>
+  </form>`;
+}
+
+/**
+ * GET /incidents
+ * List incidents, optionally filtered with ?status=open,acknowledged (admin token only)
+ */
+router.get('/', async (req, res) => {
+  try {
+    if (!isAdminRequest(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or missing admin token'
+      });
+    }
+
+    const statuses = req.query.status ? String(req.query.status).split(',') : null;
+
+    const unknown = statuses?.find(status => !INCIDENT_STATUSES.includes(status));
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown status: ${unknown}`
+      });
+    }
+
+    const incidents = await listIncidents(statuses);
+
+    res.json({
+      success: true,
+      count: incidents.length,
+      incidents: incidents.map(toPublicIncident)
+    });
+
+  } catch (error) {
+    logger.error(PREFIX, 'Error listing incidents:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /incidents/:id?token=...
+ * Incident details and history (the incident's acknowledge token, or the admin token)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const incident = isAdminRequest(req) ? await getIncident(req.params.id) : null;
+    const result = incident
+      ? { ok: true, incident }
+      : await getIncidentWithToken(req.params.id, req.query.token);
+
+    if (!result.ok) {
+      return res.status(ERROR_STATUS[result.reason] || 400).json({
+        success: false,
+        error: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      incident: toPublicIncident(result.incident)
+    });
+
+  } catch (error) {
+    logger.error(PREFIX, 'Error loading incident:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /incidents/:id/acknowledge?token=...
+ * Acknowledge link from the alert email - shows the incident with a button that POSTs the acknowledgement
+ */
+router.get('/:id/acknowledge', async (req, res) => {
+  try {
+    const result = await getIncidentWithToken(req.params.id, req.query.token);
+
+    if (!result.ok) {
+      return res
+        .status(ERROR_STATUS[result.reason] || 400)
+        .send(renderPage('Could not acknowledge', result.message));
+    }
+
+    const { incident } = result;
+    if (incident.status !== 'open') {
+      return res.send(renderPage('Incident acknowledged', `This incident was already acknowledged. Status: ${incident.status}.`));
+    }
+
+    res.send(renderPage(
+      `${incident.category === 'urgent_maintenance' ? 'Urgent maintenance' : 'Emergency'} incident`,
+      `${incident.reason}${incident.caller_phone ? ` - caller ${incident.caller_phone}` : ''}`,
+      renderAcknowledgeForm(incident, req.query.token)
+    ));
+
+  } catch (error) {
+    logger.error(PREFIX, 'Error loading incident to acknowledge:', error);
+    res.status(500).send(renderPage('Something went wrong', 'Please try again or call the emergency line.'));
+  }
+});
+
+/**
+ * POST /incidents/:id/acknowledge
+ * Body: { token, by } - JSON, or the form on the acknowledge page (answered with a page)
+ */
+router.post('/:id/acknowledge', async (req, res) => {
+  const fromPage = req.is('application/x-www-form-urlencoded');
+
+  try {
+    const { token, by } = req.body || {};
+    const result = await acknowledgeIncident(req.params.id, { token, by: by || (fromPage ? 'email link' : undefined) });
+
+    if (!result.ok) {
+      const status = ERROR_STATUS[result.reason] || 400;
+      return fromPage
+        ? res.status(status).send(renderPage('Could not acknowledge', result.message))
+        : res.status(status).json({
+          success: false,
+          error: result.message
+        });
+    }
+
+    if (fromPage) {
+      const message = result.unchanged
+        ? 'This incident was already acknowledged.'
+        : `Incident acknowledged. Escalation has stopped. Status: ${result.incident.status}.`;
+      return res.send(renderPage('Incident acknowledged', message));
+    }
+
+    res.json({
+      success: true,
+      incident: toPublicIncident(result.incident)
+    });
+
+  } catch (error) {
+    logger.error(PREFIX, 'Error acknowledging incident:', error);
+    if (fromPage) {
+      return res.status(500).send(renderPage('Something went wrong', 'Please try again or call the emergency line.'));
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /incidents/:id/status
+ * Body: { token, status: 'acknowledged' | 'dispatched' | 'resolved', by, note }
+ */
+router.post('/:id/status', async (req, res) => {
+  try {
+    const { token, status, by, note } = req.body || {};
+
+    if (!INCIDENT_STATUSES.includes(status) || status === 'open') {
+      return res.status(400).json({
+        success: false,
+        error: 'status must be one of: acknowledged, dispatched, resolved'
+      });
+    }
+
+    const result = await updateIncidentStatus(req.params.id, status, { token, by, note });
+
+    if (!result.ok) {
+      return res.status(ERROR_STATUS[result.reason] || 400).json({
+        success: false,
+        error: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      incident: toPublicIncident(result.incident)
+    });
+
+  } catch (error) {
+    logger.error(PREFIX, 'Error updating incident:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,21 +1,27 @@
 /**
  * RAG Routes
- * Endpoints for document upload and RAG operations
+ * Endpoints for uploading, replacing, listing and deleting knowledge base documents
  */
 
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
-import { processFile, splitTextIntoChunks } from '../services/file-processor.service.js';
-import { createEmbeddings } from '../services/embedding.service.js';
-import { upsertDocumentEmbeddings } from '../services/pinecone.service.js';
-import { saveRAGDocument, listRAGDocuments, uploadFileToStorage } from '../services/database.service.js';
+import { addDocument, replaceDocument, deleteDocument, toPublicDocument } from '../services/knowledge-base.service.js';
+import { getVectorStoreStats } from '../services/vector-store.service.js';
+import { listRAGDocuments } from '../services/database.service.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 const PREFIX = 'RAG-API';
 
+// Failed document operations -> HTTP status
+const ERROR_STATUS = {
+  not_found: 404,
+  conflict: 409,
+  failed: 500,
+};
+
 // Configure multer for file upload
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
@@ -64,13 +70,25 @@ const upload = multer({
   }
 });
 
+/**
+ * Remove a temporary upload
+ * @param {string|null} filePath - Path multer wrote the upload to
+ */
+async function removeUpload(filePath) {
+  if (!filePath) return;
+  try {
+    await fs.unlink(filePath);
+    logger.success(PREFIX, 'Cleaned up temporary file');
+  } catch (unlinkError) {
+    logger.error(PREFIX, 'Error cleaning up file:', unlinkError);
+  }
+}
+
 /**
  * POST /rag/upload
- * Upload document, extract text, create embeddings, store in Pinecone
+ * Upload document, extract text, create embeddings, store in the vector store
  */
 router.post('/upload', upload.single('document'), async (req, res) => {
-  let filePath = null;
-
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -79,95 +97,99 @@ router.post('/upload', upload.single('document'), async (req, res) => {
       });
     }
 
-    filePath = req.file.path;
-    const fileName = req.file.originalname;
-    const fileType = req.file.mimetype;
-    const fileSize = req.file.size;
-
-    logger.log(PREFIX, `Processing uploaded file: ${fileName}`);
+    logger.log(PREFIX, `Processing uploaded file: ${req.file.originalname}`);
+    const result = await addDocument(req.file);
 
-    // Step 1: Extract text from file
-    logger.log(PREFIX, 'Step 1: Extracting text from file...');
-    const textContent = await processFile(filePath, fileType);
-
-    // Step 2: Split text into chunks
-    logger.log(PREFIX, 'Step 2: Splitting text into chunks...');
-    const chunks = splitTextIntoChunks(textContent, 1000, 200);
-
-    // Step 3: Upload file to Supabase storage
-    logger.log(PREFIX, 'Step 3: Uploading file to Supabase storage...');
-    const storageUrl = await uploadFileToStorage(filePath, fileName, 'rag_docs');
-    
-    if (!storageUrl) {
-      throw new Error('Failed to upload file to storage');
+    if (!result.ok) {
+      return res.status(ERROR_STATUS[result.reason] || 500).json({
+        success: false,
+        error: result.message
+      });
     }
 
-    // Step 4: Create embeddings
-    logger.log(PREFIX, 'Step 4: Creating embeddings...');
-    const embeddings = await createEmbeddings(chunks);
-
-    // Step 5: Save to Supabase database
-    logger.log(PREFIX, 'Step 5: Saving document to database...');
-    const savedDocument = await saveRAGDocument({
-      fileName,
-      fileType,
-      fileSize,
-      chunkCount: chunks.length,
-      storageUrl,
+    res.json({
+      success: true,
+      message: 'Document uploaded and processed successfully',
+      document: toPublicDocument(result.document)
     });
 
-    if (!savedDocument) {
-      throw new Error('Failed to save document to database');
+  } catch (error) {
+    logger.error(PREFIX, 'Error processing document:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to process document'
+    });
+  } finally {
+    await removeUpload(req.file?.path);
+  }
+});
+
+/**
+ * PUT /rag/documents/:id
+ * Upload a new version of a document; its old vectors and file are replaced
+ */
+router.put('/documents/:id', upload.single('document'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded'
+      });
     }
 
-    // Step 6: Upsert to Pinecone
-    logger.log(PREFIX, 'Step 6: Upserting embeddings to Pinecone...');
-    await upsertDocumentEmbeddings(
-      savedDocument.id,
-      chunks,
-      embeddings,
-      {
-        fileName,
-        fileType,
-        uploadedAt: savedDocument.created_at,
-      }
-    );
-
-    // Clean up uploaded file
-    await fs.unlink(filePath);
-    logger.success(PREFIX, 'Cleaned up temporary file');
+    const result = await replaceDocument(req.params.id, req.file);
 
-    logger.success(PREFIX, `✓ Document processed successfully: ${fileName}`);
+    if (!result.ok) {
+      return res.status(ERROR_STATUS[result.reason] || 500).json({
+        success: false,
+        error: result.message
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Document uploaded and processed successfully',
-      document: {
-        id: savedDocument.id,
-        fileName: savedDocument.file_name,
-        fileType: savedDocument.file_type,
-        fileSize: savedDocument.file_size,
-        chunkCount: savedDocument.chunk_count,
-        storageUrl: savedDocument.storage_url,
-        createdAt: savedDocument.created_at,
-      }
+      message: 'Document replaced successfully',
+      document: toPublicDocument(result.document),
+      warnings: result.warnings
     });
 
   } catch (error) {
-    logger.error(PREFIX, 'Error processing document:', error);
+    logger.error(PREFIX, 'Error replacing document:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to replace document'
+    });
+  } finally {
+    await removeUpload(req.file?.path);
+  }
+});
 
-    // Clean up file on error
-    if (filePath) {
-      try {
-        await fs.unlink(filePath);
-      } catch (unlinkError) {
-        logger.error(PREFIX, 'Error cleaning up file:', unlinkError);
-      }
+/**
+ * DELETE /rag/documents/:id
+ * Delete a document with its vectors and stored file
+ */
+router.delete('/documents/:id', async (req, res) => {
+  try {
+    const result = await deleteDocument(req.params.id);
+
+    if (!result.ok) {
+      return res.status(ERROR_STATUS[result.reason] || 500).json({
+        success: false,
+        error: result.message
+      });
     }
 
+    res.json({
+      success: true,
+      message: 'Document deleted successfully',
+      document: toPublicDocument(result.document)
+    });
+
+  } catch (error) {
+    logger.error(PREFIX, 'Error deleting document:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to process document'
+      error: 'Failed to delete document'
     });
   }
 });
@@ -197,5 +219,27 @@ router.get('/documents', async (req, res) => {
   }
 });
 
+/**
+ * GET /rag/stats
+ * Vector store backend and size
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await getVectorStoreStats();
+
+    res.json({
+      success: true,
+      stats
+    });
+
+  } catch (error) {
+    logger.error(PREFIX, 'Error fetching vector store stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch vector store stats'
+    });
+  }
+});
+
 export default router;
 
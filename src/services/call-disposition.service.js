@@ -0,0 +1,57 @@
+/**
+ * Call Disposition Service
+ * Remembers how each call wrapped up (resolved, callback scheduled, transferred, ...) until the
+ * call_analyzed webhook writes it to the call record.
+ *
+ * The agent sets the disposition with the end_call tool; the controller sets it for calls that end
+ * another way (a transfer that connected, a caller who stopped answering). The latest one wins.
+ */
+
+import { logger } from '../utils/logger.js';
+
+const PREFIX = 'Disposition';
+
+// Dispositions the agent can choose when it ends the call
+export const AGENT_DISPOSITIONS = ['resolved', 'callback_scheduled', 'follow_up_needed', 'vendor_referral'];
+
+// Dispositions only the controller records
+export const CALL_DISPOSITIONS = [...AGENT_DISPOSITIONS, 'transferred', 'caller_unresponsive'];
+
+// Oldest records are dropped beyond this
+const MAX_RECORDS = 500;
+
+const records = new Map();
+
+/**
+ * Record how a call wrapped up
+ * @param {string} callId - Call ID from Retell
+ * @param {string} disposition - One of CALL_DISPOSITIONS
+ * @param {Object} details - { note: free-text detail, by: 'agent' | 'system' }
+ * @returns {Object|null} - { disposition, note, by, at }, or null for an unknown disposition
+ */
+export function recordDisposition(callId, disposition, { note = null, by = 'agent' } = {}) {
+  if (!CALL_DISPOSITIONS.includes(disposition)) {
+    logger.warn(PREFIX, `Unknown disposition "${disposition}" for call ${callId} - ignoring`);
+    return null;
+  }
+
+  const record = { disposition, note, by, at: new Date().toISOString() };
+
+  records.delete(callId);
+  records.set(callId, record);
+  if (records.size > MAX_RECORDS) {
+    records.delete(records.keys().next().value);
+  }
+
+  logger.log(PREFIX, `🏷️ Call ${callId}: ${disposition}${note ? ` (${note})` : ''}`);
+  return record;
+}
+
+/**
+ * How a call wrapped up
+ * @param {string} callId - Call ID from Retell
+ * @returns {Object|null} - { disposition, note, by, at }
+ */
+export function getDisposition(callId) {
+  return records.get(callId) || null;
+}
@@ -0,0 +1,266 @@
+/**
+ * Call Recorder Service
+ * Captures a call as a JSONL file (one event per line) so it can be replayed offline:
+ * inbound Retell frames, outbound frames, LLM requests/responses, tool results and external lookups.
+ *
+ * A recorder runs in one of three modes:
+ *   off    - recording disabled, everything passes straight through
+ *   record - live call, events are appended to <RECORDINGS_DIR>/<call_id>.jsonl
+ *   replay - events come from a recording registered with registerReplay()
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { BaseCallbackHandler } from '@langchain/core/callbacks/base';
+import { tool } from '@langchain/core/tools';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { ScriptedChatModel } from '../utils/scripted-chat-model.js';
+
+const PREFIX = 'CallRecorder';
+
+const RECORDING_VERSION = 1;
+
+// call_id -> recorded events waiting to be replayed
+const replaySources = new Map();
+
+/**
+ * Reduce a LangChain message to plain JSON
+ * @param {BaseMessage} message - Message to serialize
+ * @returns {Object} - { type, content, tool_calls?, tool_call_id? }
+ */
+function serializeMessage(message) {
+  const serialized = {
+    type: message._getType(),
+    content: message.content,
+  };
+
+  if (message.tool_calls?.length > 0) {
+    serialized.tool_calls = message.tool_calls.map(({ id, name, args }) => ({ id, name, args }));
+  }
+  if (message.tool_call_id) {
+    serialized.tool_call_id = message.tool_call_id;
+  }
+
+  return serialized;
+}
+
+/**
+ * LangChain callback handler that records every model call made during a call
+ */
+class LLMRecordingHandler extends BaseCallbackHandler {
+  name = 'call_recorder';
+
+  // Run inline (not in the background) so results are complete when the turn ends
+  awaitHandlers = true;
+
+  constructor(record) {
+    super();
+    this.record = record;
+  }
+
+  handleChatModelStart(llm, messages, runId) {
+    this.record('llm_request', { runId, messages: messages[0].map(serializeMessage) });
+  }
+
+  handleLLMEnd(output, runId) {
+    const message = output.generations?.[0]?.[0]?.message;
+    const { content, tool_calls } = message ? serializeMessage(message) : { content: output.generations?.[0]?.[0]?.text || '' };
+    this.record('llm_response', { runId, content, tool_calls });
+  }
+
+  handleLLMError(error, runId) {
+    this.record('llm_response', { runId, error: error.message });
+  }
+}
+
+/**
+ * Recorder that does nothing (recording disabled)
+ * @returns {Object} - Recorder
+ */
+function createPassthroughRecorder() {
+  return {
+    mode: 'off',
+    model: null,
+    callbacks: [],
+    record() {},
+    attachSocket() {},
+    capture: (kind, fn) => fn(),
+    wrapTools: (tools) => tools,
+  };
+}
+
+/**
+ * Recorder that appends a live call to a JSONL file
+ * @param {string} callId - Call ID from Retell
+ * @returns {Object} - Recorder
+ */
+function createFileRecorder(callId) {
+  const filePath = path.join(config.recordings.dir, `${callId}.jsonl`);
+  const startedAt = Date.now();
+  let seq = 0;
+
+  // Writes are chained so lines land in the order they were recorded
+  let writes = fs.mkdir(config.recordings.dir, { recursive: true });
+
+  const record = (kind, data) => {
+    const line = JSON.stringify({ seq: seq++, offsetMs: Date.now() - startedAt, kind, data }) + '\n';
+    writes = writes
+      .then(() => fs.appendFile(filePath, line))
+      .catch(error => logger.error(PREFIX, `Failed to write recording ${filePath}:`, error));
+  };
+
+  record('meta', { version: RECORDING_VERSION, callId, startedAt: new Date(startedAt).toISOString() });
+  logger.log(PREFIX, `🎙️ Recording call ${callId} to ${filePath}`);
+
+  return {
+    mode: 'record',
+    filePath,
+    model: null,
+    callbacks: [new LLMRecordingHandler(record)],
+    record,
+
+    /**
+     * Record every frame sent to Retell on this socket
+     * @param {WebSocket} ws - Retell WebSocket
+     */
+    attachSocket(ws) {
+      const send = ws.send.bind(ws);
+      ws.send = (payload, ...rest) => {
+        record('outbound', JSON.parse(payload));
+        return send(payload, ...rest);
+      };
+    },
+
+    /**
+     * Run an external lookup and record its result
+     * @param {string} kind - Lookup name (e.g. 'call_details')
+     * @param {Function} fn - Lookup to run
+     * @returns {Promise<any>} - Lookup result
+     */
+    async capture(kind, fn) {
+      const result = await fn();
+      record('lookup', { kind, result: result ?? null });
+      return result;
+    },
+
+    /**
+     * Wrap tools so their results (and artifacts, such as transfer actions) are recorded
+     * @param {Array} tools - LangChain tools
+     * @returns {Array} - Wrapped tools
+     */
+    wrapTools(tools) {
+      return tools.map(original => tool(
+        async (args) => {
+          // Invoking with a tool call returns the full ToolMessage, artifact included
+          const message = await original.invoke({ type: 'tool_call', id: `recorded_${seq}`, name: original.name, args });
+          const result = message.content;
+          const artifact = message.artifact ?? null;
+          record('tool_result', { name: original.name, args, result, ...(artifact && { artifact }) });
+          return original.responseFormat === 'content_and_artifact' ? [result, artifact] : result;
+        },
+        { name: original.name, description: original.description, schema: original.schema, responseFormat: original.responseFormat }
+      ));
+    },
+  };
+}
+
+/**
+ * Recorder that answers lookups, tools and the model from a recording
+ * @param {string} callId - Call ID being replayed
+ * @param {Array} events - Recorded events
+ * @returns {Object} - Recorder
+ */
+function createReplayRecorder(callId, events) {
+  const lookups = events.filter(e => e.kind === 'lookup').map(e => e.data);
+  const toolResults = events.filter(e => e.kind === 'tool_result').map(e => e.data);
+  const responses = events.filter(e => e.kind === 'llm_response').map(e => e.data);
+
+  /**
+   * Take the first recorded entry matching a predicate
+   */
+  const take = (entries, predicate) => {
+    const index = entries.findIndex(predicate);
+    return index === -1 ? undefined : entries.splice(index, 1)[0];
+  };
+
+  return {
+    mode: 'replay',
+    model: new ScriptedChatModel({ responses }),
+    callbacks: [],
+    record() {},
+    attachSocket() {},
+
+    async capture(kind) {
+      const entry = take(lookups, e => e.kind === kind);
+      if (!entry) {
+        logger.warn(PREFIX, `No recorded '${kind}' lookup left for call ${callId}`);
+        return null;
+      }
+      return entry.result;
+    },
+
+    wrapTools(tools) {
+      return tools.map(original => tool(
+        async () => {
+          const entry = take(toolResults, e => e.name === original.name);
+          const result = entry ? entry.result : JSON.stringify({ success: false, error: 'No recorded result' });
+          if (!entry) {
+            logger.warn(PREFIX, `No recorded result left for tool ${original.name} (call ${callId})`);
+          }
+          return original.responseFormat === 'content_and_artifact' ? [result, entry?.artifact ?? null] : result;
+        },
+        { name: original.name, description: original.description, schema: original.schema, responseFormat: original.responseFormat }
+      ));
+    },
+  };
+}
+
+/**
+ * Create the recorder for a call
+ * A registered replay wins over live recording; with neither, a passthrough recorder is returned
+ * @param {string} callId - Call ID from Retell
+ * @returns {Object} - Recorder
+ */
+export function createCallRecorder(callId) {
+  const replayEvents = replaySources.get(callId);
+  if (replayEvents) {
+    replaySources.delete(callId);
+    return createReplayRecorder(callId, replayEvents);
+  }
+
+  if (config.recordings.enabled) {
+    return createFileRecorder(callId);
+  }
+
+  return createPassthroughRecorder();
+}
+
+/**
+ * Serve the next connection for a call from a recording instead of live services
+ * @param {string} callId - Call ID the replayed connection will use
+ * @param {Array} events - Recorded events (from readRecording)
+ */
+export function registerReplay(callId, events) {
+  replaySources.set(callId, events);
+}
+
+/**
+ * Read a JSONL call recording
+ * @param {string} filePath - Path to the recording
+ * @returns {Promise<Array>} - Recorded events in order
+ */
+export async function readRecording(filePath) {
+  const text = await fs.readFile(filePath, 'utf8');
+
+  return text
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${filePath}:${index + 1}: invalid JSON (${error.message})`);
+      }
+    });
+}
@@ -0,0 +1,226 @@
+/**
+ * Call Replay Service
+ * Feeds a recorded call's inbound Retell frames back through the call controller,
+ * with the model, tools and lookups answered from the recording, and diffs the outbound frames.
+ */
+
+import { EventEmitter } from 'events';
+import { handleWebSocketConnection } from '../controllers/call.controller.js';
+import { registerReplay } from './call-recorder.service.js';
+import { removeSession } from './session.service.js';
+import { logger } from '../utils/logger.js';
+
+const PREFIX = 'CallReplay';
+
+let replayCount = 0;
+
+/**
+ * In-memory stand-in for the Retell WebSocket
+ * Frames the controller sends are collected in `sent`; inbound frames are delivered with emit('message')
+ */
+export class ReplaySocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = 1; // OPEN
+    this.sent = [];
+  }
+
+  send(payload) {
+    this.sent.push(JSON.parse(payload));
+    this.emit('sent');
+  }
+
+  close() {
+    if (this.readyState === 3) return;
+    this.readyState = 3; // CLOSED
+    this.emit('close');
+  }
+}
+
+/**
+ * Outbound frames the recording shows before the next inbound frame arrived
+ * Replay waits for the same frames so turns line up as they did on the live call.
+ * @param {Array} events - Recorded events between two inbound frames
+ * @returns {Array<string>} - Milestones: 'config', 'complete:<id>' or 'partial:<id>'
+ */
+function collectMilestones(events) {
+  const milestones = new Set();
+
+  for (const { kind, data } of events) {
+    if (kind !== 'outbound') continue;
+
+    if (data.response_type === 'config') {
+      milestones.add('config');
+    } else if (data.response_type === 'response') {
+      milestones.add(data.content_complete ? `complete:${data.response_id}` : `partial:${data.response_id}`);
+    }
+  }
+
+  // A completed response covers its own partial frames
+  for (const milestone of milestones) {
+    if (milestone.startsWith('partial:') && milestones.has(`complete:${milestone.slice(8)}`)) {
+      milestones.delete(milestone);
+    }
+  }
+
+  return [...milestones];
+}
+
+/**
+ * Check whether the replayed frames have reached a milestone
+ * @param {Array} frames - Frames sent so far
+ * @param {string} milestone - Milestone from collectMilestones
+ * @returns {boolean}
+ */
+function reachedMilestone(frames, milestone) {
+  if (milestone === 'config') {
+    return frames.some(f => f.response_type === 'config');
+  }
+
+  const [state, id] = milestone.split(':');
+  return frames.some(f =>
+    f.response_type === 'response' &&
+    String(f.response_id) === id &&
+    (state === 'partial' || f.content_complete)
+  );
+}
+
+/**
+ * Wait until all milestones are reached (or give up after a timeout)
+ * @param {ReplaySocket} ws - Replay socket
+ * @param {Array<string>} milestones - Milestones to wait for
+ * @param {number} timeoutMs - Maximum wait
+ * @returns {Promise<Array<string>>} - Milestones that were never reached
+ */
+function waitForMilestones(ws, milestones, timeoutMs) {
+  const pending = () => milestones.filter(m => !reachedMilestone(ws.sent, m));
+
+  return new Promise(resolve => {
+    if (pending().length === 0) return resolve([]);
+
+    const onSent = () => {
+      if (pending().length === 0) finish();
+    };
+    const timer = setTimeout(() => finish(), timeoutMs);
+    const finish = () => {
+      clearTimeout(timer);
+      ws.off('sent', onSent);
+      resolve(pending());
+    };
+
+    ws.on('sent', onSent);
+  });
+}
+
+/**
+ * Collapse outbound frames into one entry per response so streamed chunking doesn't matter
+ * @param {Array} frames - Outbound frames
+ * @returns {Array<Object>} - [{ response_type, response_id?, content?, content_complete?, end_call?, transfer_number?, config? }]
+ */
+export function collapseFrames(frames) {
+  const turns = [];
+  const openTurns = new Map(); // response_id -> turn still receiving partial frames
+
+  for (const frame of frames) {
+    if (frame.response_type !== 'response') {
+      turns.push({ ...frame });
+      continue;
+    }
+
+    let turn = openTurns.get(frame.response_id);
+    if (!turn) {
+      turn = { response_type: 'response', response_id: frame.response_id, content: '', content_complete: false };
+      openTurns.set(frame.response_id, turn);
+      turns.push(turn);
+    }
+
+    turn.content += frame.content || '';
+
+    if (frame.content_complete) {
+      turn.content_complete = true;
+      if (frame.end_call) turn.end_call = true;
+      if (frame.transfer_number) turn.transfer_number = frame.transfer_number;
+      openTurns.delete(frame.response_id);
+    }
+  }
+
+  for (const turn of turns) {
+    if (typeof turn.content === 'string') {
+      turn.content = turn.content.replace(/\s+/g, ' ').trim();
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Compare recorded and replayed responses
+ * @param {Array} expected - Collapsed recorded frames
+ * @param {Array} actual - Collapsed replayed frames
+ * @returns {Array<string>} - Human-readable differences (empty when identical)
+ */
+export function diffTurns(expected, actual) {
+  const differences = [];
+  const count = Math.max(expected.length, actual.length);
+
+  for (let i = 0; i < count; i++) {
+    const want = expected[i];
+    const got = actual[i];
+
+    if (!want) {
+      differences.push(`#${i} unexpected extra frame: ${JSON.stringify(got)}`);
+    } else if (!got) {
+      differences.push(`#${i} missing frame: ${JSON.stringify(want)}`);
+    } else if (JSON.stringify(want) !== JSON.stringify(got)) {
+      differences.push(`#${i} differs\n    recorded: ${JSON.stringify(want)}\n    replayed: ${JSON.stringify(got)}`);
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Replay a recorded call through the controller and diff what it sends back
+ * @param {Array} events - Recorded events (from readRecording)
+ * @param {Object} options - Replay options
+ * @param {number} [options.stepTimeoutMs] - Maximum wait for each recorded milestone
+ * @returns {Promise<Object>} - { passed, differences, recorded, replayed, frames }
+ */
+export async function replayRecording(events, { stepTimeoutMs = 5000 } = {}) {
+  const meta = events.find(e => e.kind === 'meta')?.data || {};
+  const callId = `${meta.callId || 'call'}-replay-${++replayCount}`;
+
+  logger.log(PREFIX, `▶️ Replaying ${meta.callId || 'recording'} as ${callId}`);
+
+  registerReplay(callId, events);
+  const ws = new ReplaySocket();
+  handleWebSocketConnection(ws, callId);
+
+  // Split the recording at each inbound frame; the events in between are what the call sent back
+  const inboundIndexes = events.map((e, i) => (e.kind === 'inbound' ? i : -1)).filter(i => i !== -1);
+  const segmentEnds = [...inboundIndexes, events.length];
+
+  let segmentStart = 0;
+  for (const end of segmentEnds) {
+    const missed = await waitForMilestones(ws, collectMilestones(events.slice(segmentStart, end)), stepTimeoutMs);
+    if (missed.length > 0) {
+      logger.warn(PREFIX, `Timed out waiting for ${missed.join(', ')}`);
+    }
+
+    if (end < events.length) {
+      ws.emit('message', JSON.stringify(events[end].data));
+    }
+    segmentStart = end + 1;
+  }
+
+  // Let any trailing handler work finish before closing
+  await new Promise(resolve => setTimeout(resolve, 50));
+  ws.close();
+  removeSession(callId);
+
+  const recorded = collapseFrames(events.filter(e => e.kind === 'outbound').map(e => e.data));
+  const replayed = collapseFrames(ws.sent);
+  const differences = diffTurns(recorded, replayed);
+
+  return { passed: differences.length === 0, differences, recorded, replayed, frames: ws.sent };
+}
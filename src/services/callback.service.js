@@ -0,0 +1,295 @@
+/**
+ * Callback Service
+ * Callbacks the agent books with the schedule_callback tool (e.g. "call me back once the water heater
+ * has heated up"), and the scheduler that places them when they are due.
+ *
+ * A callback moves scheduled → calling → placed → completed. A call that can't be placed, or that
+ * nobody answers, goes back to scheduled after config.callbacks.retryDelayMinutes (doubling each time)
+ * until config.callbacks.maxAttempts is used up, then it is failed. The scheduler also sweeps up rows
+ * that stopped moving: one left in calling (the server died while placing it) counts as a failed
+ * attempt, and one placed without an outcome for config.callbacks.outcomeTimeoutMinutes is failed -
+ * the call may have been answered, so it isn't placed again. The outbound call ID is saved on its own
+ * before the status moves to placed, so a row left in calling whose call did go out is failed too,
+ * never called a second time.
+ *
+ * The outbound call carries { callback_id } as Retell metadata, so the controller can open the call
+ * with the step the caller reached instead of the generic greeting.
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import {
+  createScheduledCallback,
+  getScheduledCallback,
+  updateScheduledCallback,
+  listScheduledCallbacks,
+} from './database.service.js';
+import { createPhoneCall } from './retell.service.js';
+
+const PREFIX = 'Callback';
+
+export const CALLBACK_STATUSES = ['scheduled', 'calling', 'placed', 'completed', 'failed'];
+
+// Retell disconnection reasons that mean nobody picked up the callback
+const UNANSWERED_REASONS = ['dial_no_answer', 'dial_busy', 'dial_failed', 'voicemail_reached'];
+
+let schedulerTimer = null;
+
+/**
+ * Append an entry to a callback's history
+ * @param {Object} callback - Callback row
+ * @param {Object} entry - History entry (without its timestamp)
+ * @param {Date} now - Current time
+ * @returns {Array} - New history
+ */
+function withHistory(callback, entry, now) {
+  return [...(callback.history || []), { at: now.toISOString(), ...entry }];
+}
+
+/**
+ * Book a callback
+ * @param {Object} details - Callback details
+ * @param {string} details.callId - Call the callback was booked on
+ * @param {string} details.phone - Number to call
+ * @param {number} details.delayMinutes - How long from now to call (clamped to 1 minute .. config.callbacks.maxDelayHours)
+ * @param {string} details.reason - What the callback is about
+ * @param {string|null} [details.stepReached] - Where the caller is in the troubleshooting, to pick up from
+ * @returns {Promise<Object|null>} - Callback, or null if it could not be saved
+ */
+export async function scheduleCallback({ callId, phone, delayMinutes, reason, stepReached = null }) {
+  try {
+    const now = new Date();
+    const minutes = Math.min(Math.max(Math.round(delayMinutes) || 1, 1), config.callbacks.maxDelayHours * 60);
+
+    const callback = await createScheduledCallback({
+      id: crypto.randomUUID(),
+      call_id: callId,
+      phone,
+      reason,
+      step_reached: stepReached,
+      due_at: new Date(now.getTime() + minutes * 60 * 1000).toISOString(),
+      status: 'scheduled',
+      attempts: 0,
+      outbound_call_id: null,
+      last_error: null,
+      claimed_at: null,
+      placed_at: null,
+      history: [{ at: now.toISOString(), event: 'scheduled', minutes }],
+      created_at: now.toISOString(),
+      updated_at: now.toISOString(),
+    });
+
+    if (!callback) {
+      return null;
+    }
+
+    logger.success(PREFIX, `📅 Callback ${callback.id} to ${phone} in ${minutes}m: ${reason}`);
+    startCallbackScheduler();
+
+    return callback;
+
+  } catch (error) {
+    logger.error(PREFIX, 'Failed to schedule callback:', error);
+    return null;
+  }
+}
+
+/**
+ * Put a callback back in the queue after a failed or unanswered attempt, or give up on it
+ * @param {Object} callback - Callback row (attempts already counts this attempt)
+ * @param {string} error - What went wrong
+ * @param {Object} expected - Column values the row must still have
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - Updated callback
+ */
+function retryOrFail(callback, error, expected, now) {
+  if (callback.attempts >= config.callbacks.maxAttempts) {
+    logger.error(PREFIX, `Callback ${callback.id} to ${callback.phone} failed after ${callback.attempts} attempt(s): ${error}`);
+    return updateScheduledCallback(callback.id, {
+      status: 'failed',
+      last_error: error,
+      history: withHistory(callback, { event: 'failed', error }, now),
+    }, expected);
+  }
+
+  const waitMinutes = config.callbacks.retryDelayMinutes * 2 ** (callback.attempts - 1);
+  logger.warn(PREFIX, `Callback ${callback.id} attempt ${callback.attempts}/${config.callbacks.maxAttempts} failed (${error}) - retrying in ${waitMinutes}m`);
+
+  return updateScheduledCallback(callback.id, {
+    status: 'scheduled',
+    due_at: new Date(now.getTime() + waitMinutes * 60 * 1000).toISOString(),
+    last_error: error,
+    history: withHistory(callback, { event: 'retry', error, waitMinutes }, now),
+  }, expected);
+}
+
+/**
+ * Place one due callback
+ * @param {Object} callback - Callback row
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} - Whether the call was placed
+ */
+async function placeCallback(callback, now) {
+  // Claim the callback before calling so a second server doesn't call the same customer
+  const claimed = await updateScheduledCallback(
+    callback.id,
+    { status: 'calling', attempts: callback.attempts + 1, claimed_at: now.toISOString(), outbound_call_id: null },
+    { status: 'scheduled', attempts: callback.attempts }
+  );
+  if (!claimed) return false;
+
+  let call;
+  try {
+    call = await createPhoneCall(claimed.phone, { metadata: { callback_id: claimed.id } });
+  } catch (error) {
+    await retryOrFail(claimed, error.message, { status: 'calling' }, now);
+    return false;
+  }
+
+  // The call is out: from here on the callback must never go back to scheduled
+  const guard = { status: 'calling', claimed_at: claimed.claimed_at };
+  const recorded = await updateScheduledCallback(claimed.id, { outbound_call_id: call.call_id }, guard);
+  const placed = await updateScheduledCallback(claimed.id, {
+    status: 'placed',
+    outbound_call_id: call.call_id,
+    placed_at: now.toISOString(),
+    history: withHistory(claimed, { event: 'placed', callId: call.call_id, attempt: claimed.attempts }, now),
+  }, guard);
+
+  if (!placed) {
+    logger.error(PREFIX, recorded
+      ? `Callback ${claimed.id} call ${call.call_id} was placed but could not be marked placed - it will be failed, not called again`
+      : `Callback ${claimed.id} call ${call.call_id} was placed but could not be recorded - the sweep may call ${claimed.phone} again`);
+    return true;
+  }
+
+  logger.success(PREFIX, `📞 Callback ${claimed.id} placed to ${claimed.phone} (call ${call.call_id})`);
+  return true;
+}
+
+/**
+ * Settle callbacks that stopped moving: stuck in calling, or placed without an outcome
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of callbacks settled
+ */
+export async function sweepStaleCallbacks(now = new Date()) {
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000).toISOString();
+  let settled = 0;
+
+  const stuck = await listScheduledCallbacks({ statuses: ['calling'], claimedBefore: minutesAgo(config.callbacks.claimTimeoutMinutes) });
+  for (const callback of stuck) {
+    const expected = { status: 'calling', claimed_at: callback.claimed_at };
+
+    // The call went out but was never marked placed - it may have been answered, so don't call again
+    if (callback.outbound_call_id) {
+      const error = 'Call placed but never marked placed';
+      logger.error(PREFIX, `Callback ${callback.id} to ${callback.phone} failed: ${error} (call ${callback.outbound_call_id})`);
+      const failed = await updateScheduledCallback(callback.id, {
+        status: 'failed',
+        last_error: error,
+        history: withHistory(callback, { event: 'failed', error, callId: callback.outbound_call_id }, now),
+      }, expected);
+      if (failed) settled++;
+      continue;
+    }
+
+    if (await retryOrFail(callback, 'Call placement did not finish', expected, now)) {
+      settled++;
+    }
+  }
+
+  const unanswered = await listScheduledCallbacks({ statuses: ['placed'], placedBefore: minutesAgo(config.callbacks.outcomeTimeoutMinutes) });
+  for (const callback of unanswered) {
+    const error = 'No call outcome received';
+    logger.error(PREFIX, `Callback ${callback.id} to ${callback.phone} failed: ${error} for call ${callback.outbound_call_id}`);
+
+    const failed = await updateScheduledCallback(callback.id, {
+      status: 'failed',
+      last_error: error,
+      history: withHistory(callback, { event: 'failed', error }, now),
+    }, { status: 'placed', placed_at: callback.placed_at });
+    if (failed) settled++;
+  }
+
+  return settled;
+}
+
+/**
+ * Place every callback that is due (after sweeping up stale ones)
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of calls placed
+ */
+export async function runDueCallbacks(now = new Date()) {
+  await sweepStaleCallbacks(now);
+
+  const due = await listScheduledCallbacks({ statuses: ['scheduled'], dueBefore: now.toISOString() });
+  let placed = 0;
+
+  for (const callback of due) {
+    if (await placeCallback(callback, now)) {
+      placed++;
+    }
+  }
+
+  return placed;
+}
+
+/**
+ * Record how a callback's outbound call went (from the call_analyzed webhook)
+ * An unanswered call is retried like a call that couldn't be placed.
+ * @param {Object} call - Call object from the Retell webhook
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - Updated callback, or null if the call wasn't a placed callback
+ */
+export async function recordCallbackOutcome(call, now = new Date()) {
+  try {
+    const callbackId = call.metadata?.callback_id;
+    const callback = callbackId
+      ? await getScheduledCallback('id', callbackId)
+      : await getScheduledCallback('outbound_call_id', call.call_id);
+
+    // A row still in calling whose call ID was saved is the same call, just never marked placed
+    const awaitingOutcome = callback?.status === 'placed'
+      || (callback?.status === 'calling' && callback.outbound_call_id === call.call_id);
+    if (!awaitingOutcome) {
+      return null;
+    }
+
+    if (UNANSWERED_REASONS.includes(call.disconnection_reason)) {
+      return retryOrFail(callback, call.disconnection_reason, { status: callback.status }, now);
+    }
+
+    logger.success(PREFIX, `✅ Callback ${callback.id} completed (call ${call.call_id})`);
+    return updateScheduledCallback(callback.id, {
+      status: 'completed',
+      history: withHistory(callback, { event: 'completed', callId: call.call_id }, now),
+    }, { status: callback.status });
+
+  } catch (error) {
+    logger.error(PREFIX, 'Failed to record callback outcome:', error);
+    return null;
+  }
+}
+
+/**
+ * Get a callback
+ * @param {string} callbackId - Callback ID
+ * @returns {Promise<Object|null>} - Callback or null
+ */
+export function getCallback(callbackId) {
+  return getScheduledCallback('id', callbackId);
+}
+
+/**
+ * Start placing due callbacks in the background (once per process)
+ */
+export function startCallbackScheduler() {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(() => {
+    runDueCallbacks().catch(error => logger.error(PREFIX, 'Callback check failed:', error));
+  }, config.callbacks.checkIntervalMs);
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref();
+}
@@ -0,0 +1,161 @@
+/**
+ * Checkpointer Service
+ * Persists LangGraph conversation state per call (thread_id = call_id)
+ * Backends: none | memory | sqlite (local file) | postgres (Supabase database)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { MemorySaver } from '@langchain/langgraph';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+const PREFIX = 'Checkpointer';
+
+// Shared checkpointer instance (created on first use)
+let checkpointerPromise = null;
+
+/**
+ * Create the checkpointer for the configured backend
+ * SQLite and Postgres savers are imported lazily so their drivers are only loaded when selected
+ * @param {string} backend - Backend name
+ * @returns {Promise<BaseCheckpointSaver|null>} - Checkpointer or null when disabled
+ */
+async function createCheckpointer(backend) {
+  switch (backend) {
+    case 'none':
+      logger.warn(PREFIX, 'Checkpointing disabled - conversation state is not persisted');
+      return null;
+
+    case 'memory':
+      logger.log(PREFIX, 'Using in-memory checkpointer (state is lost on restart)');
+      return new MemorySaver();
+
+    case 'sqlite': {
+      const { SqliteSaver } = await import('@langchain/langgraph-checkpoint-sqlite');
+      await fs.mkdir(path.dirname(config.checkpointer.sqlitePath), { recursive: true });
+      logger.log(PREFIX, `Using SQLite checkpointer: ${config.checkpointer.sqlitePath}`);
+      return SqliteSaver.fromConnString(config.checkpointer.sqlitePath);
+    }
+
+    case 'postgres':
+    case 'supabase': {
+      if (!config.checkpointer.postgresUrl) {
+        throw new Error('CHECKPOINTER_POSTGRES_URL (or SUPABASE_DB_URL) is required for the postgres checkpointer');
+      }
+      const { PostgresSaver } = await import('@langchain/langgraph-checkpoint-postgres');
+      const saver = PostgresSaver.fromConnString(config.checkpointer.postgresUrl);
+      // Creates the checkpoint tables on first run
+      await saver.setup();
+      logger.log(PREFIX, 'Using Postgres checkpointer');
+      return saver;
+    }
+
+    default:
+      throw new Error(`Unknown checkpointer backend: ${backend}`);
+  }
+}
+
+/**
+ * Get the shared checkpointer
+ * @returns {Promise<BaseCheckpointSaver|null>} - Checkpointer or null when disabled
+ */
+export function getCheckpointer() {
+  if (!checkpointerPromise) {
+    checkpointerPromise = createCheckpointer(config.checkpointer.backend).catch(error => {
+      // Allow a retry on the next call instead of caching the failure
+      checkpointerPromise = null;
+      throw error;
+    });
+  }
+  return checkpointerPromise;
+}
+
+/**
+ * Get the latest saved graph state for a call
+ * @param {string} callId - Call ID (thread_id)
+ * @returns {Promise<Object|null>} - { checkpointId, createdAt, values } or null
+ */
+export async function getCallCheckpoint(callId) {
+  try {
+    const checkpointer = await getCheckpointer();
+    if (!checkpointer) return null;
+
+    const tuple = await checkpointer.getTuple({ configurable: { thread_id: callId } });
+    if (!tuple) return null;
+
+    return {
+      checkpointId: tuple.checkpoint.id,
+      createdAt: tuple.checkpoint.ts,
+      values: tuple.checkpoint.channel_values,
+    };
+
+  } catch (error) {
+    logger.error(PREFIX, `Error loading checkpoint for call ${callId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * List saved checkpoints for a call, newest first
+ * @param {string} callId - Call ID (thread_id)
+ * @param {number} limit - Maximum number of checkpoints
+ * @returns {Promise<Array>} - Checkpoint summaries
+ */
+export async function listCallCheckpoints(callId, limit = 50) {
+  const checkpointer = await getCheckpointer();
+  if (!checkpointer) return [];
+
+  const checkpoints = [];
+  for await (const tuple of checkpointer.list({ configurable: { thread_id: callId } }, { limit })) {
+    checkpoints.push({
+      checkpointId: tuple.checkpoint.id,
+      createdAt: tuple.checkpoint.ts,
+      step: tuple.metadata?.step,
+      source: tuple.metadata?.source,
+      messageCount: tuple.checkpoint.channel_values?.messages?.length || 0,
+    });
+  }
+
+  return checkpoints;
+}
+
+/**
+ * Drop a call's saved state once the call is over (ended, or its session expired)
+ * Only the in-memory checkpointer is cleared: it lives in the process and would otherwise grow
+ * with every call. SQLite and Postgres keep the thread for the checkpoints endpoint and the
+ * transcript link.
+ * @param {string} callId - Call ID (thread_id)
+ * @returns {Promise<boolean>} - Whether a thread was deleted
+ */
+export async function releaseCallCheckpoint(callId) {
+  try {
+    const checkpointer = await getCheckpointer();
+    if (!(checkpointer instanceof MemorySaver)) return false;
+
+    await checkpointer.deleteThread(callId);
+    return true;
+
+  } catch (error) {
+    logger.error(PREFIX, `Error releasing checkpoint for call ${callId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Rebuild the spoken conversation (caller and agent turns) from a call's latest checkpoint
+ * Tool calls, tool results and vision messages are left out, matching what the controller keeps.
+ * @param {string} callId - Call ID (thread_id)
+ * @returns {Promise<Array>} - Human/AI messages, empty if nothing was saved
+ */
+export async function loadConversationHistory(callId) {
+  const checkpoint = await getCallCheckpoint(callId);
+  const messages = checkpoint?.values?.messages || [];
+
+  return messages.filter(message => {
+    if (typeof message.content !== 'string' || !message.content) return false;
+    const type = message._getType();
+    if (type === 'human') return true;
+    return type === 'ai' && !(message.tool_calls?.length > 0);
+  });
+}
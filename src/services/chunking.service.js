@@ -0,0 +1,376 @@
+/**
+ * Chunking Service
+ * Splits extracted document text into chunks along its structure instead of at fixed character offsets:
+ * - a chunk never crosses a heading, and remembers the section it belongs to (sectionTitle)
+ * - numbered procedures stay together, and a chunk records which steps it holds (stepRange, e.g. "3-5")
+ * - paragraphs are only split between sentences, tables only between rows (the header row is repeated)
+ * - pages come from form feeds in the text (PDFs are extracted one page per \f), recorded as pageNumber
+ *
+ * Sizes are in tokens, estimated at 4 characters per token (OpenAI's rule of thumb for English),
+ * which keeps chunking offline and deterministic.
+ */
+
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+const PREFIX = 'Chunking';
+
+const CHARS_PER_TOKEN = 4;
+
+// "1. Turn the gas knob to OFF", "2) Wait 5 minutes", "Step 3: Press the reset button"
+const STEP_PATTERN = /^(?:step\s+)?(\d{1,2})(?:[.):]|\s+-)\s+(?=\S)/i;
+
+// "3.2 Resetting the pilot light", "Chapter 4 Maintenance", "## Troubleshooting"
+const NUMBERED_HEADING_PATTERN = /^(?:\d+(?:\.\d+)+\.?|(?:chapter|section|part)\s+\d+[.:]?)\s+\S/i;
+const MARKDOWN_HEADING_PATTERN = /^#{1,6}\s+(?=\S)/;
+
+// All-caps callouts that sit inside a section rather than start one
+const CALLOUTS = ['NOTE', 'WARNING', 'CAUTION', 'DANGER', 'IMPORTANT', 'TIP'];
+
+// Page footers that carry no content ("14", "Page 14", "Page 14 of 40")
+const PAGE_NUMBER_PATTERN = /^(?:page\s+)?\d+(?:\s*(?:of|\/)\s*\d+)?$/i;
+
+/**
+ * Estimate how many tokens a text is
+ * @param {string} text - Text
+ * @returns {number} - Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Heading text of a line that is a heading on its own (numbered, markdown or all caps)
+ * @param {string} line - Trimmed line
+ * @returns {string|null} - Heading text, or null if the line isn't one
+ */
+function headingOf(line) {
+  if (MARKDOWN_HEADING_PATTERN.test(line)) {
+    return line.replace(MARKDOWN_HEADING_PATTERN, '');
+  }
+  if (line.length > 80 || /[.!?,;:]$/.test(line)) {
+    return null;
+  }
+  if (NUMBERED_HEADING_PATTERN.test(line)) {
+    return line;
+  }
+  const words = line.split(/\s+/);
+  if (/[A-Z]{2}/.test(line) && line === line.toUpperCase() && words.length <= 10 && !CALLOUTS.includes(line)) {
+    return line;
+  }
+  return null;
+}
+
+/**
+ * Whether a paragraph of a single line reads like a title ("Resetting the pilot light")
+ * Only used for lines that stand alone between blank lines.
+ * @param {Array<string>} lines - Paragraph lines
+ * @returns {boolean}
+ */
+function isStandaloneTitle(lines) {
+  if (lines.length !== 1) return false;
+  const [line] = lines;
+  return line.length <= 60 && /^[A-Z]/.test(line) && !/[.!?,;:]$/.test(line) && line.split(/\s+/).length <= 8;
+}
+
+/**
+ * Whether a line is a table row (pipe-separated, tab-separated or column-aligned)
+ * @param {string} line - Raw line
+ * @returns {boolean}
+ */
+function isTableRow(line) {
+  const trimmed = line.trim();
+  return (trimmed.match(/\|/g) || []).length >= 2
+    || trimmed.split('\t').filter(Boolean).length >= 2
+    || trimmed.split(/\s{3,}/).length >= 3;
+}
+
+/**
+ * Parse one page into blocks: headings, paragraphs, numbered procedures and tables
+ * @param {string} pageText - Text of one page
+ * @param {number|null} pageNumber - Page number (null if the document has no pages)
+ * @returns {Array<Object>} - Blocks ({ type, page, ... })
+ */
+function parseBlocks(pageText, pageNumber) {
+  const blocks = [];
+  let current = null;
+  let afterBlank = false;
+
+  const close = (followedByBlank = false) => {
+    if (!current) return;
+    // A lone short line between blank lines is a heading in plain-text manuals
+    if (current.type === 'paragraph' && followedByBlank && current.startsAfterBlank && isStandaloneTitle(current.lines)) {
+      current = { type: 'heading', title: current.lines[0], page: pageNumber };
+    }
+    blocks.push(current);
+    current = null;
+  };
+
+  for (const rawLine of pageText.split('\n')) {
+    const line = rawLine.trim();
+
+    if (!line) {
+      if (current && current.type !== 'steps') close(true);
+      afterBlank = true;
+      continue;
+    }
+    if (PAGE_NUMBER_PATTERN.test(line)) {
+      continue;
+    }
+
+    const heading = headingOf(line);
+    const step = STEP_PATTERN.exec(line);
+
+    if (heading && !step) {
+      close(afterBlank);
+      blocks.push({ type: 'heading', title: heading, page: pageNumber });
+    } else if (step) {
+      const number = Number(step[1]);
+      const lastStep = current?.type === 'steps' ? current.steps[current.steps.length - 1].number : null;
+
+      if (lastStep !== null && number === lastStep + 1) {
+        current.steps.push({ number, lines: [line] });
+      } else {
+        // "To relight the pilot:" belongs with the steps it introduces
+        const intro = current?.type === 'paragraph' && !afterBlank && /:$/.test(current.lines[current.lines.length - 1])
+          ? current.lines
+          : [];
+        if (intro.length) current = null;
+        close(afterBlank);
+        current = { type: 'steps', intro, steps: [{ number, lines: [line] }], page: pageNumber };
+      }
+    } else if (isTableRow(rawLine)) {
+      if (current?.type !== 'table') {
+        close(afterBlank);
+        current = { type: 'table', rows: [], page: pageNumber };
+      }
+      current.rows.push(line);
+    } else if (current?.type === 'steps' && !afterBlank) {
+      // Wrapped line or sub-bullet of the last step
+      current.steps[current.steps.length - 1].lines.push(line);
+    } else if (current?.type === 'paragraph' && !afterBlank) {
+      current.lines.push(line);
+    } else {
+      close(afterBlank);
+      current = { type: 'paragraph', lines: [line], page: pageNumber, startsAfterBlank: afterBlank || blocks.length === 0 };
+    }
+
+    afterBlank = false;
+  }
+
+  close(false);
+  return blocks;
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text
+ * @returns {Array<string>} - Sentences
+ */
+function splitSentences(text) {
+  return text.split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/);
+}
+
+/**
+ * Split text with no whitespace to break at (a URL, a long code, CJK text) into pieces of at most maxTokens
+ * @param {string} text - Text
+ * @param {number} maxTokens - Largest piece
+ * @returns {Array<string>} - Pieces
+ */
+function splitCharacters(text, maxTokens) {
+  const size = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+  return Array.from({ length: Math.ceil(text.length / size) }, (_, index) => text.slice(index * size, (index + 1) * size));
+}
+
+/**
+ * Split text into pieces of at most maxTokens, breaking between sentences (or words, for a run-on sentence,
+ * or characters, for a word that is still too long)
+ * @param {string} text - Text
+ * @param {number} maxTokens - Largest piece
+ * @returns {Array<string>} - Pieces
+ */
+function splitText(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return [text];
+
+  const sentences = splitSentences(text);
+  const units = sentences.length > 1 ? sentences : text.split(/\s+/);
+  const pieces = [];
+  let piece = '';
+
+  for (const unit of units) {
+    const candidate = piece ? `${piece} ${unit}` : unit;
+    if (piece && estimateTokens(candidate) > maxTokens) {
+      pieces.push(piece);
+      piece = unit;
+    } else {
+      piece = candidate;
+    }
+  }
+  if (piece) pieces.push(piece);
+
+  // A sentence that is still too long gets split between words, a word that is still too long between characters
+  if (sentences.length > 1) return pieces.flatMap(p => splitText(p, maxTokens));
+  return pieces.flatMap(p => (estimateTokens(p) > maxTokens ? splitCharacters(p, maxTokens) : [p]));
+}
+
+/**
+ * Join the pieces of a chunk (sentences of one paragraph run on, everything else starts a new line)
+ * @param {Array<Object>} pieces - Pieces
+ * @returns {string} - Chunk text
+ */
+function joinPieces(pieces) {
+  return pieces.map((piece, index) => (index === 0 ? piece.text : `${piece.inline ? ' ' : '\n'}${piece.text}`)).join('');
+}
+
+/**
+ * Turn a block into pieces that each fit in a chunk
+ * @param {Object} block - Paragraph, steps or table block
+ * @param {number} maxTokens - Largest piece
+ * @returns {Array<Object>} - Pieces ({ text, page, steps: [from, to] | null, sentence, inline })
+ */
+function blockPieces(block, maxTokens) {
+  if (block.type === 'paragraph') {
+    // One piece per sentence, so chunks can end (and overlap) on any sentence
+    return splitSentences(block.lines.join(' '))
+      .flatMap(sentence => splitText(sentence, maxTokens))
+      .map((text, index) => ({ text, page: block.page, steps: null, sentence: true, inline: index > 0 }));
+  }
+
+  if (block.type === 'table') {
+    // Keep the header (and a markdown separator row) on every piece
+    const headerSize = /^\|?[\s:|-]+$/.test(block.rows[1] || '') ? 2 : 1;
+    const header = block.rows.slice(0, headerSize).join('\n');
+    const pieces = [];
+    let rows = [];
+
+    for (const row of block.rows.slice(headerSize)) {
+      if (rows.length && estimateTokens([header, ...rows, row].join('\n')) > maxTokens) {
+        pieces.push(rows);
+        rows = [];
+      }
+      rows.push(row);
+    }
+    pieces.push(rows);
+
+    return pieces.map(group => ({ text: [header, ...group].join('\n'), page: block.page, steps: null, sentence: false }));
+  }
+
+  // Steps: as many whole steps per piece as fit; the intro goes with the first step
+  const pieces = [];
+  let piece = null;
+
+  block.steps.forEach((step, index) => {
+    const prefix = index === 0 && block.intro.length ? `${block.intro.join(' ')}\n` : '';
+    const stepText = prefix + step.lines.join(' ');
+
+    if (piece && estimateTokens(`${piece.text}\n${stepText}`) <= maxTokens) {
+      piece.text += `\n${stepText}`;
+      piece.steps[1] = step.number;
+      return;
+    }
+    if (piece) pieces.push(piece);
+
+    const parts = splitText(stepText, maxTokens);
+    parts.slice(0, -1).forEach(text => pieces.push({ text, page: block.page, steps: [step.number, step.number], sentence: false }));
+    piece = { text: parts[parts.length - 1], page: block.page, steps: [step.number, step.number], sentence: false };
+  });
+  pieces.push(piece);
+
+  return pieces;
+}
+
+/**
+ * Describe the steps a chunk holds, e.g. "3-5" or "4-6, 1-2" when it holds the end of one procedure and the start of the next
+ * @param {Array<Object>} pieces - Pieces of the chunk
+ * @returns {string|null} - Step range, or null if the chunk holds no steps
+ */
+function stepRangeOf(pieces) {
+  const ranges = [];
+  for (const { steps } of pieces) {
+    if (!steps) continue;
+    const last = ranges[ranges.length - 1];
+    if (last && steps[0] === last[1] + 1) {
+      last[1] = steps[1];
+    } else {
+      ranges.push([...steps]);
+    }
+  }
+  if (!ranges.length) return null;
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+}
+
+/**
+ * Trailing sentences of a chunk, up to overlapTokens, to repeat at the start of the next chunk
+ * Steps and table rows are never repeated, so a step belongs to exactly one chunk.
+ * @param {Array<Object>} pieces - Pieces of the previous chunk
+ * @param {number} overlapTokens - Overlap budget
+ * @returns {Array<Object>} - Overlap pieces (possibly none)
+ */
+function overlapOf(pieces, overlapTokens) {
+  const overlap = [];
+
+  for (let i = pieces.length - 1; i > 0; i--) {
+    const piece = pieces[i];
+    if (!piece.sentence || piece.overlap) break;
+    if (estimateTokens(joinPieces([piece, ...overlap])) > overlapTokens) break;
+    overlap.unshift({ ...piece, overlap: true });
+  }
+
+  if (overlap.length) overlap[0] = { ...overlap[0], inline: false };
+  return overlap;
+}
+
+/**
+ * Split a document into structure-aware chunks
+ * @param {string} text - Extracted document text (pages separated by \f)
+ * @param {Object} options - Chunk sizes
+ * @param {number} [options.maxTokens] - Largest chunk (default config.chunking.maxTokens)
+ * @param {number} [options.overlapTokens] - Text repeated from the previous chunk of the same section (default config.chunking.overlapTokens)
+ * @returns {Array<Object>} - Chunks: { text, tokenCount, pageNumber, sectionTitle, stepRange }
+ */
+export function chunkDocument(text, { maxTokens = config.chunking.maxTokens, overlapTokens = config.chunking.overlapTokens } = {}) {
+  const pages = text.split('\f');
+  const hasPages = pages.length > 1;
+  const blocks = pages.flatMap((pageText, index) => parseBlocks(pageText, hasPages ? index + 1 : null));
+
+  const chunks = [];
+  let sectionTitle = null;
+  let pieces = [];
+
+  const flush = () => {
+    if (!pieces.some(piece => !piece.overlap)) return;
+    const chunkText = joinPieces(pieces);
+    chunks.push({
+      text: chunkText,
+      tokenCount: estimateTokens(chunkText),
+      pageNumber: pieces.find(piece => !piece.overlap).page,
+      sectionTitle,
+      stepRange: stepRangeOf(pieces),
+    });
+  };
+
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      flush();
+      sectionTitle = block.title;
+      // The heading opens the section's first chunk (counted like overlap, so a heading alone is never a chunk)
+      pieces = [{ text: block.title, page: block.page, steps: null, sentence: false, overlap: true }];
+      continue;
+    }
+
+    for (const piece of blockPieces(block, maxTokens)) {
+      if (estimateTokens(joinPieces([...pieces, piece])) > maxTokens) {
+        if (pieces.some(p => !p.overlap)) flush();
+        const overlap = overlapOf(pieces, overlapTokens);
+        pieces = estimateTokens(joinPieces([...overlap, piece])) <= maxTokens ? overlap : [];
+        // A sentence continuing from the overlap reads on; otherwise it opens the chunk
+        if (!pieces.length) piece.inline = false;
+      }
+      pieces.push(piece);
+    }
+  }
+  flush();
+
+  logger.log(PREFIX, `Split text into ${chunks.length} chunks (${pages.length} page(s), max ${maxTokens} tokens)`);
+  return chunks;
+}
@@ -6,6 +6,7 @@
 import { createClient } from '@supabase/supabase-js';
 import { config } from '../config/env.js';
 import { logger } from '../utils/logger.js';
+import { measureStage } from './telemetry.service.js';
 
 const PREFIX = 'Database';
 
@@ -146,7 +147,7 @@ export async function fetchFramesByTranscriptId(transcriptId, timestamps = null)
       query = query.in('frame_timestamp', timestamps);
     }
     
-    const { data, error } = await query;
+    const { data, error } = await measureStage('supabase_frames', () => query);
     
     if (error) {
       logger.error(PREFIX, 'Error fetching frames:', error);
@@ -174,11 +175,11 @@ export async function fetchFramesByTranscriptId(transcriptId, timestamps = null)
  */
 export async function getAvailableFrameTimestamps(transcriptId) {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await measureStage('supabase_frames', () => supabase
       .from('frame')
       .select('frame_timestamp')
       .eq('transcript_id', transcriptId)
-      .order('frame_timestamp', { ascending: true });
+      .order('frame_timestamp', { ascending: true }));
     
     if (error) {
       logger.error(PREFIX, 'Error fetching frame timestamps:', error);
@@ -357,6 +358,50 @@ export async function uploadFileToStorage(filePath, fileName, bucketName = 'rag_
   }
 }
 
+/**
+ * Delete a file from a Supabase storage bucket
+ * Removing a file that is already gone is not an error, so this can be repeated safely.
+ * @param {string} storageUrl - Public URL returned by uploadFileToStorage
+ * @param {string} bucketName - Bucket name (default: 'rag_docs')
+ * @returns {Promise<boolean>} - Whether the file is gone
+ */
+export async function deleteFileFromStorage(storageUrl, bucketName = 'rag_docs') {
+  try {
+    const marker = `/object/public/${bucketName}/`;
+    const pathname = new URL(storageUrl).pathname;
+    const markerIndex = pathname.indexOf(marker);
+    
+    if (markerIndex === -1) {
+      logger.error(PREFIX, `Not a ${bucketName} storage URL: ${storageUrl}`);
+      return false;
+    }
+    
+    const storagePath = decodeURIComponent(pathname.slice(markerIndex + marker.length));
+    logger.log(PREFIX, `Deleting file from storage: ${storagePath}`);
+    
+    const { error } = await supabase.storage
+      .from(bucketName)
+      .remove([storagePath]);
+    
+    if (error) {
+      logger.error(PREFIX, 'Error deleting from storage:', error);
+      return false;
+    }
+    
+    return true;
+    
+  } catch (error) {
+    logger.error(PREFIX, 'Unexpected error deleting file:', error);
+    return false;
+  }
+}
+
+// Table rag_documents:
+//   id uuid primary key, file_name text, file_type text, file_size int, chunk_count int,
+//   storage_url text, version int default 1 (bumped by each replacement),
+//   claimed_version int (highest version a replacement has claimed, so two replacements never write under the same IDs),
+//   created_at timestamptz, updated_at timestamptz
+
 /**
  * Save RAG document to database
  * @param {Object} documentData - Document data
@@ -418,6 +463,64 @@ export async function getRAGDocument(documentId) {
   }
 }
 
+/**
+ * Update a RAG document, only if it is still in the expected state
+ * @param {string} documentId - Document ID
+ * @param {Object} changes - Columns to update
+ * @param {Object} expected - Column values the row must still have (e.g. { version: 1 }; null = still unset)
+ * @returns {Promise<Object|null>} - Updated document, or null if it changed in the meantime
+ */
+export async function updateRAGDocument(documentId, changes, expected = {}) {
+  try {
+    let query = supabase
+      .from('rag_documents')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', documentId);
+    
+    for (const [column, value] of Object.entries(expected)) {
+      query = value === null ? query.is(column, null) : query.eq(column, value);
+    }
+    
+    const { data, error } = await query.select();
+    
+    if (error) {
+      logger.error(PREFIX, 'Error updating document:', error);
+      return null;
+    }
+    
+    return data?.[0] || null;
+    
+  } catch (error) {
+    logger.error(PREFIX, 'Unexpected error:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete a RAG document row
+ * @param {string} documentId - Document ID
+ * @returns {Promise<boolean>} - Whether the row is gone
+ */
+export async function deleteRAGDocument(documentId) {
+  try {
+    const { error } = await supabase
+      .from('rag_documents')
+      .delete()
+      .eq('id', documentId);
+    
+    if (error) {
+      logger.error(PREFIX, 'Error deleting document:', error);
+      return false;
+    }
+    
+    return true;
+    
+  } catch (error) {
+    logger.error(PREFIX, 'Unexpected error:', error);
+    return false;
+  }
+}
+
 /**
  * List all RAG documents
  * @returns {Promise<Array>} - Array of documents
@@ -426,7 +529,7 @@ export async function listRAGDocuments() {
   try {
     const { data, error } = await supabase
       .from('rag_documents')
-      .select('id, file_name, file_type, file_size, chunk_count, storage_url, created_at')
+      .select('id, file_name, file_type, file_size, chunk_count, storage_url, version, created_at, updated_at')
       .order('created_at', { ascending: false });
     
     if (error) {
@@ -472,6 +575,10 @@ export async function testConnection() {
 // ============================================================
 // CALL HISTORY FUNCTIONS (for callback continuity)
 // ============================================================
+//
+// transfer_outcome (jsonb, null if the call wasn't transferred) is how the call's last transfer
+// ended - see resolveTransferOutcome in transfer-outcome.service.js. disposition (text) and
+// disposition_note (text) are how the call wrapped up - see call-disposition.service.js
 
 /**
  * Save call history to database (called via webhook when call ends)
@@ -503,6 +610,9 @@ export async function saveCallHistory(callData) {
         call_status: callData.call_status || 'ended',
         recording_url: callData.recording_url || null,
         call_summary: callData.call_summary || null,
+        transfer_outcome: callData.transfer_outcome || null,
+        disposition: callData.disposition || null,
+        disposition_note: callData.disposition_note || null,
         ended_at: new Date().toISOString()
       }])
       .select();
@@ -548,7 +658,7 @@ export async function getLastCallByPhone(phoneNumber, currentCallId = null, maxA
       query = query.neq('call_id', currentCallId);
     }
     
-    const { data, error } = await query;
+    const { data, error } = await measureStage('supabase_call_history', () => query);
     
     if (error) {
       logger.error(PREFIX, 'Error fetching previous call:', error);
@@ -579,3 +689,277 @@ export async function getLastCallByPhone(phoneNumber, currentCallId = null, maxA
     return null;
   }
 }
+
+// ============================================================
+// EMERGENCY INCIDENT FUNCTIONS (acknowledgement and escalation)
+// ============================================================
+//
+// Table emergency_incidents:
+//   id uuid primary key, call_id text, category text, reason text, caller_phone text,
+//   transfer_number text, status text, ack_token text, escalation_level int,
+//   next_escalation_at timestamptz, acknowledged_at timestamptz, acknowledged_by text,
+//   dispatched_at timestamptz, resolved_at timestamptz, history jsonb,
+//   created_at timestamptz, updated_at timestamptz
+
+/**
+ * Insert an emergency incident
+ * @param {Object} incident - Incident row
+ * @returns {Promise<Object|null>} - Saved incident or null
+ */
+export async function createEmergencyIncident(incident) {
+  try {
+    const { data, error } = await supabase
+      .from('emergency_incidents')
+      .insert([incident])
+      .select()
+      .single();
+    
+    if (error) {
+      logger.error(PREFIX, 'Error saving emergency incident:', error);
+      return null;
+    }
+    
+    return data;
+    
+  } catch (error) {
+    logger.error(PREFIX, 'Unexpected error saving emergency incident:', error);
+    return null;
+  }
+}
+
+/**
+ * Get an emergency incident by ID
+ * @param {string} incidentId - Incident ID
+ * @returns {Promise<Object|null>} - Incident or null
+ */
+export async function getEmergencyIncident(incidentId) {
+  try {
+    const { data, error } = await supabase
+      .from('emergency_incidents')
+      .select('*')
+      .eq('id', incidentId)
+      .single();
+    
+    if (error) {
+      return null;
+    }
+    
+    return data;
+    
+  } catch (error) {
+    logger.error(PREFIX, 'Unexpected error fetching emergency incident:', error);
+    return null;
+  }
+}
+
+/**
+ * Update an emergency incident, only if it is still in the expected state
+ * The guard keeps two servers (or two clicks) from applying the same change twice.
+ * @param {string} incidentId - Incident ID
+ * @param {Object} changes - Columns to update
+ * @param {Object} expected - Column values the row must still have (e.g. { status: 'open' })
+ * @returns {Promise<Object|null>} - Updated incident, or null if it changed in the meantime
+ */
+export async function updateEmergencyIncident(incidentId, changes, expected = {}) {
+  try {
+    let query = supabase
+      .from('emergency_incidents')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', incidentId);
+    
+    for (const [column, value] of Object.entries(expected)) {
+      query = query.eq(column, value);
+    }
+    
+    const { data, error } = await query.select();
+    
+    if (error) {
+      logger.error(PREFIX, 'Error updating emergency incident:', error);
+      return null;
+    }
+    
+    return data?.[0] || null;
+    
+  } catch (error) {
+    logger.error(PREFIX, 'Unexpected error updating emergency incident:', error);
+    return null;
+  }
+}
+
+/**
+ * List emergency incidents
+ * @param {Object} filters - Filters
+ * @param {Array<string>} [filters.statuses] - Only these statuses
+ * @param {string} [filters.dueBefore] - Only incidents whose next escalation is due at or before this ISO time
+ * @param {number} [filters.limit] - Maximum rows (default 100)
+ * @returns {Promise<Array>} - Incidents, newest first
+ */
+export async function listEmergencyIncidents({ statuses = null, dueBefore = null, limit = 100 } = {}) {
+  try {
+    let query = supabase
+      .from('emergency_incidents')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    
+    if (statuses) {
+      query = query.in('status', statuses);
+    }
+    if (dueBefore) {
+      query = query.lte('next_escalation_at', dueBefore);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      logger.error(PREFIX, 'Error listing emergency incidents:', error);
+      return [];
+    }
+    
+    return data;
+    
+  } catch (error) {
+    logger.error(PREFIX, 'Unexpected error listing emergency incidents:', error);
+    return [];
+  }
+}
+
+// ============================================================
+// SCHEDULED CALLBACK FUNCTIONS (callbacks booked by the agent)
+// ============================================================
+//
+// Table scheduled_callbacks:
+//   id uuid primary key, call_id text, phone text, reason text, step_reached text,
+//   due_at timestamptz, status text, attempts int, outbound_call_id text, last_error text,
+//   claimed_at timestamptz, placed_at timestamptz, history jsonb, created_at timestamptz, updated_at timestamptz
+
+/**
+ * Insert a scheduled callback
+ * @param {Object} callback - Callback row
+ * @returns {Promise<Object|null>} - Saved callback or null
+ */
+export async function createScheduledCallback(callback) {
+  try {
+    const { data, error } = await supabase
+      .from('scheduled_callbacks')
+      .insert([callback])
+      .select()
+      .single();
+    
+    if (error) {
+      logger.error(PREFIX, 'Error saving scheduled callback:', error);
+      return null;
+    }
+    
+    return data;
+    
+  } catch (error) {
+    logger.error(PREFIX, 'Unexpected error saving scheduled callback:', error);
+    return null;
+  }
+}
+
+/**
+ * Get a scheduled callback by a column value
+ * @param {string} column - 'id' | 'outbound_call_id'
+ * @param {string} value - Value to match
+ * @returns {Promise<Object|null>} - Callback or null
+ */
+export async function getScheduledCallback(column, value) {
+  try {
+    const { data, error } = await supabase
+      .from('scheduled_callbacks')
+      .select('*')
+      .eq(column, value)
+      .single();
+    
+    if (error) {
+      return null;
+    }
+    
+    return data;
+    
+  } catch (error) {
+    logger.error(PREFIX, 'Unexpected error fetching scheduled callback:', error);
+    return null;
+  }
+}
+
+/**
+ * Update a scheduled callback, only if it is still in the expected state
+ * @param {string} callbackId - Callback ID
+ * @param {Object} changes - Columns to update
+ * @param {Object} expected - Column values the row must still have (e.g. { status: 'scheduled' })
+ * @returns {Promise<Object|null>} - Updated callback, or null if it changed in the meantime
+ */
+export async function updateScheduledCallback(callbackId, changes, expected = {}) {
+  try {
+    let query = supabase
+      .from('scheduled_callbacks')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', callbackId);
+    
+    for (const [column, value] of Object.entries(expected)) {
+      query = query.eq(column, value);
+    }
+    
+    const { data, error } = await query.select();
+    
+    if (error) {
+      logger.error(PREFIX, 'Error updating scheduled callback:', error);
+      return null;
+    }
+    
+    return data?.[0] || null;
+    
+  } catch (error) {
+    logger.error(PREFIX, 'Unexpected error updating scheduled callback:', error);
+    return null;
+  }
+}
+
+/**
+ * List scheduled callbacks
+ * @param {Object} filters - Filters
+ * @param {Array<string>} [filters.statuses] - Only these statuses
+ * @param {string} [filters.dueBefore] - Only callbacks due at or before this ISO time
+ * @param {string} [filters.claimedBefore] - Only callbacks claimed for calling at or before this ISO time
+ * @param {string} [filters.placedBefore] - Only callbacks placed at or before this ISO time
+ * @param {number} [filters.limit] - Maximum rows (default 100)
+ * @returns {Promise<Array>} - Callbacks, soonest first
+ */
+export async function listScheduledCallbacks({ statuses = null, dueBefore = null, claimedBefore = null, placedBefore = null, limit = 100 } = {}) {
+  try {
+    let query = supabase
+      .from('scheduled_callbacks')
+      .select('*')
+      .order('due_at', { ascending: true })
+      .limit(limit);
+    
+    if (statuses) {
+      query = query.in('status', statuses);
+    }
+    if (dueBefore) {
+      query = query.lte('due_at', dueBefore);
+    }
+    if (claimedBefore) {
+      query = query.lte('claimed_at', claimedBefore);
+    }
+    if (placedBefore) {
+      query = query.lte('placed_at', placedBefore);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      logger.error(PREFIX, 'Error listing scheduled callbacks:', error);
+      return [];
+    }
+    
+    return data;
+    
+  } catch (error) {
+    logger.error(PREFIX, 'Unexpected error listing scheduled callbacks:', error);
+    return [];
+  }
+}
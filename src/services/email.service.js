@@ -1,11 +1,14 @@
 /**
  * Email Service
  * Sends call summaries and notifications via email using Resend
+ * (the email channel of the notification dispatcher - see notification.service.js)
  */
 
 import { Resend } from 'resend';
 import { config } from '../config/env.js';
 import { logger } from '../utils/logger.js';
+import { resolveEmergencyNumber } from './emergency-number.service.js';
+import { escapeHtml } from '../utils/html.js';
 
 const PREFIX = 'Email';
 
@@ -33,12 +36,31 @@ function initializeResend() {
   }
 }
 
+/**
+ * Make caller-supplied text safe for a subject line (no CR/LF, so no injected headers)
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function toSubjectText(text) {
+  return String(text ?? '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * Whether email can be sent (API key and addresses configured)
+ * @param {string} [to] - Recipient (defaults to EMAIL_TO)
+ * @returns {boolean}
+ */
+export function isEmailConfigured(to = config.email.to) {
+  return Boolean(config.email.apiKey && config.email.from && to);
+}
+
 /**
  * Generate AI summary of the conversation
  * @param {Array} messages - Conversation messages
+ * @param {Object} emergency - Caller's emergency number (resolveEmergencyNumber)
  * @returns {string} - Summary text
  */
-function generateCallSummary(messages) {
+function generateCallSummary(messages, emergency = resolveEmergencyNumber()) {
   // Extract conversation content
   const userMessages = [];
   const agentMessages = [];
@@ -72,7 +94,8 @@ function generateCallSummary(messages) {
     const hasVideo = agentMessages.some(msg => msg.toLowerCase().includes('video'));
     const hasEmergency = agentMessages.some(msg => 
       msg.toLowerCase().includes('emergency') || 
-      msg.toLowerCase().includes('911') || 
+      msg.includes(emergency.number) || 
+      msg.includes(emergency.spoken) || 
       msg.toLowerCase().includes('danger')
     );
     const hasTroubleshooting = agentMessages.some(msg => 
@@ -122,6 +145,60 @@ function generateStatistics(callData) {
   };
 }
 
+/**
+ * Generate the latency and cost section of the summary email
+ * @param {Object|null} metrics - Call metrics from the telemetry service
+ * @returns {string} - HTML section (empty if no turns were measured)
+ */
+function generateMetricsSection(metrics) {
+  if (!metrics || metrics.turns.length === 0) {
+    return '';
+  }
+
+  const { summary } = metrics;
+  const ms = value => (value === null || value === undefined ? 'N/A' : `${value} ms`);
+
+  const rows = metrics.turns.map(turn => `
+    <tr>
+      <td style="padding: 6px; border-bottom: 1px solid #eee;">${turn.responseId}${turn.interrupted ? ' (interrupted)' : ''}</td>
+      <td style="padding: 6px; border-bottom: 1px solid #eee;">${ms(turn.totalMs)}</td>
+      <td style="padding: 6px; border-bottom: 1px solid #eee;">${ms(turn.firstTextMs)}</td>
+      <td style="padding: 6px; border-bottom: 1px solid #eee;">${ms(turn.stages.llm?.ms || 0)}</td>
+      <td style="padding: 6px; border-bottom: 1px solid #eee;">${turn.tools.map(t => `${t.name} (${t.ms} ms)`).join(', ') || '-'}</td>
+      <td style="padding: 6px; border-bottom: 1px solid #eee;">${turn.tokens.input + turn.tokens.output}</td>
+    </tr>`).join('');
+
+  return `
+          <div class="section">
+            <h2>⏱️ Response Latency & Cost</h2>
+            <div class="stats">
+              <div class="stat-card">
+                <div class="label">Avg Response</div>
+                <div class="value">${ms(summary.latencyMs.avg)}</div>
+              </div>
+              <div class="stat-card">
+                <div class="label">P95 Response</div>
+                <div class="value">${ms(summary.latencyMs.p95)}</div>
+              </div>
+              <div class="stat-card">
+                <div class="label">Avg First Words</div>
+                <div class="value">${ms(summary.firstTextMs.avg)}</div>
+              </div>
+              <div class="stat-card">
+                <div class="label">Tokens / Est. Cost</div>
+                <div class="value" style="font-size: 16px;">${summary.tokens.input + summary.tokens.output} / $${summary.costUsd.toFixed(4)}</div>
+              </div>
+            </div>
+            <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+              <tr style="text-align: left; color: #666;">
+                <th style="padding: 6px;">Turn</th><th style="padding: 6px;">Total</th><th style="padding: 6px;">First words</th>
+                <th style="padding: 6px;">LLM</th><th style="padding: 6px;">Tools</th><th style="padding: 6px;">Tokens</th>
+              </tr>
+              ${rows}
+            </table>
+          </div>`;
+}
+
 /**
  * Send call summary email
  * @param {Object} callData - Call summary data
@@ -144,7 +221,7 @@ export async function sendCallSummary(callData) {
     logger.log(PREFIX, `Preparing call summary email for call: ${callData.callId}`);
 
     const stats = generateStatistics(callData);
-    const callSummary = generateCallSummary(callData.messages || []);
+    const callSummary = generateCallSummary(callData.messages || [], resolveEmergencyNumber(callData.phoneNumber));
     
     // Generate email subject
     const subject = callData.emergencyDetected 
@@ -321,7 +398,7 @@ export async function sendCallSummary(callData) {
 
 /**
  * Send call summary email from webhook data (with AI summary and recording)
- * @param {Object} callData - Call data from webhook
+ * @param {Object} callData - Call data from webhook (metrics: latency/cost telemetry for the call, optional)
  * @returns {Promise<boolean>} - Success status
  */
 export async function sendCallSummaryFromWebhook(callData) {
@@ -438,6 +515,8 @@ export async function sendCallSummaryFromWebhook(callData) {
           </div>
           ` : ''}
 
+          ${generateMetricsSection(callData.metrics)}
+
           <div class="footer">
             <p>This is an automated call summary from Home Maintenance Voice Agent System</p>
             <p>Generated at ${new Date().toISOString()}</p>
@@ -472,6 +551,10 @@ export async function sendCallSummaryFromWebhook(callData) {
 /**
  * Send emergency alert email
  * @param {Object} emergencyData - Emergency details
+ * @param {string} [emergencyData.incidentId] - Incident the alert belongs to
+ * @param {string} [emergencyData.acknowledgeUrl] - One-click acknowledge link
+ * @param {number} [emergencyData.escalationLevel] - 0 for the first alert, 1+ for escalations
+ * @param {string} [emergencyData.to] - Recipient (defaults to EMAIL_TO)
  * @returns {Promise<boolean>} - Success status
  */
 export async function sendEmergencyAlert(emergencyData) {
@@ -483,21 +566,40 @@ export async function sendEmergencyAlert(emergencyData) {
       return false;
     }
 
-    if (!config.email.from || !config.email.to) {
+    const recipient = emergencyData.to || config.email.to;
+
+    if (!config.email.from || !recipient) {
       logger.warn(PREFIX, 'Email from/to addresses not configured');
       return false;
     }
 
     const isUrgent = emergencyData.isUrgentMaintenance;
+    const escalationLevel = emergencyData.escalationLevel || 0;
     const alertType = isUrgent ? 'URGENT MAINTENANCE' : 'EMERGENCY';
     const alertIcon = isUrgent ? '⚠️' : '🚨';
     const alertColor = isUrgent ? '#ff9800' : '#ff5252'; // Orange for urgent, red for emergency
 
     logger.warn(PREFIX, `Sending ${alertType} alert email for call: ${emergencyData.callId}`);
 
+    // The caller was told to dial their own country's emergency number
+    const { number: localEmergencyNumber } = resolveEmergencyNumber(emergencyData.userPhone);
     const actionTaken = isUrgent 
       ? `Call transferred to emergency maintenance team at ${emergencyData.emergencyNumber}. Professional help being dispatched.`
-      : `User instructed to call 911. If unable, call transferred to emergency team at ${emergencyData.emergencyNumber}.`;
+      : emergencyData.emergencyNumber
+        ? `User instructed to call ${localEmergencyNumber}. If unable, call transferred to emergency team at ${emergencyData.emergencyNumber}.`
+        : `User instructed to call ${localEmergencyNumber}.`;
+
+    const escalationNotice = escalationLevel > 0
+      ? `<p style="margin: 10px 0 0 0; font-size: 16px;">⏫ ESCALATION LEVEL ${escalationLevel} - nobody has acknowledged this yet</p>`
+      : '';
+
+    const acknowledgeSection = emergencyData.acknowledgeUrl
+      ? `
+          <div style="text-align: center; margin: 25px 0;">
+            <a href="${escapeHtml(emergencyData.acknowledgeUrl)}" style="background: ${alertColor}; color: white; padding: 14px 28px; border-radius: 6px; text-decoration: none; font-weight: bold; font-size: 16px;">Acknowledge Incident</a>
+            <p style="color: #666; font-size: 13px; margin-top: 12px;">Unacknowledged incidents are escalated to the next contact.</p>
+          </div>`
+      : '';
 
     const htmlBody = `
       <!DOCTYPE html>
@@ -519,15 +621,18 @@ export async function sendEmergencyAlert(emergencyData) {
           <div class="alert">
             <h1>${alertIcon} ${alertType} ALERT</h1>
             <p style="margin: 10px 0 0 0; font-size: 18px;">Immediate Action Required</p>
+            ${escalationNotice}
           </div>
           
           <div class="details">
-            <p><strong>Call ID:</strong> ${emergencyData.callId}</p>
+            <p><strong>Call ID:</strong> ${escapeHtml(emergencyData.callId)}</p>
             <p><strong>Time:</strong> ${new Date().toLocaleString()}</p>
-            <p><strong>User Phone:</strong> ${emergencyData.userPhone || 'Unknown'}</p>
-            <p><strong>${isUrgent ? 'Issue' : 'Emergency'} Type:</strong> ${emergencyData.reason}</p>
-            <p><strong>Action Taken:</strong> ${actionTaken}</p>
+            <p><strong>User Phone:</strong> ${escapeHtml(emergencyData.userPhone || 'Unknown')}</p>
+            <p><strong>${isUrgent ? 'Issue' : 'Emergency'} Type:</strong> ${escapeHtml(emergencyData.reason)}</p>
+            <p><strong>Action Taken:</strong> ${escapeHtml(actionTaken)}</p>
+            ${emergencyData.incidentId ? `<p><strong>Incident:</strong> ${escapeHtml(emergencyData.incidentId)}</p>` : ''}
           </div>
+          ${acknowledgeSection}
 
           <p style="margin-top: 20px; color: #666;">
             This is an automated alert. ${isUrgent ? 'Please ensure technician is dispatched promptly.' : 'Please review for follow-up as necessary.'}
@@ -539,8 +644,8 @@ export async function sendEmergencyAlert(emergencyData) {
 
     const { data, error } = await resend.emails.send({
       from: config.email.from,
-      to: config.email.to,
-      subject: `${alertIcon} ${alertType} ALERT - ${emergencyData.reason}`,
+      to: recipient,
+      subject: `${alertIcon} ${escalationLevel > 0 ? `[ESCALATION ${escalationLevel}] ` : ''}${alertType} ALERT - ${toSubjectText(emergencyData.reason)}`,
       html: htmlBody,
     });
 
@@ -558,6 +663,109 @@ export async function sendEmergencyAlert(emergencyData) {
   }
 }
 
+/**
+ * Send warm transfer handoff brief email
+ * @param {Object} brief - Handoff brief (see handoff.service.js)
+ * @param {string} [brief.to] - Recipient (defaults to EMAIL_TO)
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function sendTransferHandoff(brief) {
+  try {
+    const resend = initializeResend();
+
+    if (!resend) {
+      logger.error(PREFIX, 'Resend client not initialized');
+      return false;
+    }
+
+    const recipient = brief.to || config.email.to;
+
+    if (!config.email.from || !recipient) {
+      logger.warn(PREFIX, 'Email from/to addresses not configured');
+      return false;
+    }
+
+    logger.log(PREFIX, `Preparing handoff brief email for call: ${brief.callId}`);
+
+    const listItems = (items, empty) => items.length > 0
+      ? `<ul style="margin: 5px 0; padding-left: 20px;">${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+      : `<p style="margin: 5px 0; color: #666;">${empty}</p>`;
+
+    const htmlBody = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #1565c0; color: white; padding: 20px; border-radius: 10px; margin-bottom: 20px; }
+          .header h1 { margin: 0; font-size: 24px; }
+          .section { background: #f8f9fa; padding: 15px 20px; border-radius: 8px; margin-bottom: 15px; }
+          .section h3 { margin: 0 0 8px 0; color: #1565c0; }
+          .hazards { border-left: 4px solid #ff5252; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📞 Incoming Transfer</h1>
+            <p style="margin: 10px 0 0 0;">${escapeHtml(brief.issue)}</p>
+          </div>
+
+          <div class="section">
+            <p><strong>Caller:</strong> ${escapeHtml(brief.callerPhone || 'Unknown')}</p>
+            <p><strong>Transferred to:</strong> ${escapeHtml(brief.route || 'transfer line')} (${escapeHtml(brief.destination)})</p>
+            <p><strong>Call ID:</strong> ${escapeHtml(brief.callId)}</p>
+            ${brief.callerDescription ? `<p><strong>Caller said:</strong> "${escapeHtml(brief.callerDescription)}"</p>` : ''}
+          </div>
+
+          <div class="section hazards">
+            <h3>⚠️ Hazards</h3>
+            ${listItems(brief.hazards, 'None reported')}
+          </div>
+
+          <div class="section">
+            <h3>🔧 Steps Already Tried</h3>
+            ${listItems(brief.stepsTried, 'None yet')}
+          </div>
+
+          ${brief.videos.length > 0 ? `
+          <div class="section">
+            <h3>🎥 Caller Videos</h3>
+            ${listItems(brief.videos, '')}
+          </div>` : ''}
+
+          <div style="text-align: center; margin: 25px 0;">
+            <a href="${escapeHtml(brief.transcriptUrl)}" style="background: #1565c0; color: white; padding: 14px 28px; border-radius: 6px; text-decoration: none; font-weight: bold;">Open Live Transcript</a>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const { data, error } = await resend.emails.send({
+      from: config.email.from,
+      to: recipient,
+      subject: `📞 Incoming transfer - ${toSubjectText(brief.issue)}`,
+      html: htmlBody,
+      text: brief.text,
+    });
+
+    if (error) {
+      logger.error(PREFIX, 'Resend API error:', error);
+      return false;
+    }
+
+    logger.success(PREFIX, `Handoff brief email sent: ${data.id}`);
+    return true;
+
+  } catch (error) {
+    logger.error(PREFIX, 'Failed to send handoff brief email:', error);
+    return false;
+  }
+}
+
 /**
  * Test email configuration
  * @returns {Promise<boolean>} - Success status
@@ -1,19 +1,202 @@
 /**
  * Embedding Service
- * Creates embeddings using OpenAI
+ * Creates embeddings for knowledge base chunks and search queries with the provider chosen in
+ * config.embeddings.provider:
+ * - openai: OpenAI embeddings (config.embeddings.model / dimensions)
+ * - hash: deterministic offline vectors (hash-embedding.service.js), for tests and demos
+ *
+ * A provider is an object with { name, model, dimensions, embedDocuments(texts), embedQuery(text) }.
+ * Changing the provider, model or dimensions changes the vectors, so the knowledge base has to be
+ * uploaded again into an empty vector store.
+ *
+ * Documents are embedded in batches of config.embeddings.batchSize, config.embeddings.concurrency
+ * batches at a time. Embeddings are cached by a hash of provider, model, dimensions and text, so
+ * re-uploading a document only embeds the chunks that changed. The cache file is written
+ * config.embeddings.cacheSaveDelayMs after the first unsaved change, so a run of uploads saves it once.
  */
 
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
 import { OpenAIEmbeddings } from '@langchain/openai';
 import { config } from '../config/env.js';
 import { logger } from '../utils/logger.js';
+import { measureStage } from './telemetry.service.js';
+import { createHashEmbeddingProvider } from './hash-embedding.service.js';
 
 const PREFIX = 'Embeddings';
 
-// Initialize OpenAI embeddings
-const embeddings = new OpenAIEmbeddings({
-  openAIApiKey: config.openai.apiKey,
-  modelName: 'text-embedding-3-small', // or text-embedding-ada-002
-});
+/**
+ * Create the OpenAI embedding provider
+ * @returns {Object} - Embedding provider
+ */
+function createOpenAIEmbeddingProvider() {
+  const { model, dimensions } = config.embeddings;
+  const embeddings = new OpenAIEmbeddings({
+    openAIApiKey: config.openai.apiKey,
+    model,
+    ...(dimensions && { dimensions }),
+  });
+
+  return {
+    name: 'openai',
+    model,
+    dimensions,
+    embedDocuments: (texts) => embeddings.embedDocuments(texts),
+    embedQuery: (text) => embeddings.embedQuery(text),
+  };
+}
+
+const PROVIDERS = {
+  openai: createOpenAIEmbeddingProvider,
+  hash: () => createHashEmbeddingProvider({ dimensions: config.embeddings.dimensions || undefined }),
+};
+
+let provider = null;
+
+// Content hash → embedding, oldest first (loaded from config.embeddings.cacheFile on first use)
+let cache = null;
+let saveTimer = null;
+let saveQueue = Promise.resolve();
+
+/**
+ * Replace the embedding provider (null = back to config.embeddings.provider)
+ * @param {Object|null} embeddingProvider - Object implementing the provider interface
+ */
+export function setEmbeddingProvider(embeddingProvider) {
+  provider = embeddingProvider;
+}
+
+/**
+ * The embedding provider in use (created from config on first use)
+ * @returns {Object} - Embedding provider
+ */
+export function getEmbeddingProvider() {
+  if (!provider) {
+    const create = PROVIDERS[config.embeddings.provider];
+    if (!create) {
+      throw new Error(`Unknown embedding provider: ${config.embeddings.provider} (expected ${Object.keys(PROVIDERS).join(' or ')})`);
+    }
+    provider = create();
+    logger.log(PREFIX, `Using ${provider.name} embeddings (${provider.model})`);
+  }
+  return provider;
+}
+
+/**
+ * Cache key of a text for the current provider
+ * @param {Object} embeddingProvider - Provider
+ * @param {string} text - Text
+ * @returns {string} - SHA-256 hex digest
+ */
+function cacheKey(embeddingProvider, text) {
+  return crypto.createHash('sha256')
+    .update(`${embeddingProvider.name}\0${embeddingProvider.model}\0${embeddingProvider.dimensions ?? ''}\0${text}`)
+    .digest('hex');
+}
+
+/**
+ * Load the embedding cache on first use
+ * @returns {Promise<Map>} - Content hash → embedding
+ */
+async function loadCache() {
+  if (cache) return cache;
+
+  const loaded = new Map();
+  if (config.embeddings.cacheFile) {
+    try {
+      const saved = JSON.parse(await fs.readFile(config.embeddings.cacheFile, 'utf8'));
+      // Stored as base64 Float32 to keep the file small
+      for (const [key, encoded] of Object.entries(saved.embeddings)) {
+        const buffer = Buffer.from(encoded, 'base64');
+        loaded.set(key, Array.from(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4)));
+      }
+      logger.log(PREFIX, `Loaded ${loaded.size} cached embeddings`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(PREFIX, 'Failed to load embedding cache, starting empty:', error);
+      }
+    }
+  }
+
+  cache = cache || loaded;
+  return cache;
+}
+
+/**
+ * Write the embedding cache to config.embeddings.cacheFile now (and cancel a pending delayed write)
+ * Writes are queued, and each replaces the file in one rename; a failed save only costs re-embedding later.
+ * @returns {Promise<void>}
+ */
+export function saveEmbeddingCache() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+
+  const file = config.embeddings.cacheFile;
+  if (!file || !cache) return saveQueue;
+
+  const snapshot = JSON.stringify({
+    embeddings: Object.fromEntries([...cache].map(([key, embedding]) => [key, Buffer.from(new Float32Array(embedding).buffer).toString('base64')])),
+  });
+
+  saveQueue = saveQueue.catch(() => {}).then(async () => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, snapshot);
+    await fs.rename(`${file}.tmp`, file);
+  }).catch(error => logger.error(PREFIX, 'Failed to save embedding cache:', error));
+
+  return saveQueue;
+}
+
+/**
+ * Add embeddings to the cache, dropping the oldest beyond config.embeddings.cacheSize, and schedule a save
+ * @param {Array<Array>} entries - [content hash, embedding] pairs
+ */
+function storeInCache(entries) {
+  if (config.embeddings.cacheSize <= 0 || !entries.length) return;
+
+  for (const [key, embedding] of entries) {
+    cache.set(key, embedding);
+  }
+  for (const key of cache.keys()) {
+    if (cache.size <= config.embeddings.cacheSize) break;
+    cache.delete(key);
+  }
+
+  if (config.embeddings.cacheFile && !saveTimer) {
+    saveTimer = setTimeout(saveEmbeddingCache, config.embeddings.cacheSaveDelayMs);
+    saveTimer.unref();
+  }
+}
+
+/**
+ * Embed texts in batches, a limited number of batches at a time, keeping their order
+ * @param {Object} embeddingProvider - Provider
+ * @param {Array<string>} texts - Texts
+ * @returns {Promise<Array<number[]>>} - Embeddings in the same order
+ */
+async function embedInBatches(embeddingProvider, texts) {
+  const { batchSize, concurrency } = config.embeddings;
+  const batches = [];
+  for (let i = 0; i < texts.length; i += batchSize) {
+    batches.push(texts.slice(i, i + batchSize));
+  }
+
+  const results = new Array(batches.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < batches.length) {
+      const batch = next++;
+      results[batch] = await embeddingProvider.embedDocuments(batches[batch]);
+      if (batches.length > 1) {
+        logger.log(PREFIX, `Embedded batch ${batch + 1}/${batches.length}`);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(concurrency, 1), batches.length) }, worker));
+  return results.flat();
+}
 
 /**
  * Create embeddings for text chunks
@@ -22,13 +205,26 @@ const embeddings = new OpenAIEmbeddings({
  */
 export async function createEmbeddings(textChunks) {
   try {
+    const embeddingProvider = getEmbeddingProvider();
+    const embeddingCache = await loadCache();
     logger.log(PREFIX, `Creating embeddings for ${textChunks.length} chunks...`);
-    
-    const embeddingVectors = await embeddings.embedDocuments(textChunks);
-    
-    logger.success(PREFIX, `Created ${embeddingVectors.length} embeddings`);
+
+    // Only embed texts that aren't cached, and each distinct text once
+    const keys = textChunks.map(text => cacheKey(embeddingProvider, text));
+    const missing = new Map();
+    keys.forEach((key, index) => {
+      if (!embeddingCache.has(key) && !missing.has(key)) missing.set(key, textChunks[index]);
+    });
+
+    const created = missing.size ? await embedInBatches(embeddingProvider, [...missing.values()]) : [];
+    const fresh = new Map([...missing.keys()].map((key, index) => [key, created[index]]));
+    const embeddingVectors = keys.map(key => fresh.get(key) || embeddingCache.get(key));
+
+    storeInCache([...fresh]);
+
+    logger.success(PREFIX, `Created ${embeddingVectors.length} embeddings (${textChunks.length - missing.size} from cache)`);
     return embeddingVectors;
-    
+
   } catch (error) {
     logger.error(PREFIX, 'Error creating embeddings:', error);
     throw error;
@@ -42,21 +238,16 @@ export async function createEmbeddings(textChunks) {
  */
 export async function createQueryEmbedding(query) {
   try {
+    const embeddingProvider = getEmbeddingProvider();
     logger.log(PREFIX, 'Creating query embedding...');
-    
-    const embeddingVector = await embeddings.embedQuery(query);
-    
+
+    const embeddingVector = await measureStage('embedding', () => embeddingProvider.embedQuery(query));
+
     logger.success(PREFIX, 'Query embedding created');
     return embeddingVector;
-    
+
   } catch (error) {
     logger.error(PREFIX, 'Error creating query embedding:', error);
     throw error;
   }
 }
-
-
-
-
-
-
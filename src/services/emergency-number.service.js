@@ -0,0 +1,140 @@
+/**
+ * Emergency Number Service
+ * Works out which emergency number a caller should dial from the country code of their phone number,
+ * and renders the safety scripts (the "hang up and dial ..." wording) for that country.
+ *
+ * Country table (JSON, see src/config/emergency-numbers.json):
+ * {
+ *   "defaultCountry": "US",
+ *   "scripts": { "instruct": "... dial {spoken} ...", "fallback": "...", "unavailable": "..." },
+ *   "countries": {
+ *     "GB": { "name": "United Kingdom", "callingCodes": ["44"], "number": "999", "spoken": "9 9 9", "scripts"?: { ... } }
+ *   }
+ * }
+ *
+ * Scripts may use {number}, {spoken} and {country}; a country's own scripts override the shared ones.
+ * The longest matching calling code wins. Numbers without a leading "+" (or with an unknown code)
+ * get the default country.
+ */
+
+import fs from 'fs';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+const PREFIX = 'EmergencyNumber';
+
+export const SAFETY_SCRIPTS = ['instruct', 'fallback', 'unavailable'];
+
+// Loaded country table (null = read from config.emergencyNumbers.file on next use)
+let countryTable = null;
+
+/**
+ * Validate a country table and index it by calling code
+ * @param {Object} table - Parsed country table
+ * @returns {Object} - { defaultCountry, byCallingCode: Map, countries }
+ */
+function normalizeTable(table) {
+  const missingScript = SAFETY_SCRIPTS.find(name => !table.scripts?.[name]);
+  if (missingScript) {
+    throw new Error(`Emergency number table: scripts.${missingScript} is required`);
+  }
+
+  const countries = {};
+  const byCallingCode = new Map();
+
+  for (const [code, entry] of Object.entries(table.countries || {})) {
+    if (!entry.number) {
+      throw new Error(`Emergency number table: ${code} has no number`);
+    }
+
+    const country = {
+      country: code,
+      name: entry.name || code,
+      number: String(entry.number),
+      spoken: entry.spoken || String(entry.number).split('').join(' '),
+      scripts: { ...table.scripts, ...(entry.scripts || {}) },
+    };
+    countries[code] = country;
+
+    for (const callingCode of entry.callingCodes || []) {
+      // Shared codes (e.g. +1) go to the first country listed
+      if (!byCallingCode.has(callingCode)) {
+        byCallingCode.set(String(callingCode), country);
+      }
+    }
+  }
+
+  if (!countries[table.defaultCountry]) {
+    throw new Error(`Emergency number table: defaultCountry "${table.defaultCountry}" is not in countries`);
+  }
+
+  return { defaultCountry: countries[table.defaultCountry], byCallingCode, countries };
+}
+
+/**
+ * Get the country table, reading the table file on first use
+ * @returns {Object} - Normalized table
+ */
+function getTable() {
+  if (!countryTable) {
+    const filePath = config.emergencyNumbers.file;
+    countryTable = normalizeTable(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    logger.log(PREFIX, `🌍 Loaded emergency numbers for ${Object.keys(countryTable.countries).length} countries from ${filePath}`);
+  }
+  return countryTable;
+}
+
+/**
+ * Replace the country table (tests, or a table built at runtime)
+ * @param {Object|null} table - Table in file format, or null to reload from config.emergencyNumbers.file
+ */
+export function setEmergencyNumbers(table) {
+  countryTable = table ? normalizeTable(table) : null;
+}
+
+/**
+ * Emergency number for a caller
+ * @param {string|null} phoneNumber - Caller's number, E.164 (e.g. "+447700900123")
+ * @returns {Object} - { country, name, number, spoken, scripts }
+ */
+export function resolveEmergencyNumber(phoneNumber = null) {
+  const { defaultCountry, byCallingCode } = getTable();
+  const value = String(phoneNumber || '').replace(/[\s().-]/g, '');
+
+  if (!value.startsWith('+')) {
+    return defaultCountry;
+  }
+
+  const digits = value.slice(1);
+  // Calling codes are 1-3 digits - try the longest first
+  for (let length = 3; length >= 1; length--) {
+    const country = byCallingCode.get(digits.slice(0, length));
+    if (country) return country;
+  }
+
+  logger.warn(PREFIX, `No emergency number for ${value.slice(0, 4)}... - using ${defaultCountry.country} (${defaultCountry.number})`);
+  return defaultCountry;
+}
+
+/**
+ * Fill {number}, {spoken} and {country} in a piece of text
+ * @param {string} text - Text with placeholders
+ * @param {Object} emergency - Result of resolveEmergencyNumber
+ * @returns {string}
+ */
+export function fillEmergencyNumber(text, emergency = resolveEmergencyNumber()) {
+  return String(text || '')
+    .replace(/\{number\}/g, emergency.number)
+    .replace(/\{spoken\}/g, emergency.spoken)
+    .replace(/\{country\}/g, emergency.name);
+}
+
+/**
+ * Safety script for a caller's country
+ * @param {string} name - 'instruct' | 'fallback' | 'unavailable'
+ * @param {Object} emergency - Result of resolveEmergencyNumber
+ * @returns {string} - Script text
+ */
+export function getSafetyScript(name, emergency = resolveEmergencyNumber()) {
+  return fillEmergencyNumber(emergency.scripts[name], emergency);
+}
@@ -1,56 +1,123 @@
 /**
  * Emergency Tool Service
  * Handles emergency situations and call transfers
+ *
+ * Transfer tools return their result as content plus an artifact: the content tells the model what happened,
+ * the artifact is the transfer action ({ type: 'transfer', destination, category, reason, message, ... })
+ * that the graph surfaces as state.pendingAction for the controller to carry out.
  */
 
 import { tool } from '@langchain/core/tools';
 import { z } from 'zod';
 import { logger } from '../utils/logger.js';
-import { config } from '../config/env.js';
+import { resolveTransferRoute } from './transfer-routing.service.js';
+import { resolveEmergencyNumber, getSafetyScript } from './emergency-number.service.js';
 
 const PREFIX = 'Emergency';
 
+// Issue types the routing table can send to a dedicated dispatch line
+const MAINTENANCE_ISSUE_TYPES = ['plumbing', 'electrical', 'hvac', 'gas', 'appliance', 'other'];
+
+// What the caller hears before each kind of transfer
+const TRANSFER_MESSAGES = {
+  emergency: "I'm transferring you to our emergency response team immediately. Please stay on the line.",
+  urgent_maintenance: "This needs immediate professional attention. I'm transferring you to our emergency maintenance team who will dispatch help right away. Please stay on the line.",
+  human_agent: "I understand you'd like to speak with a human agent. I'm transferring you to our support team now. Please stay on the line.",
+};
+
+/**
+ * Build the transfer action for a resolved route
+ * @param {Object} route - Route from resolveTransferRoute
+ * @param {string} reason - Why the call is being transferred
+ * @returns {Object} - Transfer action
+ */
+function buildTransferAction(route, reason) {
+  return {
+    type: 'transfer',
+    destination: route.number,
+    category: route.category,
+    reason,
+    issueType: route.issueType,
+    route: route.route,
+    message: TRANSFER_MESSAGES[route.category],
+  };
+}
+
+/**
+ * Create a transfer action without going through the model (e.g. the hazard fast path)
+ * @param {Object} request - Transfer request
+ * @param {string} request.category - 'emergency' | 'urgent_maintenance' | 'human_agent'
+ * @param {string} request.reason - Why the call is being transferred
+ * @param {string} [request.issueType] - Issue type for routing (e.g. 'electrical')
+ * @returns {Object|null} - Transfer action, or null when no destination is configured
+ */
+export function createTransferAction({ category, reason, issueType = null }) {
+  const route = resolveTransferRoute({ category, issueType });
+  return route ? buildTransferAction(route, reason) : null;
+}
+
+/**
+ * Tool result for a transfer that will be placed
+ * @param {Object} route - Route from resolveTransferRoute
+ * @param {string} reason - Why the call is being transferred
+ * @returns {Array} - [content, transfer action]
+ */
+function transferPlaced(route, reason) {
+  const action = buildTransferAction(route, reason);
+  return [`Transfer to ${route.route} is being placed. The caller will hear: "${action.message}"`, action];
+}
+
+/**
+ * Tool result when no transfer destination is configured
+ * The agent reads this and tells the caller what to do instead of going silent.
+ * @param {string} instruction - What the agent should tell the caller
+ * @returns {Array} - [content, no action]
+ */
+function transferUnavailable(instruction) {
+  return [`TRANSFER_UNAVAILABLE: No transfer line is configured right now. ${instruction}`, null];
+}
+
 /**
  * Tool: Transfer Emergency Call
  * Transfers call to emergency support number
+ * @param {Object} emergency - Caller's emergency number (resolveEmergencyNumber)
+ * @returns {Object} - LangChain tool
  */
-export const transferEmergencyCallTool = tool(
+export const createTransferEmergencyCallTool = (emergency = resolveEmergencyNumber()) => tool(
   async ({ reason }) => {
     try {
       logger.warn(PREFIX, `🚨 LIFE-THREATENING emergency detected: ${reason}`);
       
-      // Get emergency number from config or default to a placeholder
-      const emergencyNumber = config.emergency.phoneNumber || '+1234567890';
+      const route = resolveTransferRoute({ category: 'emergency' });
       
-      if (!config.emergency.phoneNumber) {
-        logger.error(PREFIX, 'Emergency phone number not configured in .env');
+      if (!route) {
+        return transferUnavailable(getSafetyScript('unavailable', emergency));
       }
       
-      logger.success(PREFIX, `Will instruct user to call: ${emergencyNumber}`);
+      logger.success(PREFIX, `Transferring to emergency line: ${route.number}`);
       
-      // Return signal for controller to handle
-      return `EMERGENCY_TRANSFER:${emergencyNumber}:${reason}`;
+      return transferPlaced(route, reason);
       
     } catch (error) {
       logger.error(PREFIX, 'Error processing emergency:', error);
-      return 'EMERGENCY_TRANSFER:911:emergency situation';
+      return transferUnavailable(getSafetyScript('unavailable', emergency));
     }
   },
   {
     name: 'transfer_emergency_call',
-    description: `IMMEDIATE emergency transfer when user cannot call 911 themselves.
+    description: `IMMEDIATE emergency transfer when user cannot call ${emergency.number} themselves.
 
 ⚠️ CRITICAL - USE IMMEDIATELY when user says:
-- "I can't call 911"
+- "I can't call ${emergency.number}"
 - "I can't hang up"
 - "My phone is broken"
 - "Can you call for me?"
 - "I can't leave [person/situation]"
-- ANY indication they cannot call 911 themselves
+- ANY indication they cannot call ${emergency.number} themselves
 
 Requirements:
-1. You MUST have already told them to call 911 first
-2. They indicated they CANNOT call 911 (for any reason)
+1. You MUST have already told them to call ${emergency.number} first
+2. They indicated they CANNOT call ${emergency.number} (for any reason)
 3. The situation is life-threatening
 
 When these conditions are met:
@@ -59,19 +126,15 @@ When these conditions are met:
 → NO delays
 → Every second counts in emergencies
 
-AFTER using this tool, you MUST say EXACTLY:
-"I'm transferring you to our emergency response team immediately. Please stay on the line."
-
-DO NOT say:
-- "They will call 911 for you"
-- "They will contact emergency services"
-- Any other phrases
+The caller automatically hears: "I'm transferring you to our emergency response team immediately. Please stay on the line."
+Do not add anything of your own - in particular never say they will call ${emergency.number} for them.
 
 DO NOT use this tool if:
-- You haven't told them to call 911 yet
-- They just mentioned an emergency (tell them 911 first!)
+- You haven't told them to call ${emergency.number} yet
+- They just mentioned an emergency (tell them ${emergency.number} first!)
 - It's a minor issue (slow heater, small leak)
 - User just wants faster service`,
+    responseFormat: 'content_and_artifact',
     schema: z.object({
       reason: z.string().describe('Brief description of the emergency situation requiring transfer (e.g., "gas leak with injured person")'),
     }),
@@ -80,28 +143,26 @@ DO NOT use this tool if:
 
 /**
  * Tool: Transfer Urgent Home Maintenance Call
- * For urgent home issues that need immediate professional response (but not 911)
+ * For urgent home issues that need immediate professional response (but not the emergency services)
  */
 export const transferUrgentMaintenanceTool = tool(
-  async ({ issue, urgency }) => {
+  async ({ issue, urgency, issueType }) => {
     try {
-      logger.warn(PREFIX, `⚠️ URGENT MAINTENANCE issue detected: ${issue}`);
+      logger.warn(PREFIX, `⚠️ URGENT MAINTENANCE issue detected (${issueType}): ${issue}`);
       
-      // Get emergency number from config
-      const emergencyNumber = config.emergency.phoneNumber;
+      const route = resolveTransferRoute({ category: 'urgent_maintenance', issueType });
       
-      if (!config.emergency.phoneNumber) {
-        logger.error(PREFIX, 'Emergency phone number not configured in .env');
+      if (!route) {
+        return transferUnavailable('Give the caller the most important safety step for this issue (for example shutting off the water main or the breaker) and let them know the maintenance team will follow up as soon as possible.');
       }
       
-      logger.success(PREFIX, `Transferring to maintenance emergency line: ${emergencyNumber}`);
+      logger.success(PREFIX, `Transferring to maintenance line ${route.route}: ${route.number}`);
       
-      // Return signal for controller to handle
-      return `EMERGENCY_TRANSFER:${emergencyNumber}:urgent_maintenance_${issue}`;
+      return transferPlaced(route, issue);
       
     } catch (error) {
       logger.error(PREFIX, 'Error processing urgent maintenance transfer:', error);
-      return `EMERGENCY_TRANSFER:${config.emergency.phoneNumber}:urgent_maintenance`;
+      return transferUnavailable('Apologize and let the caller know the maintenance team will follow up as soon as possible.');
     }
   },
   {
@@ -124,8 +185,7 @@ When to use:
 → User cannot safely fix it themselves
 → Not life-threatening (no fire, no injuries, no gas symptoms)
 
-After using this tool, say:
-"This needs immediate professional attention. I'm transferring you to our emergency maintenance team who will dispatch help right away. Please stay on the line."
+The caller automatically hears: "This needs immediate professional attention. I'm transferring you to our emergency maintenance team who will dispatch help right away. Please stay on the line."
 
 DO NOT use this tool for:
 - Minor leaks (dripping faucet, small toilet leak)
@@ -133,9 +193,11 @@ DO NOT use this tool for:
 - Issues that can wait a few hours
 - User wants to try fixing it themselves first
 - Life-threatening emergencies (use transfer_emergency_call instead)`,
+    responseFormat: 'content_and_artifact',
     schema: z.object({
       issue: z.string().describe('Brief description of the urgent maintenance issue (e.g., "major water leak flooding basement")'),
       urgency: z.string().describe('Why immediate professional help is needed (e.g., "water spreading rapidly, could damage electrical")'),
+      issueType: z.enum(MAINTENANCE_ISSUE_TYPES).describe('Trade needed: plumbing (leaks, flooding, sewage, water heater), electrical (power loss), hvac (furnace, AC), gas (gas smell, no symptoms), appliance, or other'),
     }),
   }
 );
@@ -149,21 +211,19 @@ export const transferToHumanAgentTool = tool(
     try {
       logger.log(PREFIX, `👤 User requesting human agent: ${userRequest}`);
       
-      // Get emergency/support number from config
-      const supportNumber = config.emergency.phoneNumber || '+1234567890';
+      const route = resolveTransferRoute({ category: 'human_agent' });
       
-      if (!config.emergency.phoneNumber) {
-        logger.error(PREFIX, 'Support phone number not configured in .env');
+      if (!route) {
+        return transferUnavailable('Apologize that no one is available to take the call, offer to keep helping, and let the caller know the support team will follow up.');
       }
       
-      logger.success(PREFIX, `Transferring to human support agent: ${supportNumber}`);
+      logger.success(PREFIX, `Transferring to human support agent ${route.route}: ${route.number}`);
       
-      // Return signal for controller to handle
-      return `EMERGENCY_TRANSFER:${supportNumber}:human_agent_requested`;
+      return transferPlaced(route, userRequest);
       
     } catch (error) {
       logger.error(PREFIX, 'Error processing human agent transfer:', error);
-      return `EMERGENCY_TRANSFER:${config.emergency.phoneNumber}:human_agent_requested`;
+      return transferUnavailable('Apologize and let the caller know the support team will follow up.');
     }
   },
   {
@@ -188,14 +248,14 @@ When to use:
 → User prefers human support over AI
 → User asks for supervisor/manager/agent
 
-After using this tool, say:
-"I understand you'd like to speak with a human agent. I'm transferring you to our support team now. Please stay on the line."
+The caller automatically hears: "I understand you'd like to speak with a human agent. I'm transferring you to our support team now. Please stay on the line."
 
 DO NOT use this tool if:
 - User is just asking questions (answer them first)
 - User hasn't explicitly asked for human transfer
 - You can easily resolve their issue yourself
 - It's an emergency (use emergency tools instead)`,
+    responseFormat: 'content_and_artifact',
     schema: z.object({
       userRequest: z.string().describe('What the user said that indicates they want human support (e.g., "I want to talk to a person")'),
     }),
@@ -204,10 +264,11 @@ DO NOT use this tool if:
 
 /**
  * Create emergency tools array
+ * @param {Object} emergency - Caller's emergency number (resolveEmergencyNumber)
  * @returns {Array} - Array of emergency tools
  */
-export function createEmergencyTools() {
-  logger.log(PREFIX, 'Emergency and support transfer tools initialized');
-  return [transferEmergencyCallTool, transferUrgentMaintenanceTool, transferToHumanAgentTool];
+export function createEmergencyTools(emergency = resolveEmergencyNumber()) {
+  logger.log(PREFIX, `Emergency and support transfer tools initialized (local emergency number ${emergency.number})`);
+  return [createTransferEmergencyCallTool(emergency), transferUrgentMaintenanceTool, transferToHumanAgentTool];
 }
 
@@ -12,6 +12,8 @@ const PREFIX = 'FileProcessor';
 
 /**
  * Extract text from PDF file
+ * Line breaks are kept and pages are separated by a form feed (\f), so chunking can follow
+ * the layout and record page numbers.
  * @param {string} filePath - Path to PDF file
  * @returns {Promise<string>} - Extracted text
  */
@@ -25,19 +27,21 @@ async function extractTextFromPDF(filePath) {
     const loadingTask = pdfjsLib.getDocument({ data: uint8Array });
     const pdf = await loadingTask.promise;
 
-    let fullText = '';
+    const pages = [];
 
     for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
       const page = await pdf.getPage(pageNum);
       const content = await page.getTextContent();
 
       const pageText = content.items
-        .map(item => item.str)
-        .join(' ');
+        .map(item => (item.hasEOL ? `${item.str}\n` : `${item.str} `))
+        .join('');
 
-      fullText += pageText + '\n';
+      pages.push(pageText);
     }
 
+    const fullText = pages.join('\f');
+
     if (!fullText.trim()) {
       throw new Error('PDF contains no extractable text (possibly scanned)');
     }
@@ -118,10 +122,10 @@ export async function processFile(filePath, mimeType) {
       throw new Error(`Unsupported file type: ${mimeType} with extension: .${ext}`);
     }
 
-    // Clean up the text
-    text = text.trim();
+    // Clean up the text (keeping leading/trailing form feeds, which count pages)
+    text = text.replace(/^[^\S\f]+|[^\S\f]+$/g, '');
 
-    if (!text || text.length === 0) {
+    if (!text.trim()) {
       throw new Error('No text content found in file');
     }
 
@@ -133,26 +137,3 @@ export async function processFile(filePath, mimeType) {
     throw error;
   }
 }
-
-/**
- * Split text into chunks for embedding
- * @param {string} text - Text to split
- * @param {number} chunkSize - Size of each chunk
- * @param {number} overlap - Overlap between chunks
- * @returns {Array<string>} - Array of text chunks
- */
-export function splitTextIntoChunks(text, chunkSize = 1000, overlap = 200) {
-  const chunks = [];
-  let startIndex = 0;
-
-  while (startIndex < text.length) {
-    const endIndex = Math.min(startIndex + chunkSize, text.length);
-    const chunk = text.slice(startIndex, endIndex);
-    chunks.push(chunk.trim());
-    startIndex += chunkSize - overlap;
-  }
-
-  logger.log(PREFIX, `Split text into ${chunks.length} chunks`);
-  return chunks;
-}
-
@@ -0,0 +1,185 @@
+/**
+ * Handoff Service
+ * Builds the brief for a warm transfer: who is calling, what the issue is, what has already been tried
+ * and which hazards came up - from the call's conversation and the caller's video transcripts.
+ *
+ * The brief is built without the model so it's ready the moment the transfer goes out. Its spoken
+ * form is whispered to the person picking up; the full brief goes out as a transfer_handoff notification
+ * with a link to the live transcript.
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/env.js';
+
+const TRANSFER_LABELS = {
+  emergency: 'Emergency',
+  urgent_maintenance: 'Urgent maintenance',
+  human_agent: 'Support',
+};
+
+// Sentences that read as a repair step the agent gave or the caller already took
+const AGENT_STEP_PATTERN = /^(?:(?:first|next|now|then|okay|ok|so|great)[,.]?\s+)?(?:(?:let's|please|can you|could you|try to|go ahead and)\s+)?(try|check|turn|make sure|reset|press|push|flip|switch|shut|close|open|unplug|plug|replace|tighten|loosen|remove|locate|find|set|hold|clean|clear|relight|restart)\b/i;
+const CALLER_STEP_PATTERN = /\b(?:i|we)(?:'ve| have)?\s+(?:already\s+)?(tried|reset|checked|turned|replaced|flipped|shut|unplugged|restarted|cleaned|relit|pressed)\b/i;
+
+const MAX_STEPS = 5;
+const MAX_SPOKEN_STEPS = 2;
+const MAX_SNIPPET = 160;
+
+// Key for transcript link tokens when TRANSCRIPT_LINK_SECRET is unset (outside production only, see
+// validateConfig) - links then stop working when the process restarts
+const fallbackLinkSecret = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Text content of a message
+ * @param {Object} message - LangChain message
+ * @returns {string}
+ */
+function textOf(message) {
+  return typeof message.content === 'string' ? message.content : '';
+}
+
+/**
+ * Shorten text to a single readable line
+ * @param {string} text - Text
+ * @param {number} max - Maximum length
+ * @returns {string}
+ */
+function snippet(text, max = MAX_SNIPPET) {
+  const line = String(text || '').replace(/\s+/g, ' ').replace(/\s*\[CALL TRANSFERRED\]/, '').trim();
+  return line.length > max ? `${line.slice(0, max - 1).trimEnd()}…` : line;
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text
+ * @returns {Array<string>}
+ */
+function sentences(text) {
+  return text.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Steps already given by the agent or taken by the caller, oldest first
+ * @param {Array} messages - Conversation messages
+ * @returns {Array<string>}
+ */
+function findStepsTried(messages) {
+  const steps = [];
+
+  for (const message of messages) {
+    const type = message._getType();
+    if (type !== 'ai' && type !== 'human') continue;
+
+    const pattern = type === 'ai' ? AGENT_STEP_PATTERN : CALLER_STEP_PATTERN;
+    for (const sentence of sentences(textOf(message))) {
+      // "How do I reset it?" is the caller asking, not something they did
+      if (type === 'human' && sentence.endsWith('?')) continue;
+
+      if (pattern.test(sentence)) {
+        steps.push(`${type === 'ai' ? 'Agent' : 'Caller'}: ${snippet(sentence, 120)}`);
+      }
+    }
+  }
+
+  // Most recent steps are the most relevant to whoever picks up
+  return [...new Set(steps)].slice(-MAX_STEPS);
+}
+
+/**
+ * Signature of a call's transcript link
+ * @param {string} callId - Call ID
+ * @param {string} expires - Expiry (ms since epoch, base 36)
+ * @returns {string}
+ */
+function signTranscriptLink(callId, expires) {
+  const secret = config.transfers.linkSecret || fallbackLinkSecret;
+  return crypto.createHmac('sha256', secret).update(`${callId}:${expires}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Link to the live transcript of a call, valid for config.transfers.linkTtlHours
+ * @param {string} callId - Call ID
+ * @param {number} now - Current time in ms
+ * @returns {string} - URL
+ */
+export function getTranscriptUrl(callId, now = Date.now()) {
+  const base = config.incidents.publicUrl.replace(/\/$/, '');
+  const expires = (now + config.transfers.linkTtlHours * 60 * 60 * 1000).toString(36);
+  return `${base}/calls/${encodeURIComponent(callId)}/transcript?token=${expires}.${signTranscriptLink(callId, expires)}`;
+}
+
+/**
+ * Check a transcript link token (signature and expiry)
+ * @param {string} callId - Call ID
+ * @param {string} token - Token from the link
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function isValidTranscriptToken(callId, token, now = Date.now()) {
+  const [expires, signature] = String(token || '').split('.');
+  if (!expires || !signature || !(parseInt(expires, 36) > now)) return false;
+
+  const expected = Buffer.from(signTranscriptLink(callId, expires));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Build the handoff brief for a transfer
+ * @param {Object} details - Call details
+ * @param {string} details.callId - Call ID from Retell
+ * @param {string|null} details.callerPhone - Caller's phone number
+ * @param {Object} details.action - Transfer action ({ category, destination, route, reason, issueType })
+ * @param {Array} details.messages - Conversation messages so far
+ * @param {Array} [details.transcripts] - Caller's video transcripts ({ transcript })
+ * @param {Array<string>} [details.hazards] - Hazards detected during the call
+ * @returns {Object} - { callId, callerPhone, category, destination, route, issue, callerDescription, stepsTried, hazards, videos, transcriptUrl, spoken, text, createdAt }
+ */
+export function buildHandoffBrief({ callId, callerPhone = null, action, messages = [], transcripts = [], hazards = [] }) {
+  const label = TRANSFER_LABELS[action.category] || 'Transfer';
+  const callerTurns = messages.filter(m => m._getType() === 'human').map(textOf).filter(Boolean);
+  const callerDescription = callerTurns.length > 0 ? snippet(callerTurns[0]) : null;
+  const issue = snippet(action.reason || callerDescription || 'Not stated');
+  const stepsTried = findStepsTried(messages);
+  const videos = (transcripts || []).map((t, i) => `Video ${i + 1}: ${snippet(t.transcript, 200)}`);
+  const uniqueHazards = [...new Set(hazards.filter(Boolean))];
+  const transcriptUrl = getTranscriptUrl(callId);
+
+  // What the person picking up hears before the caller is connected - keep it short
+  const spoken = [
+    `${label} transfer from the home maintenance line.`,
+    `Caller ${callerPhone || 'number unknown'}.`,
+    `Issue: ${snippet(issue, 100)}.`,
+    uniqueHazards.length > 0 ? `Hazards: ${uniqueHazards.join('; ')}.` : null,
+    stepsTried.length > 0 ? `Already tried: ${stepsTried.slice(-MAX_SPOKEN_STEPS).map(s => s.replace(/^(Agent|Caller): /, '')).join('; ')}.` : null,
+  ].filter(Boolean).join(' ').replace(/\.\./g, '.');
+
+  const text = [
+    `${label} transfer - call ${callId}`,
+    `Caller: ${callerPhone || 'Unknown'}`,
+    `Transferred to: ${action.route || 'transfer line'} (${action.destination})`,
+    `Issue: ${issue}`,
+    callerDescription && callerDescription !== issue ? `Caller said: "${callerDescription}"` : null,
+    `Hazards: ${uniqueHazards.length > 0 ? uniqueHazards.join('; ') : 'None reported'}`,
+    `Steps already tried:${stepsTried.length > 0 ? stepsTried.map(s => `\n  - ${s}`).join('') : ' none'}`,
+    videos.length > 0 ? `Videos:${videos.map(v => `\n  - ${v}`).join('')}` : null,
+    `Live transcript: ${transcriptUrl}`,
+  ].filter(Boolean).join('\n');
+
+  return {
+    callId,
+    callerPhone,
+    category: action.category,
+    destination: action.destination,
+    route: action.route || null,
+    issue,
+    callerDescription,
+    stepsTried,
+    hazards: uniqueHazards,
+    videos,
+    transcriptUrl,
+    spoken,
+    text,
+    createdAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,45 @@
+/**
+ * Hash Embedding Service
+ * Deterministic, offline embedding provider (see embedding.service.js) for tests and demos.
+ *
+ * Every word is hashed to a position and sign in the vector (feature hashing), and the vector is
+ * normalized to unit length. Texts that share words get a high cosine similarity, so search results
+ * are meaningful without a model or a network.
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_DIMENSIONS = 256;
+
+/**
+ * Embed one text
+ * @param {string} text - Text
+ * @param {number} dimensions - Vector length
+ * @returns {number[]} - Unit-length vector (all zeros for a text without words)
+ */
+function hashEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    const digest = crypto.createHash('sha256').update(word).digest();
+    vector[digest.readUInt32BE(0) % dimensions] += digest[4] & 1 ? 1 : -1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Create the hash embedding provider
+ * @param {Object} options - { dimensions }
+ * @returns {Object} - Embedding provider ({ name, model, dimensions, embedDocuments, embedQuery })
+ */
+export function createHashEmbeddingProvider({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+  return {
+    name: 'hash',
+    model: 'feature-hash',
+    dimensions,
+    embedDocuments: async (texts) => texts.map(text => hashEmbedding(text, dimensions)),
+    embedQuery: async (text) => hashEmbedding(text, dimensions),
+  };
+}
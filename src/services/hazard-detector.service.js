@@ -0,0 +1,166 @@
+/**
+ * Hazard Detector Service
+ * Deterministic life-safety rules checked against every caller utterance before the model runs,
+ * so a gas leak or a CO alarm never depends on the model picking the right tool.
+ *
+ * Rules file (JSON, see src/config/hazard-rules.json):
+ * {
+ *   "cannotCall911": ["regex", ...],
+ *   "rules": [{
+ *     "id": "gas_with_symptoms",
+ *     "description": "...",
+ *     "severity": "life_threatening" | "urgent",
+ *     "match": [["regex", ...], ["regex", ...]],  // every group must match (any pattern within a group)
+ *     "unless": ["regex", ...],                     // phrases that don't count toward a match (e.g. "gas bill")
+ *     "response": { "type": "instruct_911" | "transfer", "category"?: "...", "issueType"?: "...", "message": "..." }
+ *   }]
+ * }
+ *
+ * Patterns are case-insensitive. Rules are checked in file order and the first match wins.
+ * An `unless` phrase only takes out the words it covers: "I smell gas near the gas stove and I feel dizzy"
+ * still matches, because "smell gas" and "dizzy" count on their own.
+ * Messages may use the emergency number placeholders ({spoken}, {number}) - see emergency-number.service.js.
+ * A life-threatening match from a caller who says they can't call 911 becomes an emergency transfer -
+ * also on a later turn, when the hazard was reported earlier in the call.
+ */
+
+import fs from 'fs';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { resolveEmergencyNumber, fillEmergencyNumber } from './emergency-number.service.js';
+
+const PREFIX = 'HazardDetector';
+
+const SEVERITIES = ['life_threatening', 'urgent'];
+const RESPONSE_TYPES = ['instruct_911', 'transfer'];
+
+// Compiled rules (null = read from config.hazards.rulesFile on next use)
+let ruleSet = null;
+
+/**
+ * Compile a list of pattern strings
+ * @param {Array<string>} patterns - Regex sources
+ * @param {string} where - Location for error messages
+ * @param {string} flags - Regex flags
+ * @returns {Array<RegExp>} - Case-insensitive regexes
+ */
+function compilePatterns(patterns = [], where, flags = 'i') {
+  return patterns.map(source => {
+    try {
+      return new RegExp(source, flags);
+    } catch (error) {
+      throw new Error(`${where}: invalid pattern "${source}" (${error.message})`);
+    }
+  });
+}
+
+/**
+ * Validate and compile a rules file
+ * @param {Object} definition - Parsed rules file
+ * @returns {Object} - { cannotCall911: RegExp[], rules: [...] }
+ */
+function compileRules(definition) {
+  const ids = new Set();
+
+  const rules = (definition.rules || []).map((rule, index) => {
+    const id = rule.id || `rule-${index + 1}`;
+
+    if (ids.has(id)) {
+      throw new Error(`Duplicate hazard rule id "${id}"`);
+    }
+    ids.add(id);
+
+    if (!SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Hazard rule ${id}: severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (!RESPONSE_TYPES.includes(rule.response?.type)) {
+      throw new Error(`Hazard rule ${id}: response.type must be one of ${RESPONSE_TYPES.join(', ')}`);
+    }
+    if (rule.response.type === 'transfer' && !rule.response.category) {
+      throw new Error(`Hazard rule ${id}: a transfer response needs a category`);
+    }
+    if (!Array.isArray(rule.match) || rule.match.length === 0) {
+      throw new Error(`Hazard rule ${id}: match needs at least one pattern group`);
+    }
+
+    return {
+      id,
+      description: rule.description || id,
+      severity: rule.severity,
+      match: rule.match.map((group, i) => compilePatterns(group, `Hazard rule ${id} match[${i}]`)),
+      unless: compilePatterns(rule.unless, `Hazard rule ${id} unless`, 'gi'),
+      response: rule.response,
+    };
+  });
+
+  return { cannotCall911: compilePatterns(definition.cannotCall911, 'cannotCall911'), rules };
+}
+
+/**
+ * Get the compiled rules, reading the rules file on first use
+ * @returns {Object} - Compiled rule set
+ */
+function getRuleSet() {
+  if (!ruleSet) {
+    const filePath = config.hazards.rulesFile;
+    ruleSet = compileRules(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    logger.log(PREFIX, `🛡️ Loaded ${ruleSet.rules.length} hazard rule(s) from ${filePath}`);
+  }
+  return ruleSet;
+}
+
+/**
+ * Check whether an utterance matches a rule
+ * @param {Object} rule - Compiled rule
+ * @param {string} text - What the caller said
+ * @returns {boolean} - Whether every match group matches outside the rule's `unless` phrases
+ */
+function matchesRule(rule, text) {
+  const remaining = rule.unless.reduce((rest, pattern) => rest.replace(pattern, ' '), text);
+  return rule.match.every(group => group.some(pattern => pattern.test(remaining)));
+}
+
+/**
+ * Replace the hazard rules (tests, or rules built at runtime)
+ * @param {Object|null} definition - Rules in file format, or null to reload from config.hazards.rulesFile
+ */
+export function setHazardRules(definition) {
+  ruleSet = definition ? compileRules(definition) : null;
+}
+
+/**
+ * Check a caller utterance against the hazard rules
+ * @param {string} text - What the caller said
+ * @param {Array<string>} earlierRuleIds - Rules already matched earlier in the call
+ * @param {Object} emergency - Caller's emergency number (resolveEmergencyNumber), for the message wording
+ * @returns {Object|null} - { ruleId, description, severity, message, action: { type, category?, issueType? }, escalated } or null
+ */
+export function detectHazard(text, earlierRuleIds = [], emergency = resolveEmergencyNumber()) {
+  if (!text) return null;
+
+  try {
+    const { cannotCall911, rules } = getRuleSet();
+    const cannotCall = cannotCall911.some(pattern => pattern.test(text));
+
+    const rule = rules.find(r => matchesRule(r, text)) || (cannotCall ? rules.find(r => r.severity === 'life_threatening' && earlierRuleIds.includes(r.id)) : null);
+
+    if (!rule) return null;
+
+    const { type, category = null, issueType = null } = rule.response;
+    const message = rule.response.message ? fillEmergencyNumber(rule.response.message, emergency) : null;
+
+    // Telling someone who can't call 911 to call 911 doesn't help - put them through instead
+    const escalated = rule.severity === 'life_threatening' && cannotCall;
+    const action = escalated
+      ? { type: 'transfer', category: 'emergency', issueType: null }
+      : { type, category, issueType };
+
+    logger.warn(PREFIX, `🚨 Hazard rule matched: ${rule.id} (${rule.severity}) → ${action.type}${action.category ? ` ${action.category}` : ''}${escalated ? ' (caller cannot call 911)' : ''}`);
+
+    return { ruleId: rule.id, description: rule.description, severity: rule.severity, message, action, escalated };
+
+  } catch (error) {
+    logger.error(PREFIX, 'Hazard detection failed:', error);
+    return null;
+  }
+}
@@ -0,0 +1,380 @@
+/**
+ * Incident Service
+ * Tracks every emergency and urgent maintenance situation as an emergency_incidents record
+ * that moves open → acknowledged → dispatched → resolved.
+ *
+ * Each alert carries an acknowledge link. An incident nobody acknowledges is escalated to the next
+ * contact in config.incidents.escalationChain every escalateAfterMinutes until someone does.
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import {
+  createEmergencyIncident,
+  getEmergencyIncident,
+  updateEmergencyIncident,
+  listEmergencyIncidents,
+} from './database.service.js';
+import { dispatchNotification } from './notification.service.js';
+
+const PREFIX = 'Incident';
+
+export const INCIDENT_STATUSES = ['open', 'acknowledged', 'dispatched', 'resolved'];
+
+// Allowed status changes (an acknowledged false alarm can be resolved without a dispatch)
+const TRANSITIONS = {
+  open: ['acknowledged'],
+  acknowledged: ['dispatched', 'resolved'],
+  dispatched: ['resolved'],
+  resolved: [],
+};
+
+// Column set when an incident enters each status
+const STATUS_TIMESTAMPS = {
+  acknowledged: 'acknowledged_at',
+  dispatched: 'dispatched_at',
+  resolved: 'resolved_at',
+};
+
+// Reads and guarded writes before a change gives up on a row other writers keep changing
+const UPDATE_ATTEMPTS = 3;
+
+// How often the escalation monitor looks for overdue incidents
+const MONITOR_INTERVAL_MS = 30 * 1000;
+
+let monitorTimer = null;
+
+/**
+ * Time of the next escalation for an incident
+ * @param {Date} from - Moment to count from
+ * @returns {string} - ISO timestamp
+ */
+function nextEscalationAt(from) {
+  return new Date(from.getTime() + config.incidents.escalateAfterMinutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Link that acknowledges an incident in one click
+ * @param {Object} incident - Incident row
+ * @returns {string} - URL
+ */
+export function getAcknowledgeUrl(incident) {
+  const base = config.incidents.publicUrl.replace(/\/$/, '');
+  return `${base}/incidents/${incident.id}/acknowledge?token=${incident.ack_token}`;
+}
+
+/**
+ * Strip the acknowledge token before an incident leaves the server
+ * @param {Object} incident - Incident row
+ * @returns {Object} - Incident without ack_token
+ */
+export function toPublicIncident(incident) {
+  const { ack_token, ...rest } = incident;
+  return rest;
+}
+
+/**
+ * Compare a presented token with the expected one in constant time
+ * @param {string|null} expectedToken - Token that grants access (unset = nothing does)
+ * @param {string} token - Token from the request
+ * @returns {boolean}
+ */
+function tokensMatch(expectedToken, token) {
+  if (!token || !expectedToken) return false;
+  const expected = Buffer.from(expectedToken);
+  const given = Buffer.from(String(token));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Compare a presented token with the incident's token
+ * @param {Object} incident - Incident row
+ * @param {string} token - Token from the request
+ * @returns {boolean}
+ */
+function isValidToken(incident, token) {
+  return tokensMatch(incident.ack_token, token);
+}
+
+/**
+ * Whether a token is the admin token that may list and read every incident (config.incidents.adminToken)
+ * @param {string} token - Token from the request
+ * @returns {boolean}
+ */
+export function isIncidentAdminToken(token) {
+  return tokensMatch(config.incidents.adminToken, token);
+}
+
+/**
+ * Send the alert for an incident (emergency_alert event) to one contact
+ * @param {Object} incident - Incident row
+ * @param {string|null} to - Email or phone number (null = the default alert recipients)
+ * @returns {Promise<boolean>} - Whether the alert went out on at least one channel
+ */
+async function notify(incident, to = null) {
+  try {
+    const { delivered } = await dispatchNotification('emergency_alert', {
+      callId: incident.call_id,
+      userPhone: incident.caller_phone,
+      reason: incident.reason,
+      emergencyNumber: incident.transfer_number,
+      isUrgentMaintenance: incident.category === 'urgent_maintenance',
+      incidentId: incident.id,
+      escalationLevel: incident.escalation_level,
+      acknowledgeUrl: getAcknowledgeUrl(incident),
+      to,
+    });
+    return delivered;
+  } catch (error) {
+    logger.error(PREFIX, `Alert for incident ${incident.id} failed:`, error);
+    return false;
+  }
+}
+
+/**
+ * Open an incident for a detected emergency or urgent maintenance transfer, and send the first alert
+ * @param {Object} details - Incident details
+ * @param {string} details.callId - Call ID from Retell
+ * @param {string} details.category - 'emergency' | 'urgent_maintenance'
+ * @param {string} details.reason - What happened
+ * @param {string|null} [details.callerPhone] - Caller's phone number
+ * @param {string|null} [details.transferNumber] - Where the call was transferred (null if it wasn't)
+ * @returns {Promise<Object|null>} - Incident, or null if it could not be saved
+ */
+export async function openIncident({ callId, category, reason, callerPhone = null, transferNumber = null }) {
+  try {
+    const now = new Date();
+    const incident = await createEmergencyIncident({
+      id: crypto.randomUUID(),
+      call_id: callId,
+      category,
+      reason,
+      caller_phone: callerPhone,
+      transfer_number: transferNumber,
+      status: 'open',
+      ack_token: crypto.randomBytes(24).toString('hex'),
+      escalation_level: 0,
+      next_escalation_at: nextEscalationAt(now),
+      history: [{ at: now.toISOString(), event: 'opened', transferNumber }],
+      created_at: now.toISOString(),
+      updated_at: now.toISOString(),
+    });
+
+    if (!incident) {
+      return null;
+    }
+
+    logger.warn(PREFIX, `🚨 Incident ${incident.id} opened (${category}) for call ${callId}: ${reason}`);
+    startIncidentMonitor();
+
+    const notified = await notify(incident);
+    if (!notified) {
+      logger.warn(PREFIX, `First alert for incident ${incident.id} did not go out - escalation will follow if it stays unacknowledged`);
+    }
+
+    return incident;
+
+  } catch (error) {
+    logger.error(PREFIX, 'Failed to open incident:', error);
+    return null;
+  }
+}
+
+/**
+ * Append a history entry (with any column changes) without overwriting a concurrent update
+ * The write only lands if the row is unchanged since it was read; otherwise it is read again.
+ * @param {string} incidentId - Incident ID
+ * @param {Object} entry - History entry
+ * @param {Object} changes - Other columns to update with it
+ * @returns {Promise<Object|null>} - Updated incident, or null if not found (or it kept changing)
+ */
+async function appendIncidentHistory(incidentId, entry, changes = {}) {
+  for (let attempt = 1; attempt <= UPDATE_ATTEMPTS; attempt++) {
+    const incident = await getEmergencyIncident(incidentId);
+    if (!incident) return null;
+
+    const updated = await updateEmergencyIncident(
+      incidentId,
+      { ...changes, history: [...(incident.history || []), entry] },
+      { updated_at: incident.updated_at }
+    );
+    if (updated) return updated;
+  }
+
+  logger.warn(PREFIX, `Incident ${incidentId} kept changing - could not record ${entry.event}`);
+  return null;
+}
+
+/**
+ * Record that the call behind an open incident was transferred (e.g. after an earlier 911 instruction)
+ * @param {string} incidentId - Incident ID
+ * @param {string} transferNumber - Transfer destination
+ * @returns {Promise<Object|null>} - Updated incident
+ */
+export function recordIncidentTransfer(incidentId, transferNumber) {
+  return appendIncidentHistory(
+    incidentId,
+    { at: new Date().toISOString(), event: 'transferred', transferNumber },
+    { transfer_number: transferNumber }
+  );
+}
+
+/**
+ * Record how the incident's transfer ended (see transfer-outcome.service.js)
+ * @param {string} incidentId - Incident ID
+ * @param {string} status - Transfer outcome, e.g. 'connected' or 'no_answer'
+ * @returns {Promise<Object|null>} - Updated incident
+ */
+export function recordIncidentTransferOutcome(incidentId, status) {
+  return appendIncidentHistory(incidentId, { at: new Date().toISOString(), event: `transfer_${status}` });
+}
+
+/**
+ * Move an incident to a new status
+ * @param {string} incidentId - Incident ID
+ * @param {string} status - 'acknowledged' | 'dispatched' | 'resolved'
+ * @param {Object} options - Change details
+ * @param {string} options.token - Acknowledge token from the alert
+ * @param {string} [options.by] - Who made the change
+ * @param {string} [options.note] - Free-text note
+ * @returns {Promise<Object>} - { ok: true, incident } or { ok: false, reason: 'not_found'|'invalid_token'|'invalid_transition'|'conflict', message }
+ */
+export async function updateIncidentStatus(incidentId, status, { token, by = null, note = null } = {}) {
+  // A concurrent history append (e.g. a transfer outcome) changes the row too, so re-check and retry
+  for (let attempt = 1; attempt <= UPDATE_ATTEMPTS; attempt++) {
+    const incident = await getEmergencyIncident(incidentId);
+
+    if (!incident) {
+      return { ok: false, reason: 'not_found', message: 'Incident not found' };
+    }
+    if (!isValidToken(incident, token)) {
+      return { ok: false, reason: 'invalid_token', message: 'Invalid or missing token' };
+    }
+    if (incident.status === status) {
+      return { ok: true, incident, unchanged: true };
+    }
+    if (!TRANSITIONS[incident.status]?.includes(status)) {
+      return { ok: false, reason: 'invalid_transition', message: `Cannot change an incident from ${incident.status} to ${status}` };
+    }
+
+    const now = new Date().toISOString();
+    const changes = {
+      status,
+      [STATUS_TIMESTAMPS[status]]: now,
+      history: [...(incident.history || []), { at: now, event: status, by, note }],
+    };
+    if (status === 'acknowledged') {
+      changes.acknowledged_by = by;
+      changes.next_escalation_at = null;
+    }
+
+    const updated = await updateEmergencyIncident(incidentId, changes, { status: incident.status, updated_at: incident.updated_at });
+
+    if (updated) {
+      logger.success(PREFIX, `Incident ${incidentId}: ${incident.status} → ${status}${by ? ` by ${by}` : ''}`);
+      return { ok: true, incident: updated };
+    }
+  }
+
+  return { ok: false, reason: 'conflict', message: 'Incident changed in the meantime - reload and try again' };
+}
+
+/**
+ * Look up an incident for someone holding its acknowledge token (e.g. to show the acknowledge page)
+ * @param {string} incidentId - Incident ID
+ * @param {string} token - Acknowledge token from the alert
+ * @returns {Promise<Object>} - { ok: true, incident } or { ok: false, reason: 'not_found'|'invalid_token', message }
+ */
+export async function getIncidentWithToken(incidentId, token) {
+  const incident = await getEmergencyIncident(incidentId);
+
+  if (!incident) {
+    return { ok: false, reason: 'not_found', message: 'Incident not found' };
+  }
+  if (!isValidToken(incident, token)) {
+    return { ok: false, reason: 'invalid_token', message: 'Invalid or missing token' };
+  }
+
+  return { ok: true, incident };
+}
+
+/**
+ * Acknowledge an incident (stops escalation)
+ * @param {string} incidentId - Incident ID
+ * @param {Object} options - { token, by }
+ * @returns {Promise<Object>} - Same result shape as updateIncidentStatus
+ */
+export function acknowledgeIncident(incidentId, options) {
+  return updateIncidentStatus(incidentId, 'acknowledged', options);
+}
+
+/**
+ * Escalate every open incident whose escalation is due
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of incidents escalated
+ */
+export async function runIncidentEscalations(now = new Date()) {
+  const due = await listEmergencyIncidents({ statuses: ['open'], dueBefore: now.toISOString() });
+  let escalated = 0;
+
+  for (const incident of due) {
+    const level = incident.escalation_level + 1;
+    const contact = config.incidents.escalationChain[level - 1];
+    const history = [...(incident.history || [])];
+
+    if (!contact) {
+      logger.error(PREFIX, `🚨 Incident ${incident.id} is still unacknowledged and the escalation chain is exhausted`);
+      history.push({ at: now.toISOString(), event: 'escalation_exhausted' });
+      await updateEmergencyIncident(incident.id, { next_escalation_at: null, history }, { status: 'open', escalation_level: incident.escalation_level, updated_at: incident.updated_at });
+      continue;
+    }
+
+    history.push({ at: now.toISOString(), event: 'escalated', level, contact });
+
+    // Claim the escalation before alerting so a second server doesn't alert the same contact
+    const claimed = await updateEmergencyIncident(
+      incident.id,
+      { escalation_level: level, next_escalation_at: nextEscalationAt(now), history },
+      { status: 'open', escalation_level: incident.escalation_level, updated_at: incident.updated_at }
+    );
+    if (!claimed) continue;
+
+    logger.warn(PREFIX, `⏫ Incident ${incident.id} unacknowledged - escalating to level ${level}: ${contact}`);
+    await notify(claimed, contact);
+    escalated++;
+  }
+
+  return escalated;
+}
+
+/**
+ * Start checking for overdue incidents in the background (once per process)
+ */
+export function startIncidentMonitor() {
+  if (monitorTimer) return;
+
+  monitorTimer = setInterval(() => {
+    runIncidentEscalations().catch(error => logger.error(PREFIX, 'Escalation check failed:', error));
+  }, MONITOR_INTERVAL_MS);
+  // Don't keep the process alive just for the monitor
+  monitorTimer.unref();
+}
+
+/**
+ * Get an incident
+ * @param {string} incidentId - Incident ID
+ * @returns {Promise<Object|null>} - Incident or null
+ */
+export function getIncident(incidentId) {
+  return getEmergencyIncident(incidentId);
+}
+
+/**
+ * List incidents
+ * @param {Array<string>|null} statuses - Only these statuses (null = all)
+ * @returns {Promise<Array>} - Incidents, newest first
+ */
+export function listIncidents(statuses = null) {
+  return listEmergencyIncidents({ statuses });
+}
@@ -0,0 +1,203 @@
+/**
+ * Keyword Index Service
+ * A local BM25 index over knowledge base chunk text, for what embeddings match poorly:
+ * model numbers, error codes ("E4"), part numbers.
+ *
+ * Chunks are indexed under the same IDs as their vectors, so the hybrid retriever can fuse the two
+ * result lists. The index is kept in memory and saved to config.retrieval.keywordIndexFile after
+ * every change. Documents uploaded before the index existed are added from their vectors' chunk text
+ * at startup (backfillKeywordIndex in knowledge-base.service.js).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { getDocumentVectorIds } from './vector-store.service.js';
+
+const PREFIX = 'KeywordIndex';
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i', 'if', 'in',
+  'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'what', 'when', 'with', 'you', 'your',
+]);
+
+// Chunk ID → { id, metadata, termFrequencies, length }
+let chunks = null;
+let saveQueue = Promise.resolve();
+
+/**
+ * Split text into search terms
+ * Codes joined by a dash, dot or slash are kept whole as well as split ("XR-500" → xr500, xr, 500).
+ * @param {string} text - Text
+ * @returns {Array<string>} - Terms
+ */
+export function tokenize(text) {
+  const terms = [];
+
+  for (const word of text.toLowerCase().match(/[a-z0-9]+(?:[-./][a-z0-9]+)*/g) || []) {
+    const parts = word.split(/[-./]/);
+    if (parts.length > 1) terms.push(parts.join(''));
+    terms.push(...parts);
+  }
+
+  return terms.filter(term => !STOP_WORDS.has(term) && (term.length > 1 || /\d/.test(term)));
+}
+
+/**
+ * Build the in-memory entry for a chunk
+ * @param {string} id - Chunk (vector) ID
+ * @param {Object} metadata - Chunk metadata, including its text
+ * @returns {Object} - Index entry
+ */
+function toEntry(id, metadata) {
+  const terms = tokenize(metadata.text || '');
+  const termFrequencies = new Map();
+  for (const term of terms) {
+    termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1);
+  }
+  return { id, metadata, termFrequencies, length: terms.length };
+}
+
+/**
+ * Load the index from disk on first use
+ * @returns {Promise<Map>} - Chunk ID → index entry
+ */
+async function loadIndex() {
+  if (chunks) return chunks;
+
+  const loaded = new Map();
+  try {
+    const saved = JSON.parse(await fs.readFile(config.retrieval.keywordIndexFile, 'utf8'));
+    for (const { id, metadata } of saved.chunks) {
+      loaded.set(id, toEntry(id, metadata));
+    }
+    logger.log(PREFIX, `Loaded ${loaded.size} chunks from ${config.retrieval.keywordIndexFile}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(PREFIX, 'Failed to load keyword index, starting empty:', error);
+    }
+  }
+
+  // Another caller may have loaded it while we were reading
+  chunks = chunks || loaded;
+  return chunks;
+}
+
+/**
+ * Save the index to disk (writes are queued, and each replaces the file in one rename)
+ * @returns {Promise<void>}
+ */
+function saveIndex() {
+  const file = config.retrieval.keywordIndexFile;
+  const snapshot = JSON.stringify({ chunks: [...chunks.values()].map(({ id, metadata }) => ({ id, metadata })) });
+
+  saveQueue = saveQueue.catch(() => {}).then(async () => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, snapshot);
+    await fs.rename(`${file}.tmp`, file);
+  });
+
+  return saveQueue;
+}
+
+/**
+ * IDs of the documents that have chunks in the index
+ * @returns {Promise<Set<string>>} - Document IDs
+ */
+export async function getIndexedDocumentIds() {
+  const index = await loadIndex();
+  return new Set([...index.values()].map(({ metadata }) => metadata.documentId));
+}
+
+/**
+ * Index the chunks of one version of a document
+ * @param {string} documentId - Document ID
+ * @param {Array<Object>} documentChunks - Chunks from chunkDocument ({ text, pageNumber, sectionTitle, stepRange })
+ * @param {Object} metadata - { fileName, version }
+ * @returns {Promise<void>}
+ */
+export async function addDocumentChunks(documentId, documentChunks, { fileName, version = 1 }) {
+  const index = await loadIndex();
+  const ids = getDocumentVectorIds(documentId, documentChunks.length, version);
+
+  documentChunks.forEach((chunk, chunkIndex) => {
+    index.set(ids[chunkIndex], toEntry(ids[chunkIndex], {
+      documentId,
+      version,
+      chunkIndex,
+      text: chunk.text,
+      fileName,
+      ...(chunk.pageNumber != null && { pageNumber: chunk.pageNumber }),
+      ...(chunk.sectionTitle && { sectionTitle: chunk.sectionTitle }),
+      ...(chunk.stepRange && { stepRange: chunk.stepRange }),
+    }));
+  });
+
+  await saveIndex();
+  logger.log(PREFIX, `Indexed ${documentChunks.length} chunks of document ${documentId} (version ${version})`);
+}
+
+/**
+ * Remove a document's chunks
+ * @param {string} documentId - Document ID
+ * @param {number|null} version - Only this version (null = every version)
+ * @returns {Promise<number>} - Chunks removed
+ */
+export async function removeDocumentChunks(documentId, version = null) {
+  const index = await loadIndex();
+  let removed = 0;
+
+  for (const [id, { metadata }] of index) {
+    if (metadata.documentId === documentId && (version === null || (metadata.version || 1) === version)) {
+      index.delete(id);
+      removed++;
+    }
+  }
+
+  if (removed) {
+    await saveIndex();
+    logger.log(PREFIX, `Removed ${removed} chunks of document ${documentId}${version === null ? '' : ` (version ${version})`}`);
+  }
+  return removed;
+}
+
+/**
+ * Search chunks by keyword with BM25
+ * @param {string} query - Search text
+ * @param {number} topK - Number of results to return
+ * @returns {Promise<Array>} - Matches, best first: { id, score, metadata } (same shape as vector matches)
+ */
+export async function searchKeywords(query, topK = 5) {
+  const index = await loadIndex();
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length || !index.size) return [];
+
+  const entries = [...index.values()];
+  const averageLength = entries.reduce((sum, entry) => sum + entry.length, 0) / entries.length || 1;
+
+  const idf = new Map(terms.map(term => {
+    const documentFrequency = entries.filter(entry => entry.termFrequencies.has(term)).length;
+    return [term, Math.log(1 + (entries.length - documentFrequency + 0.5) / (documentFrequency + 0.5))];
+  }));
+
+  const matches = [];
+  for (const entry of entries) {
+    let score = 0;
+    for (const term of terms) {
+      const frequency = entry.termFrequencies.get(term);
+      if (!frequency) continue;
+      score += idf.get(term) * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * entry.length / averageLength));
+    }
+    if (score > 0) {
+      matches.push({ id: entry.id, score, metadata: entry.metadata });
+    }
+  }
+
+  matches.sort((a, b) => b.score - a.score);
+  return matches.slice(0, topK);
+}
@@ -0,0 +1,290 @@
+/**
+ * Knowledge Base Service
+ * Adds, replaces and deletes the documents the agent searches with search_knowledge_base.
+ *
+ * A document lives in four places: its vectors in the vector store, its chunks in the keyword index, the original
+ * file in Supabase storage and its rag_documents row. Every step below is ordered so a failure leaves the knowledge base
+ * consistent, and every delete is safe to repeat:
+ * - replace: the new version number is claimed on the row first, then its vectors are written next to the old ones
+ *   under new IDs, and only become the document once the row points at them; the old vectors are removed afterwards
+ * - delete: vectors and keyword chunks first (so callers stop hearing the document), then the file, then the row -
+ *   if anything fails the row stays and the delete can be retried
+ * - backfill: documents uploaded before the keyword index existed are indexed from the chunk text stored with
+ *   their vectors, under the same IDs
+ */
+
+import { processFile } from './file-processor.service.js';
+import { chunkDocument } from './chunking.service.js';
+import { createEmbeddings } from './embedding.service.js';
+import {
+  upsertDocumentEmbeddings,
+  deleteDocumentVectors,
+  fetchDocumentVectors,
+  getDocumentVectorIds,
+} from './vector-store.service.js';
+import { addDocumentChunks, removeDocumentChunks, getIndexedDocumentIds } from './keyword-index.service.js';
+import {
+  saveRAGDocument,
+  getRAGDocument,
+  updateRAGDocument,
+  deleteRAGDocument,
+  listRAGDocuments,
+  uploadFileToStorage,
+  deleteFileFromStorage,
+} from './database.service.js';
+import { logger } from '../utils/logger.js';
+
+const PREFIX = 'KnowledgeBase';
+
+/**
+ * Shape a rag_documents row for API responses
+ * @param {Object} document - rag_documents row
+ * @returns {Object} - Document as returned by the /rag endpoints
+ */
+export function toPublicDocument(document) {
+  return {
+    id: document.id,
+    fileName: document.file_name,
+    fileType: document.file_type,
+    fileSize: document.file_size,
+    chunkCount: document.chunk_count,
+    storageUrl: document.storage_url,
+    version: document.version || 1,
+    createdAt: document.created_at,
+    updatedAt: document.updated_at || null,
+  };
+}
+
+/**
+ * Extract, chunk and embed an uploaded file
+ * @param {Object} file - Uploaded file ({ path, mimetype })
+ * @returns {Promise<Object>} - { chunks: chunkDocument chunks, embeddings }
+ */
+async function prepareFile(file) {
+  logger.log(PREFIX, 'Extracting text and creating embeddings...');
+  const textContent = await processFile(file.path, file.mimetype);
+  const chunks = chunkDocument(textContent);
+  const embeddings = await createEmbeddings(chunks.map(chunk => chunk.text));
+  return { chunks, embeddings };
+}
+
+/**
+ * Add a new document to the knowledge base
+ * @param {Object} file - Uploaded file from multer ({ path, originalname, mimetype, size })
+ * @returns {Promise<Object>} - { ok: true, document } or { ok: false, reason: 'failed', message }
+ */
+export async function addDocument(file) {
+  let storageUrl = null;
+  let document = null;
+
+  try {
+    logger.log(PREFIX, `Adding document: ${file.originalname}`);
+    const { chunks, embeddings } = await prepareFile(file);
+
+    storageUrl = await uploadFileToStorage(file.path, file.originalname, 'rag_docs');
+    if (!storageUrl) {
+      throw new Error('Failed to upload file to storage');
+    }
+
+    document = await saveRAGDocument({
+      fileName: file.originalname,
+      fileType: file.mimetype,
+      fileSize: file.size,
+      chunkCount: chunks.length,
+      storageUrl,
+    });
+    if (!document) {
+      throw new Error('Failed to save document to database');
+    }
+
+    await upsertDocumentEmbeddings(document.id, chunks, embeddings, {
+      fileName: file.originalname,
+      fileType: file.mimetype,
+      uploadedAt: document.created_at,
+      version: 1,
+    });
+    await addDocumentChunks(document.id, chunks, { fileName: file.originalname, version: 1 });
+
+    logger.success(PREFIX, `📄 Document ${document.id} added: ${file.originalname} (${chunks.length} chunks)`);
+    return { ok: true, document };
+
+  } catch (error) {
+    logger.error(PREFIX, `Failed to add ${file.originalname}:`, error);
+
+    // Don't leave a listed document (or an orphaned file) without vectors behind
+    if (document) {
+      await deleteDocumentVectors(document.id, getDocumentVectorIds(document.id, document.chunk_count)).catch(() => {});
+      await removeDocumentChunks(document.id).catch(() => {});
+      await deleteRAGDocument(document.id);
+    }
+    if (storageUrl) {
+      await deleteFileFromStorage(storageUrl);
+    }
+
+    return { ok: false, reason: 'failed', message: error.message || 'Failed to process document' };
+  }
+}
+
+/**
+ * Replace a document with a new version of the file
+ * While both versions are searchable, searches only quote the newer one (see retrieval.service.js).
+ * @param {string} documentId - Document ID
+ * @param {Object} file - Uploaded file from multer ({ path, originalname, mimetype, size })
+ * @returns {Promise<Object>} - { ok: true, document, warnings } or { ok: false, reason: 'not_found'|'conflict'|'failed', message }
+ */
+export async function replaceDocument(documentId, file) {
+  const current = await getRAGDocument(documentId);
+  if (!current) {
+    return { ok: false, reason: 'not_found', message: 'Document not found' };
+  }
+
+  // Claim the next version before writing anything, so a concurrent replacement gets a version of its own
+  // and its cleanup on conflict can never touch this one's vectors or keyword chunks
+  const oldVersion = current.version || 1;
+  const lastClaimed = current.claimed_version ?? null;
+  const newVersion = Math.max(oldVersion, lastClaimed || 0) + 1;
+  if (!await updateRAGDocument(documentId, { claimed_version: newVersion }, { claimed_version: lastClaimed })) {
+    return { ok: false, reason: 'conflict', message: 'Document changed in the meantime - reload and try again' };
+  }
+
+  let storageUrl = null;
+  let newVectorIds = null;
+
+  try {
+    logger.log(PREFIX, `Replacing document ${documentId} (version ${oldVersion} → ${newVersion}) with ${file.originalname}`);
+    const { chunks, embeddings } = await prepareFile(file);
+
+    storageUrl = await uploadFileToStorage(file.path, file.originalname, 'rag_docs');
+    if (!storageUrl) {
+      throw new Error('Failed to upload file to storage');
+    }
+
+    newVectorIds = getDocumentVectorIds(documentId, chunks.length, newVersion);
+    await upsertDocumentEmbeddings(documentId, chunks, embeddings, {
+      fileName: file.originalname,
+      fileType: file.mimetype,
+      uploadedAt: new Date().toISOString(),
+      version: newVersion,
+    });
+    await addDocumentChunks(documentId, chunks, { fileName: file.originalname, version: newVersion });
+
+    // The swap: the row now points at the new version. Guarded on the old file so two
+    // replacements of the same document can't both win.
+    const updated = await updateRAGDocument(documentId, {
+      file_name: file.originalname,
+      file_type: file.mimetype,
+      file_size: file.size,
+      chunk_count: chunks.length,
+      storage_url: storageUrl,
+      version: newVersion,
+    }, { storage_url: current.storage_url });
+
+    if (!updated) {
+      await deleteDocumentVectors(documentId, newVectorIds).catch(() => {});
+      await removeDocumentChunks(documentId, newVersion).catch(() => {});
+      await deleteFileFromStorage(storageUrl);
+      return { ok: false, reason: 'conflict', message: 'Document changed in the meantime - reload and try again' };
+    }
+
+    // The old version is no longer referenced; if cleaning it up fails the document is still correct
+    const warnings = [];
+    try {
+      await deleteDocumentVectors(documentId, getDocumentVectorIds(documentId, current.chunk_count, oldVersion));
+    } catch (error) {
+      warnings.push(`Old vectors (version ${oldVersion}) could not be deleted: ${error.message}`);
+    }
+    try {
+      await removeDocumentChunks(documentId, oldVersion);
+    } catch (error) {
+      warnings.push(`Old keyword index entries (version ${oldVersion}) could not be removed: ${error.message}`);
+    }
+    if (!await deleteFileFromStorage(current.storage_url)) {
+      warnings.push(`Old file could not be deleted: ${current.storage_url}`);
+    }
+    warnings.forEach(warning => logger.warn(PREFIX, warning));
+
+    logger.success(PREFIX, `🔄 Document ${documentId} replaced with ${file.originalname} (version ${newVersion}, ${chunks.length} chunks)`);
+    return { ok: true, document: updated, warnings };
+
+  } catch (error) {
+    logger.error(PREFIX, `Failed to replace document ${documentId}:`, error);
+
+    if (newVectorIds) {
+      await deleteDocumentVectors(documentId, newVectorIds).catch(() => {});
+      await removeDocumentChunks(documentId, newVersion).catch(() => {});
+    }
+    if (storageUrl) {
+      await deleteFileFromStorage(storageUrl);
+    }
+
+    return { ok: false, reason: 'failed', message: error.message || 'Failed to replace document' };
+  }
+}
+
+/**
+ * Delete a document: its vectors, its file and its row
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} - { ok: true, document } or { ok: false, reason: 'not_found'|'failed', message }
+ */
+export async function deleteDocument(documentId) {
+  const document = await getRAGDocument(documentId);
+  if (!document) {
+    return { ok: false, reason: 'not_found', message: 'Document not found' };
+  }
+
+  try {
+    await deleteDocumentVectors(documentId, getDocumentVectorIds(documentId, document.chunk_count, document.version || 1));
+    await removeDocumentChunks(documentId);
+  } catch (error) {
+    return { ok: false, reason: 'failed', message: `Failed to delete vectors: ${error.message}` };
+  }
+
+  if (!await deleteFileFromStorage(document.storage_url)) {
+    return { ok: false, reason: 'failed', message: 'Failed to delete the stored file' };
+  }
+
+  if (!await deleteRAGDocument(documentId)) {
+    return { ok: false, reason: 'failed', message: 'Failed to delete the document record' };
+  }
+
+  logger.success(PREFIX, `🗑️ Document ${documentId} deleted: ${document.file_name}`);
+  return { ok: true, document };
+}
+
+/**
+ * Add documents that are missing from the keyword index (uploaded before it existed) from their vectors
+ * A document with missing vectors is skipped rather than indexed under the wrong IDs; replacing it fixes both.
+ * @returns {Promise<number>} - Documents indexed
+ */
+export async function backfillKeywordIndex() {
+  const indexed = await getIndexedDocumentIds();
+  const missing = (await listRAGDocuments()).filter(document => !indexed.has(document.id) && document.chunk_count > 0);
+  let backfilled = 0;
+
+  for (const document of missing) {
+    const version = document.version || 1;
+    try {
+      const vectorIds = getDocumentVectorIds(document.id, document.chunk_count, version);
+      const vectors = await fetchDocumentVectors(vectorIds);
+      if (vectors.length !== vectorIds.length) {
+        logger.warn(PREFIX, `Not indexing ${document.file_name} (${document.id}): ${vectorIds.length - vectors.length} of its vectors are missing`);
+        continue;
+      }
+
+      const metadataById = new Map(vectors.map(vector => [vector.id, vector.metadata]));
+      const chunks = vectorIds.map(id => {
+        const { text, pageNumber, sectionTitle, stepRange } = metadataById.get(id);
+        return { text, pageNumber, sectionTitle, stepRange };
+      });
+      await addDocumentChunks(document.id, chunks, { fileName: document.file_name, version });
+      backfilled++;
+    } catch (error) {
+      logger.error(PREFIX, `Failed to backfill keyword index for ${document.id}:`, error);
+    }
+  }
+
+  if (missing.length) {
+    logger.success(PREFIX, `Keyword index backfilled with ${backfilled} of ${missing.length} document(s)`);
+  }
+  return backfilled;
+}
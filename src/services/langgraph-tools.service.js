@@ -6,245 +6,354 @@
 import { tool } from '@langchain/core/tools';
 import { z } from 'zod';
 import { fetchFramesByTranscriptId, getAvailableFrameTimestamps, getLastCallByPhone } from './database.service.js';
+import { AGENT_DISPOSITIONS } from './call-disposition.service.js';
 import { logger } from '../utils/logger.js';
 
 const PREFIX = 'Tools';
 
+// What the caller hears as the call ends, per disposition
+const CLOSING_MESSAGES = {
+  resolved: "I'm glad we got that sorted out. Thank you for calling Home Maintenance Support. Goodbye!",
+  callback_scheduled: "We'll talk to you again soon. Thank you for calling Home Maintenance Support. Goodbye!",
+  follow_up_needed: "Someone from our team will follow up with you. Thank you for calling Home Maintenance Support. Goodbye!",
+  vendor_referral: "Good luck with your vendor, and call us anytime if you need more help. Goodbye!",
+};
+
 /**
  * Tool: Fetch Video Frames
  * Allows the agent to request specific video frames by timestamp from a specific video
+ * @param {Array} transcriptIds - Transcript IDs for this call (index 0 = Video 1, index 1 = Video 2, etc.)
+ * @returns {StructuredTool} - Tool instance bound to this call's videos
  */
-export const fetchVideoFramesTool = tool(
-  async ({ video_number, timestamps }) => {
-    try {
-      const transcriptIds = fetchVideoFramesTool.transcriptIds;
-      
-      if (!transcriptIds || transcriptIds.length === 0) {
-        logger.error(PREFIX, 'No transcript IDs available for frame fetching');
-        return JSON.stringify({ error: 'No video associated with this call' });
-      }
-      
-      // Validate video_number
-      if (video_number < 1 || video_number > transcriptIds.length) {
-        logger.warn(PREFIX, `Invalid video_number ${video_number}. Available: 1 to ${transcriptIds.length}`);
-        return JSON.stringify({ 
-          error: `Invalid video number. Please use a number between 1 and ${transcriptIds.length}.` 
-        });
-      }
-      
-      // Map video_number (1-indexed) to the correct transcriptId
-      const transcriptId = transcriptIds[video_number - 1];
-      logger.log(PREFIX, `Agent requesting frames from Video ${video_number} (transcript ID: ${transcriptId}) at timestamps: ${timestamps.join(', ')}`);
-      
-      // Fetch frames from database
-      const frames = await fetchFramesByTranscriptId(transcriptId, timestamps);
-      
-      if (!frames || frames.length === 0) {
-        logger.warn(PREFIX, 'No frames found for requested timestamps');
-        return JSON.stringify({ 
-          error: 'No frames found for the requested timestamps',
+export function createFetchVideoFramesTool(transcriptIds) {
+  return tool(
+    async ({ video_number, timestamps }) => {
+      try {
+        if (!transcriptIds || transcriptIds.length === 0) {
+          logger.error(PREFIX, 'No transcript IDs available for frame fetching');
+          return JSON.stringify({ error: 'No video associated with this call' });
+        }
+
+        // Validate video_number
+        if (video_number < 1 || video_number > transcriptIds.length) {
+          logger.warn(PREFIX, `Invalid video_number ${video_number}. Available: 1 to ${transcriptIds.length}`);
+          return JSON.stringify({
+            error: `Invalid video number. Please use a number between 1 and ${transcriptIds.length}.`
+          });
+        }
+
+        // Map video_number (1-indexed) to the correct transcriptId
+        const transcriptId = transcriptIds[video_number - 1];
+        logger.log(PREFIX, `Agent requesting frames from Video ${video_number} (transcript ID: ${transcriptId}) at timestamps: ${timestamps.join(', ')}`);
+
+        // Fetch frames from database
+        const frames = await fetchFramesByTranscriptId(transcriptId, timestamps);
+
+        if (!frames || frames.length === 0) {
+          logger.warn(PREFIX, 'No frames found for requested timestamps');
+          return JSON.stringify({
+            error: 'No frames found for the requested timestamps',
+            video_number: video_number,
+            requestedTimestamps: timestamps
+          });
+        }
+
+        // Format frames for OpenAI
+        const formattedFrames = frames.map(frame => ({
+          timestamp: frame.frame_timestamp,
+          url: frame.frame_storage_url,
+          description: `Video ${video_number} at ${frame.frame_timestamp} seconds`
+        }));
+
+        logger.success(PREFIX, `Returning ${formattedFrames.length} frame(s) from Video ${video_number} to agent`);
+
+        return JSON.stringify({
+          success: true,
           video_number: video_number,
-          requestedTimestamps: timestamps
+          frameCount: formattedFrames.length,
+          frames: formattedFrames
         });
+
+      } catch (error) {
+        logger.error(PREFIX, 'Error in fetchVideoFramesTool:', error);
+        return JSON.stringify({ error: 'Failed to fetch video frames' });
       }
-      
-      // Format frames for OpenAI
-      const formattedFrames = frames.map(frame => ({
-        timestamp: frame.frame_timestamp,
-        url: frame.frame_storage_url,
-        description: `Video ${video_number} at ${frame.frame_timestamp} seconds`
-      }));
-      
-      logger.success(PREFIX, `Returning ${formattedFrames.length} frame(s) from Video ${video_number} to agent`);
-      
-      return JSON.stringify({
-        success: true,
-        video_number: video_number,
-        frameCount: formattedFrames.length,
-        frames: formattedFrames
-      });
-      
-    } catch (error) {
-      logger.error(PREFIX, 'Error in fetchVideoFramesTool:', error);
-      return JSON.stringify({ error: 'Failed to fetch video frames' });
+    },
+    {
+      name: 'fetch_video_frames',
+      description: `Fetch specific video frames from one of the user's uploaded videos.
+      You must specify which video using video_number (1 for Video 1, 2 for Video 2, etc.).
+      The video was captured at 1 frame per second.
+      Example: To see around the 10-second mark of Video 1, use video_number=1 and timestamps=[9, 10, 11].`,
+      schema: z.object({
+        video_number: z.number().describe('Which video to fetch frames from (1 for Video 1, 2 for Video 2, etc.)'),
+        timestamps: z.array(z.number()).describe('Array of timestamps in seconds to fetch frames for (e.g., [10, 15, 20])'),
+      }),
     }
-  },
-  {
-    name: 'fetch_video_frames',
-    description: `Fetch specific video frames from one of the user's uploaded videos.
-    You must specify which video using video_number (1 for Video 1, 2 for Video 2, etc.).
-    The video was captured at 1 frame per second.
-    Example: To see around the 10-second mark of Video 1, use video_number=1 and timestamps=[9, 10, 11].`,
-    schema: z.object({
-      video_number: z.number().describe('Which video to fetch frames from (1 for Video 1, 2 for Video 2, etc.)'),
-      timestamps: z.array(z.number()).describe('Array of timestamps in seconds to fetch frames for (e.g., [10, 15, 20])'),
-    }),
-  }
-);
+  );
+}
 
 /**
  * Tool: Get Available Frame Timestamps
  * Allows the agent to discover what timestamps are available in a specific video
+ * @param {Array} transcriptIds - Transcript IDs for this call (index 0 = Video 1, index 1 = Video 2, etc.)
+ * @returns {StructuredTool} - Tool instance bound to this call's videos
  */
-export const getAvailableTimestampsTool = tool(
-  async ({ video_number }) => {
-    try {
-      const transcriptIds = getAvailableTimestampsTool.transcriptIds;
-      
-      if (!transcriptIds || transcriptIds.length === 0) {
-        return JSON.stringify({ error: 'No video associated with this call' });
-      }
-      
-      // Validate video_number
-      if (video_number < 1 || video_number > transcriptIds.length) {
-        return JSON.stringify({ 
-          error: `Invalid video number. Please use a number between 1 and ${transcriptIds.length}.` 
-        });
-      }
-      
-      // Map video_number (1-indexed) to the correct transcriptId
-      const transcriptId = transcriptIds[video_number - 1];
-      logger.log(PREFIX, `Agent requesting available timestamps for Video ${video_number} (transcript ID: ${transcriptId})`);
-      
-      const timestamps = await getAvailableFrameTimestamps(transcriptId);
-      
-      if (!timestamps || timestamps.length === 0) {
-        return JSON.stringify({ 
-          error: `No frames available for Video ${video_number}`,
+export function createGetAvailableTimestampsTool(transcriptIds) {
+  return tool(
+    async ({ video_number }) => {
+      try {
+        if (!transcriptIds || transcriptIds.length === 0) {
+          return JSON.stringify({ error: 'No video associated with this call' });
+        }
+
+        // Validate video_number
+        if (video_number < 1 || video_number > transcriptIds.length) {
+          return JSON.stringify({
+            error: `Invalid video number. Please use a number between 1 and ${transcriptIds.length}.`
+          });
+        }
+
+        // Map video_number (1-indexed) to the correct transcriptId
+        const transcriptId = transcriptIds[video_number - 1];
+        logger.log(PREFIX, `Agent requesting available timestamps for Video ${video_number} (transcript ID: ${transcriptId})`);
+
+        const timestamps = await getAvailableFrameTimestamps(transcriptId);
+
+        if (!timestamps || timestamps.length === 0) {
+          return JSON.stringify({
+            error: `No frames available for Video ${video_number}`,
+            video_number: video_number,
+            videoDuration: 0
+          });
+        }
+
+        const videoDuration = Math.max(...timestamps);
+
+        logger.success(PREFIX, `Video ${video_number} duration: ${videoDuration}s with ${timestamps.length} frames`);
+
+        return JSON.stringify({
+          success: true,
           video_number: video_number,
-          videoDuration: 0
+          videoDuration: videoDuration,
+          frameCount: timestamps.length,
+          availableTimestamps: timestamps,
+          message: `Video ${video_number} is ${videoDuration} seconds long with frames available at each second.`
         });
+
+      } catch (error) {
+        logger.error(PREFIX, 'Error in getAvailableTimestampsTool:', error);
+        return JSON.stringify({ error: 'Failed to get available timestamps' });
       }
-      
-      const videoDuration = Math.max(...timestamps);
-      
-      logger.success(PREFIX, `Video ${video_number} duration: ${videoDuration}s with ${timestamps.length} frames`);
-      
-      return JSON.stringify({
-        success: true,
-        video_number: video_number,
-        videoDuration: videoDuration,
-        frameCount: timestamps.length,
-        availableTimestamps: timestamps,
-        message: `Video ${video_number} is ${videoDuration} seconds long with frames available at each second.`
-      });
-      
-    } catch (error) {
-      logger.error(PREFIX, 'Error in getAvailableTimestampsTool:', error);
-      return JSON.stringify({ error: 'Failed to get available timestamps' });
+    },
+    {
+      name: 'get_available_timestamps',
+      description: `Get information about a specific uploaded video's duration and available frame timestamps.
+      You must specify which video using video_number (1 for Video 1, 2 for Video 2, etc.).
+      Use this to understand how long a video is before requesting specific frames.`,
+      schema: z.object({
+        video_number: z.number().describe('Which video to check (1 for Video 1, 2 for Video 2, etc.)'),
+      }),
     }
-  },
-  {
-    name: 'get_available_timestamps',
-    description: `Get information about a specific uploaded video's duration and available frame timestamps.
-    You must specify which video using video_number (1 for Video 1, 2 for Video 2, etc.).
-    Use this to understand how long a video is before requesting specific frames.`,
-    schema: z.object({
-      video_number: z.number().describe('Which video to check (1 for Video 1, 2 for Video 2, etc.)'),
-    }),
-  }
-);
+  );
+}
 
 /**
  * Tool: Retrieve Previous Work Order
  * Allows the agent to fetch the caller's previous call transcript when they say they're calling about a previous work order
+ * @param {string|null} phoneNumber - Caller's phone number
+ * @param {string|null} currentCallId - Current call ID (excluded from the lookup)
+ * @returns {StructuredTool} - Tool instance bound to this caller
  */
-export const retrievePreviousWorkOrderTool = tool(
-  async () => {
-    try {
-      const phoneNumber = retrievePreviousWorkOrderTool.phoneNumber;
-      const currentCallId = retrievePreviousWorkOrderTool.currentCallId;
-      
-      logger.log(PREFIX, `Agent requesting previous work order for phone: ${phoneNumber}`);
-      
-      if (!phoneNumber) {
-        logger.error(PREFIX, 'No phone number available for previous work order lookup');
-        return JSON.stringify({ found: false, message: 'No phone number available to look up previous work orders.' });
+export function createRetrievePreviousWorkOrderTool(phoneNumber, currentCallId = null) {
+  return tool(
+    async () => {
+      try {
+        logger.log(PREFIX, `Agent requesting previous work order for phone: ${phoneNumber}`);
+
+        if (!phoneNumber) {
+          logger.error(PREFIX, 'No phone number available for previous work order lookup');
+          return JSON.stringify({ found: false, message: 'No phone number available to look up previous work orders.' });
+        }
+
+        const previousCall = await getLastCallByPhone(phoneNumber, currentCallId);
+
+        if (!previousCall) {
+          logger.log(PREFIX, 'No previous work order found for this caller');
+          return JSON.stringify({
+            found: false,
+            message: 'No previous work order found for this caller. They may be a new caller or their last call was more than 24 hours ago.'
+          });
+        }
+
+        const minutesAgo = Math.round((Date.now() - previousCall.endTime) / 60000);
+        logger.success(PREFIX, `✓ Previous work order found from ${minutesAgo} minutes ago`);
+
+        return JSON.stringify({
+          found: true,
+          minutesAgo: minutesAgo,
+          transcript: previousCall.transcript,
+          duration: previousCall.duration,
+          summary: previousCall.summary
+        });
+
+      } catch (error) {
+        logger.error(PREFIX, 'Error in retrievePreviousWorkOrderTool:', error);
+        return JSON.stringify({ error: 'Failed to retrieve previous work order' });
       }
-      
-      const previousCall = await getLastCallByPhone(phoneNumber, currentCallId);
-      
-      if (!previousCall) {
-        logger.log(PREFIX, 'No previous work order found for this caller');
-        return JSON.stringify({ 
-          found: false, 
-          message: 'No previous work order found for this caller. They may be a new caller or their last call was more than 24 hours ago.' 
+    },
+    {
+      name: 'retrieve_previous_work_order',
+      description: `Retrieve the caller's previous work order and call transcript.
+      Use this ONLY when the caller says they are calling about a PREVIOUS work order.
+      Do NOT use this for new work orders.`,
+      schema: z.object({}),
+    }
+  );
+}
+
+/**
+ * Tool: Schedule Callback
+ * Lets the agent book a call back to the caller (e.g. after a time-consuming step) that starts from the step they reached
+ * @param {string} phoneNumber - Caller's phone number
+ * @param {string|null} currentCallId - Current call ID
+ * @returns {StructuredTool} - Tool instance bound to this caller
+ */
+export function createScheduleCallbackTool(phoneNumber, currentCallId = null) {
+  return tool(
+    async ({ minutes_from_now, reason, step_reached }) => {
+      try {
+        logger.log(PREFIX, `Agent scheduling a callback to ${phoneNumber} in ${minutes_from_now} minute(s)`);
+
+        // Loaded on use - the callback service brings in the Retell client
+        const { scheduleCallback } = await import('./callback.service.js');
+        const callback = await scheduleCallback({
+          callId: currentCallId,
+          phone: phoneNumber,
+          delayMinutes: minutes_from_now,
+          reason,
+          stepReached: step_reached,
+        });
+
+        if (!callback) {
+          return JSON.stringify({
+            scheduled: false,
+            message: 'The callback could not be booked. Ask the caller to call us back when they are ready instead.'
+          });
+        }
+
+        const minutesFromNow = Math.round((new Date(callback.due_at).getTime() - Date.now()) / 60000);
+
+        return JSON.stringify({
+          scheduled: true,
+          minutesFromNow: minutesFromNow,
+          message: `Callback booked for about ${minutesFromNow} minutes from now. Tell the caller we will call them back at this number then and pick up from where they are.`
         });
+
+      } catch (error) {
+        logger.error(PREFIX, 'Error in scheduleCallbackTool:', error);
+        return JSON.stringify({ error: 'Failed to schedule callback' });
       }
-      
-      const minutesAgo = Math.round((Date.now() - previousCall.endTime) / 60000);
-      logger.success(PREFIX, `✓ Previous work order found from ${minutesAgo} minutes ago`);
-      
-      return JSON.stringify({
-        found: true,
-        minutesAgo: minutesAgo,
-        transcript: previousCall.transcript,
-        duration: previousCall.duration,
-        summary: previousCall.summary
-      });
-      
-    } catch (error) {
-      logger.error(PREFIX, 'Error in retrievePreviousWorkOrderTool:', error);
-      return JSON.stringify({ error: 'Failed to retrieve previous work order' });
+    },
+    {
+      name: 'schedule_callback',
+      description: `Book a call back to the caller at this number.
+      Use this when a step takes more than a few minutes (e.g. a water heater heating up) and the caller agrees to be called back,
+      or when the caller asks us to call them back later.
+      The callback starts from step_reached, so describe exactly where they are.`,
+      schema: z.object({
+        minutes_from_now: z.number().describe('How many minutes from now to call back (e.g. 30)'),
+        reason: z.string().describe('What the callback is about (e.g. "Water heater not producing hot water")'),
+        step_reached: z.string().describe('The step the caller is on, to pick up from (e.g. "Relit the pilot, waiting for the water to heat up")'),
+      }),
     }
-  },
-  {
-    name: 'retrieve_previous_work_order',
-    description: `Retrieve the caller's previous work order and call transcript. 
-    Use this ONLY when the caller says they are calling about a PREVIOUS work order. 
-    Do NOT use this for new work orders.`,
-    schema: z.object({}),
-  }
-);
+  );
+}
+
+/**
+ * Tool: End Call
+ * Lets the agent hang up once the caller has nothing else - the controller speaks the closing line,
+ * ends the call and records the disposition
+ * @returns {StructuredTool} - Tool instance
+ */
+export function createEndCallTool() {
+  return tool(
+    async ({ disposition, note }) => {
+      const message = CLOSING_MESSAGES[disposition] || CLOSING_MESSAGES.resolved;
+      logger.log(PREFIX, `👋 Agent is ending the call (${disposition})`);
+
+      return [
+        `The call is ending. The caller will hear: "${message}"`,
+        { type: 'end_call', disposition, note: note || null, message },
+      ];
+    },
+    {
+      name: 'end_call',
+      description: `End the phone call.
+      Use this ONLY after you asked whether there is anything else you can help with and the caller said no,
+      or the caller says goodbye. Never use it while a problem is still open or during a safety issue.
+      The caller automatically hears a short goodbye - do not say goodbye yourself.`,
+      responseFormat: 'content_and_artifact',
+      schema: z.object({
+        disposition: z.enum(AGENT_DISPOSITIONS).describe('How the call wrapped up: resolved (issue fixed or question answered), callback_scheduled (caller will call back or be called back), follow_up_needed (our team has to follow up), vendor_referral (caller was sent to their vendor)'),
+        note: z.string().optional().describe('One short sentence for the call record (e.g. "Reset the GFCI outlet, power is back")'),
+      }),
+    }
+  );
+}
 
 /**
  * Create tools with transcript context
+ * Every call gets fresh tool instances, so concurrent calls never see each other's videos or phone number
  * @param {Array|null} transcriptIds - Array of transcript IDs to bind to video tools
  * @param {boolean} includeRAG - Whether to include RAG search tool
- * @param {boolean} includeEmergency - Whether to include emergency transfer tool
- * @param {string|null} phoneNumber - Caller's phone number (for previous work order lookup)
+ * @param {boolean} includeEmergency - Whether to include the transfer tools (emergency, urgent maintenance, human agent)
+ * @param {string|null} phoneNumber - Caller's phone number (for previous work order lookup, callbacks and the local emergency number)
  * @param {string|null} currentCallId - Current call ID (to exclude from previous call lookup)
  * @returns {Promise<Array>} - Array of tools
  */
 export async function createToolsWithContext(transcriptIds, includeRAG = true, includeEmergency = true, phoneNumber = null, currentCallId = null) {
   const tools = [];
-  
+
   // Add video frame tools if transcript IDs provided
   if (transcriptIds && transcriptIds.length > 0) {
     // Bind transcript IDs array to tools (ordered: index 0 = Video 1, index 1 = Video 2, etc.)
-    fetchVideoFramesTool.transcriptIds = transcriptIds;
-    getAvailableTimestampsTool.transcriptIds = transcriptIds;
-    
-    tools.push(getAvailableTimestampsTool);
-    tools.push(fetchVideoFramesTool);
-    
+    tools.push(createGetAvailableTimestampsTool(transcriptIds));
+    tools.push(createFetchVideoFramesTool(transcriptIds));
+
     logger.log(PREFIX, `Video tools initialized with ${transcriptIds.length} transcript ID(s): ${transcriptIds.join(', ')}`);
   }
-  
+
   // Add RAG search tool if enabled
   if (includeRAG) {
     const { searchKnowledgeBaseTool } = await import('./rag-tool.service.js');
     tools.push(searchKnowledgeBaseTool);
     logger.log(PREFIX, 'RAG search tool added');
   }
-  
+
   // Add emergency transfer tool if enabled
   if (includeEmergency) {
-    const { transferEmergencyCallTool } = await import('./emergency-tool.service.js');
-    tools.push(transferEmergencyCallTool);
-    logger.log(PREFIX, 'Emergency transfer tool added');
+    const { createEmergencyTools } = await import('./emergency-tool.service.js');
+    const { resolveEmergencyNumber } = await import('./emergency-number.service.js');
+    tools.push(...createEmergencyTools(resolveEmergencyNumber(phoneNumber)));
+    logger.log(PREFIX, 'Transfer tools added (emergency, urgent maintenance, human agent)');
   }
-  
+
   // Add previous work order tool if phone number is available
   if (phoneNumber) {
-    retrievePreviousWorkOrderTool.phoneNumber = phoneNumber;
-    retrievePreviousWorkOrderTool.currentCallId = currentCallId;
-    tools.push(retrievePreviousWorkOrderTool);
+    tools.push(createRetrievePreviousWorkOrderTool(phoneNumber, currentCallId));
     logger.log(PREFIX, 'Previous work order tool added');
+
+    // A callback needs a number to call
+    tools.push(createScheduleCallbackTool(phoneNumber, currentCallId));
+    logger.log(PREFIX, 'Schedule callback tool added');
   }
-  
+
+  // Every agent can hang up once the caller is done
+  tools.push(createEndCallTool());
+
   logger.log(PREFIX, `Total ${tools.length} tool(s) initialized`);
-  
+
   return tools;
 }
 
@@ -4,18 +4,31 @@
  */
 
 import { ChatOpenAI } from '@langchain/openai';
-import { StateGraph, MessagesAnnotation, Annotation } from '@langchain/langgraph';
+import { StateGraph, MessagesAnnotation, Annotation, REMOVE_ALL_MESSAGES } from '@langchain/langgraph';
 import { ToolNode } from '@langchain/langgraph/prebuilt';
-import { SystemMessage, ToolMessage } from '@langchain/core/messages';
+import { AIMessage, SystemMessage, ToolMessage, RemoveMessage } from '@langchain/core/messages';
 import { config } from '../config/env.js';
 import { logger } from '../utils/logger.js';
 import { createToolsWithContext } from './langgraph-tools.service.js';
 import { createVisionMessage, parseFramesFromToolResult } from './vision-handler.service.js';
+import { getCheckpointer } from './checkpointer.service.js';
+import { resolveEmergencyNumber, getSafetyScript } from './emergency-number.service.js';
 
 const PREFIX = 'LangGraph';
 
+// When the agent may hang up (shared by every prompt)
+const END_CALL_INSTRUCTIONS = `ENDING THE CALL:
+When the issue is handled, ask if there is anything else you can help with.
+If the caller says no, or says goodbye, use the end_call tool with the disposition that fits:
+- resolved: the issue is fixed or the question is answered
+- callback_scheduled: the caller will call back (e.g. after a time-consuming step) or you booked a callback with schedule_callback
+- follow_up_needed: our team has to follow up
+- vendor_referral: you directed the caller to their vendor
+The caller automatically hears a short goodbye - do not say goodbye yourself.
+Never end the call during an emergency or while the caller still needs help.`;
+
 // Initialize OpenAI LLM with vision support (gpt-4-vision-preview or gpt-4o)
-const llm = new ChatOpenAI({
+let llm = new ChatOpenAI({
   modelName: config.openai.visionModel || 'gpt-4o', // gpt-4o supports vision
   temperature: config.openai.temperature || 0.7, // Lower temperature for more consistent formatting
   openAIApiKey: config.openai.apiKey,
@@ -24,6 +37,16 @@ const llm = new ChatOpenAI({
   // The system prompt already instructs the agent not to use text formatting
 });
 
+/**
+ * Replace the chat model used by new agents and reminders
+ * Lets tests run conversations against a deterministic model instead of OpenAI.
+ * @param {BaseChatModel} model - Chat model supporting bindTools()
+ */
+export function setChatModel(model) {
+  llm = model;
+  logger.log(PREFIX, `Chat model set to: ${model._llmType?.() || model.constructor.name}`);
+}
+
 // Extended state annotation for frames
 export const AgentState = Annotation.Root({
   ...MessagesAnnotation.spec,
@@ -35,8 +58,24 @@ export const AgentState = Annotation.Root({
     reducer: (x, y) => y ?? x,
     default: () => false,
   }),
+  // Action a tool asked the controller to carry out this turn (e.g. { type: 'transfer', destination, ... })
+  // Reset to null at the start of every turn; an explicit null clears it
+  pendingAction: Annotation({
+    reducer: (x, y) => (y === undefined ? x : y),
+    default: () => null,
+  }),
 });
 
+/**
+ * Find the action artifact returned by this step's tools, if any
+ * @param {Array} messages - Messages produced by the tool node
+ * @returns {Object|null} - First action artifact
+ */
+function findPendingAction(messages) {
+  const message = messages.find(m => m instanceof ToolMessage && m.artifact?.type);
+  return message ? message.artifact : null;
+}
+
 /**
  * Create a LangGraph agent with dynamic system prompt and tools
  * @param {string} systemPrompt - The system prompt for the agent
@@ -44,24 +83,28 @@ export const AgentState = Annotation.Root({
  * @param {boolean} enableRAG - Whether to enable RAG search tool
  * @param {boolean} enableEmergency - Whether to enable emergency transfer tool
  * @param {string|null} phoneNumber - Caller's phone number (for previous work order tool)
- * @param {string|null} currentCallId - Current call ID (to exclude from previous call lookup)
+ * @param {string|null} currentCallId - Current call ID (to exclude from previous call lookup; also the checkpoint thread)
+ * @param {Object|null} recorder - Call recorder; records tool results, or supplies the model and tool results on replay
  * @returns {CompiledGraph} - Compiled LangGraph agent
  */
-export async function createAgent(systemPrompt, transcriptIds = null, enableRAG = true, enableEmergency = true, phoneNumber = null, currentCallId = null) {
+export async function createAgent(systemPrompt, transcriptIds = null, enableRAG = true, enableEmergency = true, phoneNumber = null, currentCallId = null, recorder = null) {
   const hasVideos = transcriptIds && transcriptIds.length > 0;
   const toolsDescription = [];
   if (hasVideos) toolsDescription.push(`video tools (${transcriptIds.length} video(s))`);
   if (enableRAG) toolsDescription.push('RAG search');
   if (enableEmergency) toolsDescription.push('emergency transfer');
-  if (phoneNumber) toolsDescription.push('previous work order');
+  if (phoneNumber) toolsDescription.push('previous work order + schedule callback');
+  toolsDescription.push('end call');
   
-  logger.log(PREFIX, `Creating new agent with: ${toolsDescription.join(' + ') || 'no tools'}`);
+  logger.log(PREFIX, `Creating new agent with: ${toolsDescription.join(' + ')}`);
   
-  // Create tools (video + RAG + emergency + previous work order)
-  const tools = (hasVideos || enableRAG || enableEmergency || phoneNumber) ? await createToolsWithContext(transcriptIds, enableRAG, enableEmergency, phoneNumber, currentCallId) : [];
+  // Create tools (video + RAG + emergency + previous work order + end call)
+  const contextTools = await createToolsWithContext(transcriptIds, enableRAG, enableEmergency, phoneNumber, currentCallId);
+  const tools = recorder ? recorder.wrapTools(contextTools) : contextTools;
   
-  // Bind tools to LLM if available
-  const llmWithTools = tools.length > 0 ? llm.bindTools(tools) : llm;
+  // Bind tools to LLM if available (a replayed call answers from its recorded model output)
+  const model = recorder?.model || llm;
+  const llmWithTools = tools.length > 0 ? model.bindTools(tools) : model;
   
   // Define the agent node
   const callModel = async (state) => {
@@ -93,6 +136,13 @@ export async function createAgent(systemPrompt, transcriptIds = null, enableRAG
       const toolNode = new ToolNode(tools);
       const toolResult = await toolNode.invoke(state);
       
+      // A transfer (or other action) ends the run - the controller carries it out
+      const pendingAction = findPendingAction(toolResult.messages);
+      if (pendingAction) {
+        logger.log(PREFIX, `Tool requested action: ${pendingAction.type} (${pendingAction.category || 'n/a'})`);
+        return { ...toolResult, pendingAction };
+      }
+      
       // Check if the tool result contains frames
       const lastMessage = toolResult.messages[toolResult.messages.length - 1];
       
@@ -158,13 +208,115 @@ export async function createAgent(systemPrompt, transcriptIds = null, enableRAG
       return '__end__';
     });
     
-    // After tools, go back to agent
-    workflow.addEdge('tools', 'agent');
+    // After tools, go back to agent - unless a tool handed the controller an action to carry out
+    workflow.addConditionalEdges('tools', (state) => (state.pendingAction ? '__end__' : 'agent'));
   } else {
     workflow.addEdge('agent', '__end__');
   }
 
-  return workflow.compile();
+  // Persist graph state (including tool calls and vision messages) per call thread
+  const checkpointer = await getCheckpointer();
+
+  return workflow.compile(checkpointer ? { checkpointer } : {});
+}
+
+/**
+ * Run the agent and stream its spoken output token by token
+ * Only tokens from the 'agent' node are yielded (tool output is never spoken).
+ * The last event carries the final graph state so callers can act on state.pendingAction.
+ * @param {CompiledGraph} agent - Compiled LangGraph agent
+ * @param {Object} state - Conversation state to run the graph with
+ * @param {Object} options - Stream options
+ * @param {AbortSignal} [options.signal] - Signal to abort the run
+ * @param {string} [options.threadId] - Checkpoint thread (the call ID)
+ * @param {Array} [options.callbacks] - Extra LangChain callback handlers (e.g. the call recorder)
+ * @returns {AsyncGenerator<{type: 'token', content: string}|{type: 'done', state: Object}>}
+ */
+export async function* streamAgentResponse(agent, state, { signal, threadId, callbacks } = {}) {
+  // The controller's history is the source of truth, so it replaces the checkpointed messages
+  // instead of being appended to them. Earlier checkpoints keep each turn's tool calls.
+  const input = {
+    ...state,
+    messages: [new RemoveMessage({ id: REMOVE_ALL_MESSAGES }), ...state.messages],
+    pendingAction: null,
+  };
+
+  const stream = await agent.stream(input, {
+    streamMode: ['messages', 'values'],
+    signal,
+    callbacks,
+    configurable: threadId ? { thread_id: threadId } : undefined,
+  });
+
+  let finalState = null;
+
+  for await (const [mode, chunk] of stream) {
+    if (mode === 'values') {
+      finalState = chunk;
+      continue;
+    }
+
+    const [messageChunk, metadata] = chunk;
+    if (metadata?.langgraph_node !== 'agent') continue;
+
+    if (typeof messageChunk.content === 'string' && messageChunk.content) {
+      yield { type: 'token', content: messageChunk.content };
+    }
+  }
+
+  yield { type: 'done', state: finalState };
+}
+
+/**
+ * Replace a finished run's final reply in the checkpoint with the text the caller heard
+ * The raw model output can carry markdown the cleaner stripped, and a conversation restored
+ * from the checkpoint (see checkpointer.service) should match what was actually said.
+ * @param {CompiledGraph} agent - Compiled LangGraph agent
+ * @param {string} threadId - Checkpoint thread (the call ID)
+ * @param {Object} state - Final graph state of the run
+ * @param {string} spokenText - Cleaned reply as it was spoken
+ */
+export async function saveSpokenReply(agent, threadId, state, spokenText) {
+  const reply = state?.messages?.[state.messages.length - 1];
+  if (!agent.checkpointer || !reply?.id || reply._getType() !== 'ai' || reply.content === spokenText) {
+    return;
+  }
+
+  // Same message ID, so the messages reducer replaces the reply instead of appending one
+  await agent.updateState(
+    { configurable: { thread_id: threadId } },
+    { messages: [new AIMessage({ id: reply.id, content: spokenText })] },
+    'agent'
+  );
+}
+
+/**
+ * Generate a short, context-aware nudge for a caller who has gone silent
+ * Built from the last few turns so it can refer to the step the caller is working on
+ * @param {Array} messages - Conversation messages so far
+ * @param {Object|null} recorder - Call recorder (records the model call, or supplies it on replay)
+ * @returns {Promise<string>} - Reminder text to speak
+ */
+export async function generateReminderMessage(messages, recorder = null) {
+  const fallback = "Are you still there? Take your time, I'm here when you're ready.";
+
+  try {
+    const model = recorder?.model || llm;
+    const response = await model.invoke([
+      new SystemMessage(`You are a home maintenance phone support agent. The caller has gone silent.
+Write ONE short sentence (under 20 words) to check in with them, based on the last step you gave them.
+Example: "Are you still there? Were you able to reset the breaker?"
+Do not give a new step. Do not use any symbols or formatting - this will be spoken aloud.`),
+      ...messages.slice(-6),
+    ], { callbacks: recorder?.callbacks });
+
+    const text = typeof response.content === 'string' ? response.content.trim() : '';
+    return text || fallback;
+
+  } catch (error) {
+    logger.error(PREFIX, 'Failed to generate reminder, using fallback:', error);
+    return fallback;
+  }
 }
 
 /**
@@ -172,9 +324,10 @@ export async function createAgent(systemPrompt, transcriptIds = null, enableRAG
  * @param {string} transcript - Video transcript(s), already formatted as numbered if multiple
  * @param {boolean} hasFrames - Whether video frames are available
  * @param {number} videoCount - Number of videos uploaded (default 1)
+ * @param {Object} emergency - Caller's emergency number (resolveEmergencyNumber)
  * @returns {string} - System prompt
  */
-export function createTechnicalSupportPrompt(transcript, hasFrames = true, videoCount = 1) {
+export function createTechnicalSupportPrompt(transcript, hasFrames = true, videoCount = 1, emergency = resolveEmergencyNumber()) {
   const isMultiVideo = videoCount > 1;
 
   const videoToolsInstructions = hasFrames ? `
@@ -239,7 +392,7 @@ IMPORTANT: DO NOT proactively ask about emergencies unless the user EXPLICITLY m
 Assume issues are normal DIY problems UNLESS the user clearly states otherwise.
 
 ═══════════════════════════════════════════════════════
-PROTOCOL A: LIFE-THREATENING EMERGENCIES (911 FIRST!)
+PROTOCOL A: LIFE-THREATENING EMERGENCIES (${emergency.number} FIRST!)
 ═══════════════════════════════════════════════════════
 
 ONLY trigger if user EXPLICITLY mentions:
@@ -250,14 +403,14 @@ ONLY trigger if user EXPLICITLY mentions:
 - "collapse" / "danger to life" / "someone is hurt badly"
 
 RESPONSE:
-1. IMMEDIATELY say: "This is a life-threatening emergency. Hang up right now and dial 9-1-1. That's 9-1-1 for emergency services. Get everyone to safety immediately."
+1. IMMEDIATELY say: "${getSafetyScript('instruct', emergency)}"
 2. DO NOT suggest any other number first
-3. DO NOT use transfer tools yet - 911 is the ONLY first response
+3. DO NOT use transfer tools yet - ${emergency.number} is the ONLY first response
 
-IF THEY CAN'T CALL 911:
-If user says "I can't call 911" / "I can't hang up" / "Can you call for me?":
+IF THEY CAN'T CALL ${emergency.number}:
+If user says "I can't call ${emergency.number}" / "I can't hang up" / "Can you call for me?":
 → Use transfer_emergency_call tool IMMEDIATELY
-→ Say: "I'm transferring you to our emergency response team immediately. Please stay on the line."
+→ The caller automatically hears: "I'm transferring you to our emergency response team immediately. Please stay on the line." - do not repeat it yourself.
 
 ═══════════════════════════════════════════════════════
 PROTOCOL B: URGENT HOME MAINTENANCE EMERGENCIES
@@ -277,9 +430,9 @@ IMPORTANT: A "leak" is NOT the same as "flooding"
 
 RESPONSE (only for flooding/major failures):
 Use transfer_urgent_maintenance tool IMMEDIATELY
-Say: "This needs immediate professional attention. I'm transferring you to our emergency maintenance team who will dispatch help right away. Please stay on the line."
+The caller automatically hears: "This needs immediate professional attention. I'm transferring you to our emergency maintenance team who will dispatch help right away. Please stay on the line." - do not repeat it yourself.
 
-DO NOT mention 911 for these issues.
+DO NOT mention ${emergency.number} for these issues.
 
 ═══════════════════════════════════════════════════════
 PROTOCOL C: USER REQUESTS HUMAN AGENT
@@ -292,7 +445,7 @@ If user EXPLICITLY says they want to talk to a human/person/agent:
 - "Get me a real person"
 
 Use transfer_to_human_agent tool IMMEDIATELY
-Say: "I understand you'd like to speak with a human agent. I'm transferring you to our support team now. Please stay on the line."
+The caller automatically hears: "I understand you'd like to speak with a human agent. I'm transferring you to our support team now. Please stay on the line." - do not repeat it yourself.
 
 DO NOT try to convince them to stay with AI.
 DO NOT ask why they want human support.
@@ -473,6 +626,9 @@ EXAMPLES:
 - "After resetting the thermostat, it usually takes about 10 minutes for the system to respond. Call us back after that, and we will check if it is working."
 - "Let the system run for about 5 minutes. Once you have done that, call us back and we will continue troubleshooting."
 
+If the caller would rather we call them, use the schedule_callback tool with the wait time, the issue and the exact step they are on,
+then tell them we will call them back at this number and pick up from that step.
+
 DO NOT say "I will wait on the line" or "Take your time, I will be here" for steps longer than 2 minutes.
 This wastes the customer's phone bill and our resources. Always suggest a callback for longer steps.
 
@@ -526,14 +682,31 @@ IMPORTANT - USER COMMUNICATION:
 - ❌ NEVER say: "transcript", "frames", "snapshots", "images", "text description"
 - Be conversational and natural, as if you watched their video recording like any person would
 
+${END_CALL_INSTRUCTIONS}
+
 Keep responses concise. Give ONE step at a time and wait for confirmation.`;
 }
 
+/**
+ * Prompt section for a scheduled callback, so the agent carries on from the step the caller reached
+ * (the greeting only tells the caller; the agent needs it too)
+ * @param {Object} callback - Scheduled callback (see callback.service.js)
+ * @returns {string} - Text to append to the system prompt
+ */
+export function createCallbackPrompt(callback) {
+  return `SCHEDULED CALLBACK:
+This is a call we placed to pick up an earlier conversation. The caller has already been greeted and reminded of the step below.
+Issue: ${callback.reason || 'not recorded'}
+Step the caller reached: ${callback.step_reached || 'not recorded - ask where they got to'}
+Continue from that step. Do not start the troubleshooting over or repeat steps the caller has already done.`;
+}
+
 /**
  * Generate system prompt for receptionist agent
+ * @param {Object} emergency - Caller's emergency number (resolveEmergencyNumber)
  * @returns {string} - System prompt
  */
-export function createReceptionistPrompt() {
+export function createReceptionistPrompt(emergency = resolveEmergencyNumber()) {
 
   const ragToolInstructions = `
 
@@ -548,7 +721,7 @@ IMPORTANT: DO NOT ask "is there danger?" or "is anyone injured?" unless the user
 Assume issues are normal home maintenance problems UNLESS the user explicitly states otherwise.
 
 ═══════════════════════════════════════════════════════
-PROTOCOL A: LIFE-THREATENING (911 FIRST!)
+PROTOCOL A: LIFE-THREATENING (${emergency.number} FIRST!)
 ═══════════════════════════════════════════════════════
 
 ONLY trigger if user EXPLICITLY mentions:
@@ -558,14 +731,14 @@ ONLY trigger if user EXPLICITLY mentions:
 - "carbon monoxide alarm" or "CO detector"
 - "danger to life" / "someone is hurt"
 
-Say: "This is an emergency. Hang up right now and dial 9-1-1. That's 9-1-1 for emergency services. Your safety is the priority."
+Say: "${getSafetyScript('instruct', emergency)}"
 
-If they say "I can't call 911" or "Can you call for me?":
+If they say "I can't call ${emergency.number}" or "Can you call for me?":
 → Use transfer_emergency_call tool IMMEDIATELY
-→ Say: "I'm transferring you to our emergency response team immediately. Please stay on the line."
+→ The caller automatically hears: "I'm transferring you to our emergency response team immediately. Please stay on the line." - do not repeat it yourself.
 
 ═══════════════════════════════════════════════════════
-PROTOCOL B: URGENT HOME MAINTENANCE (NO 911 MENTION)
+PROTOCOL B: URGENT HOME MAINTENANCE (NO ${emergency.number} MENTION)
 ═══════════════════════════════════════════════════════
 
 ONLY trigger if user EXPLICITLY mentions:
@@ -580,9 +753,9 @@ IMPORTANT: "leak" ≠ "flooding"
 - "flooding" / "water everywhere" = Urgent, transfer
 
 Use transfer_urgent_maintenance tool IMMEDIATELY
-Say: "This needs immediate professional attention. I'm transferring you to our emergency maintenance team who will dispatch help right away. Please stay on the line."
+The caller automatically hears: "This needs immediate professional attention. I'm transferring you to our emergency maintenance team who will dispatch help right away. Please stay on the line." - do not repeat it yourself.
 
-DO NOT mention 911 for home maintenance emergencies.
+DO NOT mention ${emergency.number} for home maintenance emergencies.
 
 ═══════════════════════════════════════════════════════
 PROTOCOL C: USER REQUESTS HUMAN AGENT
@@ -590,7 +763,7 @@ PROTOCOL C: USER REQUESTS HUMAN AGENT
 
 If user says they want to talk to a human/person/agent:
 Use transfer_to_human_agent tool IMMEDIATELY
-Say: "I understand you'd like to speak with a human agent. I'm transferring you to our support team now. Please stay on the line."
+The caller automatically hears: "I understand you'd like to speak with a human agent. I'm transferring you to our support team now. Please stay on the line." - do not repeat it yourself.
 
 ═══════════════════════════════════════════════════════
 PROTOCOL D: NORMAL ISSUES (DEFAULT APPROACH)
@@ -780,11 +953,27 @@ TIME-CONSUMING STEPS THAT REQUIRE CALLBACK:
 WHAT TO SAY:
 "This step will take about [estimated time]. To save you time on this call, please complete this step and call us back when it is done. We will continue from where we left off."
 
+If the caller would rather we call them, use the schedule_callback tool with the wait time, the issue and the exact step they are on.
+
 DO NOT say "I will wait on the line" for steps longer than 2 minutes. Always suggest a callback.
 
+${END_CALL_INSTRUCTIONS}
+
 Keep responses conversational and helpful. Make them feel supported. Give ONE step at a time.`;
 }
 
+/**
+ * Generate the first message of a scheduled callback: pick up from the step the caller reached
+ * @param {Object} callback - Scheduled callback (see callback.service.js)
+ * @returns {string} - First message to user
+ */
+export function generateCallbackMessage(callback) {
+  const about = callback.reason ? ` about ${callback.reason.replace(/[.!?]+$/, '')}` : '';
+  const step = callback.step_reached ? ` Last time we got as far as: ${callback.step_reached.replace(/[.!?]+$/, '')}.` : '';
+
+  return `Hello, this is Home Maintenance Support calling you back${about}.${step} Are you ready to pick up from there?`;
+}
+
 /**
  * Generate first message based on video availability
  * @param {number} videoCount - Number of videos uploaded (0 = none)
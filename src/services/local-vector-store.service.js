@@ -0,0 +1,148 @@
+/**
+ * Local Vector Store Service
+ * File-backed adapter for the vector store interface (see vector-store.service.js), for local
+ * development, tests and offline demos.
+ *
+ * Vectors are kept in memory and saved to a JSON file after every change; queries are a full
+ * cosine-similarity scan, which is fine for the few thousand chunks of a demo knowledge base.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+const PREFIX = 'LocalVectors';
+
+/**
+ * Cosine similarity of two vectors
+ * @param {number[]} a - Vector
+ * @param {number[]} b - Vector of the same length
+ * @returns {number} - Similarity (-1 to 1; 0 if either vector is all zeros)
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Whether a vector's metadata matches an equality filter
+ * @param {Object} metadata - Vector metadata
+ * @param {Object|null} filter - Field → value (null matches everything)
+ * @returns {boolean}
+ */
+function matchesFilter(metadata, filter) {
+  return !filter || Object.entries(filter).every(([field, value]) => metadata?.[field] === value);
+}
+
+/**
+ * Create a vector store persisted to a JSON file
+ * @param {string} file - Path of the JSON file (created on first write)
+ * @returns {Object} - Vector store ({ name, upsert, query, fetch, delete, stats })
+ */
+export function createLocalVectorStore(file) {
+  let vectors = null;
+  let saveQueue = Promise.resolve();
+
+  const load = async () => {
+    if (vectors) return vectors;
+
+    const loaded = new Map();
+    try {
+      const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+      for (const vector of saved.vectors) {
+        loaded.set(vector.id, vector);
+      }
+      logger.log(PREFIX, `Loaded ${loaded.size} vectors from ${file}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    vectors = vectors || loaded;
+    return vectors;
+  };
+
+  // Writes are queued, and each replaces the file in one rename
+  const save = () => {
+    const snapshot = JSON.stringify({ vectors: [...vectors.values()] });
+    saveQueue = saveQueue.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, snapshot);
+      await fs.rename(`${file}.tmp`, file);
+    });
+    return saveQueue;
+  };
+
+  return {
+    name: 'local',
+
+    async upsert(newVectors) {
+      const store = await load();
+      const dimension = store.values().next().value?.values.length ?? newVectors[0]?.values.length;
+
+      const mismatch = newVectors.find(vector => vector.values.length !== dimension);
+      if (mismatch) {
+        throw new Error(`Vector ${mismatch.id} has ${mismatch.values.length} dimensions, the store has ${dimension}`);
+      }
+
+      for (const { id, values, metadata = {} } of newVectors) {
+        store.set(id, { id, values, metadata });
+      }
+      await save();
+    },
+
+    async query({ vector, topK, filter = null }) {
+      const store = await load();
+      const dimension = store.values().next().value?.values.length;
+      if (dimension !== undefined && vector.length !== dimension) {
+        throw new Error(`Query vector has ${vector.length} dimensions, the store has ${dimension}`);
+      }
+
+      const matches = [];
+
+      for (const { id, values, metadata } of store.values()) {
+        if (matchesFilter(metadata, filter)) {
+          matches.push({ id, score: cosineSimilarity(vector, values), metadata });
+        }
+      }
+
+      matches.sort((a, b) => b.score - a.score);
+      return matches.slice(0, topK);
+    },
+
+    async fetch(ids) {
+      const store = await load();
+      return ids.filter(id => store.has(id)).map(id => ({ id, metadata: store.get(id).metadata }));
+    },
+
+    async delete({ ids = null, filter = null }) {
+      const store = await load();
+      const before = store.size;
+
+      if (ids) {
+        ids.forEach(id => store.delete(id));
+      } else if (filter) {
+        for (const [id, { metadata }] of store) {
+          if (matchesFilter(metadata, filter)) store.delete(id);
+        }
+      }
+
+      if (store.size !== before) await save();
+    },
+
+    async stats() {
+      const store = await load();
+      return {
+        vectorCount: store.size,
+        dimension: store.values().next().value?.values.length ?? null,
+        file,
+      };
+    },
+  };
+}
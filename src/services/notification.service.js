@@ -0,0 +1,181 @@
+/**
+ * Notification Service
+ * Fans notification events out to every channel configured for them (email, webhook, sms),
+ * retrying each delivery on its own so one slow or failing channel never blocks another.
+ *
+ * Events:
+ * - emergency_alert: an incident alert or escalation (see incident.service.js)
+ * - call_summary: the post-call summary from the call_analyzed webhook
+ * - transfer_handoff: the handoff brief for a warm transfer (see handoff.service.js)
+ *
+ * Channels per event come from config.notifications.events, retry policy per channel from
+ * config.notifications.retry. A payload with `to` is addressed to that one contact: email and sms
+ * send only to a recipient they can reach, webhooks always go to every configured URL.
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { isEmailConfigured, sendEmergencyAlert, sendCallSummaryFromWebhook, sendTransferHandoff } from './email.service.js';
+import { sendWebhook } from './webhook.service.js';
+import { sendSms } from './sms.service.js';
+
+const PREFIX = 'Notify';
+
+export const NOTIFICATION_EVENTS = ['emergency_alert', 'call_summary', 'transfer_handoff'];
+
+// Email sender per event
+const EMAIL_SENDERS = {
+  emergency_alert: (payload, to) => sendEmergencyAlert({ ...payload, to }),
+  call_summary: (payload) => sendCallSummaryFromWebhook(payload),
+  transfer_handoff: (payload, to) => sendTransferHandoff({ ...payload, to }),
+};
+
+const DEFAULT_RETRY = { attempts: 1, delayMs: 0 };
+
+const isEmailAddress = (value) => /^[^\s@]+@[^\s@]+$/.test(value);
+const isPhoneNumber = (value) => /^\+?[\d\s().-]{7,}$/.test(value);
+
+/**
+ * Short text version of an event for SMS
+ * @param {string} event - Event type
+ * @param {Object} payload - Event payload
+ * @returns {string} - Message text
+ */
+function formatSms(event, payload) {
+  if (event === 'emergency_alert') {
+    const kind = payload.isUrgentMaintenance ? 'URGENT MAINTENANCE' : 'EMERGENCY';
+    const escalation = payload.escalationLevel > 0 ? ` [ESCALATION ${payload.escalationLevel}]` : '';
+    const ack = payload.acknowledgeUrl ? ` Acknowledge: ${payload.acknowledgeUrl}` : '';
+    return `${kind}${escalation}: ${payload.reason}. Caller ${payload.userPhone || 'unknown'}, call ${payload.callId}.${ack}`;
+  }
+
+  if (event === 'transfer_handoff') {
+    return `INCOMING TRANSFER: ${payload.issue}. Caller ${payload.callerPhone || 'unknown'}. Transcript: ${payload.transcriptUrl}`;
+  }
+
+  if (event === 'call_summary') {
+    return `Call ${payload.callId} from ${payload.phoneNumber || 'unknown'} (${payload.duration || 'N/A'}): ${payload.aiSummary || 'no summary'}`;
+  }
+
+  return `${event}: ${JSON.stringify(payload)}`;
+}
+
+/**
+ * Channel adapters
+ * targets(event, payload) → who to deliver to (empty = nothing to do)
+ * send(target, event, payload, deliveryId) → delivery details; throws to trigger a retry
+ */
+const channels = {
+  email: {
+    targets(event, payload) {
+      if (!EMAIL_SENDERS[event]) return [];
+      const to = payload.to ? (isEmailAddress(payload.to) ? payload.to : null) : config.email.to;
+      return to && isEmailConfigured(to) ? [to] : [];
+    },
+    async send(to, event, payload) {
+      const sent = await EMAIL_SENDERS[event](payload, to);
+
+      if (!sent) {
+        throw new Error('Email was not sent');
+      }
+      return { to };
+    },
+  },
+
+  webhook: {
+    targets() {
+      return config.webhooks.urls;
+    },
+    send(url, event, payload, deliveryId) {
+      return sendWebhook(url, event, payload, deliveryId);
+    },
+  },
+
+  sms: {
+    targets(event, payload) {
+      if (payload.to) {
+        return isPhoneNumber(payload.to) ? [payload.to] : [];
+      }
+      return config.sms.alertTo;
+    },
+    send(to, event, payload) {
+      return sendSms(to, formatSms(event, payload));
+    },
+  },
+};
+
+/**
+ * Deliver to one target, retrying with exponential backoff
+ * @param {string} channelName - Channel
+ * @param {string} target - Recipient or URL
+ * @param {string} event - Event type
+ * @param {Object} payload - Event payload
+ * @returns {Promise<Object>} - { channel, target, status: 'delivered'|'failed', attempts, error? }
+ */
+async function deliver(channelName, target, event, payload) {
+  const { attempts, delayMs } = config.notifications.retry[channelName] || DEFAULT_RETRY;
+  const deliveryId = crypto.randomUUID();
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= Math.max(1, attempts); attempt++) {
+    try {
+      await channels[channelName].send(target, event, payload, deliveryId);
+      return { channel: channelName, target, status: 'delivered', attempts: attempt };
+    } catch (error) {
+      lastError = error;
+      if (attempt < attempts) {
+        const wait = delayMs * 2 ** (attempt - 1);
+        logger.warn(PREFIX, `${channelName} → ${target} failed (attempt ${attempt}/${attempts}): ${error.message} - retrying in ${wait}ms`);
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    }
+  }
+
+  logger.error(PREFIX, `${event} via ${channelName} → ${target} failed after ${attempts} attempt(s): ${lastError?.message}`);
+  return { channel: channelName, target, status: 'failed', attempts, error: lastError?.message };
+}
+
+/**
+ * Send an event to every channel configured for it
+ * @param {string} event - 'emergency_alert' | 'call_summary' | 'transfer_handoff'
+ * @param {Object} payload - Event payload (emergency_alert: the sendEmergencyAlert fields; call_summary: the sendCallSummaryFromWebhook fields; transfer_handoff: a handoff brief)
+ * @returns {Promise<Object>} - { event, delivered: boolean, results: [{ channel, target?, status: 'delivered'|'failed'|'skipped', attempts?, error? }] }
+ */
+export async function dispatchNotification(event, payload) {
+  if (!NOTIFICATION_EVENTS.includes(event)) {
+    logger.warn(PREFIX, `Unknown notification event "${event}"`);
+  }
+
+  const channelNames = config.notifications.events[event] || [];
+  const pending = [];
+  const skipped = [];
+
+  for (const name of channelNames) {
+    if (!channels[name]) {
+      logger.warn(PREFIX, `Unknown notification channel "${name}" for ${event} - skipping`);
+      skipped.push({ channel: name, status: 'skipped', error: 'unknown channel' });
+      continue;
+    }
+
+    const targets = channels[name].targets(event, payload);
+    if (targets.length === 0) {
+      skipped.push({ channel: name, status: 'skipped' });
+      continue;
+    }
+
+    pending.push(...targets.map(target => deliver(name, target, event, payload)));
+  }
+
+  const results = [...(await Promise.all(pending)), ...skipped];
+  const delivered = results.some(result => result.status === 'delivered');
+
+  if (pending.length === 0) {
+    logger.warn(PREFIX, `No channel configured to deliver ${event}`);
+  } else if (delivered) {
+    const summary = results.filter(r => r.status === 'delivered').map(r => r.channel);
+    logger.success(PREFIX, `📣 ${event} delivered via ${[...new Set(summary)].join(', ')}`);
+  }
+
+  return { event, delivered, results };
+}
@@ -1,15 +1,19 @@
 /**
  * Pinecone Service
- * Handles vector database operations
+ * Pinecone adapter for the vector store interface (see vector-store.service.js)
  */
 
 import { Pinecone } from '@pinecone-database/pinecone';
 import { config } from '../config/env.js';
 import { logger } from '../utils/logger.js';
-import { v4 as uuidv4 } from 'uuid';
 
 const PREFIX = 'Pinecone';
 
+// Pinecone request limits
+const UPSERT_BATCH_SIZE = 100;
+const DELETE_BATCH_SIZE = 1000;
+const FETCH_BATCH_SIZE = 100;
+
 // Initialize Pinecone client
 let pinecone = null;
 let index = null;
@@ -22,13 +26,13 @@ async function initializePinecone() {
 
   try {
     logger.log(PREFIX, 'Initializing Pinecone...');
-    
+
     pinecone = new Pinecone({
       apiKey: config.pinecone.apiKey,
     });
 
     index = pinecone.index(config.pinecone.indexName);
-    
+
     logger.success(PREFIX, `Connected to index: ${config.pinecone.indexName}`);
   } catch (error) {
     logger.error(PREFIX, 'Failed to initialize Pinecone:', error);
@@ -37,101 +41,76 @@ async function initializePinecone() {
 }
 
 /**
- * Upsert document embeddings to Pinecone
- * @param {string} documentId - Document ID from Supabase
- * @param {Array<string>} textChunks - Text chunks
- * @param {Array<number[]>} embeddings - Embedding vectors
- * @param {Object} metadata - Document metadata
- * @returns {Promise<void>}
+ * Turn an equality filter ({ documentId: 'abc' }) into a Pinecone metadata filter
+ * @param {Object} filter - Field → value
+ * @returns {Object} - Pinecone filter
  */
-export async function upsertDocumentEmbeddings(documentId, textChunks, embeddings, metadata) {
-  try {
-    await initializePinecone();
-    
-    logger.log(PREFIX, `Upserting ${embeddings.length} vectors for document ${documentId}...`);
-
-    // Prepare vectors for upsert
-    const vectors = embeddings.map((embedding, index) => ({
-      id: `${documentId}_chunk_${index}`,
-      values: embedding,
-      metadata: {
-        documentId,
-        chunkIndex: index,
-        text: textChunks[index],
-        fileName: metadata.fileName,
-        fileType: metadata.fileType,
-        uploadedAt: metadata.uploadedAt,
-      }
-    }));
-
-    // Upsert in batches of 100 (Pinecone limit)
-    const batchSize = 100;
-    for (let i = 0; i < vectors.length; i += batchSize) {
-      const batch = vectors.slice(i, i + batchSize);
-      await index.upsert(batch);
-      logger.log(PREFIX, `Upserted batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(vectors.length / batchSize)}`);
-    }
-
-    logger.success(PREFIX, `Successfully upserted ${vectors.length} vectors`);
-  } catch (error) {
-    logger.error(PREFIX, 'Error upserting to Pinecone:', error);
-    throw error;
-  }
-}
-
-/**
- * Search for similar documents
- * @param {number[]} queryEmbedding - Query embedding vector
- * @param {number} topK - Number of results to return
- * @returns {Promise<Array>} - Search results
- */
-export async function searchSimilarDocuments(queryEmbedding, topK = 5) {
-  try {
-    await initializePinecone();
-    
-    logger.log(PREFIX, `Searching for top ${topK} similar documents...`);
-
-    const results = await index.query({
-      vector: queryEmbedding,
-      topK: topK,
-      includeMetadata: true,
-    });
-
-    logger.success(PREFIX, `Found ${results.matches.length} matches`);
-    console.log('Results:', results.matches);
-    return results.matches;
-    
-  } catch (error) {
-    logger.error(PREFIX, 'Error searching Pinecone:', error);
-    throw error;
-  }
+function toPineconeFilter(filter) {
+  return Object.fromEntries(Object.entries(filter).map(([field, value]) => [field, { $eq: value }]));
 }
 
 /**
- * Delete document vectors from Pinecone
- * @param {string} documentId - Document ID
- * @returns {Promise<void>}
+ * Create the Pinecone vector store
+ * @returns {Object} - Vector store ({ name, upsert, query, fetch, delete, stats })
  */
-export async function deleteDocumentVectors(documentId) {
-  try {
-    await initializePinecone();
-    
-    logger.log(PREFIX, `Deleting vectors for document ${documentId}...`);
+export function createPineconeVectorStore() {
+  return {
+    name: 'pinecone',
 
-    // Delete all vectors with this document ID prefix
-    await index.deleteMany({
-      filter: { documentId: { $eq: documentId } }
-    });
+    async upsert(vectors) {
+      await initializePinecone();
 
-    logger.success(PREFIX, `Deleted vectors for document ${documentId}`);
-  } catch (error) {
-    logger.error(PREFIX, 'Error deleting from Pinecone:', error);
-    throw error;
-  }
+      for (let i = 0; i < vectors.length; i += UPSERT_BATCH_SIZE) {
+        await index.upsert(vectors.slice(i, i + UPSERT_BATCH_SIZE));
+        logger.log(PREFIX, `Upserted batch ${Math.floor(i / UPSERT_BATCH_SIZE) + 1}/${Math.ceil(vectors.length / UPSERT_BATCH_SIZE)}`);
+      }
+    },
+
+    async query({ vector, topK, filter = null }) {
+      await initializePinecone();
+
+      const results = await index.query({
+        vector,
+        topK,
+        includeMetadata: true,
+        ...(filter && { filter: toPineconeFilter(filter) }),
+      });
+      return results.matches.map(({ id, score, metadata }) => ({ id, score, metadata }));
+    },
+
+    async fetch(ids) {
+      await initializePinecone();
+
+      const found = [];
+      for (let i = 0; i < ids.length; i += FETCH_BATCH_SIZE) {
+        const { records } = await index.fetch(ids.slice(i, i + FETCH_BATCH_SIZE));
+        found.push(...Object.values(records).map(({ id, metadata }) => ({ id, metadata })));
+      }
+      return found;
+    },
+
+    // Deleting by filter is not supported on serverless indexes - delete by ID there
+    async delete({ ids = null, filter = null }) {
+      await initializePinecone();
+
+      if (ids) {
+        for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+          await index.deleteMany(ids.slice(i, i + DELETE_BATCH_SIZE));
+        }
+      } else if (filter) {
+        await index.deleteMany({ filter: toPineconeFilter(filter) });
+      }
+    },
+
+    async stats() {
+      await initializePinecone();
+
+      const stats = await index.describeIndexStats();
+      return {
+        vectorCount: stats.totalRecordCount ?? 0,
+        dimension: stats.dimension ?? null,
+        index: config.pinecone.indexName,
+      };
+    },
+  };
 }
-
-
-
-
-
-
@@ -5,12 +5,24 @@
 
 import { tool } from '@langchain/core/tools';
 import { z } from 'zod';
-import { createQueryEmbedding } from './embedding.service.js';
-import { searchSimilarDocuments } from './pinecone.service.js';
+import { retrieveChunks } from './retrieval.service.js';
 import { logger } from '../utils/logger.js';
 
 const PREFIX = 'RAG-Tool';
 
+/**
+ * Where in its document a match was found, e.g. "page 14, Resetting the pilot light, steps 3-5"
+ * @param {Object} metadata - Match metadata
+ * @returns {string} - Location, or '' for chunks stored without one
+ */
+function describeLocation(metadata = {}) {
+  const parts = [];
+  if (metadata.pageNumber) parts.push(`page ${metadata.pageNumber}`);
+  if (metadata.sectionTitle) parts.push(metadata.sectionTitle);
+  if (metadata.stepRange) parts.push(`${/\D/.test(metadata.stepRange) ? 'steps' : 'step'} ${metadata.stepRange}`);
+  return parts.join(', ');
+}
+
 /**
  * Tool: Search Knowledge Base
  * Allows the agent to search documentation during calls
@@ -20,11 +32,8 @@ export const searchKnowledgeBaseTool = tool(
     try {
       logger.log(PREFIX, `Agent searching knowledge base: "${query}"`);
       
-      // Create embedding for the query
-      const queryEmbedding = await createQueryEmbedding(query);
-      
-      // Search Pinecone for similar documents
-      const results = await searchSimilarDocuments(queryEmbedding, 3); // Top 3 results
+      // Hybrid keyword + vector search (reranked and thresholded)
+      const results = await retrieveChunks(query);
       
       if (!results || results.length === 0) {
         logger.warn(PREFIX, 'No relevant documents found');
@@ -37,9 +46,10 @@ export const searchKnowledgeBaseTool = tool(
       results.forEach((match, index) => {
         const score = match.score?.toFixed(3) || 'N/A';
         const source = match.metadata?.fileName || 'Unknown';
+        const location = describeLocation(match.metadata);
         const content = match.metadata?.text || '';
         
-        responseText += `Result ${index + 1} (Relevance: ${score}, Source: ${source}):\n`;
+        responseText += `Result ${index + 1} (Relevance: ${score}, Source: ${source}${location ? `, ${location}` : ''}):\n`;
         responseText += `${content}\n\n`;
       });
       
@@ -62,6 +72,7 @@ export const searchKnowledgeBaseTool = tool(
     - Plumbing issues, pipes, water heaters, drains, faucets, toilets
     - Electrical problems, outlets, switches, circuit breakers, wiring
     - Appliances, refrigerators, dishwashers, washing machines, dryers
+    - Error codes, model numbers or part numbers (search for them exactly as the caller reads them, e.g. "E4", "XR-500")
     - Any specific repair procedure, troubleshooting step, or technical specification
     
     IMPORTANT: Even if you think you know the answer, ALWAYS search the knowledge base FIRST to provide accurate, document-specific guidance. The uploaded documentation may contain specific procedures, safety requirements, or troubleshooting steps that differ from general knowledge.
@@ -14,6 +14,7 @@
 import Retell from 'retell-sdk';
 import { config } from '../config/env.js';
 import { logger } from '../utils/logger.js';
+import { resolveTransferRoute } from './transfer-routing.service.js';
 
 const PREFIX = 'RetellLLM';
 
@@ -29,7 +30,10 @@ const retellClient = new Retell({
 export async function createRetellLLM() {
   try {
     logger.log(PREFIX, 'Creating Retell LLM with transfer tool...');
-    
+
+    // Retell's predefined transfer has a single destination - use the emergency route
+    const emergencyNumber = resolveTransferRoute({ category: 'emergency' })?.number;
+
     const llmConfig = {
       // Model configuration
       model: 'gpt-4.1',
@@ -65,7 +69,7 @@ If the user reports a fire, gas leak, severe injury, or any life-threatening sit
           description: 'Transfer the call to emergency support team when there is a life-threatening emergency (fire, gas leak, severe injury, or when user cannot call 911).',
           transfer_destination: {
             type: 'predefined',
-            number: config.emergency.phoneNumber || '+12125551234', // E.164 format
+            number: emergencyNumber || '+12125551234', // E.164 format
             ignore_e164_validation: false
           },
           transfer_option: {
@@ -79,7 +83,7 @@ If the user reports a fire, gas leak, severe injury, or any life-threatening sit
     const llmResponse = await retellClient.llm.create(llmConfig);
     
     logger.success(PREFIX, `Retell LLM created with ID: ${llmResponse.llm_id}`);
-    logger.info(PREFIX, `Transfer tool configured for: ${config.emergency.phoneNumber}`);
+    logger.info(PREFIX, `Transfer tool configured for: ${emergencyNumber}`);
     
     return llmResponse;
     
@@ -111,7 +115,7 @@ export async function updateRetellLLM(llmId) {
           description: 'Transfer the call to emergency support team.',
           transfer_destination: {
             type: 'predefined',
-            number: config.emergency.phoneNumber,
+            number: resolveTransferRoute({ category: 'emergency' })?.number,
             ignore_e164_validation: false
           },
           transfer_option: {
@@ -18,6 +18,29 @@ export const retellClient = new Retell({
 //   "[Retell Debug] call methods:",
 //   Object.keys(retellClient.call || {})
 // );
+
+// Optional local replacement for call lookups (used by the offline simulator, where no real Retell call exists)
+let callDetailsProvider = null;
+
+/**
+ * Replace Retell call lookups with a local provider
+ * @param {Function|null} provider - async (callId) => call details, or null to use the Retell API again
+ */
+export function setCallDetailsProvider(provider) {
+  callDetailsProvider = provider;
+}
+
+// Optional local replacement for placing outbound calls (used by tests, where no real call can be placed)
+let phoneCallProvider = null;
+
+/**
+ * Replace Retell outbound calls with a local provider
+ * @param {Function|null} provider - async ({ from_number, to_number, metadata }) => call, or null to use the Retell API again
+ */
+export function setPhoneCallProvider(provider) {
+  phoneCallProvider = provider;
+}
+
 /**
  * Get call details from Retell API
  * @param {string} callId - Call ID from Retell
@@ -27,7 +50,9 @@ export async function getCallDetails(callId) {
   try {
     logger.log(PREFIX, `Fetching call details for: ${callId}`);
     
-    const callDetails = await retellClient.call.retrieve(callId);
+    const callDetails = callDetailsProvider
+      ? await callDetailsProvider(callId)
+      : await retellClient.call.retrieve(callId);
     
     if (callDetails.from_number) {
       logger.success(PREFIX, `✓ Call details retrieved - Caller: ${callDetails.from_number}`);
@@ -46,17 +71,22 @@ export async function getCallDetails(callId) {
 /**
  * Create an outbound phone call
  * @param {string} toNumber - Phone number to call
+ * @param {Object} options - { metadata: stored on the call and returned with its call details (e.g. { callback_id }) }
  * @returns {Promise<Object>} - Call details
  */
-export async function createPhoneCall(toNumber) {
+export async function createPhoneCall(toNumber, { metadata = null } = {}) {
   try {
     logger.log(PREFIX, `Initiating call to: ${toNumber}`);
     
-    const call = await retellClient.call.createPhoneCall({
+    const request = {
       from_number: config.retell.phoneNumber,
       to_number: toNumber,
       override_agent_id: config.retell.agentId,
-    });
+      ...(metadata && { metadata }),
+    };
+    const call = phoneCallProvider
+      ? await phoneCallProvider(request)
+      : await retellClient.call.createPhoneCall(request);
     
     logger.success(PREFIX, `Call initiated. Call ID: ${call.call_id}`);
     return call;
@@ -87,6 +117,25 @@ export function sendResponse(ws, content, responseId = 0, endCall = false) {
   logger.debug(PREFIX, `Sent response: "${content.substring(0, 50)}..."`);
 }
 
+/**
+ * Send a partial response to Retell via WebSocket
+ * Retell starts speaking partial content right away and appends later frames with the same response_id
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} content - Partial response content
+ * @param {number} responseId - Response ID from Retell
+ */
+export function sendPartialResponse(ws, content, responseId = 0) {
+  const response = {
+    response_type: 'response',
+    response_id: responseId,
+    content: content,
+    content_complete: false,
+    end_call: false
+  };
+
+  ws.send(JSON.stringify(response));
+}
+
 /**
  * Send error response to Retell
  * @param {WebSocket} ws - WebSocket connection
@@ -115,10 +164,12 @@ export function sendErrorResponse(ws, responseId = 0) {
  * @param {WebSocket} ws - WebSocket connection
  * @param {number} responseId - Response ID from Retell
  * @param {string} phoneNumber - Phone number to transfer to (E.164 format)
- * @param {string} message - Optional message to say before transfer
+ * @param {string} message - Optional message to say before transfer (empty string if it was already streamed)
+ * @param {Object} options - Transfer options
+ * @param {string} [options.whisper] - Warm transfer: brief spoken only to the person picking up, before the caller is connected
  * @returns {void}
  */
-export function sendDirectTransfer(ws, responseId, phoneNumber, message = null) {
+export function sendDirectTransfer(ws, responseId, phoneNumber, message = null, { whisper = null } = {}) {
   try {
     // Check if WebSocket is open
     if (!ws || ws.readyState !== 1) {
@@ -136,9 +187,9 @@ export function sendDirectTransfer(ws, responseId, phoneNumber, message = null)
     logger.log(PREFIX, `✓ Phone number validated: ${phoneNumber}`);
 
     const defaultMessage = "I'm transferring you to our emergency support team now. Please stay on the line.";
-    const finalMessage = message || defaultMessage;
+    const finalMessage = message ?? defaultMessage;
 
-    // 2. Send the Response with transfer_number
+    // 2. Build the Response with transfer_number
     // This tells Retell: "Say this text, then transfer to this number"
     const transferResponse = {
       response_type: 'response',
@@ -148,12 +199,21 @@ export function sendDirectTransfer(ws, responseId, phoneNumber, message = null)
       end_call: false, // Must be false so Retell can handle the transfer logic
       transfer_number: phoneNumber // <--- This is the key field for Custom LLM
     };
+
+    // 3. Warm transfer: same transfer_option shape as Retell's transfer_call tool
+    // (the brief also goes out as a transfer_handoff notification, so nothing is lost where whispers aren't supported)
+    if (whisper) {
+      transferResponse.transfer_option = {
+        type: 'warm_transfer',
+        private_handoff_option: { type: 'static_message', message: whisper },
+      };
+    }
     
     logger.log(PREFIX, `📤 Sending transfer payload:`, JSON.stringify(transferResponse, null, 2));
     
     ws.send(JSON.stringify(transferResponse));
     
-    logger.success(PREFIX, `✅ Transfer command sent successfully! Destination: ${phoneNumber}`);
+    logger.success(PREFIX, `✅ ${whisper ? 'Warm' : 'Cold'} transfer command sent successfully! Destination: ${phoneNumber}`);
     
   } catch (error) {
     logger.error(PREFIX, 'Failed to send direct transfer:', error);
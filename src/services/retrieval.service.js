@@ -0,0 +1,176 @@
+/**
+ * Retrieval Service
+ * Hybrid knowledge base search used by search_knowledge_base:
+ * 1. vector search (vector-store.service.js) and keyword search (local BM25 index) run side by side
+ * 2. the two rankings are merged with reciprocal rank fusion - a chunk's fused score is the sum of
+ *    1 / (rrfK + rank) over the lists it appears in, scaled so 1 means first in both
+ * 3. an optional reranker rescores the fused candidates (config.retrieval.reranker, or setReranker)
+ * 4. results below config.retrieval.minScore are dropped: the reranker's score when there is a reranker, otherwise
+ *    the vector similarity (fused scores only reflect rank, so they can't say how good a match is). BM25 scores
+ *    have no fixed scale, so a keyword-only match is measured by the share of the question's terms it contains.
+ *
+ * Either search failing leaves the other one's results; only both failing is an error.
+ */
+
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { measureStage } from './telemetry.service.js';
+import { createQueryEmbedding } from './embedding.service.js';
+import { searchSimilarDocuments } from './vector-store.service.js';
+import { searchKeywords, tokenize } from './keyword-index.service.js';
+
+const PREFIX = 'Retrieval';
+
+// Reranker set in code (tests, or a custom model); takes precedence over config.retrieval.reranker
+let customReranker = null;
+
+/**
+ * Replace the reranker (null = back to config.retrieval.reranker)
+ * @param {Function|null} reranker - async (query, results) => results with a 0-1 `score`, best first
+ */
+export function setReranker(reranker) {
+  customReranker = reranker;
+}
+
+/**
+ * Share of the question's distinct terms a chunk contains
+ * @param {Array<string>} queryTerms - Distinct terms of the question
+ * @param {Object} result - Result with metadata.text
+ * @returns {number} - 0-1
+ */
+function termCoverage(queryTerms, result) {
+  if (!queryTerms.length) return 0;
+  const chunkTerms = new Set(tokenize(result.metadata?.text || ''));
+  return queryTerms.filter(term => chunkTerms.has(term)).length / queryTerms.length;
+}
+
+/**
+ * Reranker: blend the fused score with how many of the question's terms the chunk contains
+ * @param {string} query - Search text
+ * @param {Array} results - Fused results
+ * @returns {Promise<Array>} - Rescored results, best first
+ */
+async function termOverlapReranker(query, results) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (!queryTerms.length) return results;
+
+  return results
+    .map(result => ({ ...result, score: (result.score + termCoverage(queryTerms, result)) / 2 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+const RERANKERS = {
+  none: null,
+  term_overlap: termOverlapReranker,
+};
+
+/**
+ * Drop results from an older version of a document when its newer version also matched
+ * (both are searchable for a moment while a document is being replaced)
+ * @param {Array} results - Results with metadata
+ * @returns {Array} - Results from the latest version of each document
+ */
+function latestVersionResults(results) {
+  const latest = new Map();
+  for (const result of results) {
+    const { documentId, version = 1 } = result.metadata || {};
+    if (documentId && version > (latest.get(documentId) || 0)) {
+      latest.set(documentId, version);
+    }
+  }
+
+  return results.filter(result => {
+    const { documentId, version = 1 } = result.metadata || {};
+    return !documentId || version === latest.get(documentId);
+  });
+}
+
+/**
+ * Whether a result is good enough to hand to the agent
+ * @param {Object} result - Fused (or reranked) result
+ * @param {number} minScore - Lowest score kept (0-1)
+ * @param {boolean} reranked - Whether result.score comes from a reranker
+ * @param {Array<string>} queryTerms - Distinct terms of the question, for keyword-only matches
+ * @returns {boolean}
+ */
+function meetsMinScore(result, minScore, reranked, queryTerms) {
+  if (reranked) return result.score >= minScore;
+
+  const similarity = result.sources?.vector?.score;
+  return (similarity ?? termCoverage(queryTerms, result)) >= minScore;
+}
+
+/**
+ * Merge ranked result lists with reciprocal rank fusion
+ * @param {Object} lists - Source name → matches, best first ({ id, score, metadata })
+ * @param {number} k - RRF constant
+ * @returns {Array} - Fused results, best first: { id, score (0-1), metadata, sources: { name: { rank, score } } }
+ */
+export function fuseRankings(lists, k = config.retrieval.rrfK) {
+  const fused = new Map();
+  const names = Object.keys(lists);
+
+  for (const name of names) {
+    lists[name].forEach((match, index) => {
+      const entry = fused.get(match.id) || { id: match.id, rrf: 0, metadata: match.metadata, sources: {} };
+      entry.rrf += 1 / (k + index + 1);
+      entry.sources[name] = { rank: index + 1, score: match.score };
+      fused.set(match.id, entry);
+    });
+  }
+
+  // First place in every list scores 1
+  const best = names.length / (k + 1);
+  return [...fused.values()]
+    .map(({ rrf, ...entry }) => ({ ...entry, score: rrf / best }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Vector half of the search
+ * @param {string} query - Search text
+ * @param {number} topK - Number of results
+ * @returns {Promise<Array>} - Matches
+ */
+async function vectorSearch(query, topK) {
+  const queryEmbedding = await createQueryEmbedding(query);
+  return searchSimilarDocuments(queryEmbedding, topK);
+}
+
+/**
+ * Search the knowledge base
+ * @param {string} query - Search text
+ * @param {Object} options - { topK: results to return (default config.retrieval.topK) }
+ * @returns {Promise<Array>} - Results, best first: { id, score, metadata, sources }
+ */
+export async function retrieveChunks(query, { topK = config.retrieval.topK } = {}) {
+  const { candidates, minScore } = config.retrieval;
+
+  const [vector, keyword] = await Promise.all([
+    vectorSearch(query, candidates).catch(error => {
+      logger.warn(PREFIX, `Vector search failed, using keyword results only: ${error.message}`);
+      return null;
+    }),
+    measureStage('keyword_search', () => searchKeywords(query, candidates)).catch(error => {
+      logger.warn(PREFIX, `Keyword search failed, using vector results only: ${error.message}`);
+      return null;
+    }),
+  ]);
+
+  if (!vector && !keyword) {
+    throw new Error('Both vector and keyword search failed');
+  }
+
+  let results = latestVersionResults(fuseRankings({ vector: vector || [], keyword: keyword || [] }));
+
+  const reranker = customReranker || RERANKERS[config.retrieval.reranker];
+  if (reranker && results.length) {
+    results = await measureStage('rerank', () => reranker(query, results));
+  }
+
+  const queryTerms = [...new Set(tokenize(query))];
+  const kept = results.filter(result => meetsMinScore(result, minScore, Boolean(reranker), queryTerms)).slice(0, topK);
+  logger.log(PREFIX, `${vector?.length ?? 'no'} vector + ${keyword?.length ?? 'no'} keyword matches → ${kept.length} result(s)`);
+
+  return kept;
+}
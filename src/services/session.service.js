@@ -0,0 +1,141 @@
+/**
+ * Session Service
+ * Keeps per-call state keyed by call_id so a call survives a WebSocket reconnect
+ */
+
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { releaseCallCheckpoint } from './checkpointer.service.js';
+
+const PREFIX = 'Session';
+
+// call_id -> session
+const sessions = new Map();
+
+// Periodic sweep of idle sessions
+let sweepTimer = null;
+
+/**
+ * Create a fresh session for a call
+ * @param {string} callId - Call ID from Retell
+ * @returns {Object} - Session state
+ */
+function buildSession(callId) {
+  const now = Date.now();
+
+  return {
+    callId,
+    agent: null,
+    recorder: null, // Call recorder (see call-recorder.service), created on first connection
+    mode: null, // 'technical_support' | 'receptionist' once the agent is initialized
+    conversationState: { messages: [], transcriptIds: null, hasVideo: false },
+    transcriptsData: null, // Array of transcript objects from the same upload
+    userPhoneNumber: null,
+    agentInitialized: false,
+    agentInitializing: false, // Prevent duplicate initialization
+    greetingSent: false, // Track if we've sent the first greeting
+    transferInProgress: false, // Prevent multiple transfers
+    emergencyDetected: false,
+    emergencyReason: null,
+    emergency: null, // Caller's emergency number and safety scripts (see emergency-number.service), set when the agent is initialized
+    hazardsSpoken: [], // Hazard rule IDs whose safety instruction has already been spoken
+    lastHazard: null, // Last hazard fast-path match: { ruleId, responseId, action }
+    hazardsDetected: [], // Descriptions of every hazard matched during the call (for the handoff brief)
+    handoff: null, // Handoff brief of the last warm transfer (see handoff.service)
+    incident: null, // Promise of the call's emergency incident (see incident.service), once one is opened
+    callback: null, // Scheduled callback this outbound call is placing (see callback.service)
+    recordingUrl: null,
+    reminderCount: 0, // Reminders sent since the caller last spoke
+    callStartTime: now,
+    lastActivityAt: now,
+    connectionCount: 0, // Number of WebSocket connections that have attached to this call
+    ended: false, // Set once Retell reports call_ended
+  };
+}
+
+/**
+ * Get the session for a call, creating it on first connection
+ * @param {string} callId - Call ID from Retell
+ * @returns {{ session: Object, resumed: boolean }} - Session and whether it already existed
+ */
+export function attachSession(callId) {
+  startSweeper();
+
+  let session = sessions.get(callId);
+  const resumed = Boolean(session);
+
+  if (!session) {
+    session = buildSession(callId);
+    sessions.set(callId, session);
+  }
+
+  session.connectionCount++;
+  session.lastActivityAt = Date.now();
+
+  if (resumed) {
+    logger.info(PREFIX, `Resuming session for call ${callId} (connection #${session.connectionCount}, mode: ${session.mode || 'initializing'}, ${session.conversationState.messages.length} message(s))`);
+  } else {
+    logger.log(PREFIX, `New session for call ${callId}`);
+  }
+
+  return { session, resumed };
+}
+
+/**
+ * Get an existing session without creating one
+ * @param {string} callId - Call ID from Retell
+ * @returns {Object|null} - Session or null
+ */
+export function getSession(callId) {
+  return sessions.get(callId) || null;
+}
+
+/**
+ * Mark activity on a session so it isn't expired while in use
+ * @param {Object} session - Session state
+ */
+export function touchSession(session) {
+  session.lastActivityAt = Date.now();
+}
+
+/**
+ * Remove a session (call is over for good), along with its in-memory checkpoint
+ * @param {string} callId - Call ID from Retell
+ */
+export function removeSession(callId) {
+  if (sessions.delete(callId)) {
+    logger.log(PREFIX, `Session removed for call ${callId}`);
+    releaseCallCheckpoint(callId);
+  }
+}
+
+/**
+ * Remove sessions (and their in-memory checkpoints) that have been idle longer than the configured TTL
+ * @param {number} now - Current time in ms
+ * @returns {number} - Number of sessions removed
+ */
+export function expireIdleSessions(now = Date.now()) {
+  let expired = 0;
+
+  for (const [callId, session] of sessions) {
+    if (now - session.lastActivityAt > config.sessions.ttlMs) {
+      sessions.delete(callId);
+      releaseCallCheckpoint(callId);
+      expired++;
+      logger.log(PREFIX, `Session expired for call ${callId} (idle ${Math.round((now - session.lastActivityAt) / 60000)}m)`);
+    }
+  }
+
+  return expired;
+}
+
+/**
+ * Start the idle-session sweeper (once per process)
+ */
+function startSweeper() {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(() => expireIdleSessions(), 60 * 1000);
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+}
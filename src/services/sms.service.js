@@ -0,0 +1,68 @@
+/**
+ * SMS Service
+ * Provider interface for text message alerts
+ *
+ * A provider is { send({ to, body }) → Promise<{ id }> } and throws when a message can't be sent.
+ * Built in are two local stand-ins - "console" (log only) and "file" (append to a JSONL outbox) -
+ * and a real carrier is plugged in with registerSmsProvider() and SMS_PROVIDER.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+const PREFIX = 'SMS';
+
+const providers = {
+  console: {
+    async send({ to, body }) {
+      const id = crypto.randomUUID();
+      logger.info(PREFIX, `📱 [console] to ${to}: ${body}`);
+      return { id };
+    },
+  },
+
+  file: {
+    async send({ to, body }) {
+      const id = crypto.randomUUID();
+      const file = config.sms.outboxFile;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify({ id, at: new Date().toISOString(), to, body }) + '\n');
+      logger.log(PREFIX, `📱 [file] to ${to} written to ${file}`);
+      return { id };
+    },
+  },
+};
+
+/**
+ * Add or replace an SMS provider
+ * @param {string} name - Name to select it with (SMS_PROVIDER)
+ * @param {Object} provider - { send({ to, body }) → Promise<{ id }> }
+ */
+export function registerSmsProvider(name, provider) {
+  if (typeof provider?.send !== 'function') {
+    throw new Error(`SMS provider ${name} must have a send({ to, body }) function`);
+  }
+  providers[name] = provider;
+}
+
+/**
+ * Send a text message with the configured provider
+ * @param {string} to - Phone number (E.164)
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} - { id, provider }
+ * @throws {Error} - When the provider is unknown or the send fails
+ */
+export async function sendSms(to, body) {
+  const name = config.sms.provider;
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  const { id } = await provider.send({ to, body });
+  return { id, provider: name };
+}
@@ -0,0 +1,336 @@
+/**
+ * Telemetry Service
+ * Times every response_required turn end to end, broken down by stage
+ * (initialization wait, LLM calls, tool executions, lookups, text cleanup),
+ * and tracks token usage and estimated OpenAI cost per call.
+ *
+ * The turn being measured is carried through async calls with AsyncLocalStorage,
+ * so services can time their own work with measureStage() without passing the turn around.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { BaseCallbackHandler } from '@langchain/core/callbacks/base';
+import { logger } from '../utils/logger.js';
+
+const PREFIX = 'Telemetry';
+
+// Keep metrics for the most recent calls only
+const MAX_CALLS = 500;
+
+// USD per 1M tokens (input, output) - estimates for the summary, not billing
+const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+};
+
+// call_id -> call metrics (insertion order = oldest first)
+const calls = new Map();
+
+// Turn currently being measured in this async context
+const turnContext = new AsyncLocalStorage();
+
+/**
+ * Look up pricing for a model name (longest matching prefix wins, e.g. gpt-4o-mini before gpt-4o)
+ * @param {string} model - Model name reported by the LLM run
+ * @returns {Object|null} - { input, output } USD per 1M tokens
+ */
+function getPricing(model) {
+  const match = Object.keys(MODEL_PRICING)
+    .filter(name => model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_PRICING[match] : null;
+}
+
+/**
+ * Estimate the cost of one model call
+ * @param {string} model - Model name
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Completion tokens
+ * @returns {number} - Estimated USD
+ */
+export function estimateCost(model, inputTokens, outputTokens) {
+  const pricing = getPricing(model);
+  if (!pricing) return 0;
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1_000_000;
+}
+
+/**
+ * Add elapsed time to a named stage of a turn
+ * @param {Object} turn - Turn metrics
+ * @param {string} stage - Stage name
+ * @param {number} ms - Elapsed milliseconds
+ */
+export function addStageTime(turn, stage, ms) {
+  if (!turn) return;
+  const entry = turn.stages[stage] || (turn.stages[stage] = { ms: 0, count: 0 });
+  entry.ms += ms;
+  entry.count++;
+}
+
+/**
+ * Time a piece of work against the turn in the current async context
+ * Outside a measured turn the work just runs.
+ * @param {string} stage - Stage name (e.g. 'pinecone_query')
+ * @param {Function} fn - Work to run (sync or async)
+ * @returns {Promise<any>} - Result of fn
+ */
+export async function measureStage(stage, fn) {
+  const turn = turnContext.getStore();
+  const startedAt = performance.now();
+
+  try {
+    return await fn();
+  } finally {
+    addStageTime(turn, stage, performance.now() - startedAt);
+  }
+}
+
+/**
+ * Get (or create) the metrics record for a call
+ * @param {string} callId - Call ID from Retell
+ * @returns {Object} - Call metrics
+ */
+function getOrCreateCall(callId) {
+  let call = calls.get(callId);
+
+  if (!call) {
+    call = { callId, startedAt: new Date().toISOString(), turns: [] };
+    calls.set(callId, call);
+
+    if (calls.size > MAX_CALLS) {
+      calls.delete(calls.keys().next().value);
+    }
+  }
+
+  return call;
+}
+
+/**
+ * Start timing a response_required turn
+ * @param {string} callId - Call ID from Retell
+ * @param {number} responseId - Retell response_id
+ * @returns {Object} - Turn metrics (pass to runInTurn / finishTurn)
+ */
+export function startTurn(callId, responseId) {
+  getOrCreateCall(callId);
+
+  return {
+    callId,
+    responseId,
+    startedAt: new Date().toISOString(),
+    start: performance.now(),
+    firstTextMs: null,
+    totalMs: null,
+    interrupted: false, // Set when the caller barged in before the turn completed
+    skipped: false, // Set when the event was stale or empty - nothing is stored
+    hazard: null, // Hazard rule matched by the fast path, if any
+    stages: {},
+    llmCalls: [],
+    tools: [],
+    tokens: { input: 0, output: 0 },
+    costUsd: 0,
+  };
+}
+
+/**
+ * Run work with a turn as the current measurement context
+ * @param {Object} turn - Turn metrics
+ * @param {Function} fn - Work to run
+ * @returns {Promise<any>} - Result of fn
+ */
+export function runInTurn(turn, fn) {
+  return turnContext.run(turn, fn);
+}
+
+/**
+ * Mark the moment the first text of the turn was sent to Retell
+ * @param {Object} turn - Turn metrics
+ */
+export function markFirstText(turn) {
+  if (turn && turn.firstTextMs === null) {
+    turn.firstTextMs = Math.round(performance.now() - turn.start);
+  }
+}
+
+/**
+ * Finish a turn and store it with its call
+ * @param {Object} turn - Turn metrics
+ * @returns {Object|null} - Stored turn summary, or null for a skipped turn
+ */
+export function finishTurn(turn) {
+  if (turn.skipped) return null;
+
+  const { start, skipped, ...summary } = turn;
+
+  summary.totalMs = Math.round(performance.now() - start);
+  summary.costUsd = Number(summary.costUsd.toFixed(6));
+  for (const entry of Object.values(summary.stages)) {
+    entry.ms = Math.round(entry.ms);
+  }
+
+  getOrCreateCall(turn.callId).turns.push(summary);
+
+  const llmMs = summary.stages.llm?.ms || 0;
+  const toolMs = summary.stages.tools?.ms || 0;
+  logger.log(PREFIX, `⏱️ Turn ${summary.responseId}: ${summary.totalMs}ms total, first text ${summary.firstTextMs ?? '-'}ms, LLM ${llmMs}ms, tools ${toolMs}ms, ${summary.tokens.input + summary.tokens.output} tokens${summary.interrupted ? ' (interrupted)' : ''}`);
+
+  return summary;
+}
+
+/**
+ * LangChain callback handler that times model calls and tool executions for a turn
+ */
+class TurnTelemetryHandler extends BaseCallbackHandler {
+  name = 'turn_telemetry';
+
+  // Run inline (not in the background) so results are complete when the turn ends
+  awaitHandlers = true;
+
+  constructor(turn) {
+    super();
+    this.turn = turn;
+    this.runs = new Map(); // runId -> { startedAt, model?, tool? }
+  }
+
+  handleChatModelStart(llm, messages, runId, parentRunId, extraParams, tags, metadata) {
+    const model = metadata?.ls_model_name || extraParams?.invocation_params?.model || 'unknown';
+    this.runs.set(runId, { startedAt: performance.now(), model });
+  }
+
+  handleLLMEnd(output, runId) {
+    const run = this.runs.get(runId);
+    if (!run) return;
+    this.runs.delete(runId);
+
+    const ms = performance.now() - run.startedAt;
+    const message = output.generations?.[0]?.[0]?.message;
+    const tokenUsage = output.llmOutput?.tokenUsage;
+    const inputTokens = message?.usage_metadata?.input_tokens ?? tokenUsage?.promptTokens ?? 0;
+    const outputTokens = message?.usage_metadata?.output_tokens ?? tokenUsage?.completionTokens ?? 0;
+    const costUsd = estimateCost(run.model, inputTokens, outputTokens);
+
+    addStageTime(this.turn, 'llm', ms);
+    this.turn.llmCalls.push({ model: run.model, ms: Math.round(ms), inputTokens, outputTokens, costUsd: Number(costUsd.toFixed(6)) });
+    this.turn.tokens.input += inputTokens;
+    this.turn.tokens.output += outputTokens;
+    this.turn.costUsd += costUsd;
+  }
+
+  handleLLMError(error, runId) {
+    const run = this.runs.get(runId);
+    if (!run) return;
+    this.runs.delete(runId);
+    addStageTime(this.turn, 'llm', performance.now() - run.startedAt);
+  }
+
+  handleToolStart(tool, input, runId, parentRunId, tags, metadata, runName) {
+    this.runs.set(runId, { startedAt: performance.now(), tool: runName || tool?.name || 'tool' });
+  }
+
+  handleToolEnd(output, runId) {
+    const run = this.runs.get(runId);
+    if (!run) return;
+    this.runs.delete(runId);
+
+    const ms = performance.now() - run.startedAt;
+    addStageTime(this.turn, 'tools', ms);
+    this.turn.tools.push({ name: run.tool, ms: Math.round(ms) });
+  }
+
+  handleToolError(error, runId) {
+    this.handleToolEnd(null, runId);
+  }
+}
+
+/**
+ * Create the LangChain callback handler for a turn
+ * @param {Object} turn - Turn metrics
+ * @returns {BaseCallbackHandler} - Handler to pass with the agent run
+ */
+export function createTurnTelemetryHandler(turn) {
+  return new TurnTelemetryHandler(turn);
+}
+
+/**
+ * Percentile of a list of numbers
+ * @param {Array<number>} values - Values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null}
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Summarize a set of turns
+ * @param {Array} turns - Turn summaries
+ * @returns {Object} - Latency and cost totals
+ */
+function summarizeTurns(turns) {
+  const completed = turns.filter(t => !t.interrupted);
+  const totals = completed.map(t => t.totalMs);
+  const firstText = completed.map(t => t.firstTextMs).filter(ms => ms !== null);
+  const average = values => (values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null);
+
+  const stages = {};
+  for (const turn of turns) {
+    for (const [stage, { ms, count }] of Object.entries(turn.stages)) {
+      stages[stage] = stages[stage] || { ms: 0, count: 0 };
+      stages[stage].ms += ms;
+      stages[stage].count += count;
+    }
+  }
+
+  return {
+    turns: turns.length,
+    interruptedTurns: turns.length - completed.length,
+    latencyMs: { avg: average(totals), p50: percentile(totals, 50), p95: percentile(totals, 95), max: totals.length ? Math.max(...totals) : null },
+    firstTextMs: { avg: average(firstText), p95: percentile(firstText, 95) },
+    stages,
+    tokens: {
+      input: turns.reduce((sum, t) => sum + t.tokens.input, 0),
+      output: turns.reduce((sum, t) => sum + t.tokens.output, 0),
+    },
+    costUsd: Number(turns.reduce((sum, t) => sum + t.costUsd, 0).toFixed(6)),
+  };
+}
+
+/**
+ * Get the metrics for one call
+ * @param {string} callId - Call ID from Retell
+ * @returns {Object|null} - { callId, startedAt, summary, turns } or null if unknown
+ */
+export function getCallMetrics(callId) {
+  const call = calls.get(callId);
+  if (!call) return null;
+
+  return { callId, startedAt: call.startedAt, summary: summarizeTurns(call.turns), turns: call.turns };
+}
+
+/**
+ * Get metrics across all tracked calls
+ * @returns {Object} - Overall summary plus a per-call overview
+ */
+export function getMetricsSummary() {
+  const allCalls = [...calls.values()];
+
+  return {
+    calls: allCalls.length,
+    overall: summarizeTurns(allCalls.flatMap(call => call.turns)),
+    recentCalls: allCalls.slice(-20).reverse().map(call => {
+      const summary = summarizeTurns(call.turns);
+      return {
+        callId: call.callId,
+        startedAt: call.startedAt,
+        turns: summary.turns,
+        avgLatencyMs: summary.latencyMs.avg,
+        costUsd: summary.costUsd,
+      };
+    }),
+  };
+}
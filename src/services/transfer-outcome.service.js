@@ -0,0 +1,156 @@
+/**
+ * Transfer Outcome Service
+ * Tracks what happened to each transfer after it was handed to Retell.
+ *
+ * A transfer starts as 'pending'. It settles when Retell tells us how it went:
+ * - Retell asks the agent to respond again (response_required / reminder_required) → failed
+ * - update_only, call_ended or the call_analyzed webhook carries a disconnection_reason → see DISCONNECTION_OUTCOMES
+ *
+ * Records are kept in memory after the session is gone, so the webhook can still
+ * write the outcome to the call record.
+ */
+
+import { logger } from '../utils/logger.js';
+
+const PREFIX = 'TransferOutcome';
+
+export const TRANSFER_STATUSES = ['pending', 'connected', 'no_answer', 'busy', 'failed', 'cancelled', 'caller_hung_up'];
+
+// Outcomes where the caller did not reach anyone
+const FAILED_STATUSES = ['no_answer', 'busy', 'failed', 'cancelled'];
+
+// Retell disconnection_reason → transfer outcome
+const DISCONNECTION_OUTCOMES = {
+  call_transfer: 'connected',
+  transfer_bridged: 'connected',
+  transfer_cancelled: 'cancelled',
+  dial_no_answer: 'no_answer',
+  dial_busy: 'busy',
+  dial_failed: 'failed',
+  user_hangup: 'caller_hung_up',
+};
+
+// Oldest records are dropped beyond this
+const MAX_RECORDS = 500;
+
+const records = new Map();
+
+/**
+ * Whether an outcome means the caller did not reach anyone
+ * @param {string} status - Transfer status
+ * @returns {boolean}
+ */
+export function isFailedTransfer(status) {
+  return FAILED_STATUSES.includes(status);
+}
+
+/**
+ * Transfer outcome for a Retell disconnection_reason
+ * @param {string} reason - disconnection_reason
+ * @returns {string|null} - Transfer status, or null if the reason says nothing about a transfer
+ */
+export function classifyDisconnection(reason) {
+  return DISCONNECTION_OUTCOMES[reason] || null;
+}
+
+/**
+ * Start tracking a transfer that was just sent to Retell
+ * @param {string} callId - Call ID from Retell
+ * @param {Object} action - Transfer action ({ category, destination, route, reason })
+ * @returns {Object} - Transfer record
+ */
+export function startTransfer(callId, action) {
+  const record = {
+    callId,
+    category: action.category,
+    destination: action.destination,
+    route: action.route || null,
+    reason: action.reason || null,
+    status: 'pending',
+    placedAt: new Date().toISOString(),
+    settledAt: null,
+    detectedBy: null,
+    fallbackSpoken: false,
+  };
+
+  records.delete(callId);
+  records.set(callId, record);
+  if (records.size > MAX_RECORDS) {
+    records.delete(records.keys().next().value);
+  }
+
+  return record;
+}
+
+/**
+ * Settle a pending transfer
+ * @param {string} callId - Call ID from Retell
+ * @param {string} status - Outcome (one of TRANSFER_STATUSES except 'pending')
+ * @param {string} detectedBy - What revealed the outcome (e.g. 'response_required', 'call_ended', 'webhook')
+ * @returns {Object|null} - Settled record, or null if there was no pending transfer
+ */
+export function settleTransfer(callId, status, detectedBy) {
+  const record = records.get(callId);
+  if (!record || record.status !== 'pending') return null;
+
+  record.status = status;
+  record.settledAt = new Date().toISOString();
+  record.detectedBy = detectedBy;
+
+  if (isFailedTransfer(status)) {
+    logger.warn(PREFIX, `📵 Transfer ${record.category} → ${record.destination}: ${status} (from ${detectedBy})`);
+  } else {
+    logger.info(PREFIX, `📞 Transfer ${record.category} → ${record.destination}: ${status} (from ${detectedBy})`);
+  }
+
+  return record;
+}
+
+/**
+ * Mark that the caller has heard the fallback script for a failed transfer
+ * @param {string} callId - Call ID from Retell
+ */
+export function markFallbackSpoken(callId) {
+  const record = records.get(callId);
+  if (record) record.fallbackSpoken = true;
+}
+
+/**
+ * Latest transfer of a call
+ * @param {string} callId - Call ID from Retell
+ * @returns {Object|null} - Transfer record
+ */
+export function getTransferRecord(callId) {
+  return records.get(callId) || null;
+}
+
+/**
+ * Settle a call's transfer from webhook data and shape the outcome for the call record
+ * @param {Object} call - Call object from the Retell webhook
+ * @returns {Object|null} - { status, category, destination, route, placed_at, settled_at, detected_by, fallback_spoken }, or null if the call had no transfer
+ */
+export function resolveTransferOutcome(call) {
+  const fromReason = classifyDisconnection(call.disconnection_reason);
+  let record = records.get(call.call_id);
+
+  if (record?.status === 'pending' && fromReason) {
+    settleTransfer(call.call_id, fromReason, 'webhook');
+  }
+
+  // A transfer we didn't track (e.g. placed before a restart) still shows in the disconnection reason
+  if (!record) {
+    if (!fromReason || fromReason === 'caller_hung_up') return null;
+    record = { category: null, destination: call.transfer_destination || null, route: null, status: fromReason, placedAt: null, settledAt: null, detectedBy: 'webhook', fallbackSpoken: false };
+  }
+
+  return {
+    status: record.status,
+    category: record.category,
+    destination: record.destination,
+    route: record.route,
+    placed_at: record.placedAt,
+    settled_at: record.settledAt,
+    detected_by: record.detectedBy,
+    fallback_spoken: record.fallbackSpoken,
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Transfer Routing Service
+ * Picks the destination number for a call transfer from a routing table
+ * keyed by transfer category, issue type and business hours.
+ *
+ * Routing table (JSON, see src/config/transfer-routes.json):
+ * {
+ *   "timezone": "America/New_York",
+ *   "businessHours": { "days": ["mon", ...], "open": "08:00", "close": "18:00" },
+ *   "routes": [{ "name": "...", "category": "urgent_maintenance" | "*", "issueType"?: "plumbing", "hours"?: "business" | "after_hours", "number": "+1... or ${ENV_VAR}" }]
+ * }
+ *
+ * The most specific matching route wins (issue type before hours before catch-all); ties go to the first in the file.
+ * Routes whose number is empty after env expansion are skipped, so unset lines fall through to broader routes.
+ */
+
+import fs from 'fs';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+const PREFIX = 'TransferRouting';
+
+export const TRANSFER_CATEGORIES = ['emergency', 'urgent_maintenance', 'human_agent'];
+
+const HOURS = ['business', 'after_hours'];
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Loaded routing table (null = read from config.transfers.routesFile on next use)
+let routingTable = null;
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {string} value - Time of day
+ * @returns {number} - Minutes after midnight
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) {
+    throw new Error(`Invalid time of day "${value}" (expected HH:MM)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Replace ${NAME} references with environment variables
+ * @param {string} value - Raw number from the table
+ * @returns {string} - Expanded number ('' when the variable is unset)
+ */
+function expandEnv(value) {
+  return String(value || '').replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || '').trim();
+}
+
+/**
+ * Validate a routing table and normalize it for lookups
+ * @param {Object} table - Parsed routing table
+ * @returns {Object} - { timezone, businessHours: { days, open, close }, routes }
+ */
+function normalizeTable(table) {
+  const hours = table.businessHours || {};
+  const days = (hours.days || DAY_NAMES.slice(1, 6)).map(day => String(day).slice(0, 3).toLowerCase());
+  const unknownDay = days.find(day => !DAY_NAMES.includes(day));
+  if (unknownDay) {
+    throw new Error(`Unknown business day "${unknownDay}"`);
+  }
+
+  const routes = (table.routes || []).map((route, index) => {
+    const name = route.name || `route-${index + 1}`;
+
+    if (!route.category || !(route.category === '*' || TRANSFER_CATEGORIES.includes(route.category))) {
+      throw new Error(`Route ${name}: unknown category "${route.category}"`);
+    }
+    if (route.hours && !HOURS.includes(route.hours)) {
+      throw new Error(`Route ${name}: hours must be one of ${HOURS.join(', ')}`);
+    }
+
+    return { ...route, name, issueType: route.issueType?.toLowerCase() || null, hours: route.hours || null };
+  });
+
+  // Validate the timezone up front rather than on the first transfer
+  const timezone = table.timezone || 'UTC';
+  new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+
+  return {
+    timezone,
+    businessHours: { days, open: parseTimeOfDay(hours.open || '08:00'), close: parseTimeOfDay(hours.close || '18:00') },
+    routes,
+  };
+}
+
+/**
+ * Get the routing table, reading it from disk on first use
+ * @returns {Object} - Normalized routing table
+ */
+function getRoutingTable() {
+  if (!routingTable) {
+    const filePath = config.transfers.routesFile;
+    routingTable = normalizeTable(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    logger.log(PREFIX, `📞 Loaded ${routingTable.routes.length} transfer route(s) from ${filePath}`);
+  }
+  return routingTable;
+}
+
+/**
+ * Replace the routing table (tests, or a table built at runtime)
+ * @param {Object|null} table - Routing table in file format, or null to reload from config.transfers.routesFile
+ */
+export function setRoutingTable(table) {
+  routingTable = table ? normalizeTable(table) : null;
+}
+
+/**
+ * Check whether a moment falls inside business hours
+ * @param {Date} now - Moment to check
+ * @param {Object} table - Normalized routing table
+ * @returns {boolean}
+ */
+function isBusinessHours(now, { timezone, businessHours }) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(now)
+      .map(part => [part.type, part.value])
+  );
+
+  const day = parts.weekday.toLowerCase();
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+
+  return businessHours.days.includes(day) && minutes >= businessHours.open && minutes < businessHours.close;
+}
+
+/**
+ * Resolve where a transfer should go
+ * @param {Object} request - Transfer request
+ * @param {string} request.category - 'emergency' | 'urgent_maintenance' | 'human_agent'
+ * @param {string} [request.issueType] - Issue type (e.g. 'plumbing')
+ * @param {Date} [request.now] - Moment of the transfer (defaults to now)
+ * @returns {Object|null} - { number, route, category, issueType, hours } or null when no route has a number
+ */
+export function resolveTransferRoute({ category, issueType = null, now = new Date() }) {
+  try {
+    const table = getRoutingTable();
+    const hours = isBusinessHours(now, table) ? 'business' : 'after_hours';
+    const issue = issueType?.toLowerCase() || null;
+
+    let best = null;
+    let bestScore = -1;
+
+    for (const route of table.routes) {
+      if (route.category !== category && route.category !== '*') continue;
+      if (route.issueType && route.issueType !== issue) continue;
+      if (route.hours && route.hours !== hours) continue;
+
+      const number = expandEnv(route.number);
+      if (!number) continue;
+
+      const score = (route.category === '*' ? 0 : 4) + (route.issueType ? 2 : 0) + (route.hours ? 1 : 0);
+      if (score > bestScore) {
+        best = { number, route: route.name, category, issueType: issue, hours };
+        bestScore = score;
+      }
+    }
+
+    if (!best) {
+      logger.error(PREFIX, `No transfer route with a number for ${category}${issue ? `/${issue}` : ''} (${hours})`);
+      return null;
+    }
+
+    logger.log(PREFIX, `📞 ${category}${issue ? `/${issue}` : ''} (${hours}) → ${best.route} ${best.number}`);
+    return best;
+  } catch (error) {
+    logger.error(PREFIX, 'Failed to resolve transfer route:', error);
+    return null;
+  }
+}
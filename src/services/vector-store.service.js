@@ -0,0 +1,181 @@
+/**
+ * Vector Store Service
+ * The one place the knowledge base reads and writes chunk embeddings. The backend is chosen with
+ * config.vectorStore.backend:
+ * - pinecone: the Pinecone index in config.pinecone (pinecone.service.js)
+ * - local: a JSON file with cosine-similarity search, for development, tests and offline demos
+ *   (local-vector-store.service.js)
+ *
+ * A store is an object with:
+ *   upsert(vectors)                       vectors: [{ id, values, metadata }]
+ *   query({ vector, topK, filter })       → [{ id, score, metadata }], best first
+ *   fetch(ids)                            → [{ id, metadata }] for the IDs that exist
+ *   delete({ ids } | { filter })          filter: { field: value } (equality on metadata)
+ *   stats()                               → { vectorCount, dimension, ... }
+ */
+
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { measureStage } from './telemetry.service.js';
+import { createPineconeVectorStore } from './pinecone.service.js';
+import { createLocalVectorStore } from './local-vector-store.service.js';
+
+const PREFIX = 'VectorStore';
+
+const BACKENDS = {
+  pinecone: () => createPineconeVectorStore(),
+  local: () => createLocalVectorStore(config.vectorStore.localFile),
+};
+
+let store = null;
+
+/**
+ * Replace the vector store (null = back to config.vectorStore.backend)
+ * @param {Object|null} vectorStore - Object implementing the store interface
+ */
+export function setVectorStore(vectorStore) {
+  store = vectorStore;
+}
+
+/**
+ * The vector store in use (created from config on first use)
+ * @returns {Object} - Vector store
+ */
+export function getVectorStore() {
+  if (!store) {
+    const create = BACKENDS[config.vectorStore.backend];
+    if (!create) {
+      throw new Error(`Unknown vector store backend: ${config.vectorStore.backend} (expected ${Object.keys(BACKENDS).join(' or ')})`);
+    }
+    store = create();
+    logger.log(PREFIX, `Using ${store.name} vector store`);
+  }
+  return store;
+}
+
+/**
+ * Vector IDs of one version of a document
+ * Version 1 keeps the original `<documentId>_chunk_<n>` IDs; later versions are `<documentId>_v<version>_chunk_<n>`,
+ * so a new version can be written next to the old one before the old one is removed.
+ * @param {string} documentId - Document ID from Supabase
+ * @param {number} chunkCount - Number of chunks in that version
+ * @param {number} version - Document version
+ * @returns {Array<string>} - Vector IDs
+ */
+export function getDocumentVectorIds(documentId, chunkCount, version = 1) {
+  const prefix = version > 1 ? `${documentId}_v${version}` : documentId;
+  return Array.from({ length: chunkCount }, (_, index) => `${prefix}_chunk_${index}`);
+}
+
+/**
+ * Upsert document embeddings
+ * @param {string} documentId - Document ID from Supabase
+ * @param {Array<string|Object>} textChunks - Text chunks, or chunks from chunkDocument ({ text, pageNumber, sectionTitle, stepRange })
+ * @param {Array<number[]>} embeddings - Embedding vectors
+ * @param {Object} metadata - Document metadata ({ fileName, fileType, uploadedAt, version })
+ * @returns {Promise<void>}
+ */
+export async function upsertDocumentEmbeddings(documentId, textChunks, embeddings, metadata) {
+  try {
+    const version = metadata.version || 1;
+    logger.log(PREFIX, `Upserting ${embeddings.length} vectors for document ${documentId} (version ${version})...`);
+
+    const ids = getDocumentVectorIds(documentId, embeddings.length, version);
+    const vectors = embeddings.map((embedding, index) => {
+      const chunk = typeof textChunks[index] === 'string' ? { text: textChunks[index] } : textChunks[index];
+      return {
+        id: ids[index],
+        values: embedding,
+        metadata: {
+          documentId,
+          version,
+          chunkIndex: index,
+          text: chunk.text,
+          fileName: metadata.fileName,
+          fileType: metadata.fileType,
+          uploadedAt: metadata.uploadedAt,
+          // Pinecone rejects null metadata values, so location fields are only set when known
+          ...(chunk.pageNumber != null && { pageNumber: chunk.pageNumber }),
+          ...(chunk.sectionTitle && { sectionTitle: chunk.sectionTitle }),
+          ...(chunk.stepRange && { stepRange: chunk.stepRange }),
+        }
+      };
+    });
+
+    await getVectorStore().upsert(vectors);
+
+    logger.success(PREFIX, `Successfully upserted ${vectors.length} vectors`);
+  } catch (error) {
+    logger.error(PREFIX, 'Error upserting vectors:', error);
+    throw error;
+  }
+}
+
+/**
+ * Search for similar documents
+ * @param {number[]} queryEmbedding - Query embedding vector
+ * @param {number} topK - Number of results to return
+ * @returns {Promise<Array>} - Search results ({ id, score, metadata }), best first
+ */
+export async function searchSimilarDocuments(queryEmbedding, topK = 5) {
+  try {
+    const vectorStore = getVectorStore();
+    logger.log(PREFIX, `Searching for top ${topK} similar documents...`);
+
+    const matches = await measureStage(`${vectorStore.name}_query`, () => vectorStore.query({
+      vector: queryEmbedding,
+      topK,
+    }));
+
+    logger.success(PREFIX, `Found ${matches.length} matches`);
+    return matches;
+
+  } catch (error) {
+    logger.error(PREFIX, 'Error searching vectors:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch stored vectors by ID (without their values)
+ * @param {Array<string>} vectorIds - Vector IDs (see getDocumentVectorIds)
+ * @returns {Promise<Array>} - { id, metadata } of each ID that exists
+ */
+export async function fetchDocumentVectors(vectorIds) {
+  try {
+    return await getVectorStore().fetch(vectorIds);
+  } catch (error) {
+    logger.error(PREFIX, 'Error fetching vectors:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete document vectors
+ * Deleting IDs that no longer exist is a no-op, so a failed delete can simply be repeated.
+ * @param {string} documentId - Document ID
+ * @param {Array<string>|null} vectorIds - Exact vectors to delete (see getDocumentVectorIds); null deletes by documentId
+ *   metadata filter, which Pinecone serverless indexes don't support
+ * @returns {Promise<void>}
+ */
+export async function deleteDocumentVectors(documentId, vectorIds = null) {
+  try {
+    logger.log(PREFIX, `Deleting ${vectorIds ? vectorIds.length : 'all'} vectors for document ${documentId}...`);
+
+    await getVectorStore().delete(vectorIds ? { ids: vectorIds } : { filter: { documentId } });
+
+    logger.success(PREFIX, `Deleted vectors for document ${documentId}`);
+  } catch (error) {
+    logger.error(PREFIX, 'Error deleting vectors:', error);
+    throw error;
+  }
+}
+
+/**
+ * Size of the vector store
+ * @returns {Promise<Object>} - { backend, vectorCount, dimension, ... }
+ */
+export async function getVectorStoreStats() {
+  const vectorStore = getVectorStore();
+  return { backend: vectorStore.name, ...await vectorStore.stats() };
+}
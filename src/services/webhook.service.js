@@ -0,0 +1,90 @@
+/**
+ * Webhook Service
+ * Signed outbound HTTP webhooks for notification events
+ *
+ * Each delivery is a JSON POST:
+ *   { "id": "...", "event": "emergency_alert", "createdAt": "...", "data": { ... } }
+ * with headers
+ *   X-Webhook-Id, X-Webhook-Event, X-Webhook-Timestamp (unix seconds)
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with WEBHOOK_SECRET>
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+const PREFIX = 'Webhook';
+
+// Signatures older than this are rejected by verifyWebhookSignature (replay protection)
+const DEFAULT_TOLERANCE_SEC = 5 * 60;
+
+/**
+ * Sign a webhook body
+ * @param {string} body - Raw JSON body
+ * @param {number|string} timestamp - Unix seconds sent in X-Webhook-Timestamp
+ * @param {string} secret - Shared secret
+ * @returns {string} - Signature header value ("sha256=<hex>")
+ */
+export function signWebhookPayload(body, timestamp, secret) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify a received webhook (for receivers written in Node)
+ * @param {Object} delivery - What was received
+ * @param {string} delivery.body - Raw request body
+ * @param {string} delivery.timestamp - X-Webhook-Timestamp header
+ * @param {string} delivery.signature - X-Webhook-Signature header
+ * @param {string} secret - Shared secret
+ * @param {number} toleranceSec - Maximum age of the timestamp
+ * @returns {boolean} - Whether the signature is valid and recent
+ */
+export function verifyWebhookSignature({ body, timestamp, signature }, secret, toleranceSec = DEFAULT_TOLERANCE_SEC) {
+  if (!body || !timestamp || !signature || !secret) return false;
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSec) return false;
+
+  const expected = Buffer.from(signWebhookPayload(body, timestamp, secret));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * POST one event to one webhook URL
+ * @param {string} url - Receiver URL
+ * @param {string} event - Event type
+ * @param {Object} data - Event payload
+ * @param {string} deliveryId - Stable ID for this delivery (the same across retries, so receivers can de-duplicate)
+ * @returns {Promise<Object>} - { status }
+ * @throws {Error} - On network errors, timeouts and non-2xx responses
+ */
+export async function sendWebhook(url, event, data, deliveryId = crypto.randomUUID()) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({ id: deliveryId, event, createdAt: new Date().toISOString(), data });
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Webhook-Id': deliveryId,
+    'X-Webhook-Event': event,
+    'X-Webhook-Timestamp': String(timestamp),
+  };
+  if (config.webhooks.secret) {
+    headers['X-Webhook-Signature'] = signWebhookPayload(body, timestamp, config.webhooks.secret);
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+  });
+
+  if (!response.ok) {
+    throw new Error(`${url} responded ${response.status}`);
+  }
+
+  logger.log(PREFIX, `🔗 ${event} delivered to ${url} (${response.status})`);
+  return { status: response.status };
+}
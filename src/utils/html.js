@@ -0,0 +1,13 @@
+/**
+ * HTML Utilities
+ * Helpers for the HTML pages and emails built from caller and call data
+ */
+
+/**
+ * Escape text for an HTML page
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
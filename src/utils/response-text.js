@@ -0,0 +1,163 @@
+/**
+ * Response Text Utility
+ * Strips markdown and symbols from agent output before it is spoken
+ */
+
+/**
+ * Remove markdown formatting without touching surrounding whitespace
+ * @param {string} text - Raw text from agent
+ * @returns {string} - Text without markdown symbols
+ */
+function stripMarkdown(text) {
+  // Remove markdown bold/italic (**, *)
+  let cleaned = text.replace(/\*\*/g, '').replace(/\*/g, '');
+
+  // Remove markdown headers (#)
+  cleaned = cleaned.replace(/^#+\s+/gm, '');
+
+  // Remove markdown links [text](url) -> text
+  cleaned = cleaned.replace(/\[([^\]]+)\]\([^\)]+\)/g, '$1');
+
+  // Remove markdown code blocks and inline code
+  cleaned = cleaned.replace(/```[\s\S]*?```/g, '');
+  cleaned = cleaned.replace(/`([^`]+)`/g, '$1');
+
+  // Remove markdown lists (-, *, •)
+  cleaned = cleaned.replace(/^[\s]*[-*•]\s+/gm, '');
+
+  // Remove numbered lists with parentheses (1), 2), etc.)
+  cleaned = cleaned.replace(/^\d+[\.\)]\s+/gm, '');
+
+  // Remove markdown emphasis (_)
+  cleaned = cleaned.replace(/_/g, '');
+
+  return cleaned;
+}
+
+/**
+ * Clean response text by removing markdown formatting and symbols
+ * This ensures phone calls don't have asterisks or other text symbols
+ * @param {string} text - Response text from agent
+ * @returns {string} - Cleaned text
+ */
+export function cleanResponseText(text) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  let cleaned = stripMarkdown(text);
+
+  // Clean up extra whitespace
+  cleaned = cleaned.replace(/\n{3,}/g, '\n\n');
+  cleaned = cleaned.trim();
+
+  return cleaned;
+}
+
+/**
+ * Find where the earliest markdown construct that is still open begins
+ * @param {string} text - Raw text
+ * @returns {number} - Index of the open code block, inline code or link (text.length if none)
+ */
+function findOpenConstruct(text) {
+  let limit = text.length;
+
+  // Unclosed code block - hold everything from the opening fence
+  const fences = text.match(/```/g) || [];
+  if (fences.length % 2 === 1) {
+    limit = text.lastIndexOf('```');
+  }
+
+  // Blank out closed code blocks so their contents don't confuse the checks below
+  const scan = text.slice(0, limit).replace(/```[\s\S]*?```/g, match => ' '.repeat(match.length));
+
+  // Unclosed inline code
+  const backticks = scan.match(/`/g) || [];
+  if (backticks.length % 2 === 1) {
+    limit = Math.min(limit, scan.lastIndexOf('`'));
+  }
+
+  // Link that is still being written: "[text", "[text]" or "[text](url"
+  const openBracket = scan.lastIndexOf('[');
+  if (openBracket !== -1 && openBracket < limit) {
+    const tail = scan.slice(openBracket, limit);
+    if (/^\[[^\]]*$/.test(tail) || /^\[[^\]]*\]$/.test(tail) || /^\[[^\]]*\]\([^\)]*$/.test(tail)) {
+      limit = openBracket;
+    }
+  }
+
+  return limit;
+}
+
+/**
+ * Find how much of the buffered text can be cleaned without splitting a markdown construct
+ * Cuts are made right after whitespace so words and line markers ("1. ", "- ") stay whole
+ * @param {string} buffer - Raw text received so far
+ * @returns {number} - Length of the safe prefix (0 if nothing is safe yet)
+ */
+function findSafeCut(buffer) {
+  let limit = findOpenConstruct(buffer);
+
+  while (limit > 0) {
+    let cut = 0;
+    for (let i = limit - 1; i >= 0; i--) {
+      if (/\s/.test(buffer[i])) {
+        cut = i + 1;
+        break;
+      }
+    }
+
+    if (cut === 0) return 0;
+
+    // The cut itself may land inside a construct that closes later in the buffer
+    const open = findOpenConstruct(buffer.slice(0, cut));
+    if (open === cut) return cut;
+    limit = open;
+  }
+
+  return 0;
+}
+
+/**
+ * Create a cleaner for streamed agent output
+ * Tokens are buffered until a safe boundary, then cleaned with the same rules as cleanResponseText
+ * @returns {{ push: (text: string) => string, flush: () => string }} - Streaming cleaner
+ */
+export function createStreamingTextCleaner() {
+  let buffer = '';
+  let atLineStart = true; // Whether the buffered text begins at the start of a line
+  let started = false; // Whether any non-whitespace text has been emitted yet
+
+  const clean = (segment) => {
+    // Line-anchored rules (headers, lists) must not fire when the segment starts mid-line
+    let cleaned = atLineStart ? stripMarkdown(segment) : stripMarkdown('\u0000' + segment).slice(1);
+    atLineStart = segment.endsWith('\n') || (atLineStart && !segment.trim());
+
+    if (!started) {
+      cleaned = cleaned.trimStart();
+      started = cleaned.length > 0;
+    }
+
+    return cleaned;
+  };
+
+  return {
+    push(text) {
+      if (!text) return '';
+      buffer += text;
+
+      const cut = findSafeCut(buffer);
+      if (cut === 0) return '';
+
+      const segment = buffer.slice(0, cut);
+      buffer = buffer.slice(cut);
+      return clean(segment);
+    },
+
+    flush() {
+      const segment = buffer;
+      buffer = '';
+      return clean(segment).trimEnd();
+    },
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * Scripted Chat Model
+ * Drop-in stand-in for ChatOpenAI that answers from a fixed list of responses or a respond() policy
+ * Used to replay recorded calls and run conversation scenarios offline - no API key or network needed.
+ */
+
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+
+/**
+ * Convert recorded tool calls to the OpenAI format the agent router checks (additional_kwargs.tool_calls)
+ * @param {Array} toolCalls - [{ id, name, args }]
+ * @returns {Array} - OpenAI-style tool calls
+ */
+function toOpenAIToolCalls(toolCalls) {
+  return toolCalls.map(call => ({
+    id: call.id,
+    type: 'function',
+    function: { name: call.name, arguments: JSON.stringify(call.args || {}) },
+  }));
+}
+
+export class ScriptedChatModel extends BaseChatModel {
+  /**
+   * @param {Object} options
+   * @param {Array} [options.responses] - Responses in call order: { content, tool_calls } or { error }
+   * @param {Function} [options.respond] - (messages, { tools }) => response, used once responses run out
+   */
+  constructor({ responses = [], respond = null, ...rest } = {}) {
+    super(rest);
+    this.responses = [...responses];
+    this.respond = respond;
+    this.boundToolNames = [];
+    this.requests = []; // Messages received by each call, in order
+  }
+
+  _llmType() {
+    return 'scripted';
+  }
+
+  // Tools are decided by the script; only their names are kept for respond()
+  bindTools(tools) {
+    this.boundToolNames = tools.map(t => t.name);
+    return this;
+  }
+
+  /**
+   * Take the next scripted response
+   * @param {Array} messages - Messages sent to the model
+   * @returns {Object} - { content, tool_calls }
+   */
+  nextResponse(messages) {
+    this.requests.push(messages);
+
+    const response = this.responses.length > 0
+      ? this.responses.shift()
+      : this.respond?.(messages, { tools: this.boundToolNames });
+    if (!response) {
+      throw new Error(`Scripted model has no response left for call #${this.requests.length}`);
+    }
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    return { content: response.content || '', tool_calls: response.tool_calls || [] };
+  }
+
+  async _generate(messages) {
+    const { content, tool_calls } = this.nextResponse(messages);
+
+    const message = new AIMessage({
+      content,
+      tool_calls,
+      additional_kwargs: tool_calls.length > 0 ? { tool_calls: toOpenAIToolCalls(tool_calls) } : {},
+    });
+
+    return { generations: [{ text: content, message }] };
+  }
+
+  // Stream word by word so the controller's streaming path is exercised like a live call
+  async *_streamResponseChunks(messages, options, runManager) {
+    const { content, tool_calls } = this.nextResponse(messages);
+
+    for (const piece of content.match(/\S+\s*|\s+/g) || []) {
+      yield new ChatGenerationChunk({ text: piece, message: new AIMessageChunk({ content: piece }) });
+      await runManager?.handleLLMNewToken(piece);
+    }
+
+    if (tool_calls.length > 0) {
+      yield new ChatGenerationChunk({
+        text: '',
+        message: new AIMessageChunk({
+          content: '',
+          tool_call_chunks: tool_calls.map((call, index) => ({
+            id: call.id,
+            name: call.name,
+            args: JSON.stringify(call.args || {}),
+            index,
+          })),
+          additional_kwargs: { tool_calls: toOpenAIToolCalls(tool_calls) },
+        }),
+      });
+    }
+  }
+}
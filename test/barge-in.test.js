@@ -0,0 +1,107 @@
+/**
+ * Barge-in Test
+ * A caller who talks over the agent cancels the run in flight; history keeps only what the caller
+ * heard, and an interruption before anything was spoken drops the superseded turn.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import { AIMessage, HumanMessage } from '@langchain/core/messages';
+import { connectCall, waitForResponse } from './support/scenario-harness.js';
+import { waitFor } from './support/wait-for.js';
+
+const { ScriptedChatModel } = await import('../src/utils/scripted-chat-model.js');
+const { setCallDetailsProvider } = await import('../src/services/retell.service.js');
+const { getSession } = await import('../src/services/session.service.js');
+
+const LONG_REPLY = 'First find the breaker panel, then look for the switch that sits in the middle position, push it all the way off and then back on.';
+
+/**
+ * Scripted model that takes a while over every streamed word, like a live model
+ */
+class SlowChatModel extends ScriptedChatModel {
+  constructor(options, wordDelayMs) {
+    super(options);
+    this.wordDelayMs = wordDelayMs;
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    for await (const chunk of super._streamResponseChunks(messages, options, runManager)) {
+      await delay(this.wordDelayMs);
+      yield chunk;
+    }
+  }
+}
+
+after(() => setCallDetailsProvider(null));
+
+/**
+ * Connect a call and wait for the greeting
+ * @param {string} callId - Call ID
+ * @param {ScriptedChatModel} model - Model the agent runs with
+ * @returns {Promise<ReplaySocket>} - Socket the controller writes to
+ */
+async function connect(callId, model) {
+  const ws = connectCall(callId, { model });
+  await waitForResponse(ws, 0);
+  return ws;
+}
+
+const framesFor = (ws, responseId) => ws.sent.filter(frame => frame.response_id === responseId);
+
+test('talking over the agent cancels its reply and history keeps only what was heard', async () => {
+  const model = new SlowChatModel({ responses: [{ content: LONG_REPLY }, { content: 'The one that is labelled kitchen.' }] }, 15);
+  const ws = await connect('barge-in-1', model);
+  const greeting = ws.sent.find(frame => frame.response_id === 0).content;
+
+  const transcript = [{ role: 'agent', content: greeting }, { role: 'user', content: 'How do I reset the breaker?' }];
+  ws.emit('message', JSON.stringify({ interaction_type: 'response_required', response_id: 1, transcript }));
+  await waitFor(() => framesFor(ws, 1).length >= 3);
+
+  // Retell's transcript has the agent's words up to where the caller cut in
+  const heard = 'First find';
+  ws.emit('message', JSON.stringify({
+    interaction_type: 'response_required',
+    response_id: 2,
+    transcript: [...transcript, { role: 'agent', content: heard }, { role: 'user', content: 'Which breaker?' }],
+  }));
+  await waitForResponse(ws, 2);
+
+  const cancelled = framesFor(ws, 1);
+  assert.ok(!cancelled.some(frame => frame.content_complete), 'the cancelled reply is never completed');
+  assert.ok(cancelled.map(frame => frame.content).join('').length < LONG_REPLY.length, 'streaming stopped at the interruption');
+
+  const seenByModel = model.requests[1].filter(message => message instanceof AIMessage || message instanceof HumanMessage);
+  assert.deepEqual(seenByModel.slice(-3).map(message => message.content), ['How do I reset the breaker?', heard, 'Which breaker?']);
+  assert.equal(getSession('barge-in-1').conversationState.messages.at(-1).content, 'The one that is labelled kitchen.');
+
+  ws.close();
+});
+
+test('an interruption before anything was spoken drops the superseded turn', async () => {
+  const model = new SlowChatModel({ responses: [{ content: LONG_REPLY }, { content: 'Got it, the kitchen breaker.' }] }, 200);
+  const ws = await connect('barge-in-2', model);
+  const greeting = ws.sent.find(frame => frame.response_id === 0).content;
+
+  ws.emit('message', JSON.stringify({
+    interaction_type: 'response_required',
+    response_id: 1,
+    transcript: [{ role: 'agent', content: greeting }, { role: 'user', content: 'My breaker' }],
+  }));
+  await waitFor(() => model.requests.length === 1);
+
+  // The caller was still talking - Retell sends the whole utterance again
+  ws.emit('message', JSON.stringify({
+    interaction_type: 'response_required',
+    response_id: 2,
+    transcript: [{ role: 'agent', content: greeting }, { role: 'user', content: 'My breaker keeps tripping in the kitchen' }],
+  }));
+  await waitForResponse(ws, 2);
+
+  assert.equal(framesFor(ws, 1).length, 0, 'nothing was sent for the cancelled reply');
+  const callerTurns = getSession('barge-in-2').conversationState.messages.filter(message => message instanceof HumanMessage);
+  assert.deepEqual(callerTurns.map(message => message.content), ['My breaker keeps tripping in the kitchen']);
+
+  ws.close();
+});
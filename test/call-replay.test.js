@@ -0,0 +1,41 @@
+/**
+ * Call Replay Test
+ * Every recorded call under test/fixtures/calls must still replay with identical responses.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Replays are fully offline - placeholders only satisfy client constructors
+process.env.OPENAI_API_KEY = 'replay-offline';
+process.env.RETELL_API_KEY = 'replay-offline';
+process.env.SUPABASE_URL = 'http://replay.invalid';
+process.env.SUPABASE_ANON_KEY = 'replay-offline';
+process.env.CHECKPOINTER_BACKEND = 'memory';
+process.env.RECORD_CALLS = 'false';
+
+const { readRecording } = await import('../src/services/call-recorder.service.js');
+const { replayRecording } = await import('../src/services/call-replay.service.js');
+
+const FIXTURES_DIR = path.join(import.meta.dirname, 'fixtures', 'calls');
+const fixtures = (await fs.readdir(FIXTURES_DIR)).filter(name => name.endsWith('.jsonl')).sort();
+
+for (const name of fixtures) {
+  test(`replays ${name} identically`, async () => {
+    const result = await replayRecording(await readRecording(path.join(FIXTURES_DIR, name)));
+    assert.deepEqual(result.differences, []);
+  });
+}
+
+test('a changed model output shows up as a difference', async () => {
+  const events = await readRecording(path.join(FIXTURES_DIR, fixtures[0]));
+  const lastResponse = events.findLast(e => e.kind === 'llm_response' && e.data.content);
+  lastResponse.data = { ...lastResponse.data, content: 'Something the agent never said.' };
+
+  const result = await replayRecording(events);
+
+  assert.equal(result.passed, false);
+  assert.ok(result.differences.some(d => d.includes('Something the agent never said.')));
+});
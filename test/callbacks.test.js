@@ -0,0 +1,211 @@
+/**
+ * Scheduled Callback Test
+ * The agent books a callback with schedule_callback, the scheduler places it when due (retrying calls
+ * that fail or go unanswered), and the outbound call opens with the step the caller reached. A call
+ * that went out is never placed twice, even if marking it placed fails.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { runScenario, getTableRows, setUpdateFailure } from './support/scenario-harness.js';
+
+const { config } = await import('../src/config/env.js');
+const { setPhoneCallProvider } = await import('../src/services/retell.service.js');
+const { scheduleCallback, runDueCallbacks, sweepStaleCallbacks, recordCallbackOutcome } = await import('../src/services/callback.service.js');
+
+config.callbacks.maxAttempts = 3;
+config.callbacks.retryDelayMinutes = 10;
+
+after(() => {
+  setPhoneCallProvider(null);
+  setUpdateFailure(null);
+});
+
+const inMinutes = (minutes, from = Date.now()) => new Date(from + minutes * 60 * 1000);
+
+test('the agent books a callback with the wait time and the step reached', async () => {
+  const before = Date.now();
+  const { turns } = await runScenario({
+    name: 'Water heater needs time to heat up',
+    caller: '+15550005001',
+    turns: [
+      {
+        user: 'I relit the water heater pilot, it needs 90 minutes to heat up. Can you call me back in 90 minutes?',
+        model: [
+          { tool: 'schedule_callback', args: { minutes_from_now: 90, reason: 'Water heater not producing hot water', step_reached: 'Relit the water heater pilot, waiting 90 minutes for the water to heat up' } },
+          { reply: 'All set, we will call you back in 90 minutes and pick up from this step.' },
+        ],
+      },
+    ],
+  });
+
+  assert.match(turns[0].toolResults[0].content, /"scheduled":true/);
+
+  const [callback] = getTableRows('scheduled_callbacks');
+  assert.equal(callback.phone, '+15550005001');
+  assert.equal(callback.status, 'scheduled');
+  assert.match(callback.step_reached, /Relit the water heater pilot/);
+
+  const dueIn = (new Date(callback.due_at).getTime() - before) / 60000;
+  assert.ok(dueIn >= 90 && dueIn < 91, `due in ${dueIn} minutes`);
+});
+
+test('the scheduler places due callbacks and retries failed and unanswered calls', async () => {
+  const placed = [];
+  let failNext = true;
+  setPhoneCallProvider(async (request) => {
+    if (failNext) {
+      failNext = false;
+      throw new Error('Retell unavailable');
+    }
+    placed.push(request);
+    return { call_id: `outbound-${placed.length}` };
+  });
+
+  const callback = await scheduleCallback({ callId: 'booked-on-call', phone: '+15550005002', delayMinutes: 15, reason: 'Thermostat', stepReached: 'Reset the thermostat' });
+
+  // Not due yet
+  assert.equal(await runDueCallbacks(inMinutes(5)), 0);
+
+  // Attempt 1 can't be placed - retried 10 minutes later
+  const firstTry = inMinutes(16);
+  assert.equal(await runDueCallbacks(firstTry), 0);
+  let row = getTableRows('scheduled_callbacks').find(r => r.id === callback.id);
+  assert.equal(row.status, 'scheduled');
+  assert.equal(row.attempts, 1);
+  assert.equal(row.last_error, 'Retell unavailable');
+  assert.equal(row.due_at, inMinutes(10, firstTry.getTime()).toISOString());
+
+  // Attempt 2 is placed with the callback ID as metadata
+  const secondTry = inMinutes(27);
+  assert.equal(await runDueCallbacks(secondTry), 1);
+  assert.equal(placed[0].to_number, '+15550005002');
+  assert.deepEqual(placed[0].metadata, { callback_id: callback.id });
+  row = getTableRows('scheduled_callbacks').find(r => r.id === callback.id);
+  assert.equal(row.status, 'placed');
+  assert.equal(row.outbound_call_id, 'outbound-1');
+
+  // Nobody answers - back in the queue with the delay doubled
+  await recordCallbackOutcome({ call_id: 'outbound-1', direction: 'outbound', metadata: { callback_id: callback.id }, disconnection_reason: 'dial_no_answer' }, secondTry);
+  row = getTableRows('scheduled_callbacks').find(r => r.id === callback.id);
+  assert.equal(row.status, 'scheduled');
+  assert.equal(row.due_at, inMinutes(20, secondTry.getTime()).toISOString());
+
+  // Attempt 3 is answered
+  assert.equal(await runDueCallbacks(inMinutes(48)), 1);
+  await recordCallbackOutcome({ call_id: 'outbound-2', direction: 'outbound', metadata: { callback_id: callback.id }, disconnection_reason: 'user_hangup' });
+  row = getTableRows('scheduled_callbacks').find(r => r.id === callback.id);
+  assert.equal(row.status, 'completed');
+  assert.deepEqual(row.history.map(entry => entry.event), ['scheduled', 'retry', 'placed', 'retry', 'placed', 'completed']);
+});
+
+test('a callback that keeps failing is given up after the last attempt', async () => {
+  setPhoneCallProvider(async () => { throw new Error('Invalid number'); });
+
+  const callback = await scheduleCallback({ callId: 'booked-on-call', phone: '+15550005003', delayMinutes: 1, reason: 'Leak' });
+  for (const minutes of [2, 20, 60]) {
+    await runDueCallbacks(inMinutes(minutes));
+  }
+
+  const row = getTableRows('scheduled_callbacks').find(r => r.id === callback.id);
+  assert.equal(row.status, 'failed');
+  assert.equal(row.attempts, 3);
+});
+
+test('the callback call opens with the step the caller reached', async () => {
+  const { greeting, systemPrompt, turns } = await runScenario({
+    name: 'Outbound callback resumes the water heater steps',
+    caller: '+15559990000',
+    callDetails: { direction: 'outbound', to_number: '+15550005004', metadata: { callback_id: 'cb-1' } },
+    database: {
+      scheduled_callbacks: [
+        { id: 'cb-1', phone: '+15550005004', reason: 'Water heater not producing hot water', step_reached: 'Relit the pilot, waiting for the water to heat up', status: 'placed', attempts: 1 },
+      ],
+    },
+    turns: [{ user: 'Yes, the water is hot now.' }],
+  });
+
+  assert.equal(greeting, 'Hello, this is Home Maintenance Support calling you back about Water heater not producing hot water. Last time we got as far as: Relit the pilot, waiting for the water to heat up. Are you ready to pick up from there?');
+  assert.ok(turns[0].says, 'the call continues after the greeting');
+  assert.match(systemPrompt, /Step the caller reached: Relit the pilot, waiting for the water to heat up/, 'the agent knows the step too');
+});
+
+test('callbacks that stopped moving are retried or failed by the scheduler', async () => {
+  config.callbacks.claimTimeoutMinutes = 5;
+  config.callbacks.outcomeTimeoutMinutes = 180;
+  const placed = [];
+  setPhoneCallProvider(async (request) => {
+    placed.push(request);
+    return { call_id: `outbound-stale-${placed.length}` };
+  });
+
+  const stuck = await scheduleCallback({ callId: 'booked-on-call', phone: '+15550005005', delayMinutes: 1, reason: 'Furnace' });
+  const lost = await scheduleCallback({ callId: 'booked-on-call', phone: '+15550005006', delayMinutes: 1, reason: 'Dryer' });
+  const row = (callback) => getTableRows('scheduled_callbacks').find(r => r.id === callback.id);
+
+  // Both are placed; then the server dies mid-placement for one, and the other's webhook never comes
+  const start = inMinutes(2);
+  assert.equal(await runDueCallbacks(start), 2);
+  Object.assign(row(stuck), { status: 'calling', outbound_call_id: null, placed_at: null });
+
+  // Still within the timeouts
+  assert.equal(await sweepStaleCallbacks(inMinutes(4, start.getTime())), 0);
+
+  // Stuck in calling: counted as a failed attempt and placed again after the retry delay
+  assert.equal(await sweepStaleCallbacks(inMinutes(6, start.getTime())), 1);
+  assert.equal(row(stuck).status, 'scheduled');
+  assert.equal(row(stuck).last_error, 'Call placement did not finish');
+  assert.equal(await runDueCallbacks(inMinutes(17, start.getTime())), 1);
+  assert.equal(row(stuck).status, 'placed');
+  assert.equal(row(stuck).attempts, 2);
+
+  // Placed without an outcome: failed, not called again (it may have been answered)
+  assert.equal(await runDueCallbacks(inMinutes(181, start.getTime())), 0);
+  assert.equal(row(lost).status, 'failed');
+  assert.equal(row(lost).last_error, 'No call outcome received');
+  assert.equal(placed.filter(request => request.to_number === '+15550005006').length, 1);
+});
+
+test('a callback whose call went out but could not be marked placed is not called again', async () => {
+  config.callbacks.claimTimeoutMinutes = 5;
+  const placed = [];
+  setPhoneCallProvider(async (request) => {
+    placed.push(request);
+    return { call_id: `outbound-unmarked-${placed.length}` };
+  });
+
+  const callback = await scheduleCallback({ callId: 'booked-on-call', phone: '+15550005007', delayMinutes: 1, reason: 'Boiler' });
+  const row = () => getTableRows('scheduled_callbacks').find(r => r.id === callback.id);
+
+  setUpdateFailure((table, changes) => table === 'scheduled_callbacks' && changes.status === 'placed');
+  const start = inMinutes(2);
+  try {
+    assert.equal(await runDueCallbacks(start), 1);
+  } finally {
+    setUpdateFailure(null);
+  }
+  assert.equal(row().status, 'calling');
+  assert.equal(row().outbound_call_id, 'outbound-unmarked-1');
+
+  // The sweep fails it instead of putting it back in the queue
+  assert.equal(await runDueCallbacks(inMinutes(30, start.getTime())), 0);
+  assert.equal(row().status, 'failed');
+  assert.equal(row().last_error, 'Call placed but never marked placed');
+  assert.equal(placed.length, 1);
+});
+
+test('the outcome of a call that was never marked placed still settles the callback', async () => {
+  setPhoneCallProvider(async () => ({ call_id: 'outbound-unmarked-outcome' }));
+  const callback = await scheduleCallback({ callId: 'booked-on-call', phone: '+15550005008', delayMinutes: 1, reason: 'Dryer vent' });
+
+  setUpdateFailure((table, changes) => table === 'scheduled_callbacks' && changes.status === 'placed');
+  try {
+    assert.equal(await runDueCallbacks(inMinutes(2)), 1);
+  } finally {
+    setUpdateFailure(null);
+  }
+
+  const settled = await recordCallbackOutcome({ call_id: 'outbound-unmarked-outcome', disconnection_reason: 'user_hangup' });
+  assert.equal(settled.id, callback.id);
+  assert.equal(settled.status, 'completed');
+});
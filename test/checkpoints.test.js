@@ -0,0 +1,89 @@
+/**
+ * Checkpoint Restore Test
+ * A call whose session is gone (e.g. after a server restart) picks up from its saved checkpoint:
+ * no second greeting, and the history holds what the caller actually heard. The checkpoints endpoint
+ * only answers with the call's signed token.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as delay } from 'timers/promises';
+import { connectCall, waitForResponse } from './support/scenario-harness.js';
+
+const { config } = await import('../src/config/env.js');
+const { ScriptedChatModel } = await import('../src/utils/scripted-chat-model.js');
+const { setCallDetailsProvider } = await import('../src/services/retell.service.js');
+const { getSession, removeSession } = await import('../src/services/session.service.js');
+const { loadConversationHistory } = await import('../src/services/checkpointer.service.js');
+const { getTranscriptUrl } = await import('../src/services/handoff.service.js');
+const { createApp } = await import('../src/app.js');
+
+// A restart only keeps what a durable checkpointer saved
+const sqlitePath = path.join(os.tmpdir(), `checkpoints-test-${process.pid}.sqlite`);
+config.checkpointer.backend = 'sqlite';
+config.checkpointer.sqlitePath = sqlitePath;
+
+after(() => {
+  setCallDetailsProvider(null);
+  for (const file of [sqlitePath, `${sqlitePath}-wal`, `${sqlitePath}-shm`]) {
+    fs.rmSync(file, { force: true });
+  }
+});
+
+test('a call without a session is restored from its checkpoint, with the reply as it was spoken', async () => {
+  const model = new ScriptedChatModel({
+    responses: [{ content: '**First**, switch the `main` breaker off.' }, { content: 'Is it off now?' }],
+  });
+
+  const first = connectCall('checkpoint-call-1', { model });
+  const greeting = (await waitForResponse(first, 0)).content;
+  const transcript = [{ role: 'agent', content: greeting }, { role: 'user', content: 'How do I reset the breaker?' }];
+  first.emit('message', JSON.stringify({ interaction_type: 'response_required', response_id: 1, transcript }));
+  await waitForResponse(first, 1);
+  await delay(50);
+
+  // The process goes away mid-call: the session is lost, the checkpoint is not
+  first.close();
+  removeSession('checkpoint-call-1');
+  assert.equal(getSession('checkpoint-call-1'), null);
+
+  const history = (await loadConversationHistory('checkpoint-call-1')).map(message => message.content);
+  assert.deepEqual(history, [greeting, 'How do I reset the breaker?', 'First, switch the main breaker off.']);
+
+  const second = connectCall('checkpoint-call-1');
+  await delay(50);
+  assert.equal(second.sent.filter(frame => frame.response_id === 0).length, 0, 'no second greeting');
+
+  second.emit('message', JSON.stringify({
+    interaction_type: 'response_required',
+    response_id: 2,
+    transcript: [...transcript, { role: 'agent', content: 'First, switch the main breaker off.' }, { role: 'user', content: 'Okay.' }],
+  }));
+  await waitForResponse(second, 2);
+
+  assert.deepEqual(model.requests[1].slice(1).map(message => message.content), [...history, 'Okay.']);
+  second.close();
+});
+
+test('the checkpoints endpoint needs the call\'s signed token', async () => {
+  const server = createApp().listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const checkpoints = (query) => fetch(`${base}/calls/checkpoint-call-1/checkpoints${query}`);
+
+    assert.equal((await checkpoints('')).status, 403);
+    assert.equal((await checkpoints('?token=0.forged')).status, 403);
+
+    const token = new URL(getTranscriptUrl('checkpoint-call-1')).searchParams.get('token');
+    const response = await checkpoints(`?token=${encodeURIComponent(token)}`);
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.ok(body.messages.some(message => message.content === 'How do I reset the breaker?'));
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
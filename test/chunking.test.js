@@ -0,0 +1,98 @@
+/**
+ * Chunking Test
+ * Documents are chunked along headings, numbered procedures, paragraphs and tables,
+ * with the page, section and steps of every chunk.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { chunkDocument, estimateTokens } = await import('../src/services/chunking.service.js');
+
+const MANUAL = [
+  'WATER HEATER OWNER\'S MANUAL\n\nRead all instructions before use. Keep this manual near the heater.\n\n14',
+  [
+    '3.1 Resetting the pilot light',
+    '',
+    'If the pilot goes out, wait five minutes for any gas to clear before relighting it.',
+    '',
+    'To relight the pilot:',
+    '1. Turn the control knob to OFF.',
+    '2. Wait five minutes.',
+    '3. Turn the control knob to PILOT.',
+    '4. Hold the knob down and press the igniter',
+    '   until the pilot lights.',
+    '5. Keep holding for 60 seconds, then turn the knob to ON.',
+    '',
+    'Page 15',
+  ].join('\n'),
+  [
+    'Temperature settings',
+    '',
+    '| Setting | Temperature |',
+    '| --- | --- |',
+    '| Vacation | 50F |',
+    '| Hot | 120F |',
+  ].join('\n'),
+].join('\f');
+
+test('chunks follow headings, keep procedures whole and record page, section and steps', () => {
+  const chunks = chunkDocument(MANUAL, { maxTokens: 300, overlapTokens: 0 });
+
+  assert.deepEqual(chunks.map(({ pageNumber, sectionTitle, stepRange }) => ({ pageNumber, sectionTitle, stepRange })), [
+    { pageNumber: 1, sectionTitle: 'WATER HEATER OWNER\'S MANUAL', stepRange: null },
+    { pageNumber: 2, sectionTitle: '3.1 Resetting the pilot light', stepRange: '1-5' },
+    { pageNumber: 3, sectionTitle: 'Temperature settings', stepRange: null },
+  ]);
+
+  const [, pilot, table] = chunks;
+  assert.match(pilot.text, /^3\.1 Resetting the pilot light\n/);
+  assert.match(pilot.text, /To relight the pilot:\n1\. Turn the control knob to OFF\./);
+  assert.match(pilot.text, /press the igniter until the pilot lights\./, 'wrapped step line joined');
+  assert.doesNotMatch(pilot.text, /Page 15/, 'page footer dropped');
+  assert.match(table.text, /\| Hot \| 120F \|$/);
+});
+
+test('a procedure too long for one chunk is split between steps', () => {
+  const steps = Array.from({ length: 8 }, (_, i) => `${i + 1}. ${'Check the connection and tighten it by hand. '.repeat(2).trim()}`);
+  const chunks = chunkDocument(`Replacing the thermostat\n\n${steps.join('\n')}`, { maxTokens: 80, overlapTokens: 0 });
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.sectionTitle === 'Replacing the thermostat'));
+  assert.ok(chunks.every(chunk => chunk.tokenCount <= 80), 'within the token budget');
+  assert.equal(chunks[0].stepRange.split('-')[0], '1');
+  assert.equal(chunks[chunks.length - 1].stepRange.split('-').pop(), '8');
+  // Every step is in exactly one chunk, and never cut in half
+  assert.equal(chunks.flatMap(chunk => chunk.text.match(/^\d+\. /gm) || []).length, 8);
+  assert.equal(chunks[0].pageNumber, null, 'plain text has no pages');
+});
+
+test('long paragraphs are split between sentences with overlap, long tables repeat their header', () => {
+  const sentences = Array.from({ length: 12 }, (_, i) => `Sentence number ${i + 1} describes the furnace filter.`);
+  const rows = Array.from({ length: 12 }, (_, i) => `| Model ${i + 1} | 16x25x1 |`);
+  const text = `${sentences.join(' ')}\n\nFILTER SIZES\n\n| Model | Filter |\n${rows.join('\n')}`;
+
+  const chunks = chunkDocument(text, { maxTokens: 60, overlapTokens: 15 });
+  const prose = chunks.filter(chunk => chunk.sectionTitle === null);
+  const tables = chunks.filter(chunk => chunk.sectionTitle === 'FILTER SIZES');
+
+  assert.ok(prose.length > 1);
+  assert.ok(prose.every(chunk => /^Sentence number \d+/.test(chunk.text) && /filter\.$/.test(chunk.text)), 'no sentence cut in half');
+  const lastOfFirst = prose[0].text.split(/(?<=\.) /).pop();
+  assert.ok(prose[1].text.startsWith(lastOfFirst), 'next chunk repeats the last sentence');
+
+  assert.ok(tables.length > 1);
+  assert.ok(tables.slice(1).every(chunk => chunk.text.startsWith('| Model | Filter |')), 'header repeated');
+  assert.ok(chunks.every(chunk => estimateTokens(chunk.text) <= 60));
+});
+
+test('text with no whitespace to break at is split between characters', () => {
+  const url = `https://example.test/manuals/${'a1b2c3d4'.repeat(40)}`;
+  const cjk = '热水器的温度设置'.repeat(60);
+  const chunks = chunkDocument(`Download the manual at ${url} today.\n\n${cjk}`, { maxTokens: 40, overlapTokens: 0 });
+
+  assert.ok(chunks.every(chunk => estimateTokens(chunk.text) <= 40), 'within the token budget');
+  const text = chunks.map(chunk => chunk.text).join('').replace(/\s+/g, '');
+  assert.ok(text.includes(url), 'the URL is kept in order');
+  assert.ok(text.includes(cjk), 'the CJK text is kept in order');
+});
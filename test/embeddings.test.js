@@ -0,0 +1,154 @@
+/**
+ * Embeddings Test
+ * The hash provider is deterministic and offline, documents are embedded in limited batches, identical
+ * chunks are only embedded once, the cache file is written once per burst of uploads, and the upload → search
+ * pipeline runs with no network at all.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import './support/scenario-harness.js';
+
+const { config } = await import('../src/config/env.js');
+const { createApp } = await import('../src/app.js');
+const { createHashEmbeddingProvider } = await import('../src/services/hash-embedding.service.js');
+const { createEmbeddings, setEmbeddingProvider, saveEmbeddingCache } = await import('../src/services/embedding.service.js');
+const { createLocalVectorStore, cosineSimilarity } = await import('../src/services/local-vector-store.service.js');
+const { setVectorStore } = await import('../src/services/vector-store.service.js');
+const { retrieveChunks } = await import('../src/services/retrieval.service.js');
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'embeddings-test-'));
+
+after(async () => {
+  setEmbeddingProvider(null);
+  setVectorStore(null);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Hash provider that records every request it gets
+ * @param {number} delayMs - How long each request takes
+ * @returns {Object} - Provider with `requests` (texts per request) and `maxInFlight`
+ */
+function recordingProvider(delayMs = 0) {
+  const hash = createHashEmbeddingProvider({ dimensions: 16 });
+  let inFlight = 0;
+
+  const provider = {
+    ...hash,
+    name: 'recording',
+    requests: [],
+    maxInFlight: 0,
+    embedDocuments: async (texts) => {
+      provider.requests.push(texts);
+      provider.maxInFlight = Math.max(provider.maxInFlight, ++inFlight);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      inFlight--;
+      return hash.embedDocuments(texts);
+    },
+  };
+  return provider;
+}
+
+test('the hash provider is deterministic and puts related texts close together', async () => {
+  const provider = createHashEmbeddingProvider({ dimensions: 64 });
+  const [pilot, again, dishwasher] = await provider.embedDocuments([
+    'Relight the water heater pilot light',
+    'Relight the water heater pilot light',
+    'Dishwasher drain filter is blocked',
+  ]);
+
+  assert.equal(pilot.length, 64);
+  assert.deepEqual(pilot, again);
+  assert.ok(Math.abs(cosineSimilarity(pilot, pilot) - 1) < 1e-12);
+
+  const query = await provider.embedQuery('water heater pilot went out');
+  assert.ok(cosineSimilarity(query, pilot) > cosineSimilarity(query, dishwasher));
+});
+
+test('documents are embedded in batches with a limited number in flight, in order', async () => {
+  const { batchSize, concurrency } = config.embeddings;
+  config.embeddings.batchSize = 2;
+  config.embeddings.concurrency = 2;
+  const provider = recordingProvider(5);
+  setEmbeddingProvider(provider);
+
+  try {
+    const texts = ['batch one', 'batch two', 'batch three', 'batch four', 'batch five', 'batch six', 'batch seven'];
+    const vectors = await createEmbeddings(texts);
+
+    assert.deepEqual(provider.requests.map(request => request.length), [2, 2, 2, 1]);
+    assert.equal(provider.maxInFlight, 2);
+    assert.deepEqual(vectors, await createHashEmbeddingProvider({ dimensions: 16 }).embedDocuments(texts));
+  } finally {
+    config.embeddings.batchSize = batchSize;
+    config.embeddings.concurrency = concurrency;
+  }
+});
+
+test('identical chunks are only embedded once, across calls and within one', async () => {
+  const provider = recordingProvider();
+  setEmbeddingProvider(provider);
+
+  const first = await createEmbeddings(['Reset the breaker', 'Check the fuse', 'Reset the breaker']);
+  assert.deepEqual(provider.requests, [['Reset the breaker', 'Check the fuse']]);
+  assert.deepEqual(first[0], first[2]);
+
+  // A re-upload with one edited chunk only embeds that chunk
+  const second = await createEmbeddings(['Reset the breaker', 'Check the fuse box']);
+  assert.deepEqual(provider.requests[1], ['Check the fuse box']);
+  assert.deepEqual(second[0], first[0]);
+
+  await createEmbeddings(['Reset the breaker', 'Check the fuse box']);
+  assert.equal(provider.requests.length, 2);
+});
+
+test('the cache file is written once after a burst of uploads, not on every upload', async () => {
+  const { cacheFile, cacheSaveDelayMs } = config.embeddings;
+  const file = path.join(dir, 'embedding-cache.json');
+  config.embeddings.cacheFile = file;
+  config.embeddings.cacheSaveDelayMs = 60_000;
+  setEmbeddingProvider(recordingProvider());
+
+  try {
+    await createEmbeddings(['Drain the water heater yearly']);
+    await createEmbeddings(['Flush the sediment out']);
+    await assert.rejects(fs.access(file), { code: 'ENOENT' }, 'not written on each upload');
+
+    await saveEmbeddingCache();
+    const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+    assert.ok(Object.keys(saved.embeddings).length >= 2);
+  } finally {
+    config.embeddings.cacheFile = cacheFile;
+    config.embeddings.cacheSaveDelayMs = cacheSaveDelayMs;
+  }
+});
+
+test('upload and search run offline with the hash provider and the local store', async () => {
+  setEmbeddingProvider(createHashEmbeddingProvider());
+  setVectorStore(createLocalVectorStore(path.join(dir, 'vectors.json')));
+
+  const server = createApp().listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const upload = async (name, text) => {
+    const form = new FormData();
+    form.append('document', new Blob([text], { type: 'text/plain' }), name);
+    return (await fetch(`${base}/rag/upload`, { method: 'POST', body: form })).json();
+  };
+
+  try {
+    const gutter = await upload('gutter.txt', 'Gutters overflowing in heavy rain usually means a clogged downspout. Flush the downspout with a hose.');
+    await upload('thermostat.txt', 'A blank thermostat display usually needs new batteries. Replace the AA batteries behind the cover.');
+    assert.equal(gutter.success, true);
+
+    const results = await retrieveChunks('clogged gutter downspout overflowing');
+    assert.equal(results[0].metadata.documentId, gutter.document.id);
+    assert.equal(results[0].sources.vector.rank, 1, 'the hash vectors rank the gutter chunk first');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,49 @@
+/**
+ * Emergency Number Test
+ * Callers are told to dial the emergency number of the country their phone number belongs to.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './support/scenario-harness.js';
+
+const { resolveEmergencyNumber, getSafetyScript } = await import('../src/services/emergency-number.service.js');
+const { detectHazard } = await import('../src/services/hazard-detector.service.js');
+const { createReceptionistPrompt, createTechnicalSupportPrompt } = await import('../src/services/langgraph.service.js');
+
+test('the country code of the caller picks the emergency number', () => {
+  assert.equal(resolveEmergencyNumber('+15551234567').number, '911');
+  assert.equal(resolveEmergencyNumber('+44 7700 900123').number, '999');
+  assert.equal(resolveEmergencyNumber('+353851234567').number, '112');
+  assert.equal(resolveEmergencyNumber('+61412345678').number, '000');
+
+  // No number, a national number or an unknown code fall back to the default country
+  assert.equal(resolveEmergencyNumber(null).country, 'US');
+  assert.equal(resolveEmergencyNumber('07700900123').country, 'US');
+  assert.equal(resolveEmergencyNumber('+999123456').country, 'US');
+});
+
+test('safety scripts follow the country table, including per-country wording', () => {
+  const uk = resolveEmergencyNumber('+447700900123');
+  assert.match(getSafetyScript('instruct', uk), /dial 9 9 9\. That's 9 9 9 for emergency services/);
+  assert.match(getSafetyScript('unavailable', uk), /call 999 for them/);
+
+  const au = resolveEmergencyNumber('+61412345678');
+  assert.match(getSafetyScript('fallback', au), /triple zero - that's 0 0 0/);
+
+  assert.match(detectHazard('the carbon monoxide alarm is going off', [], uk).message, /dial 9 9 9/);
+  assert.match(detectHazard('the carbon monoxide alarm is going off').message, /dial 9 1 1/);
+  assert.equal(detectHazard("smoke everywhere and I can't call 999", [], uk).escalated, true);
+});
+
+test('prompts use the caller\'s emergency number', () => {
+  const uk = resolveEmergencyNumber('+447700900123');
+
+  for (const prompt of [createReceptionistPrompt(uk), createTechnicalSupportPrompt('Video 1: "leaky tap"', false, 1, uk)]) {
+    assert.match(prompt, /LIFE-THREATENING.*\(999 FIRST!\)/);
+    assert.match(prompt, /dial 9 9 9/);
+    assert.doesNotMatch(prompt, /911|9-1-1/);
+  }
+
+  assert.match(createReceptionistPrompt(), /dial 9 1 1/);
+});
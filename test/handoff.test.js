@@ -0,0 +1,131 @@
+/**
+ * Warm Transfer Handoff Test
+ * A warm transfer whispers a brief of the call to whoever picks up and sends the full brief,
+ * with a live transcript link, as a transfer_handoff notification.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { HumanMessage, AIMessage } from '@langchain/core/messages';
+import { runScenario } from './support/scenario-harness.js';
+import { waitFor } from './support/wait-for.js';
+
+const { config } = await import('../src/config/env.js');
+const { createApp } = await import('../src/app.js');
+const { buildHandoffBrief, isValidTranscriptToken } = await import('../src/services/handoff.service.js');
+
+// Webhook receiver for the transfer_handoff notification
+const received = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push(JSON.parse(body));
+    res.end();
+  });
+});
+await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+config.webhooks.urls = [`http://127.0.0.1:${receiver.address().port}/hooks`];
+config.notifications.events.transfer_handoff = ['webhook'];
+
+after(() => new Promise(resolve => receiver.close(resolve)));
+
+test('the brief covers caller, issue, steps already tried and hazards', () => {
+  const brief = buildHandoffBrief({
+    callId: 'handoff-call-1',
+    callerPhone: '+15550003001',
+    action: { category: 'urgent_maintenance', destination: '+15559120002', route: 'electrical-dispatch', reason: 'Basement flooding up to the breaker panel' },
+    messages: [
+      new AIMessage('Hi, how can I help?'),
+      new HumanMessage('The basement is flooding and the water is near the panel.'),
+      new AIMessage('Please stay out of the water. First, check whether you can reach the main breaker from somewhere dry.'),
+      new HumanMessage("I already shut off the water main but it's still coming in."),
+    ],
+    transcripts: [{ transcript: 'Water pooling around the furnace and the electrical panel.' }],
+    hazards: ['Flooding or standing water near electrical equipment', 'Flooding or standing water near electrical equipment'],
+  });
+
+  assert.equal(brief.issue, 'Basement flooding up to the breaker panel');
+  assert.equal(brief.callerDescription, 'The basement is flooding and the water is near the panel.');
+  assert.deepEqual(brief.hazards, ['Flooding or standing water near electrical equipment']);
+  assert.deepEqual(brief.stepsTried, [
+    'Agent: First, check whether you can reach the main breaker from somewhere dry.',
+    "Caller: I already shut off the water main but it's still coming in.",
+  ]);
+  assert.deepEqual(brief.videos, ['Video 1: Water pooling around the furnace and the electrical panel.']);
+
+  assert.match(brief.spoken, /^Urgent maintenance transfer from the home maintenance line\. Caller \+15550003001\. Issue: Basement flooding/);
+  assert.match(brief.spoken, /Hazards: Flooding or standing water near electrical equipment\./);
+  assert.match(brief.text, /Transferred to: electrical-dispatch \(\+15559120002\)/);
+
+  const token = new URL(brief.transcriptUrl).searchParams.get('token');
+  assert.ok(isValidTranscriptToken('handoff-call-1', token));
+  assert.ok(!isValidTranscriptToken('handoff-call-2', token));
+
+  // The link stops working once it expires, and the expiry can't be pushed out
+  const expires = parseInt(token.split('.')[0], 36);
+  assert.ok(!isValidTranscriptToken('handoff-call-1', token, expires + 1));
+  const extended = `${(expires + 24 * 60 * 60 * 1000).toString(36)}.${token.split('.')[1]}`;
+  assert.ok(!isValidTranscriptToken('handoff-call-1', extended));
+});
+
+test('a warm transfer whispers the brief and notifies with a working transcript link', async () => {
+  config.transfers.mode = 'warm';
+  received.length = 0;
+
+  // The link is opened while the call is live (the in-memory checkpoint is dropped when it ends)
+  const server = createApp().listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  let transcript = null;
+  let forbidden = null;
+
+  try {
+    const { turns } = await runScenario({
+      name: 'Caller who already reset the breaker asks for a person',
+      caller: '+15550003002',
+      turns: [
+        {
+          user: 'How do I reset a tripped breaker?',
+          model: [
+            { tool: 'search_knowledge_base', args: { query: 'reset a tripped breaker' } },
+            { reply: 'Switch the breaker fully off, then back on.' },
+          ],
+        },
+        {
+          user: 'I already reset the breaker twice and it trips again, let me speak to a real person',
+          model: [{ tool: 'transfer_to_human_agent', args: { userRequest: 'let me speak to a real person' } }],
+        },
+      ],
+    }, {
+      afterTurn: async (turn, index) => {
+        if (index !== 1) return;
+        const [notification] = await waitFor(() => received.length > 0 && received);
+        const link = new URL(notification.data.transcriptUrl);
+        transcript = await fetch(`${base}${link.pathname}${link.search}&format=json`);
+        forbidden = await fetch(`${base}${link.pathname}?token=nope`);
+      },
+    });
+
+    assert.equal(turns[0].whisper, null);
+    assert.equal(turns[1].transferNumber, '+15559130000');
+    assert.match(turns[1].whisper, /^Support transfer from the home maintenance line\. Caller \+15550003002\./);
+    assert.match(turns[1].whisper, /Already tried: Switch the breaker fully off, then back on\.; I already reset the breaker twice/);
+
+    const [notification] = received;
+    assert.equal(notification.event, 'transfer_handoff');
+    assert.equal(notification.data.callerPhone, '+15550003002');
+    assert.equal(notification.data.spoken, turns[1].whisper);
+
+    // The link in the brief opens the transcript; a tampered token does not
+    assert.equal(transcript.status, 200);
+    const body = await transcript.json();
+    assert.equal(body.live, true);
+    assert.equal(body.messages.find(m => m.role === 'caller').content, 'How do I reset a tripped breaker?');
+    assert.equal(forbidden.status, 403);
+  } finally {
+    server.close();
+    config.transfers.mode = 'cold';
+  }
+});
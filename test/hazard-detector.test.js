@@ -0,0 +1,104 @@
+/**
+ * Hazard Detector Test
+ * The shipped rules (src/config/hazard-rules.json) catch life-safety cases and leave ordinary repairs to the model.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectHazard, setHazardRules } from '../src/services/hazard-detector.service.js';
+
+const ruleOf = (text, earlier) => detectHazard(text, earlier)?.ruleId ?? null;
+
+test('life-safety utterances match their rule', () => {
+  const cases = {
+    'I smell gas and I have a pounding headache': 'gas_with_symptoms',
+    'it smells like rotten eggs and my daughter feels dizzy': 'gas_with_symptoms',
+    'our CO detector keeps beeping and won\'t stop': 'carbon_monoxide_alarm',
+    'the carbon monoxide alarm is going off upstairs': 'carbon_monoxide_alarm',
+    'there are flames coming out of the dryer': 'fire_or_smoke',
+    'the kitchen is full of smoke': 'fire_or_smoke',
+    'the breaker panel is sparking and smells like burning': 'sparking_panel',
+    'the basement is flooding and the outlets are under water': 'flooding_near_electrical',
+    'the garage is on fire': 'fire_or_smoke',
+    'the curtains caught fire': 'fire_or_smoke',
+    'flames from the stove are spreading to the cabinets': 'fire_or_smoke',
+    'sparks are coming out of the outlet': 'sparking_panel',
+    'there is a gas leak and I feel light headed': 'gas_with_symptoms',
+  };
+
+  for (const [text, ruleId] of Object.entries(cases)) {
+    assert.equal(ruleOf(text), ruleId, text);
+  }
+});
+
+test('ordinary repairs and false alarms do not match', () => {
+  for (const text of [
+    'my kitchen faucet keeps dripping',
+    'I have a small leak under the sink',
+    'the smoke detector is chirping, I think the battery is low',
+    'my gas stove burner will not light',
+    'the CO detector chirps every minute, low battery I guess',
+    'how do I reset a tripped breaker',
+    'the fireplace won\'t light',
+    'my furnace won\'t fire up',
+    'the pilot light won\'t fire',
+    'the fire alarm is beeping',
+    'the burner flame on my gas stove is yellow',
+    'replace the spark plug on my lawn mower',
+    'My CO detector reading is zero',
+    'gas furnace gives me a headache to figure out',
+    'there are no flames but the flame on the stove is blue',
+  ]) {
+    assert.equal(ruleOf(text), null, text);
+  }
+});
+
+test('an exclusion does not hide a symptom or alarm phrase said alongside it', () => {
+  const cases = {
+    'CO alarm going off, I already replaced the battery': 'carbon_monoxide_alarm',
+    'smoke pouring out of the battery backup': 'fire_or_smoke',
+    'I smell gas near the gas stove and I feel dizzy': 'gas_with_symptoms',
+  };
+
+  for (const [text, ruleId] of Object.entries(cases)) {
+    assert.equal(ruleOf(text), ruleId, text);
+  }
+
+  assert.equal(ruleOf('my gas bill is so high it gives me a headache'), null);
+});
+
+test('instruct_911 rules speak their instruction; flooding near electrical routes to the electrical line', () => {
+  const co = detectHazard('the carbon monoxide alarm is going off');
+  assert.equal(co.action.type, 'instruct_911');
+  assert.equal(co.escalated, false);
+  assert.match(co.message, /9 1 1/);
+
+  const flood = detectHazard('water is pouring onto the electrical panel');
+  assert.deepEqual(flood.action, { type: 'transfer', category: 'urgent_maintenance', issueType: 'electrical' });
+});
+
+test("a caller who can't call 911 is escalated to an emergency transfer, also on a later turn", () => {
+  const now = detectHazard("there's smoke everywhere and I can't call 911, my phone is broken");
+  assert.equal(now.ruleId, 'fire_or_smoke');
+  assert.equal(now.escalated, true);
+  assert.deepEqual(now.action, { type: 'transfer', category: 'emergency', issueType: null });
+
+  assert.equal(ruleOf("I can't call 911 from here", ['carbon_monoxide_alarm']), 'carbon_monoxide_alarm');
+  assert.equal(ruleOf("I can't call 911 from here"), null);
+  // Only life-threatening hazards escalate
+  assert.equal(ruleOf("I can't call 911 from here", ['flooding_near_electrical']), null);
+});
+
+test('rules can be replaced and are validated', () => {
+  setHazardRules({
+    rules: [{ id: 'custom', severity: 'urgent', match: [['sewage']], response: { type: 'transfer', category: 'urgent_maintenance', issueType: 'plumbing' } }],
+  });
+  assert.equal(ruleOf('sewage is backing up into the tub'), 'custom');
+  assert.equal(ruleOf('the kitchen is full of smoke'), null);
+
+  assert.throws(() => setHazardRules({ rules: [{ id: 'x', severity: 'mild', match: [['a']], response: { type: 'instruct_911' } }] }), /severity/);
+  assert.throws(() => setHazardRules({ rules: [{ id: 'x', severity: 'urgent', match: [['(']], response: { type: 'instruct_911' } }] }), /invalid pattern/);
+
+  setHazardRules(null);
+  assert.equal(ruleOf('the kitchen is full of smoke'), 'fire_or_smoke');
+});
@@ -0,0 +1,148 @@
+/**
+ * Notification Dispatcher Test
+ * Events fan out to the channels configured for them, webhooks are signed, and failed
+ * deliveries are retried per channel.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+const { config } = await import('../src/config/env.js');
+const { dispatchNotification } = await import('../src/services/notification.service.js');
+const { verifyWebhookSignature } = await import('../src/services/webhook.service.js');
+const { registerSmsProvider } = await import('../src/services/sms.service.js');
+
+const SECRET = 'test-webhook-secret';
+const outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'notify-test-'));
+
+// Webhook receiver: records every request, answers with the next queued status (default 200)
+const received = [];
+const statusQueue = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(statusQueue.shift() || 200);
+    res.end();
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const webhookUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+
+config.email.apiKey = undefined;
+config.webhooks.secret = SECRET;
+config.webhooks.urls = [webhookUrl];
+config.sms.provider = 'file';
+config.sms.outboxFile = path.join(outboxDir, 'sms-outbox.jsonl');
+config.sms.alertTo = ['+15550001111'];
+config.notifications.retry = {
+  email: { attempts: 1, delayMs: 0 },
+  webhook: { attempts: 3, delayMs: 5 },
+  sms: { attempts: 2, delayMs: 5 },
+};
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(outboxDir, { recursive: true, force: true });
+});
+
+/**
+ * Messages in the SMS outbox file
+ */
+async function readOutbox() {
+  const text = await fs.readFile(config.sms.outboxFile, 'utf8').catch(() => '');
+  return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+const alert = {
+  callId: 'notify-call-1',
+  userPhone: '+15557654321',
+  reason: 'Carbon monoxide alarm going off',
+  emergencyNumber: '+15559110000',
+  isUrgentMaintenance: false,
+  incidentId: 'incident-1',
+  escalationLevel: 0,
+  acknowledgeUrl: 'http://localhost:3000/incidents/incident-1/acknowledge?token=abc',
+};
+
+test('an emergency alert fans out to a signed webhook and an SMS, and skips unconfigured email', async () => {
+  received.length = 0;
+  await fs.rm(config.sms.outboxFile, { force: true });
+  config.notifications.events.emergency_alert = ['email', 'webhook', 'sms'];
+
+  const result = await dispatchNotification('emergency_alert', alert);
+
+  assert.equal(result.delivered, true);
+  assert.deepEqual(
+    result.results.map(r => [r.channel, r.status]).sort(),
+    [['email', 'skipped'], ['sms', 'delivered'], ['webhook', 'delivered']]
+  );
+
+  assert.equal(received.length, 1);
+  const [{ headers, body }] = received;
+  assert.equal(headers['x-webhook-event'], 'emergency_alert');
+  assert.ok(verifyWebhookSignature({ body, timestamp: headers['x-webhook-timestamp'], signature: headers['x-webhook-signature'] }, SECRET));
+  assert.ok(!verifyWebhookSignature({ body: body + ' ', timestamp: headers['x-webhook-timestamp'], signature: headers['x-webhook-signature'] }, SECRET));
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.id, headers['x-webhook-id']);
+  assert.equal(payload.data.incidentId, 'incident-1');
+
+  const [sms] = await readOutbox();
+  assert.equal(sms.to, '+15550001111');
+  assert.match(sms.body, /^EMERGENCY: Carbon monoxide alarm going off\. Caller \+15557654321/);
+  assert.match(sms.body, /Acknowledge: http:\/\/localhost:3000\/incidents\/incident-1\/acknowledge/);
+});
+
+test('failed deliveries are retried per channel with the same delivery id', async () => {
+  received.length = 0;
+  statusQueue.push(500, 503);
+  config.notifications.events.emergency_alert = ['webhook'];
+
+  const result = await dispatchNotification('emergency_alert', alert);
+
+  assert.deepEqual(result.results, [{ channel: 'webhook', target: webhookUrl, status: 'delivered', attempts: 3 }]);
+  assert.equal(received.length, 3);
+  assert.equal(new Set(received.map(r => r.headers['x-webhook-id'])).size, 1);
+
+  // A channel that keeps failing gives up after its own attempt limit
+  let smsCalls = 0;
+  registerSmsProvider('flaky', { async send() { smsCalls++; throw new Error('carrier down'); } });
+  config.sms.provider = 'flaky';
+  config.notifications.events.emergency_alert = ['sms'];
+
+  const failed = await dispatchNotification('emergency_alert', alert);
+
+  config.sms.provider = 'file';
+  assert.equal(failed.delivered, false);
+  assert.deepEqual(failed.results, [{ channel: 'sms', target: '+15550001111', status: 'failed', attempts: 2, error: 'carrier down' }]);
+  assert.equal(smsCalls, 2);
+});
+
+test('channels follow the per-event configuration and the addressed contact', async () => {
+  received.length = 0;
+  await fs.rm(config.sms.outboxFile, { force: true });
+  config.notifications.events.emergency_alert = ['email', 'webhook', 'sms'];
+  config.notifications.events.call_summary = ['webhook'];
+
+  const summary = await dispatchNotification('call_summary', { callId: 'notify-call-2', phoneNumber: '+15557654321', aiSummary: 'Asked about a noisy furnace' });
+  assert.deepEqual(summary.results.map(r => r.channel), ['webhook']);
+  assert.equal(received.at(-1).headers['x-webhook-event'], 'call_summary');
+  assert.deepEqual(await readOutbox(), []);
+
+  // An escalation to a phone number texts that number only; email has no address to use
+  const escalation = await dispatchNotification('emergency_alert', { ...alert, escalationLevel: 1, to: '+15550002222' });
+  const byChannel = Object.fromEntries(escalation.results.map(r => [r.channel, r]));
+  assert.equal(byChannel.email.status, 'skipped');
+  assert.equal(byChannel.sms.target, '+15550002222');
+  assert.equal(byChannel.webhook.status, 'delivered');
+
+  const outbox = await readOutbox();
+  assert.equal(outbox.length, 1);
+  assert.match(outbox[0].body, /^EMERGENCY \[ESCALATION 1\]/);
+});
@@ -0,0 +1,127 @@
+/**
+ * Knowledge Base Document Test
+ * Documents can be replaced by a new version (vectors swapped under new IDs, old file removed)
+ * and deleted (vectors, stored file and rag_documents row), a failed replacement changes nothing, and of two
+ * concurrent replacements the one that loses cleans up only its own version. Documents missing from the
+ * keyword index are backfilled from their vectors.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTableRows, getStoredVectors, getStorageObjects } from './support/scenario-harness.js';
+
+const { createApp } = await import('../src/app.js');
+const { searchKeywords, removeDocumentChunks } = await import('../src/services/keyword-index.service.js');
+const { backfillKeywordIndex } = await import('../src/services/knowledge-base.service.js');
+
+const server = createApp().listen(0);
+const base = `http://127.0.0.1:${server.address().port}`;
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Send a text file to a /rag endpoint as multipart form data
+ */
+async function sendFile(method, path, fileName, text) {
+  const form = new FormData();
+  form.append('document', new Blob([text], { type: 'text/plain' }), fileName);
+  const response = await fetch(`${base}${path}`, { method, body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+const vectorIdsOf = (documentId) => [...getStoredVectors().keys()].filter(id => id.startsWith(documentId)).sort();
+
+test('a document can be replaced by a new version and then deleted', async () => {
+  const uploaded = await sendFile('POST', '/rag/upload', 'furnace-v1.txt', 'Furnace manual v1. Replace the filter every 90 days.');
+  assert.equal(uploaded.status, 200);
+  const { id, storageUrl: firstUrl } = uploaded.body.document;
+  assert.equal(uploaded.body.document.version, 1);
+  assert.deepEqual(vectorIdsOf(id), [`${id}_chunk_0`]);
+  assert.equal(getStorageObjects().size, 1);
+
+  const replaced = await sendFile('PUT', `/rag/documents/${id}`, 'furnace-v2.txt', 'Furnace manual v2. Replace the filter every 60 days.');
+  assert.equal(replaced.status, 200);
+  assert.equal(replaced.body.document.version, 2);
+  assert.equal(replaced.body.document.fileName, 'furnace-v2.txt');
+  assert.deepEqual(replaced.body.warnings, []);
+  assert.notEqual(replaced.body.document.storageUrl, firstUrl);
+
+  // Only the new version is left to be quoted
+  assert.deepEqual(vectorIdsOf(id), [`${id}_v2_chunk_0`]);
+  const [vector] = getStoredVectors().values();
+  assert.match(vector.metadata.text, /every 60 days/);
+  assert.equal(vector.metadata.version, 2);
+  assert.equal(getStorageObjects().size, 1);
+
+  const deleted = await fetch(`${base}/rag/documents/${id}`, { method: 'DELETE' });
+  assert.equal(deleted.status, 200);
+  assert.deepEqual(vectorIdsOf(id), []);
+  assert.equal(getStorageObjects().size, 0);
+  assert.equal(getTableRows('rag_documents').length, 0);
+
+  const again = await fetch(`${base}/rag/documents/${id}`, { method: 'DELETE' });
+  assert.equal(again.status, 404);
+});
+
+test('a replacement that fails leaves the current version in place', async () => {
+  const uploaded = await sendFile('POST', '/rag/upload', 'boiler.txt', 'Boiler manual. Bleed the radiators before winter.');
+  const { id } = uploaded.body.document;
+
+  const failed = await sendFile('PUT', `/rag/documents/${id}`, 'boiler-empty.txt', '   ');
+  assert.equal(failed.status, 500);
+
+  const [row] = getTableRows('rag_documents').filter(r => r.id === id);
+  assert.equal(row.file_name, 'boiler.txt');
+  assert.equal(row.version, undefined);
+  assert.deepEqual(vectorIdsOf(id), [`${id}_chunk_0`]);
+  assert.equal(getStorageObjects().size, 1);
+
+  const missing = await sendFile('PUT', '/rag/documents/no-such-document', 'boiler.txt', 'Boiler manual.');
+  assert.equal(missing.status, 404);
+});
+
+test('of two concurrent replacements, the loser leaves the winner\'s version intact', async () => {
+  const storedBefore = getStorageObjects().size;
+  const uploaded = await sendFile('POST', '/rag/upload', 'heat-pump.txt', 'Heat pump manual. Defrost runs every hour.');
+  const { id } = uploaded.body.document;
+
+  const results = await Promise.all([
+    sendFile('PUT', `/rag/documents/${id}`, 'heat-pump-a.txt', 'Heat pump manual A. Clean the outdoor coil yearly.'),
+    sendFile('PUT', `/rag/documents/${id}`, 'heat-pump-b.txt', 'Heat pump manual B. Clean the outdoor coil monthly.'),
+  ]);
+  assert.deepEqual(results.map(result => result.status).sort(), [200, 409]);
+
+  const winner = results.find(result => result.status === 200).body.document;
+  const [row] = getTableRows('rag_documents').filter(r => r.id === id);
+  assert.equal(row.file_name, winner.fileName);
+  assert.equal(row.version, winner.version);
+
+  // The winner's vectors and keyword chunks survive the loser's cleanup, and nothing else is left
+  assert.deepEqual(vectorIdsOf(id), [`${id}_v${winner.version}_chunk_0`]);
+  const keywordMatches = (await searchKeywords('heat pump outdoor coil', 10)).filter(match => match.metadata.documentId === id);
+  assert.deepEqual(keywordMatches.map(match => match.metadata.fileName), [winner.fileName]);
+  assert.deepEqual(keywordMatches.map(match => match.metadata.version), [winner.version]);
+  assert.equal(getStorageObjects().size, storedBefore + 1);
+
+  await fetch(`${base}/rag/documents/${id}`, { method: 'DELETE' });
+});
+
+test('a document missing from the keyword index is backfilled from its vectors', async () => {
+  const uploaded = await sendFile('POST', '/rag/upload', 'dehumidifier.txt', 'Dehumidifier manual. Code P2 means the bucket is full.');
+  const { id } = uploaded.body.document;
+  const replaced = await sendFile('PUT', `/rag/documents/${id}`, 'dehumidifier-v2.txt', 'Dehumidifier manual. Code P2 means empty the bucket.');
+  assert.equal(replaced.status, 200);
+
+  // As if it was uploaded before the keyword index existed
+  await removeDocumentChunks(id);
+  assert.deepEqual(await searchKeywords('P2 bucket', 3), []);
+
+  assert.equal(await backfillKeywordIndex(), 1);
+  const [match] = await searchKeywords('P2 bucket', 3);
+  assert.equal(match.id, `${id}_v${replaced.body.document.version}_chunk_0`);
+  assert.equal(match.metadata.fileName, 'dehumidifier-v2.txt');
+  assert.match(match.metadata.text, /empty the bucket/);
+
+  assert.equal(await backfillKeywordIndex(), 0, 'nothing left to backfill');
+  await fetch(`${base}/rag/documents/${id}`, { method: 'DELETE' });
+});
@@ -0,0 +1,40 @@
+/**
+ * Reminder Test
+ * A silent caller gets a limited number of nudges; after the last one the agent says goodbye,
+ * hangs up and records the call as caller_unresponsive. Speaking again resets the count.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runScenario } from './support/scenario-harness.js';
+
+const { config } = await import('../src/config/env.js');
+
+config.reminders.maxCount = 2;
+
+test('reminders stop at the limit and the call is ended', async () => {
+  const { turns } = await runScenario({
+    name: 'Caller goes quiet at the breaker panel',
+    caller: '+15550007001',
+    turns: [
+      { user: 'How do I reset the breaker?', model: [{ reply: 'Switch it fully off, then back on. Tell me when that is done.' }] },
+      { event: 'reminder_required' },
+      { event: 'reminder_required' },
+      { user: 'Sorry, I was at the panel.' },
+      { event: 'reminder_required' },
+      { event: 'reminder_required' },
+      { event: 'reminder_required' },
+    ],
+  });
+
+  const [, first, second, , third, fourth, last] = turns;
+  for (const reminder of [first, second, third, fourth]) {
+    assert.equal(reminder.says, 'Are you still there? Take your time.');
+    assert.equal(reminder.endCall, false);
+  }
+  assert.equal(fourth.disposition, null, 'speaking again reset the count');
+
+  assert.match(last.says, /going to end the call now/);
+  assert.equal(last.endCall, true);
+  assert.equal(last.disposition, 'caller_unresponsive');
+});
@@ -0,0 +1,49 @@
+/**
+ * Response Text Test
+ * Streamed agent output is cleaned chunk by chunk with the same rules as a whole reply, without
+ * holding text back longer than a markdown construct needs.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanResponseText, createStreamingTextCleaner } from '../src/utils/response-text.js';
+
+/**
+ * Stream tokens through a cleaner
+ * @param {Array<string>} tokens - Model tokens
+ * @returns {{ pieces: Array<string>, text: string }} - What push() released for each token, and the whole cleaned text
+ */
+function stream(tokens) {
+  const cleaner = createStreamingTextCleaner();
+  const pieces = tokens.map(token => cleaner.push(token));
+  const text = pieces.join('') + cleaner.flush();
+  return { pieces, text };
+}
+
+test('streamed text matches cleaning the whole reply, however the tokens are split', () => {
+  const reply = '**First**, turn off the breaker.\n\n1. Open the `panel` door\n2. See [the manual](https://example.test/manual) for the diagram\n- Wait *two* minutes';
+
+  for (const size of [1, 2, 3, 5, 8, 13]) {
+    const tokens = reply.match(new RegExp(`[\\s\\S]{1,${size}}`, 'g'));
+    assert.equal(stream(tokens).text, cleanResponseText(reply), `tokens of ${size} characters`);
+  }
+});
+
+test('a link or inline code split across tokens is held until it closes', () => {
+  const { pieces, text } = stream(['Check ', '[the ', 'manual](https://', 'example.test) ', 'and the `re', 'set` button.']);
+
+  assert.deepEqual(pieces, ['Check ', '', '', 'the manual ', 'and the ', 'reset ']);
+  assert.equal(text, 'Check the manual and the reset button.');
+});
+
+test('list markers are only stripped at the start of a line', () => {
+  assert.equal(stream(['Step ', '1. ', 'is easy. ', 'Costs - ', 'none.']).text, 'Step 1. is easy. Costs - none.');
+  assert.equal(stream(['Steps:\n', '1. ', 'Unplug it\n', '- ', 'Wait']).text, 'Steps:\nUnplug it\nWait');
+});
+
+test('leading whitespace is dropped and the last word waits for the flush', () => {
+  const { pieces, text } = stream(['\n\n  ', 'Hello ', 'there']);
+
+  assert.deepEqual(pieces, ['', 'Hello ', '']);
+  assert.equal(text, 'Hello there');
+});
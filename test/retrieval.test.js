@@ -0,0 +1,116 @@
+/**
+ * Hybrid Retrieval Test
+ * Keyword (BM25) and vector results are fused by rank, optionally reranked and thresholded,
+ * so error codes and model numbers the embeddings miss still reach the agent.
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { runScenario, setKnowledgeBase } from './support/scenario-harness.js';
+
+const { config } = await import('../src/config/env.js');
+const { tokenize, addDocumentChunks, removeDocumentChunks, searchKeywords } = await import('../src/services/keyword-index.service.js');
+const { retrieveChunks, fuseRankings, setReranker } = await import('../src/services/retrieval.service.js');
+
+const FURNACE_CHUNKS = [
+  { text: 'Furnace error code E4 means the flame sensor is dirty. Clean it with fine steel wool.', pageNumber: 22, sectionTitle: 'Error codes' },
+  { text: 'Replace the furnace filter every three months, or monthly if you have pets.', pageNumber: 9, sectionTitle: 'Filters' },
+  { text: 'The XR-500 furnace blower motor is rated for 1/2 HP and uses a 10 uF capacitor.', pageNumber: 30, sectionTitle: 'Specifications' },
+];
+
+await addDocumentChunks('furnace-manual', FURNACE_CHUNKS, { fileName: 'furnace-manual.pdf' });
+
+afterEach(() => {
+  setReranker(null);
+  setKnowledgeBase([]);
+  config.retrieval.minScore = 0;
+  config.retrieval.reranker = 'none';
+});
+
+test('codes and part numbers are searchable however they are written', async () => {
+  assert.deepEqual(tokenize('XR-500 shows E4'), ['xr500', 'xr', '500', 'shows', 'e4']);
+
+  const [byCode] = await searchKeywords('what does E4 mean', 3);
+  assert.equal(byCode.metadata.sectionTitle, 'Error codes');
+
+  const [byModel] = await searchKeywords('xr500 capacitor', 3);
+  assert.equal(byModel.id, 'furnace-manual_chunk_2');
+});
+
+test('rank fusion puts chunks both searches found first, scaled to 0-1', () => {
+  const fused = fuseRankings({
+    vector: [{ id: 'a', score: 0.8 }, { id: 'b', score: 0.7 }],
+    keyword: [{ id: 'b', score: 5.1 }, { id: 'c', score: 2.0 }],
+  }, 60);
+
+  assert.deepEqual(fused.map(result => result.id), ['b', 'a', 'c']);
+  assert.ok(Math.abs(fused[0].score - (1 / 62 + 1 / 61) / (2 / 61)) < 1e-9);
+  assert.deepEqual(fused[0].sources, { vector: { rank: 2, score: 0.7 }, keyword: { rank: 1, score: 5.1 } });
+});
+
+test('the agent hears the chunk with the error code even when the embeddings miss it', async () => {
+  const { turns } = await runScenario({
+    name: 'Furnace error code',
+    caller: '+15550002013',
+    knowledgeBase: [
+      { id: 'other-doc_chunk_0', text: 'Furnaces need a yearly inspection before winter.', fileName: 'seasonal.pdf', score: 0.82 },
+      { id: 'other-doc_chunk_1', text: 'A furnace that short cycles may have an oversized blower.', fileName: 'seasonal.pdf', score: 0.8 },
+    ],
+    turns: [{
+      user: 'My furnace is flashing E4, how do I fix it?',
+      model: [
+        { tool: 'search_knowledge_base', args: { query: 'furnace flashing E4' } },
+        { reply: 'Error code E4 means the flame sensor needs cleaning.' },
+      ],
+    }],
+  });
+
+  const result = turns[0].toolResults.find(r => r.name === 'search_knowledge_base').content;
+  assert.match(result, /Source: furnace-manual\.pdf, page 22, Error codes\):\nFurnace error code E4 means the flame sensor is dirty/);
+});
+
+test('a reranker reorders the fused results and low scores are dropped', async () => {
+  setKnowledgeBase([
+    { id: 'furnace-manual_chunk_1', text: FURNACE_CHUNKS[1].text, documentId: 'furnace-manual', score: 0.9 },
+    { id: 'other-doc_chunk_0', text: 'Furnaces need a yearly inspection before winter.', score: 0.85 },
+  ]);
+
+  const unranked = await retrieveChunks('furnace filter pets', { topK: 5 });
+  assert.equal(unranked[0].id, 'furnace-manual_chunk_1', 'found by both searches');
+  assert.equal(unranked.length, 4, 'both vector matches and every chunk mentioning the furnace');
+
+  config.retrieval.reranker = 'term_overlap';
+  config.retrieval.minScore = 0.5;
+  const reranked = await retrieveChunks('furnace filter pets', { topK: 5 });
+  assert.deepEqual(reranked.map(result => result.id), ['furnace-manual_chunk_1']);
+  assert.ok(reranked[0].score > 0.9);
+
+  setReranker(async (query, results) => results.map(result => ({ ...result, score: result.id.startsWith('other') ? 0.99 : 0.1 })));
+  const custom = await retrieveChunks('furnace filter pets', { topK: 5 });
+  assert.deepEqual(custom.map(result => result.id), ['other-doc_chunk_0']);
+});
+
+test('without a reranker the threshold applies to vector similarity or, for keyword matches, question coverage', async () => {
+  setKnowledgeBase([
+    { id: 'furnace-manual_chunk_1', text: FURNACE_CHUNKS[1].text, documentId: 'furnace-manual', score: 0.9 },
+    { id: 'other-doc_chunk_0', text: 'Furnaces need a yearly inspection before winter.', score: 0.3 },
+  ]);
+  config.retrieval.minScore = 0.5;
+
+  // The weak vector match goes however high it ranks, and so do chunks that only share "furnace" with the question
+  const results = await retrieveChunks('furnace filter pets', { topK: 5 });
+  assert.deepEqual(results.map(result => result.id), ['furnace-manual_chunk_1']);
+
+  // A keyword-only match that covers enough of the question stays
+  const byCode = await retrieveChunks('E4 flame sensor', { topK: 5 });
+  assert.ok(byCode.some(result => result.id === 'furnace-manual_chunk_0'), 'the error code chunk');
+});
+
+test('removed documents drop out of keyword search', async () => {
+  await addDocumentChunks('boiler-manual', [{ text: 'Boiler code F28 means ignition failure.' }], { fileName: 'boiler.pdf', version: 2 });
+  assert.equal((await searchKeywords('F28', 3))[0].id, 'boiler-manual_v2_chunk_0');
+
+  assert.equal(await removeDocumentChunks('boiler-manual', 1), 0);
+  assert.equal(await removeDocumentChunks('boiler-manual'), 1);
+  assert.deepEqual(await searchKeywords('F28', 3), []);
+});
@@ -0,0 +1,84 @@
+/**
+ * Conversation Scenario Tests
+ * Each file in test/scenarios is a full call run through the controller with a scripted model
+ * (see test/support/scenario-harness.js for the scenario format).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { runScenario } from './support/scenario-harness.js';
+
+const SCENARIOS_DIR = path.join(import.meta.dirname, 'scenarios');
+const files = (await fs.readdir(SCENARIOS_DIR)).filter(name => name.endsWith('.json')).sort();
+
+for (const file of files) {
+  const scenario = JSON.parse(await fs.readFile(path.join(SCENARIOS_DIR, file), 'utf8'));
+
+  test(`${scenario.name} (${file})`, async () => {
+    const { mode, turns } = await runScenario(scenario);
+
+    if (scenario.expectMode) {
+      assert.equal(mode, scenario.expectMode, 'agent mode');
+    }
+
+    for (const turn of turns) {
+      const { expect } = turn;
+      const label = turn.event ? `${turn.event} event` : `turn "${turn.user}"`;
+
+      if ('modelCalls' in expect) {
+        assert.equal(turn.modelCalls, expect.modelCalls, `${label}: model calls`);
+      }
+
+      for (const [toolName, fragment] of Object.entries(expect.toolResultIncludes || {})) {
+        const result = turn.toolResults.find(r => r.name === toolName);
+        assert.ok(result, `${label}: no result from ${toolName}`);
+        assert.ok(result.content.includes(fragment), `${label}: ${toolName} result missing "${fragment}"\n${result.content}`);
+      }
+
+      if ('action' in expect) {
+        if (expect.action === null) {
+          assert.equal(turn.action, null, `${label}: pending action`);
+        } else {
+          assert.ok(turn.action, `${label}: no pending action`);
+          for (const [field, value] of Object.entries(expect.action)) {
+            assert.equal(turn.action[field], value, `${label}: action.${field}`);
+          }
+        }
+      }
+
+      if ('hazard' in expect) {
+        assert.equal(turn.hazard, expect.hazard, `${label}: hazard rule`);
+      }
+
+      if ('transferNumber' in expect) {
+        assert.equal(turn.transferNumber, expect.transferNumber, `${label}: transfer number`);
+      }
+
+      if ('transferStatus' in expect) {
+        assert.equal(turn.transferStatus, expect.transferStatus, `${label}: transfer status`);
+      }
+
+      if ('disposition' in expect) {
+        assert.equal(turn.disposition, expect.disposition, `${label}: disposition`);
+      }
+
+      if ('endCall' in expect) {
+        assert.equal(turn.endCall, expect.endCall, `${label}: end_call`);
+      }
+
+      if (expect.says) {
+        assert.ok(turn.says.toLowerCase().includes(expect.says.toLowerCase()), `${label}: agent said "${turn.says}"`);
+      }
+    }
+  });
+}
+
+test('a caller without an uploaded video gets no video tools', async () => {
+  await assert.rejects(runScenario({
+    name: 'Receptionist call asked to look at a video',
+    caller: '+15550002014',
+    turns: [{ user: 'Can you look at my video?', model: [{ tool: 'fetch_video_frames', args: { video_number: 1, timestamps: [5] } }] }],
+  }), /the script calls fetch_video_frames, but the agent only has: (?!.*fetch_video_frames)/);
+});
@@ -0,0 +1,81 @@
+/**
+ * Session Test
+ * A dropped WebSocket reconnects to the same call session without a second greeting, sessions end
+ * with the call, and idle ones expire after the TTL - both taking the call's in-memory checkpoint with them.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import { connectCall, waitForResponse } from './support/scenario-harness.js';
+
+const { config } = await import('../src/config/env.js');
+const { ScriptedChatModel } = await import('../src/utils/scripted-chat-model.js');
+const { setCallDetailsProvider } = await import('../src/services/retell.service.js');
+const { getSession, expireIdleSessions } = await import('../src/services/session.service.js');
+const { getCallCheckpoint } = await import('../src/services/checkpointer.service.js');
+
+after(() => setCallDetailsProvider(null));
+
+test('a reconnect resumes the call where it was, without a second greeting', async () => {
+  const model = new ScriptedChatModel({
+    responses: [{ content: 'Switch it fully off, then back on.' }, { content: 'Great, is the power back on?' }],
+  });
+
+  const first = connectCall('session-call-1', { model });
+  const greeting = (await waitForResponse(first, 0)).content;
+  const transcript = [{ role: 'agent', content: greeting }, { role: 'user', content: 'How do I reset the breaker?' }];
+  first.emit('message', JSON.stringify({ interaction_type: 'response_required', response_id: 1, transcript }));
+  await waitForResponse(first, 1);
+
+  // The socket drops without call_ended - Retell reconnects to the same call
+  first.close();
+  assert.ok(getSession('session-call-1'), 'session kept for the reconnect');
+
+  const second = connectCall('session-call-1');
+  await delay(50);
+  assert.equal(second.sent.filter(frame => frame.response_id === 0).length, 0, 'no second greeting');
+
+  second.emit('message', JSON.stringify({
+    interaction_type: 'response_required',
+    response_id: 2,
+    transcript: [...transcript, { role: 'agent', content: 'Switch it fully off, then back on.' }, { role: 'user', content: 'Done.' }],
+  }));
+  await waitForResponse(second, 2);
+  assert.equal(second.sent.filter(frame => frame.response_id === 2).map(frame => frame.content).join(''), 'Great, is the power back on?');
+
+  const history = model.requests[1].slice(1).map(message => message.content);
+  assert.deepEqual(history, [greeting, 'How do I reset the breaker?', 'Switch it fully off, then back on.', 'Done.']);
+  assert.equal(getSession('session-call-1').connectionCount, 2);
+
+  // Once Retell says the call is over, closing the socket ends the session
+  assert.ok(await getCallCheckpoint('session-call-1'), 'checkpoint saved during the call');
+  second.emit('message', JSON.stringify({ interaction_type: 'call_ended', call: { call_id: 'session-call-1' } }));
+  await delay(20);
+  second.close();
+  assert.equal(getSession('session-call-1'), null);
+  await delay(20);
+  assert.equal(await getCallCheckpoint('session-call-1'), null, 'checkpoint released');
+});
+
+test('a session idle for longer than the TTL expires', async () => {
+  const ws = connectCall('session-call-2', { model: new ScriptedChatModel({ responses: [{ content: 'Is the pilot light on?' }] }) });
+  const greeting = (await waitForResponse(ws, 0)).content;
+  ws.emit('message', JSON.stringify({
+    interaction_type: 'response_required',
+    response_id: 1,
+    transcript: [{ role: 'agent', content: greeting }, { role: 'user', content: 'My water heater is cold.' }],
+  }));
+  await waitForResponse(ws, 1);
+  ws.close();
+  assert.ok(await getCallCheckpoint('session-call-2'), 'checkpoint saved during the call');
+
+  const { lastActivityAt } = getSession('session-call-2');
+  expireIdleSessions(lastActivityAt + config.sessions.ttlMs);
+  assert.ok(getSession('session-call-2'), 'not idle long enough yet');
+
+  assert.ok(expireIdleSessions(lastActivityAt + config.sessions.ttlMs + 1) >= 1);
+  assert.equal(getSession('session-call-2'), null);
+  await delay(20);
+  assert.equal(await getCallCheckpoint('session-call-2'), null, 'checkpoint released');
+});
@@ -0,0 +1,580 @@
+/**
+ * Scenario Harness
+ * Runs a conversation scenario end to end through the call controller, fully offline:
+ * - Supabase tables (transcript, frame, call_history) are served from the scenario's `database`;
+ *   inserts, updates and deletes (e.g. emergency_incidents) land in the same in-memory tables;
+ *   storage uploads and removals are tracked in memory too
+ * - The knowledge base search (OpenAI embeddings + Pinecone) answers from the scenario's `knowledgeBase`;
+ *   vectors upserted and deleted by the /rag endpoints are kept in an in-memory index
+ * - A scripted model stands in for ChatOpenAI inside langgraph.service.js: each turn says which tools
+ *   the model calls and what it replies, and the run checks what the controller and services do with that
+ * - Transfers are routed with test/fixtures/transfer-routes.json
+ *
+ * Scenario file (JSON):
+ * {
+ *   "name": "...",
+ *   "caller": "+15550001111" | null,
+ *   "callDetails": { "direction": "outbound", "to_number": "...", "metadata": {...} },  // optional, merged into the Retell call details
+ *   "expectMode": "receptionist" | "technical_support",
+ *   "database": { "transcript": [...], "frame": [...], "call_history": [...] },
+ *   "knowledgeBase": [{ "text": "...", "fileName": "...", "score": 0.9, "pageNumber": 14, "sectionTitle": "...", "stepRange": "3-5" }],
+ *   "turns": [{
+ *     "user": "...",
+ *     "model": [{ "tool": "search_knowledge_base", "args": { "query": "..." } }, { "reply": "..." }],  // optional, default: one generic reply
+ *     "expect": { "modelCalls": 0, "toolResultIncludes": {...}, "action": {...}, "hazard": "rule_id", "says": "...", "transferNumber": "...", "transferStatus": "...", "endCall": true, "disposition": "..." }
+ *   }]
+ * }
+ *
+ * A scripted tool the agent doesn't have, or a step the agent never got to, fails the run.
+ *
+ * A turn can also be a Retell event other than the caller speaking, e.g. the result of a transfer:
+ *   { "event": "update_only" | "reminder_required" | "call_ended", "call": { "disconnection_reason": "dial_no_answer" }, "expect": {...} }
+ * "heard": [{ "role": "user", "content": "..." }] adds utterances to the transcript sent with the event.
+ */
+
+import { HumanMessage, ToolMessage } from '@langchain/core/messages';
+import { setTimeout as delay } from 'timers/promises';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Fixed values every scenario can rely on
+export const EMERGENCY_NUMBER = '+15559110000';
+
+const SUPABASE_HOST = 'supabase.test';
+const PINECONE_INDEX_HOST = 'kb-index.svc.pinecone.test';
+const EMBEDDING_DIMENSION = 8;
+
+process.env.SUPABASE_URL = `http://${SUPABASE_HOST}`;
+process.env.SUPABASE_ANON_KEY = 'scenario-key';
+process.env.OPENAI_API_KEY = 'scenario-key';
+process.env.RETELL_API_KEY = 'scenario-key';
+process.env.PINECONE_API_KEY = 'scenario-key';
+process.env.PINECONE_INDEX_NAME = 'kb-index';
+process.env.VECTOR_STORE = 'pinecone';
+process.env.EMBEDDING_PROVIDER = 'openai';
+process.env.EMBEDDING_CACHE_FILE = '';
+process.env.EMERGENCY_TRANSFER_NUMBER = EMERGENCY_NUMBER;
+process.env.TRANSFER_ROUTES_FILE = new URL('../fixtures/transfer-routes.json', import.meta.url).pathname;
+process.env.CHECKPOINTER_BACKEND = 'memory';
+process.env.KEYWORD_INDEX_FILE = path.join(os.tmpdir(), `scenario-keyword-index-${process.pid}.json`);
+process.env.RECORD_CALLS = 'false';
+delete process.env.RESEND_API_KEY;
+delete process.env.WEBHOOK_URLS;
+delete process.env.SMS_ALERT_TO;
+
+// Fixtures of the scenario currently running
+let activeScenario = null;
+
+// Vector search results outside a scenario (see setKnowledgeBase)
+let knowledgeBase = [];
+
+process.on('exit', () => fs.rmSync(process.env.KEYWORD_INDEX_FILE, { force: true }));
+
+// In-memory Supabase tables (reset for every scenario)
+let tables = {};
+
+// Decides which Supabase updates fail (see setUpdateFailure)
+let updateFailure = null;
+
+// In-memory Pinecone vectors and Supabase storage objects (kept across scenarios)
+const vectors = new Map();
+const storageObjects = new Map();
+
+/**
+ * Vectors currently stored in the stubbed Pinecone index
+ * @returns {Map<string, Object>} - Vector ID → { id, values, metadata }
+ */
+export function getStoredVectors() {
+  return vectors;
+}
+
+/**
+ * Objects currently stored in the stubbed Supabase storage
+ * @returns {Map<string, number>} - "bucket/path" → size in bytes
+ */
+export function getStorageObjects() {
+  return storageObjects;
+}
+
+/**
+ * Set what the stubbed Pinecone query returns outside a scenario
+ * @param {Array} entries - Same format as a scenario's knowledgeBase (entries may carry an `id`)
+ */
+export function setKnowledgeBase(entries) {
+  knowledgeBase = entries;
+}
+
+/**
+ * Make Supabase updates fail, as if the database errored (null = updates work again)
+ * @param {Function|null} check - (table, changes) => whether this update fails
+ */
+export function setUpdateFailure(check) {
+  updateFailure = check;
+}
+
+/**
+ * Rows currently stored in a stubbed Supabase table
+ * @param {string} name - Table name
+ * @returns {Array} - Rows
+ */
+export function getTableRows(name) {
+  return tables[name] || [];
+}
+
+/**
+ * Check a row against PostgREST filters (eq, neq, gte, lte, in, is.null)
+ * @param {Object} row - Table row
+ * @param {URLSearchParams} params - Query parameters from supabase-js
+ * @returns {boolean}
+ */
+function matchesFilters(row, params) {
+  for (const [column, expression] of params) {
+    if (['select', 'order', 'limit', 'offset', 'columns'].includes(column)) continue;
+
+    const [operator, ...rest] = expression.split('.');
+    const value = rest.join('.');
+    const cell = row[column];
+
+    const match = (() => {
+      switch (operator) {
+        case 'eq': return String(cell) === value;
+        case 'neq': return String(cell) !== value;
+        case 'gte': return cell !== null && cell !== undefined && String(cell) >= value;
+        case 'lte': return cell !== null && cell !== undefined && String(cell) <= value;
+        case 'in': return value.replace(/^\(|\)$/g, '').split(',').includes(String(cell));
+        case 'is': return value === 'null' ? cell === null || cell === undefined : String(cell) === value;
+        default: return true;
+      }
+    })();
+
+    if (!match) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Apply PostgREST query parameters (filters, order, limit) to fixture rows
+ * @param {Array} rows - Table rows
+ * @param {URLSearchParams} params - Query parameters from supabase-js
+ * @returns {Array} - Matching rows
+ */
+function queryRows(rows, params) {
+  const result = rows.filter(row => matchesFilters(row, params));
+
+  const order = params.get('order');
+  if (order) {
+    const [column, direction] = order.split('.');
+    result.sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (direction === 'desc' ? -1 : 1));
+  }
+
+  const limit = params.get('limit');
+  return limit ? result.slice(0, Number(limit)) : result;
+}
+
+/**
+ * JSON response helper
+ */
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+const realFetch = globalThis.fetch;
+
+globalThis.fetch = async (input, init = {}) => {
+  const url = new URL(typeof input === 'string' || input instanceof URL ? input : input.url);
+
+  // Requests to a test server on this machine go out for real
+  if (url.hostname === '127.0.0.1' || url.hostname === 'localhost') {
+    return realFetch(input, init);
+  }
+  const body = typeof init.body === 'string' ? JSON.parse(init.body) : null;
+
+  // Supabase storage: upload is POST /object/<bucket>/<path>, remove is DELETE /object/<bucket> { prefixes }
+  if (url.host === SUPABASE_HOST && url.pathname.startsWith('/storage/v1/object/')) {
+    const key = decodeURIComponent(url.pathname.slice('/storage/v1/object/'.length));
+    if (init.method === 'DELETE') {
+      const removed = body.prefixes.filter(prefix => storageObjects.delete(`${key}/${prefix}`));
+      return json(removed.map(name => ({ name })));
+    }
+    storageObjects.set(key, init.body?.length ?? 0);
+    return json({ Key: key, Id: key });
+  }
+
+  // Supabase REST (.single() asks for one object instead of an array)
+  if (url.host === SUPABASE_HOST) {
+    const table = url.pathname.split('/').pop();
+    const rows = tables[table] || (tables[table] = []);
+    const method = init.method || 'GET';
+    const single = new Headers(init.headers).get('accept')?.includes('vnd.pgrst.object');
+
+    let result;
+    if (method === 'POST') {
+      // Columns the database would fill in
+      result = (Array.isArray(body) ? body : [body]).map(row => ({ id: crypto.randomUUID(), created_at: new Date().toISOString(), ...structuredClone(row) }));
+      rows.push(...result);
+    } else if (method === 'PATCH') {
+      if (updateFailure?.(table, body)) {
+        return json({ code: 'XX000', message: 'Simulated database error' }, 500);
+      }
+      result = rows.filter(row => matchesFilters(row, url.searchParams));
+      result.forEach(row => Object.assign(row, structuredClone(body)));
+    } else if (method === 'DELETE') {
+      result = rows.filter(row => matchesFilters(row, url.searchParams));
+      tables[table] = rows.filter(row => !result.includes(row));
+    } else {
+      result = queryRows(rows, url.searchParams);
+    }
+
+    if (single) {
+      return result.length === 1
+        ? json(structuredClone(result[0]))
+        : json({ code: 'PGRST116', message: `Expected 1 row, got ${result.length}` }, 406);
+    }
+    return json(structuredClone(result));
+  }
+
+  // OpenAI embeddings (the SDK asks for base64 by default)
+  if (url.host === 'api.openai.com' && url.pathname.endsWith('/embeddings')) {
+    const inputs = Array.isArray(body.input) ? body.input : [body.input];
+    const vector = new Float32Array(EMBEDDING_DIMENSION).fill(0.1);
+    const embedding = body.encoding_format === 'base64' ? Buffer.from(vector.buffer).toString('base64') : [...vector];
+    return json({
+      object: 'list',
+      model: body.model,
+      data: inputs.map((_, index) => ({ object: 'embedding', index, embedding })),
+      usage: { prompt_tokens: 1, total_tokens: 1 },
+    });
+  }
+
+  // Pinecone: index lookup, then query against the index host
+  if (url.host === 'api.pinecone.io' && url.pathname.startsWith('/indexes/')) {
+    return json({
+      name: process.env.PINECONE_INDEX_NAME,
+      dimension: EMBEDDING_DIMENSION,
+      metric: 'cosine',
+      host: PINECONE_INDEX_HOST,
+      vector_type: 'dense',
+      deletion_protection: 'disabled',
+      spec: { serverless: { cloud: 'aws', region: 'us-east-1' } },
+      status: { ready: true, state: 'Ready' },
+    });
+  }
+
+  if (url.host === PINECONE_INDEX_HOST && url.pathname === '/vectors/upsert') {
+    body.vectors.forEach(vector => vectors.set(vector.id, vector));
+    return json({ upsertedCount: body.vectors.length });
+  }
+
+  if (url.host === PINECONE_INDEX_HOST && url.pathname === '/vectors/fetch') {
+    const found = url.searchParams.getAll('ids').filter(id => vectors.has(id));
+    return json({ vectors: Object.fromEntries(found.map(id => [id, vectors.get(id)])), namespace: '' });
+  }
+
+  if (url.host === PINECONE_INDEX_HOST && url.pathname === '/vectors/delete') {
+    (body.ids || []).forEach(id => vectors.delete(id));
+    return json({});
+  }
+
+  if (url.host === PINECONE_INDEX_HOST && url.pathname === '/describe_index_stats') {
+    return json({ dimension: EMBEDDING_DIMENSION, totalVectorCount: vectors.size, namespaces: { '': { vectorCount: vectors.size } }, indexFullness: 0 });
+  }
+
+  if (url.host === PINECONE_INDEX_HOST && url.pathname === '/query') {
+    const matches = (activeScenario?.knowledgeBase || knowledgeBase).slice(0, body.topK).map((entry, i) => {
+      const { id = `kb-${i}`, score = 0.9, ...metadata } = entry;
+      return { id, score, values: [], metadata: { ...metadata, fileName: metadata.fileName || 'scenario.pdf' } };
+    });
+    return json({ matches, namespace: '', usage: { readUnits: 1 } });
+  }
+
+  return json({ error: `No scenario stub for ${url.href}` }, 404);
+};
+
+const { ScriptedChatModel } = await import('../../src/utils/scripted-chat-model.js');
+const { setChatModel } = await import('../../src/services/langgraph.service.js');
+const { setCallDetailsProvider } = await import('../../src/services/retell.service.js');
+const { handleWebSocketConnection } = await import('../../src/controllers/call.controller.js');
+const { ReplaySocket, collapseFrames } = await import('../../src/services/call-replay.service.js');
+const { getSession, removeSession } = await import('../../src/services/session.service.js');
+const { getTransferRecord } = await import('../../src/services/transfer-outcome.service.js');
+const { getDisposition } = await import('../../src/services/call-disposition.service.js');
+
+const DEFAULT_REPLY = "Could you tell me a bit more about what's going on?";
+const REMINDER_REPLY = 'Are you still there? Take your time.';
+
+/**
+ * Build the scripted model for one scenario run
+ * Each turn loads its `model` steps, which the agent's model calls take in order:
+ * { "tool": "name", "args": {...} } calls a tool, { "reply": "..." } answers (both: text, then the tool call).
+ * The scenario decides what the model does; the run shows what the controller and services make of it.
+ * @returns {{ model: ScriptedChatModel, startTurn: Function, finishTurn: Function }}
+ */
+function createScenarioModel() {
+  let steps = [];
+  let modelCalls = 0;
+  let toolCallCount = 0;
+  let problem = null;
+
+  const respond = (messages, { tools }) => {
+    // Reminder prompt (caller went silent) - not part of a turn's script
+    if (messages[0]?.content?.includes?.('gone silent')) {
+      return { content: REMINDER_REPLY };
+    }
+
+    modelCalls++;
+    const step = steps.shift();
+    if (!step) {
+      return { content: DEFAULT_REPLY };
+    }
+
+    if (step.tool && !tools.includes(step.tool)) {
+      problem = `the script calls ${step.tool}, but the agent only has: ${tools.join(', ')}`;
+      return { error: problem };
+    }
+
+    const toolCalls = step.tool ? [{ id: `call_${++toolCallCount}`, name: step.tool, args: step.args || {} }] : [];
+    return { content: step.reply || '', tool_calls: toolCalls };
+  };
+
+  return {
+    model: new ScriptedChatModel({ respond }),
+
+    /**
+     * Load a turn's script
+     * @param {Array} turnSteps - The turn's `model` steps
+     */
+    startTurn(turnSteps = []) {
+      steps = [...turnSteps];
+      modelCalls = 0;
+      problem = null;
+    },
+
+    /**
+     * Check the turn used its whole script
+     * @param {string} label - Turn description for errors
+     * @returns {number} - Times the agent's model was called this turn
+     */
+    finishTurn(label) {
+      if (problem) {
+        throw new Error(`${label}: ${problem}`);
+      }
+      if (steps.length > 0) {
+        throw new Error(`${label}: ${steps.length} scripted model step(s) never ran`);
+      }
+      return modelCalls;
+    },
+  };
+}
+
+/**
+ * Read the graph state the last turn left in the call's checkpoint
+ * @param {string} callId - Call ID (checkpoint thread)
+ * @param {string} userText - What the caller said this turn
+ * @returns {Promise<{ toolResults: Array, action: Object|null }>} - Tool results since the caller's last message, and the pending action
+ */
+async function readTurnState(callId, userText) {
+  const { values } = await getSession(callId).agent.getState({ configurable: { thread_id: callId } });
+  const messages = values.messages || [];
+  const lastUser = messages.findLastIndex(m => m instanceof HumanMessage && typeof m.content === 'string');
+
+  // The graph did not run this turn (e.g. the hazard fast path transferred the call)
+  if (lastUser === -1 || messages[lastUser].content !== userText) {
+    return { toolResults: [], action: null };
+  }
+
+  return {
+    toolResults: messages
+      .slice(lastUser + 1)
+      .filter(m => m instanceof ToolMessage)
+      .map(m => ({ name: m.name, content: String(m.content) })),
+    action: values.pendingAction ?? null,
+  };
+}
+
+/**
+ * Send a Retell event that isn't the caller speaking and record what the agent did
+ * Only reminder_required asks for a response; for the others the controller is given a moment to react.
+ * @param {ReplaySocket} ws - Socket the controller writes to
+ * @param {string} callId - Call ID
+ * @param {Object} turn - Scenario turn ({ event, call, heard, expect })
+ * @param {number} responseId - Response ID for a reminder_required event
+ * @param {Array} transcript - Transcript so far (the agent's reply is appended)
+ * @returns {Promise<Object>} - Turn result
+ */
+async function runEventTurn(ws, callId, turn, responseId, transcript) {
+  const sentBefore = ws.sent.length;
+  const wantsResponse = turn.event === 'reminder_required';
+  transcript.push(...(turn.heard || []));
+  const event = { interaction_type: turn.event, transcript, call: { call_id: callId, ...turn.call } };
+  if (wantsResponse) event.response_id = responseId;
+
+  ws.emit('message', JSON.stringify(event));
+
+  let frame = {};
+  if (wantsResponse) {
+    frame = await waitForResponse(ws, responseId);
+  } else {
+    await delay(20);
+  }
+
+  const says = collapseFrames(ws.sent.slice(sentBefore).filter(f => f.response_type === 'response'))[0]?.content || '';
+  if (says) transcript.push({ role: 'agent', content: says });
+
+  return {
+    user: null,
+    event: turn.event,
+    expect: turn.expect || {},
+    says,
+    toolResults: [],
+    action: null,
+    hazard: null,
+    transferNumber: frame.transfer_number || null,
+    whisper: null,
+    endCall: Boolean(frame.end_call),
+    transferStatus: getTransferRecord(callId)?.status ?? null,
+    disposition: getDisposition(callId)?.disposition ?? null,
+  };
+}
+
+/**
+ * Wait for the completed response to a response_id
+ * @param {ReplaySocket} ws - Socket the controller writes to
+ * @param {number} responseId - Response ID to wait for
+ * @param {number} timeoutMs - Maximum wait
+ * @returns {Promise<Object>} - Final (content_complete) frame
+ */
+export function waitForResponse(ws, responseId, timeoutMs = 5000) {
+  const find = () => ws.sent.find(f => f.response_type === 'response' && f.response_id === responseId && f.content_complete);
+
+  return new Promise((resolve, reject) => {
+    const onSent = () => {
+      const frame = find();
+      if (frame) finish(null, frame);
+    };
+    const timer = setTimeout(() => finish(new Error(`No response for response_id ${responseId} within ${timeoutMs}ms`)), timeoutMs);
+    const finish = (error, frame) => {
+      clearTimeout(timer);
+      ws.off('sent', onSent);
+      error ? reject(error) : resolve(frame);
+    };
+
+    ws.on('sent', onSent);
+    onSent();
+  });
+}
+
+/**
+ * Fill in scenario defaults (call_history rows may give minutesAgo instead of ended_at)
+ * @param {Object} scenario - Scenario from file
+ * @returns {Object} - Scenario ready to serve
+ */
+function prepareScenario(scenario) {
+  const database = { transcript: [], frame: [], call_history: [], ...scenario.database };
+
+  database.call_history = database.call_history.map(({ minutesAgo, ...row }) => ({
+    ...row,
+    ended_at: row.ended_at || new Date(Date.now() - (minutesAgo ?? 30) * 60 * 1000).toISOString(),
+  }));
+
+  return { ...scenario, database };
+}
+
+/**
+ * Connect a call to the controller outside a scenario (Supabase lookups still answer from memory)
+ * The greeting (response_id 0) follows unless the call already has a session.
+ * @param {string} callId - Call ID
+ * @param {Object} options - { caller, model: chat model the agent runs with }
+ * @returns {ReplaySocket} - Socket the controller writes to
+ */
+export function connectCall(callId, { caller = '+15550006001', model } = {}) {
+  if (model) setChatModel(model);
+  setCallDetailsProvider(async (id) => ({ call_id: id, from_number: caller, call_status: 'ongoing' }));
+
+  const ws = new ReplaySocket();
+  handleWebSocketConnection(ws, callId);
+  return ws;
+}
+
+let runCount = 0;
+
+/**
+ * Run a scenario through the call controller
+ * @param {Object} scenario - Parsed scenario file
+ * @param {Object} options - { afterTurn: async (turnResult, index) => {...}, run after each turn while the call is still live }
+ * @returns {Promise<Object>} - { callId, mode, greeting, systemPrompt, turns: [{ user, event?, expect, says, modelCalls, toolResults, action, hazard, transferNumber, whisper, endCall, transferStatus, disposition }] }
+ */
+export async function runScenario(scenario, { afterTurn } = {}) {
+  activeScenario = prepareScenario(scenario);
+  tables = structuredClone(activeScenario.database);
+
+  const scenarioModel = createScenarioModel();
+  setChatModel(scenarioModel.model);
+
+  const caller = scenario.caller ?? null;
+  setCallDetailsProvider(async (callId) => ({ call_id: callId, from_number: caller, call_status: 'ongoing', ...scenario.callDetails }));
+
+  const callId = `scenario-${++runCount}`;
+  const ws = new ReplaySocket();
+  handleWebSocketConnection(ws, callId);
+  ws.emit('message', JSON.stringify({ interaction_type: 'call_details', call: { call_id: callId, from_number: caller } }));
+
+  const textOf = (responseId) => collapseFrames(ws.sent.filter(f => f.response_id === responseId))[0]?.content || '';
+
+  await waitForResponse(ws, 0);
+  const mode = getSession(callId)?.mode;
+  const greeting = textOf(0);
+  const transcript = [{ role: 'agent', content: greeting }];
+  const turns = [];
+
+  try {
+    for (const [index, turn] of scenario.turns.entries()) {
+      const responseId = index + 1;
+      const label = turn.event ? `${turn.event} event` : `turn "${turn.user}"`;
+      scenarioModel.startTurn(turn.model);
+
+      if (turn.event) {
+        const result = await runEventTurn(ws, callId, turn, responseId, transcript);
+        turns.push({ ...result, modelCalls: scenarioModel.finishTurn(label) });
+        await afterTurn?.(turns[index], index);
+        continue;
+      }
+
+      transcript.push({ role: 'user', content: turn.user });
+      ws.emit('message', JSON.stringify({ interaction_type: 'response_required', response_id: responseId, transcript }));
+
+      const frame = await waitForResponse(ws, responseId);
+      const says = textOf(responseId);
+      transcript.push({ role: 'agent', content: says });
+      const { toolResults, action } = await readTurnState(callId, turn.user);
+      const hazard = getSession(callId).lastHazard;
+      const modelCalls = scenarioModel.finishTurn(label);
+
+      turns.push({
+        user: turn.user,
+        expect: turn.expect || {},
+        says,
+        modelCalls,
+        toolResults,
+        action,
+        hazard: hazard?.responseId === responseId ? hazard.ruleId : null,
+        transferNumber: frame.transfer_number || null,
+        whisper: frame.transfer_option?.private_handoff_option?.message || null,
+        endCall: Boolean(frame.end_call),
+        transferStatus: getTransferRecord(callId)?.status ?? null,
+        disposition: getDisposition(callId)?.disposition ?? null,
+      });
+      await afterTurn?.(turns[index], index);
+    }
+  } finally {
+    ws.emit('message', JSON.stringify({ interaction_type: 'call_ended', call: { call_id: callId } }));
+    ws.close();
+    removeSession(callId);
+    setCallDetailsProvider(null);
+    activeScenario = null;
+  }
+
+  const systemPrompt = scenarioModel.model.requests[0]?.[0]?.content ?? null;
+  return { callId, mode, greeting, systemPrompt, turns };
+}
@@ -0,0 +1,20 @@
+/**
+ * Wait For
+ * Polls a condition for tests whose effects land in the background (incident updates, notifications)
+ */
+
+/**
+ * Wait until a condition holds
+ * @param {Function} check - Returns a truthy value once the condition holds
+ * @param {number} timeoutMs - Maximum wait
+ * @returns {Promise<*>} - The truthy value, or the last (falsy) one after the timeout
+ */
+export async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return check();
+}
@@ -0,0 +1,72 @@
+/**
+ * Telemetry Test
+ * Stage timing follows the turn through async calls, and turns roll up into call metrics.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  startTurn,
+  runInTurn,
+  finishTurn,
+  measureStage,
+  markFirstText,
+  estimateCost,
+  getCallMetrics,
+} from '../src/services/telemetry.service.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('stages measured deep inside a turn are attributed to that turn only', async () => {
+  const turnA = startTurn('telemetry-call-a', 1);
+  const turnB = startTurn('telemetry-call-b', 1);
+
+  await Promise.all([
+    runInTurn(turnA, async () => {
+      await measureStage('pinecone_query', () => sleep(15));
+      await measureStage('pinecone_query', () => sleep(5));
+    }),
+    runInTurn(turnB, () => measureStage('supabase_frames', () => sleep(5))),
+  ]);
+
+  // Outside any turn the work still runs, but nothing is recorded
+  assert.equal(await measureStage('embedding', () => 42), 42);
+
+  assert.equal(turnA.stages.pinecone_query.count, 2);
+  assert.ok(turnA.stages.pinecone_query.ms > turnB.stages.supabase_frames.ms);
+  assert.equal(turnA.stages.supabase_frames, undefined);
+  assert.deepEqual(Object.keys(turnB.stages), ['supabase_frames']);
+});
+
+test('finished turns roll up into per-call latency and cost', async () => {
+  const first = startTurn('telemetry-call-c', 1);
+  await sleep(5);
+  markFirstText(first);
+  first.tokens = { input: 1000, output: 200 };
+  first.costUsd = estimateCost('gpt-4o', 1000, 200);
+  finishTurn(first);
+
+  const interrupted = startTurn('telemetry-call-c', 2);
+  interrupted.interrupted = true;
+  finishTurn(interrupted);
+
+  const stale = startTurn('telemetry-call-c', 3);
+  stale.skipped = true;
+  assert.equal(finishTurn(stale), null);
+
+  const metrics = getCallMetrics('telemetry-call-c');
+
+  assert.equal(metrics.turns.length, 2);
+  assert.equal(metrics.summary.interruptedTurns, 1);
+  assert.equal(typeof metrics.turns[0].firstTextMs, 'number');
+  assert.equal(metrics.turns[1].firstTextMs, null);
+  assert.deepEqual(metrics.summary.tokens, { input: 1000, output: 200 });
+  // gpt-4o: $2.50 / 1M input, $10 / 1M output
+  assert.equal(metrics.summary.costUsd, 0.0045);
+});
+
+test('pricing picks the most specific model name', () => {
+  assert.equal(estimateCost('gpt-4o-mini-2024-07-18', 1_000_000, 0), 0.15);
+  assert.equal(estimateCost('gpt-4o-2024-08-06', 1_000_000, 0), 2.5);
+  assert.equal(estimateCost('some-unknown-model', 1_000_000, 1_000_000), 0);
+});
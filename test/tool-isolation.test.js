@@ -0,0 +1,90 @@
+/**
+ * Tool Isolation Test
+ * Two simulated calls build and use their tools side by side;
+ * neither may see the other's videos or phone number.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Supabase is reached through global fetch, so answer its REST queries from fixtures.
+// Must be in place before the services are imported (supabase-js captures fetch on createClient).
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_ANON_KEY = 'test-key';
+
+const FRAMES = {
+  101: [{ id: 1, frame_storage_url: 'https://frames.test/call-a-video-1.jpg', frame_timestamp: 10, transcript_id: 101 }],
+  102: [{ id: 2, frame_storage_url: 'https://frames.test/call-a-video-2.jpg', frame_timestamp: 10, transcript_id: 102 }],
+  201: [{ id: 3, frame_storage_url: 'https://frames.test/call-b-video-1.jpg', frame_timestamp: 10, transcript_id: 201 }],
+};
+
+const CALL_HISTORY = {
+  '+15550000001': { call_id: 'old-a', from_number: '+15550000001', transcript: 'Caller A: furnace', call_duration_ms: 60000, call_summary: 'Furnace issue', ended_at: new Date().toISOString() },
+  '+15550000002': { call_id: 'old-b', from_number: '+15550000002', transcript: 'Caller B: sink', call_duration_ms: 60000, call_summary: 'Sink issue', ended_at: new Date().toISOString() },
+};
+
+globalThis.fetch = async (input) => {
+  const url = new URL(typeof input === 'string' ? input : input.url);
+  const filter = (column) => url.searchParams.get(column)?.replace(/^eq\./, '');
+
+  // Random delay so the two calls' requests interleave
+  await new Promise(resolve => setTimeout(resolve, Math.random() * 20));
+
+  let rows = [];
+  if (url.pathname.endsWith('/frame')) {
+    rows = FRAMES[filter('transcript_id')] || [];
+  } else if (url.pathname.endsWith('/call_history')) {
+    const row = CALL_HISTORY[filter('from_number')];
+    rows = row ? [row] : [];
+  }
+
+  return new Response(JSON.stringify(rows), {
+    status: 200,
+    headers: { 'content-type': 'application/json' },
+  });
+};
+
+const { createToolsWithContext } = await import('../src/services/langgraph-tools.service.js');
+
+/**
+ * Simulate one call: build its tools, then use them a few times
+ */
+async function simulateCall({ transcriptIds, phoneNumber, callId }) {
+  const tools = await createToolsWithContext(transcriptIds, false, false, phoneNumber, callId);
+  const byName = Object.fromEntries(tools.map(t => [t.name, t]));
+
+  const results = [];
+  for (let videoNumber = 1; videoNumber <= transcriptIds.length; videoNumber++) {
+    results.push(JSON.parse(await byName.fetch_video_frames.invoke({ video_number: videoNumber, timestamps: [10] })));
+  }
+  const previousWorkOrder = JSON.parse(await byName.retrieve_previous_work_order.invoke({}));
+
+  return { results, previousWorkOrder };
+}
+
+test('concurrent calls keep their own video and caller context', async () => {
+  const [callA, callB] = await Promise.all([
+    simulateCall({ transcriptIds: [101, 102], phoneNumber: '+15550000001', callId: 'call-a' }),
+    simulateCall({ transcriptIds: [201], phoneNumber: '+15550000002', callId: 'call-b' }),
+  ]);
+
+  assert.deepEqual(
+    callA.results.map(r => r.frames[0].url),
+    ['https://frames.test/call-a-video-1.jpg', 'https://frames.test/call-a-video-2.jpg']
+  );
+  assert.deepEqual(callB.results.map(r => r.frames[0].url), ['https://frames.test/call-b-video-1.jpg']);
+
+  assert.equal(callA.previousWorkOrder.summary, 'Furnace issue');
+  assert.equal(callB.previousWorkOrder.summary, 'Sink issue');
+});
+
+test('a later call does not change the video count of an earlier one', async () => {
+  const toolsA = await createToolsWithContext([101, 102], false, false, null, 'call-a');
+  await createToolsWithContext([201], false, false, null, 'call-b');
+
+  const fetchFramesA = toolsA.find(t => t.name === 'fetch_video_frames');
+  const result = JSON.parse(await fetchFramesA.invoke({ video_number: 2, timestamps: [10] }));
+
+  assert.equal(result.success, true);
+  assert.equal(result.frames[0].url, 'https://frames.test/call-a-video-2.jpg');
+});
@@ -0,0 +1,102 @@
+/**
+ * Transfer Outcome Test
+ * Retell reports how a transfer ended after the fact; a failed transfer puts the caller back
+ * in the conversation with the fallback script and the outcome lands on the call record.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runScenario, getTableRows } from './support/scenario-harness.js';
+import { waitFor } from './support/wait-for.js';
+
+const { createApp } = await import('../src/app.js');
+const { getTransferRecord, resolveTransferOutcome } = await import('../src/services/transfer-outcome.service.js');
+
+test('an unanswered maintenance transfer reads the number back at the next reminder', async () => {
+  const { turns } = await runScenario({
+    name: 'Burst pipe, plumbing dispatch does not answer',
+    caller: '+15550004001',
+    turns: [
+      {
+        user: 'A pipe burst in the basement and there is water everywhere',
+        model: [{ tool: 'transfer_urgent_maintenance', args: { issue: 'Burst pipe in the basement', urgency: 'Water everywhere', issueType: 'plumbing' } }],
+      },
+      { event: 'update_only', call: { disconnection_reason: 'dial_no_answer' } },
+      { event: 'reminder_required' },
+      { event: 'reminder_required' },
+    ],
+  });
+
+  assert.equal(turns[0].transferNumber, '+15559120001');
+  assert.equal(turns[1].transferStatus, 'no_answer');
+  assert.equal(turns[1].says, '', 'nothing is spoken until Retell asks for a response');
+  assert.match(turns[2].says, /call our emergency maintenance line directly: \+1 5 5 5 9 1 2 0 0 0 1/);
+  assert.doesNotMatch(turns[3].says, /emergency maintenance line directly/, 'the fallback is spoken once');
+
+  const incident = await waitFor(() => getTableRows('emergency_incidents')
+    .find(row => row.caller_phone === '+15550004001' && row.history?.some(entry => entry.event === 'transfer_no_answer')));
+  assert.ok(incident, 'transfer outcome recorded on the incident');
+});
+
+test('a connected transfer is settled by call_ended and written to the call record by the webhook', async () => {
+  const { callId } = await runScenario({
+    name: 'Caller asks for a person and the support desk picks up',
+    caller: '+15550004002',
+    turns: [
+      { user: 'Please let me speak to a human', model: [{ tool: 'transfer_to_human_agent', args: { userRequest: 'Please let me speak to a human' } }] },
+      { event: 'call_ended', call: { disconnection_reason: 'call_transfer' } },
+    ],
+  });
+
+  assert.equal(getTransferRecord(callId).status, 'connected');
+  assert.equal(getTransferRecord(callId).detectedBy, 'call_ended');
+
+  const server = createApp().listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/webhook/call-analyzed`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        event: 'call_analyzed',
+        call: { call_id: callId, from_number: '+15550004002', disconnection_reason: 'call_transfer', transcript: 'user: Please let me speak to a human' },
+      }),
+    });
+    assert.equal(response.status, 200);
+  } finally {
+    server.close();
+  }
+
+  const row = getTableRows('call_history').find(r => r.call_id === callId);
+  assert.ok(row, 'call history saved');
+  assert.equal(row.transfer_outcome.status, 'connected');
+  assert.equal(row.transfer_outcome.category, 'human_agent');
+  assert.equal(row.transfer_outcome.destination, '+15559130000');
+  assert.equal(row.disposition, 'transferred');
+});
+
+test('the caller talking to whoever picked up does not settle the transfer', async () => {
+  const { turns } = await runScenario({
+    name: 'Warm transfer where the caller talks to the dispatcher',
+    caller: '+15550004003',
+    turns: [
+      {
+        user: 'A pipe burst in the basement and there is water everywhere',
+        model: [{ tool: 'transfer_urgent_maintenance', args: { issue: 'Burst pipe in the basement', urgency: 'Water everywhere', issueType: 'plumbing' } }],
+      },
+      { event: 'update_only', heard: [{ role: 'user', content: 'Hi, yes, the pipe is by the water heater' }] },
+      { event: 'call_ended', call: { disconnection_reason: 'call_transfer' } },
+    ],
+  });
+
+  assert.equal(turns[1].transferStatus, 'pending');
+  assert.equal(turns[2].transferStatus, 'connected');
+});
+
+test('the webhook settles a transfer from its disconnection reason, even one that was never tracked', () => {
+  assert.equal(resolveTransferOutcome({ call_id: 'untracked-1', disconnection_reason: 'user_hangup' }), null);
+
+  const outcome = resolveTransferOutcome({ call_id: 'untracked-2', disconnection_reason: 'dial_busy', transfer_destination: '+15559120000' });
+  assert.equal(outcome.status, 'busy');
+  assert.equal(outcome.destination, '+15559120000');
+  assert.equal(outcome.detected_by, 'webhook');
+});
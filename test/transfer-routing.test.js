@@ -0,0 +1,63 @@
+/**
+ * Transfer Routing Test
+ * The routing table picks a destination by category, issue type and business hours.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTransferRoute, setRoutingTable } from '../src/services/transfer-routing.service.js';
+
+const TABLE = {
+  timezone: 'America/New_York',
+  businessHours: { days: ['mon', 'tue', 'wed', 'thu', 'fri'], open: '08:00', close: '18:00' },
+  routes: [
+    { name: 'emergency', category: 'emergency', number: '${ROUTING_TEST_EMERGENCY}' },
+    { name: 'plumbing', category: 'urgent_maintenance', issueType: 'plumbing', number: '+15550000001' },
+    { name: 'electrical', category: 'urgent_maintenance', issueType: 'electrical', number: '${ROUTING_TEST_UNSET}' },
+    { name: 'office', category: 'urgent_maintenance', hours: 'business', number: '+15550000002' },
+    { name: 'on-call', category: 'urgent_maintenance', hours: 'after_hours', number: '+15550000003' },
+    { name: 'support-desk', category: 'human_agent', hours: 'business', number: '+15550000004' },
+    { name: 'default', category: '*', number: '+15550000009' },
+  ],
+};
+
+// Wednesday 2026-03-04: 14:00 and 22:00 in New York (EST, UTC-5)
+const WEDNESDAY_AFTERNOON = new Date('2026-03-04T19:00:00Z');
+const WEDNESDAY_NIGHT = new Date('2026-03-05T03:00:00Z');
+// Saturday 2026-03-07 at 11:00 in New York
+const SATURDAY_MORNING = new Date('2026-03-07T16:00:00Z');
+
+process.env.ROUTING_TEST_EMERGENCY = '+15550000911';
+delete process.env.ROUTING_TEST_UNSET;
+setRoutingTable(TABLE);
+
+after(() => setRoutingTable(null));
+
+test('issue type beats business hours, and hours pick between office and on-call', () => {
+  const plumbing = resolveTransferRoute({ category: 'urgent_maintenance', issueType: 'Plumbing', now: WEDNESDAY_NIGHT });
+  assert.equal(plumbing.route, 'plumbing');
+  assert.equal(plumbing.number, '+15550000001');
+
+  assert.equal(resolveTransferRoute({ category: 'urgent_maintenance', issueType: 'hvac', now: WEDNESDAY_AFTERNOON }).route, 'office');
+  assert.equal(resolveTransferRoute({ category: 'urgent_maintenance', issueType: 'hvac', now: WEDNESDAY_NIGHT }).route, 'on-call');
+  assert.equal(resolveTransferRoute({ category: 'urgent_maintenance', issueType: 'hvac', now: SATURDAY_MORNING }).hours, 'after_hours');
+});
+
+test('numbers come from env vars, and routes without a number fall through', () => {
+  assert.equal(resolveTransferRoute({ category: 'emergency' }).number, '+15550000911');
+
+  // Electrical line is unset -> hours-based maintenance route
+  assert.equal(resolveTransferRoute({ category: 'urgent_maintenance', issueType: 'electrical', now: WEDNESDAY_NIGHT }).route, 'on-call');
+
+  // No after-hours support desk -> catch-all
+  assert.equal(resolveTransferRoute({ category: 'human_agent', now: WEDNESDAY_AFTERNOON }).route, 'support-desk');
+  assert.equal(resolveTransferRoute({ category: 'human_agent', now: WEDNESDAY_NIGHT }).route, 'default');
+});
+
+test('no usable route resolves to null', () => {
+  setRoutingTable({ routes: [{ category: 'human_agent', number: '${ROUTING_TEST_UNSET}' }] });
+  assert.equal(resolveTransferRoute({ category: 'human_agent' }), null);
+
+  assert.throws(() => setRoutingTable({ routes: [{ category: 'plumber', number: '+1' }] }), /unknown category/);
+  setRoutingTable(TABLE);
+});
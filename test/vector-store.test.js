@@ -0,0 +1,83 @@
+/**
+ * Vector Store Test
+ * The local file-backed store implements the vector store interface (upsert, cosine query, delete by
+ * IDs or filter, stats), survives a restart, and can back the whole upload → search pipeline.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getStoredVectors } from './support/scenario-harness.js';
+
+const { createApp } = await import('../src/app.js');
+const { createLocalVectorStore, cosineSimilarity } = await import('../src/services/local-vector-store.service.js');
+const { setVectorStore } = await import('../src/services/vector-store.service.js');
+const { retrieveChunks } = await import('../src/services/retrieval.service.js');
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-store-test-'));
+
+after(async () => {
+  setVectorStore(null);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('the local store ranks by cosine similarity, filters, deletes and persists', async () => {
+  const file = path.join(dir, 'vectors.json');
+  const store = createLocalVectorStore(file);
+
+  await store.upsert([
+    { id: 'a_chunk_0', values: [1, 0, 0], metadata: { documentId: 'a', text: 'furnace' } },
+    { id: 'a_chunk_1', values: [0.7, 0.7, 0], metadata: { documentId: 'a', text: 'filter' } },
+    { id: 'b_chunk_0', values: [0, 0, 1], metadata: { documentId: 'b', text: 'boiler' } },
+  ]);
+
+  const matches = await store.query({ vector: [1, 0.1, 0], topK: 2 });
+  assert.deepEqual(matches.map(match => match.id), ['a_chunk_0', 'a_chunk_1']);
+  assert.ok(Math.abs(matches[0].score - cosineSimilarity([1, 0.1, 0], [1, 0, 0])) < 1e-12);
+  assert.equal(matches[0].metadata.text, 'furnace');
+
+  const onlyB = await store.query({ vector: [1, 0, 0], topK: 5, filter: { documentId: 'b' } });
+  assert.deepEqual(onlyB.map(match => match.id), ['b_chunk_0']);
+
+  await assert.rejects(store.upsert([{ id: 'bad', values: [1, 0] }]), /2 dimensions, the store has 3/);
+  await assert.rejects(store.query({ vector: [1, 0], topK: 5 }), /Query vector has 2 dimensions, the store has 3/);
+
+  await store.delete({ filter: { documentId: 'a' } });
+  await store.delete({ ids: ['missing'] });
+  assert.deepEqual(await store.stats(), { vectorCount: 1, dimension: 3, file });
+
+  // A new process sees what the last one saved
+  const reopened = createLocalVectorStore(file);
+  assert.deepEqual((await reopened.query({ vector: [0, 0, 1], topK: 5 })).map(match => match.id), ['b_chunk_0']);
+});
+
+test('uploads, search and deletes run against the local store when it is selected', async () => {
+  setVectorStore(createLocalVectorStore(path.join(dir, 'pipeline.json')));
+  const pineconeBefore = getStoredVectors().size;
+
+  const server = createApp().listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const form = new FormData();
+    form.append('document', new Blob(['Dishwasher error code OE means the drain is blocked. Clean the drain filter.'], { type: 'text/plain' }), 'dishwasher.txt');
+    const uploaded = await (await fetch(`${base}/rag/upload`, { method: 'POST', body: form })).json();
+    assert.equal(uploaded.success, true);
+
+    const stats = await (await fetch(`${base}/rag/stats`)).json();
+    assert.equal(stats.stats.backend, 'local');
+    assert.equal(stats.stats.vectorCount, 1);
+
+    const [result] = await retrieveChunks('dishwasher drain blocked');
+    assert.equal(result.id, `${uploaded.document.id}_chunk_0`);
+    assert.deepEqual(Object.keys(result.sources).sort(), ['keyword', 'vector']);
+
+    await fetch(`${base}/rag/documents/${uploaded.document.id}`, { method: 'DELETE' });
+    assert.equal((await (await fetch(`${base}/rag/stats`)).json()).stats.vectorCount, 0);
+    assert.equal(getStoredVectors().size, pineconeBefore, 'nothing went to Pinecone');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});